@@ -22,7 +22,18 @@ const geolocateBtn = document.getElementById("geolocateBtn");
 
 // =====================================================================
 // === 2. CONSTANTS ===
-// === regionNames, PRECIP_WEATHER_IDS, REFRESH_COOLDOWN_MS ===
+// === regionNames, PRECIP_WEATHER_IDS, REFRESH_COOLDOWN_MS, ===
+// === FAV_KEY, LEGACY_FAV_KEY, FAV_LIMIT_KEY, DEFAULT_MAX_FAVORITES, ===
+// === LAST_LOCATION_KEY, SYNC_TOKEN_KEY, PREFS_UPDATED_KEY, SYNC_DELAY_MS, ===
+// === AUTO_REFRESH_KEY, AUTO_REFRESH_OPTIONS, DEFAULT_AUTO_REFRESH_MINUTES, ===
+// === AUTO_REFRESH_TICK_MS, AGE_WARN_MS, AGE_STALE_MS, ===
+// === COMPARE_MIN, COMPARE_MAX, COMPARE_DAYS, ===
+// === NOTIFY_RULES_KEY, NOTIFY_INBOX_KEY, INBOX_LIMIT, RULE_NOTIFIED_LIMIT, ===
+// === RULE_METRICS, RULE_PERIODS, ===
+// === HISTORY_DB_NAME, HISTORY_STORE, HISTORY_MAX_AGE_MS, HISTORY_MATCH_WINDOW_S, ===
+// === PAST_WEATHER_MIN_DATE, MAP_CONFIG_KEY, DEFAULT_MAP_CONFIG, MAP_TILE_SIZE, ===
+// === MAP_MIN_ZOOM, MAP_MAX_LAT, MAP_GRID_STEPS, MAP_GRID_MIN_PX, ===
+// === MAP_CLICK_SLOP_PX, MAP_PAN_STEP_PX, MAP_WHEEL_DELAY_MS ===
 // =====================================================================
 // Constants are values that never change during the app's lifetime.
 // Using UPPERCASE_NAMES is a common convention for constants.
@@ -61,15 +72,128 @@ const PRECIP_WEATHER_IDS = [
 // 10000ms = 10 seconds. Prevents excessive API calls.
 const REFRESH_COOLDOWN_MS = 10000;
 
-// localStorage key for saving favorite locations
-const FAV_KEY = "weather_favorites_v1";
-
-// Maximum number of favorite locations allowed
-const MAX_FAVORITES = 4;
-
-// Delay between API calls when refreshing favorites on page load (ms)
-// Prevents overwhelming the API with simultaneous requests
-const FAV_REFRESH_STAGGER_MS = 300;
+// localStorage key for saving favorite locations, their order and groups
+const FAV_KEY = "weather_favorites_v2";
+
+// Older format: a plain { locationKey: favorite } object, migrated on load
+const LEGACY_FAV_KEY = "weather_favorites_v1";
+
+// localStorage key for the user's favorites limit
+const FAV_LIMIT_KEY = "weather_favorites_limit";
+
+// localStorage key for the last viewed location (used when the installed
+// app is launched without a location in the URL)
+const LAST_LOCATION_KEY = "weather_last_location";
+
+// Default and highest allowed favorites limit (the user can pick any value
+// in between in the saved locations toolbar)
+const DEFAULT_MAX_FAVORITES = 4;
+const MAX_FAVORITES_LIMIT = 50;
+
+// localStorage key for the sync profile token (favorites are synced with
+// the server only when this is set)
+const SYNC_TOKEN_KEY = "weather_sync_token";
+
+// localStorage key for when the unit/limit preferences last changed
+// (last-writer-wins when syncing them)
+const PREFS_UPDATED_KEY = "weather_prefs_updated_at";
+
+// Wait this long after a change before syncing, so a burst of changes
+// (e.g. dragging cards around) is sent in one request
+const SYNC_DELAY_MS = 2000;
+
+// Auto-refresh of the shown weather and the favorites: interval in minutes
+// (0 = off), saved in localStorage. The proxy caches weather for 10 minutes,
+// so shorter intervals wouldn't bring newer data.
+const AUTO_REFRESH_KEY = "weather_auto_refresh_minutes";
+const AUTO_REFRESH_OPTIONS = [0, 10, 15, 30, 60];
+const DEFAULT_AUTO_REFRESH_MINUTES = 15;
+
+// How often to check for due refreshes and update the age indicators (ms)
+const AUTO_REFRESH_TICK_MS = 30 * 1000;
+
+// Data older than this gets an amber / red age indicator (ms)
+const AGE_WARN_MS = 30 * 60 * 1000;
+const AGE_STALE_MS = 2 * 60 * 60 * 1000;
+
+// Compare view: how many favorites can be shown side by side, and days shown
+const COMPARE_MIN = 2;
+const COMPARE_MAX = 4;
+const COMPARE_DAYS = 7;
+
+// localStorage keys for the notification rules of the favorites and for
+// the inbox of rule matches (this device only, not synced)
+const NOTIFY_RULES_KEY = "weather_notification_rules";
+const NOTIFY_INBOX_KEY = "weather_notification_inbox";
+
+// Inbox entries kept, and matches remembered per rule (so a rule doesn't
+// notify again about the same day)
+const INBOX_LIMIT = 100;
+const RULE_NOTIFIED_LIMIT = 30;
+
+// What a notification rule can watch. Alerts rules have no comparator or
+// threshold: any government alert in the period matches.
+const RULE_METRICS = {
+  temp_min: { label: "Low temperature" },
+  temp_max: { label: "High temperature" },
+  pop: { label: "Chance of precipitation" },
+  wind_gust: { label: "Wind gust" },
+  precip: { label: "Precipitation" },
+  alerts: { label: "Weather alert" },
+};
+
+// Days a rule looks at, as daily forecast indexes (0 = today)
+const RULE_PERIODS = {
+  today: { label: "Today", phrase: "today", from: 0, to: 0 },
+  tomorrow: { label: "Tomorrow", phrase: "tomorrow", from: 1, to: 1 },
+  next3: { label: "Next 3 days", phrase: "in the next 3 days", from: 0, to: 2 },
+  week: { label: "Next 7 days", phrase: "in the next 7 days", from: 0, to: 6 },
+};
+
+// IndexedDB database and object store for the recorded current conditions
+// of the favorites (this device only, not synced)
+const HISTORY_DB_NAME = "weather_history";
+const HISTORY_STORE = "observations";
+
+// Readings older than this are deleted (ms)
+const HISTORY_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+
+// How far a reading may be from the same time yesterday to be compared
+// with the current conditions (seconds)
+const HISTORY_MATCH_WINDOW_S = 90 * 60;
+
+// Earliest date the past weather lookup offers (the weather service has
+// history from then on)
+const PAST_WEATHER_MIN_DATE = "1979-01-02";
+
+// Map panel: the tile source comes from the proxy (/api/map-config) and is
+// kept in localStorage, so the map still knows it offline. Without a tile
+// URL the map draws only a latitude/longitude grid.
+const MAP_CONFIG_KEY = "weather_map_config";
+const DEFAULT_MAP_CONFIG = { tileUrl: null, attribution: "", maxZoom: 18 };
+
+// XYZ tiles are 256 px squares; the whole world is one tile at zoom 0
+const MAP_TILE_SIZE = 256;
+const MAP_MIN_ZOOM = 1;
+
+// Web Mercator can't show the poles; tiles end at this latitude
+const MAP_MAX_LAT = 85.0511;
+
+// Grid line spacings in degrees; the map uses the finest one whose lines
+// are at least MAP_GRID_MIN_PX apart
+const MAP_GRID_STEPS = [0.01, 0.02, 0.05, 0.1, 0.2, 0.5, 1, 2, 5, 10, 30];
+const MAP_GRID_MIN_PX = 80;
+
+// A pointer that moves less than this between press and release is a
+// click (picks the point) rather than a drag (pans the map)
+const MAP_CLICK_SLOP_PX = 5;
+
+// How far an arrow key pans the map
+const MAP_PAN_STEP_PX = 80;
+
+// Wheel events closer together than this zoom only once, so one swipe on a
+// touchpad doesn't zoom all the way in
+const MAP_WHEEL_DELAY_MS = 250;
 
 // API base URL - automatically switches between localhost and production
 // In development (localhost), uses local server; in production, uses Render URL
@@ -81,8 +205,17 @@ const API_BASE_URL =
 // =====================================================================
 // === 3. STATE VARIABLES ===
 // === currentSuggestions, highlightedIndex, geocodeController, ===
-// === lastQuery, refreshDisabledUntil, lastFetchedTs, ===
-// === currentUnit, lastSelectedLocation ===
+// === lastQuery, refreshDisabledUntil, lastFetchedTs, showingOfflineData, ===
+// === showingStaleData, ===
+// === currentUnit, lastSelectedLocation, lastWeatherPayload, ===
+// === lastWeatherUnits, openHourlyDayIndex, restoringUrlState, chartRange, ===
+// === favorites, favoriteOrder, favoriteGroups, draggedFavoriteKey, ===
+// === favoriteTombstones, favoriteLayoutUpdatedAt, syncStatus, syncTimer, ===
+// === syncInFlight, rateLimitedUntil, rateLimitTimer, ===
+// === autoRefreshMinutes, autoRefreshTimer, autoRefreshAttempts, autoRefreshInFlight, ===
+// === compareSelection, compareFetchState, notificationRules, notificationInbox, ===
+// === historyDbPromise, mapConfig, mapView, mapDrag, mapTileEls, ===
+// === mapTilesCors, mapRenderQueued, mapWheelAt ===
 // =====================================================================
 // State variables track the current "state" of the app.
 // Unlike constants, these values change as the user interacts with the app.
@@ -103,6 +236,12 @@ let lastQuery = "";
 let refreshDisabledUntil = 0;
 // Timestamp (ms) of the last successful weather fetch
 let lastFetchedTs = 0;
+// True when the shown weather came from the offline cache instead of the
+// network (lastFetchedTs is then the time the cached copy was fetched)
+let showingOfflineData = false;
+// True when the proxy couldn't reach the weather service and answered with
+// its last cached copy (lastFetchedTs is then the time of that copy)
+let showingStaleData = false;
 
 // --- Unit Preference State ---
 // "metric" (°C, m/s) or "imperial" (°F, mph)
@@ -116,17 +255,120 @@ let lastSelectedLocation = null;
 // --- Weather Data State ---
 // Stores the last fetched weather payload for hourly data access
 let lastWeatherPayload = null;
+// Units ("metric"/"imperial") the last payload was fetched in, so charts can
+// convert it right away when the user switches units
+let lastWeatherUnits = "metric";
+
+// --- Hourly Modal State ---
+// Daily index shown in the hourly modal, or null when it's closed.
+// Part of the shareable URL (see syncUrlState)
+let openHourlyDayIndex = null;
+// True while restoreFromUrl() applies URL state, so it isn't written back
+let restoringUrlState = false;
+
+// --- Charts State ---
+// Which forecast the charts show: "hourly" (48 h) or "daily" (7 days)
+let chartRange = "hourly";
 
 // --- Favorites State ---
 // Object storing favorite locations, loaded from localStorage on startup
-// Structure: { "locationKey": { name, country, state, lat, lon, lastUpdated, weatherData } }
+// Structure: { "locationKey": { name, country, state, lat, lon, group, lastUpdated, weatherData } }
+// weatherData is a summary (see toSavedWeather), not the full forecast
+// `group` is a group id from favoriteGroups, or "" when ungrouped
 let favorites = {};
+// Display order of the favorite keys (changed by drag-and-drop/arrow keys)
+let favoriteOrder = [];
+// Named groups like "Work sites": [{ id, name }], shown in this order
+let favoriteGroups = [];
+// Key of the saved card being dragged, or null
+let draggedFavoriteKey = null;
+
+// --- Sync State ---
+// Removed favorites: { locationKey: removedAt }, sent with the next sync so
+// other devices remove them too
+let favoriteTombstones = {};
+// When the order or groups last changed (ms), for last-writer-wins syncing
+let favoriteLayoutUpdatedAt = 0;
+// Shown next to the Sync button: state is "off", "syncing", "synced" or "error"
+let syncStatus = { state: "off", lastSyncedAt: 0, message: "" };
+// Pending debounced sync (setTimeout id) and the sync request in progress
+let syncTimer = null;
+let syncInFlight = null;
+
+// --- Rate Limit State ---
+// The proxy answers 429 with Retry-After when we send too many requests;
+// until this time (ms) searches and weather requests are not sent at all
+let rateLimitedUntil = 0;
+// Interval that counts the cooldown down in the status message
+let rateLimitTimer = null;
+
+// --- Auto-Refresh State ---
+// Interval in minutes (0 = off)
+let autoRefreshMinutes = getAutoRefreshMinutes();
+// setInterval id of the refresh/age tick; null while the tab is hidden
+let autoRefreshTimer = null;
+// When each part was last auto-refreshed (ms), so a refresh that keeps
+// failing (or returns stale data) isn't retried on every tick
+let autoRefreshAttempts = { current: 0, favorites: 0 };
+// True while an auto-refresh is running
+let autoRefreshInFlight = false;
+
+// --- Compare View State ---
+// Location keys of the favorites shown side by side, in favorites order
+let compareSelection = [];
+// Forecast updates since the compare dialog was opened, by location key:
+// "loading" or "done" (so a failed update isn't retried on every render)
+let compareFetchState = {};
+
+// --- Notification Rules State ---
+// Rules by location key: { key: [{ id, metric, op, threshold, units,
+// period, notified }] }. `units` is the unit system the threshold was
+// entered in; `notified` lists the matches already reported.
+let notificationRules = loadNotificationRules();
+// Rule matches, newest first: [{ id, key, name, text, firedAt, read }]
+let notificationInbox = loadNotificationInbox();
+
+// --- History State ---
+// Opened history database (see openHistoryDb), or null before first use
+let historyDbPromise = null;
+
+// --- Map State ---
+// Tile source (see DEFAULT_MAP_CONFIG)
+let mapConfig = loadStoredMapConfig();
+// Map center and zoom level: { lat, lon, zoom }, or null before first open
+let mapView = null;
+// Pointer being dragged on the map: { pointerId, startX, startY, lastX,
+// lastY, moved }, or null
+let mapDrag = null;
+// Tile <img> elements on the map by "zoom/x/y", reused while panning
+let mapTileEls = new Map();
+// Whether tiles are requested with CORS. Turned off when the tile server
+// turns out not to send Access-Control-Allow-Origin.
+let mapTilesCors = true;
+// True while a map redraw waits for the next animation frame
+let mapRenderQueued = false;
+// When the wheel last zoomed the map (ms)
+let mapWheelAt = 0;
 
 // =====================================================================
 // === 4. UTILITY FUNCTIONS ===
 // === debounce, escapeHtml, dedupeLocations, createLocationKey, ===
-// === loadFavorites, saveFavorites, isFavorite, addFavorite, ===
-// === removeFavorite, formatLastUpdatedTime ===
+// === loadFavorites, migrateLegacyFavorites, saveFavorites, ===
+// === getFavoriteKeys, getMaxFavorites, setMaxFavorites, isFavoritesFull, ===
+// === isFavorite, addFavorite, removeFavorite, moveFavorite, ===
+// === favoriteGroupId, addFavoriteGroup, buildFavoritesExport, parseCsv, ===
+// === parseFavoritesFile, validateImportedFavorite, planFavoritesImport, ===
+// === roundCoordForCompare, importCapacity, applyFavoritesImport, ===
+// === touchFavorite, touchFavoriteLayout, touchPreferences, forgetFavorite, ===
+// === removeFavoriteKey, buildSyncPayload, applySyncedProfile, ===
+// === formatLastUpdatedTime, getActiveAlerts, ===
+// === retryAfterMs, toSavedWeather, getAutoRefreshMinutes, setAutoRefreshMinutes, ===
+// === hasFreshForecast, compareBestIndexes, loadNotificationRules, ===
+// === saveNotificationRules, loadNotificationInbox, saveNotificationInbox, ===
+// === addNotificationRule, removeNotificationRule, ruleMetricValue, evaluateRule, ===
+// === toHistoryRecord, findYesterdayRecord, summarizeHistoryDays, shiftIsoDate, ===
+// === normalizeMapConfig, loadStoredMapConfig, projectToWorld, worldToLatLon, ===
+// === tileUrlFor, mapGridStep, initialMapView ===
 // =====================================================================
 // Small helper functions that perform common tasks.
 // These are "pure" functions - they take input and return output
@@ -211,24 +453,158 @@ function createLocationKey(location) {
 }
 
 /**
- * Loads favorites from localStorage.
- * Returns empty object if no favorites exist or if data is corrupted.
- * @returns {Object} Favorites object keyed by location key
+ * Loads favorites, their order and groups from localStorage.
+ * Migrates the old weather_favorites_v1 format the first time.
+ * Returns empty values if nothing is stored or the data is corrupted.
+ * @returns {Object} { items, order, groups, deleted, layoutUpdatedAt } -
+ *   favorites keyed by location key, ordered keys, [{ id, name }] groups,
+ *   plus the sync bookkeeping (removed keys and when the layout changed)
  */
 function loadFavorites() {
+  let stored = null;
+  try {
+    stored = JSON.parse(localStorage.getItem(FAV_KEY));
+  } catch {
+    stored = null;
+  }
+  if (!stored) stored = migrateLegacyFavorites();
+
+  const items =
+    stored && stored.items && typeof stored.items === "object"
+      ? stored.items
+      : {};
+  // Older versions stored the full forecast with each favorite
+  Object.keys(items).forEach((key) => {
+    if (items[key]) {
+      items[key].weatherData = toSavedWeather(items[key].weatherData);
+    }
+  });
+  const groups = Array.isArray(stored && stored.groups)
+    ? stored.groups.filter((g) => g && g.id && g.name)
+    : [];
+  const order = Array.isArray(stored && stored.order) ? stored.order : [];
+  const deleted =
+    stored && stored.deleted && typeof stored.deleted === "object"
+      ? stored.deleted
+      : {};
+  const layoutUpdatedAt = Number(stored && stored.layoutUpdatedAt) || 0;
+  return { items, order, groups, deleted, layoutUpdatedAt };
+}
+
+/**
+ * Converts favorites saved under LEGACY_FAV_KEY (a plain object, ordered
+ * by insertion) to the current format, saves it and removes the old key.
+ * @returns {Object|null} Migrated { items, order, groups }, or null if
+ *   there was nothing to migrate
+ */
+function migrateLegacyFavorites() {
+  let legacy = null;
   try {
-    return JSON.parse(localStorage.getItem(FAV_KEY)) || {};
+    legacy = JSON.parse(localStorage.getItem(LEGACY_FAV_KEY));
   } catch {
-    return {};
+    legacy = null;
   }
+  if (!legacy || typeof legacy !== "object") return null;
+
+  const items = {};
+  Object.keys(legacy).forEach((key) => {
+    items[key] = { ...legacy[key], group: "" };
+  });
+  const migrated = { items, order: Object.keys(items), groups: [] };
+  localStorage.setItem(FAV_KEY, JSON.stringify(migrated));
+  localStorage.removeItem(LEGACY_FAV_KEY);
+  return migrated;
 }
 
 /**
- * Saves favorites to localStorage.
- * Converts the favorites object to JSON string for storage.
+ * Saves favorites, their order and groups to localStorage.
  */
 function saveFavorites() {
-  localStorage.setItem(FAV_KEY, JSON.stringify(favorites));
+  localStorage.setItem(
+    FAV_KEY,
+    JSON.stringify({
+      items: favorites,
+      order: getFavoriteKeys(),
+      groups: favoriteGroups,
+      deleted: favoriteTombstones,
+      layoutUpdatedAt: favoriteLayoutUpdatedAt,
+    })
+  );
+}
+
+/**
+ * Marks a favorite as changed by the user (added, edited or moved to
+ * another group) and schedules a sync. Call before saveFavorites().
+ * @param {string} key - Location key of the favorite
+ */
+function touchFavorite(key) {
+  if (favorites[key]) favorites[key].updatedAt = Date.now();
+  delete favoriteTombstones[key];
+  scheduleSync();
+}
+
+/**
+ * Marks the order/groups as changed by the user and schedules a sync.
+ * Call before saveFavorites().
+ */
+function touchFavoriteLayout() {
+  favoriteLayoutUpdatedAt = Date.now();
+  scheduleSync();
+}
+
+/**
+ * Marks the unit/limit preferences as changed by the user and schedules a sync.
+ */
+function touchPreferences() {
+  localStorage.setItem(PREFS_UPDATED_KEY, String(Date.now()));
+  scheduleSync();
+}
+
+/**
+ * Returns the favorite keys in display order.
+ * Keys missing from favoriteOrder (shouldn't happen, but the stored data
+ * may be edited by hand) are appended, removed favorites are skipped.
+ * @returns {string[]} Ordered favorite keys
+ */
+function getFavoriteKeys() {
+  const keys = favoriteOrder.filter((key) => key in favorites);
+  Object.keys(favorites).forEach((key) => {
+    if (!keys.includes(key)) keys.push(key);
+  });
+  return keys;
+}
+
+/**
+ * Returns how many favorites the user may save.
+ * @returns {number} Limit between 1 and MAX_FAVORITES_LIMIT
+ */
+function getMaxFavorites() {
+  const stored = parseInt(localStorage.getItem(FAV_LIMIT_KEY), 10);
+  if (!Number.isFinite(stored)) return DEFAULT_MAX_FAVORITES;
+  return Math.min(MAX_FAVORITES_LIMIT, Math.max(1, stored));
+}
+
+/**
+ * Saves the favorites limit. Lowering it below the current count keeps
+ * the existing favorites; it only blocks adding new ones.
+ * @param {number} limit - New limit (clamped to 1..MAX_FAVORITES_LIMIT)
+ * @returns {number} The limit that was saved
+ */
+function setMaxFavorites(limit) {
+  const value = Math.min(
+    MAX_FAVORITES_LIMIT,
+    Math.max(1, Math.round(Number(limit)) || DEFAULT_MAX_FAVORITES)
+  );
+  localStorage.setItem(FAV_LIMIT_KEY, String(value));
+  return value;
+}
+
+/**
+ * Checks if the favorites limit has been reached.
+ * @returns {boolean} True if no more favorites can be added
+ */
+function isFavoritesFull() {
+  return Object.keys(favorites).length >= getMaxFavorites();
 }
 
 /**
@@ -244,13 +620,13 @@ function isFavorite(location) {
 
 /**
  * Adds a location to favorites with its weather data.
- * Enforces MAX_FAVORITES limit.
+ * Enforces the favorites limit. New favorites go to the end, ungrouped.
  * @param {Object} location - Location object (name, country, state, lat, lon)
- * @param {Object} weatherData - Weather data from API (optional)
+ * @param {Object} weatherData - Weather data from API (optional, stored as a summary)
  * @returns {boolean} True if added successfully, false if at limit
  */
 function addFavorite(location, weatherData = null) {
-  if (Object.keys(favorites).length >= MAX_FAVORITES) {
+  if (isFavoritesFull()) {
     return false;
   }
   const key = createLocationKey(location);
@@ -260,9 +636,13 @@ function addFavorite(location, weatherData = null) {
     state: location.state || "",
     lat: location.lat,
     lon: location.lon,
+    group: "",
     lastUpdated: Date.now(),
-    weatherData: weatherData,
+    weatherData: toSavedWeather(weatherData),
   };
+  favoriteOrder = getFavoriteKeys();
+  touchFavorite(key);
+  touchFavoriteLayout();
   saveFavorites();
   return true;
 }
@@ -272,641 +652,2572 @@ function addFavorite(location, weatherData = null) {
  * @param {Object} location - Location object to remove
  */
 function removeFavorite(location) {
-  const key = createLocationKey(location);
-  delete favorites[key];
-  saveFavorites();
+  removeFavoriteKey(createLocationKey(location));
 }
 
 /**
- * Formats a timestamp as a short time string (e.g., "14:30").
- * Used for the "Last updated" display on favorite cards.
- * Shows actual time instead of relative time since relative time
- * doesn't auto-update and becomes misleading.
- * @param {number} timestamp - Timestamp in milliseconds
- * @returns {string} Formatted time like "14:30"
+ * Deletes a favorite with its notification rules and weather history.
+ * Shared by removeFavoriteKey() and removals that come in through sync.
+ * @param {string} key - Location key of the favorite
  */
-function formatLastUpdatedTime(timestamp) {
-  if (!timestamp) return "Never";
-  const d = new Date(timestamp);
-  const time = new Intl.DateTimeFormat(navigator.language || "en-US", {
-    hour: "2-digit",
-    minute: "2-digit",
-    hour12: false,
-  }).format(d);
-  return `Updated: ${time}`;
+function forgetFavorite(key) {
+  delete favorites[key];
+  if (notificationRules[key]) {
+    delete notificationRules[key];
+    saveNotificationRules();
+  }
+  clearHistory(key).catch((err) =>
+    console.error("Failed to clear weather history:", err)
+  );
 }
 
-// =====================================================================
-// === 5. FORMATTING FUNCTIONS ===
-// === toLocalDate, formatTimeOnly, formatUserLocalFullFromMs, ===
-// === formatCompactDate, isSameLocalDate, unitLabel, windUnitLabel, ===
-// === tempColorClass, mmToInches, windDirection ===
-// =====================================================================
-// Functions that format data for display (dates, times, units, etc.)
-// These make raw API data human-readable.
-
 /**
- * Converts OpenWeather timestamp to a JavaScript Date in the location's timezone.
- *
- * OpenWeather gives us:
- * - dt: Unix timestamp in seconds (not milliseconds like JS uses)
- * - timezone_offset: Seconds offset from UTC for the location
- *
- * We add these together and multiply by 1000 (to get milliseconds).
- * The returned Date uses UTC methods to represent the location's local time.
- *
- * @param {number} dtSeconds - Unix timestamp in seconds from API
- * @param {number} timezoneOffsetSeconds - Timezone offset in seconds
- * @returns {Date} JavaScript Date representing local time at that location
+ * Removes a favorite (and its notification rules and history) by its
+ * location key.
+ * Remembers the removal so sync removes it from the user's other devices too.
+ * @param {string} key - Location key of the favorite
  */
-function toLocalDate(dtSeconds, timezoneOffsetSeconds = 0) {
-  return new Date((Number(dtSeconds) + Number(timezoneOffsetSeconds)) * 1000);
+function removeFavoriteKey(key) {
+  forgetFavorite(key);
+  favoriteOrder = getFavoriteKeys();
+  favoriteTombstones[key] = Date.now();
+  touchFavoriteLayout();
+  saveFavorites();
 }
 
 /**
- * Formats a timestamp as date and time in the location's timezone.
- * Used to show "Local time" in the weather card.
- * Example output: "Dec 3, 19:52:00"
- * @param {number} dtSeconds - Unix timestamp in seconds
- * @param {number} timezoneOffsetSeconds - Location's timezone offset in seconds
- * @param {string} locale - Locale for formatting (default: "en-US")
- * @returns {string} Formatted date and time string like "Dec 3, 19:52:00"
+ * Moves a favorite to another position and/or group.
+ * @param {string} key - Key of the favorite to move
+ * @param {string} groupId - Target group id ("" for ungrouped)
+ * @param {string|null} beforeKey - Favorite to place it in front of, or
+ *   null to place it last in the target group
  */
-function formatTimeOnly(
-  dtSeconds,
-  timezoneOffsetSeconds = 0,
-  locale = "en-US"
-) {
-  const d = toLocalDate(dtSeconds, timezoneOffsetSeconds);
-  const datePart = new Intl.DateTimeFormat("en-US", {
-    month: "short",
-    day: "numeric",
-    timeZone: "UTC",
-  }).format(d);
-  const timePart = new Intl.DateTimeFormat(locale, {
-    hour: "2-digit",
-    minute: "2-digit",
-    second: "2-digit",
-    hour12: false,
-    timeZone: "UTC",
-  }).format(d);
-  return `${datePart}, ${timePart}`;
+function moveFavorite(key, groupId, beforeKey = null) {
+  if (!favorites[key] || key === beforeKey) return;
+  if (favoriteGroupId(favorites[key]) !== groupId) {
+    favorites[key].group = groupId;
+    touchFavorite(key);
+  }
+
+  const order = getFavoriteKeys().filter((k) => k !== key);
+  let index = beforeKey ? order.indexOf(beforeKey) : -1;
+  if (index === -1) {
+    // After the last favorite already in the group (or at the very end)
+    const lastInGroup = order
+      .map((k) => favoriteGroupId(favorites[k]) === groupId)
+      .lastIndexOf(true);
+    index = lastInGroup === -1 ? order.length : lastInGroup + 1;
+  }
+  order.splice(index, 0, key);
+  favoriteOrder = order;
+  touchFavoriteLayout();
+  saveFavorites();
 }
 
 /**
- * Formats a timestamp in the USER's local timezone (not the weather location's).
- * Used for "Last updated" to show when data was fetched in the user's time.
- * Example output: "Dec 3, 21:52:00"
- * @param {number} ms - Timestamp in milliseconds
- * @param {string} locale - User's locale for formatting
- * @returns {string} Compact date and time string
+ * Returns the group a favorite belongs to. Favorites pointing to a group
+ * that no longer exists count as ungrouped.
+ * @param {Object} fav - Favorite entry
+ * @returns {string} Group id, or "" when ungrouped
  */
-function formatUserLocalFullFromMs(ms, locale = navigator.language || "en-US") {
-  const d = new Date(Number(ms));
-  const datePart = new Intl.DateTimeFormat("en-US", {
-    month: "short",
-    day: "numeric",
-  }).format(d);
-  const timePart = new Intl.DateTimeFormat(locale, {
-    hour: "2-digit",
-    minute: "2-digit",
-    second: "2-digit",
-    hour12: false,
-  }).format(d);
-  return `${datePart}, ${timePart}`;
+function favoriteGroupId(fav) {
+  const id = (fav && fav.group) || "";
+  return favoriteGroups.some((g) => g.id === id) ? id : "";
 }
 
 /**
- * Formats a date in compact form for the 7-day forecast.
- * Example output: "Mon, Dec 2"
- * @param {number} dtSeconds - Unix timestamp in seconds
- * @param {number} tz - Timezone offset in seconds
- * @returns {string} Compact date string like "Mon, Dec 2"
+ * Creates a new, empty favorites group.
+ * @param {string} name - Group name shown as the heading
+ * @returns {Object|null} The new { id, name } group, or null for an empty name
  */
-function formatCompactDate(dtSeconds, tz) {
-  const d = toLocalDate(dtSeconds, tz);
-  const weekday = new Intl.DateTimeFormat("en-US", {
-    weekday: "short",
-    timeZone: "UTC",
-  }).format(d);
-  const month = new Intl.DateTimeFormat("en-US", {
-    month: "short",
-    timeZone: "UTC",
-  }).format(d);
-  return `${weekday}, ${month} ${d.getUTCDate()}`;
+function addFavoriteGroup(name) {
+  const trimmed = String(name || "").trim();
+  if (!trimmed) return null;
+  // Random suffix keeps ids unique when several groups are created at once (import)
+  const group = {
+    id: `g${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    name: trimmed,
+  };
+  favoriteGroups.push(group);
+  touchFavoriteLayout();
+  saveFavorites();
+  return group;
 }
 
 /**
- * Checks if two dates represent the same calendar day.
- * Used to determine if a forecast day is "Today" or "Tomorrow".
- * Uses UTC methods because our dates store local time in UTC fields.
- * @param {Date} a - First date to compare
- * @param {Date} b - Second date to compare
- * @returns {boolean} True if same year, month, and day
+ * Builds the contents of the favorites export file: settings, group names
+ * and the favorites in display order. Groups are referenced by name, since
+ * group ids only mean something in the browser that created them.
+ * @returns {Object} Export object ({ app, version, exportedAt, settings, groups, favorites })
  */
-function isSameLocalDate(a, b) {
-  return (
-    a.getUTCFullYear() === b.getUTCFullYear() &&
-    a.getUTCMonth() === b.getUTCMonth() &&
-    a.getUTCDate() === b.getUTCDate()
-  );
+function buildFavoritesExport() {
+  const groupNames = {};
+  favoriteGroups.forEach((g) => {
+    groupNames[g.id] = g.name;
+  });
+  return {
+    app: "weather-app",
+    version: 1,
+    exportedAt: new Date().toISOString(),
+    settings: {
+      units: getSelectedUnit() || "metric",
+      maxFavorites: getMaxFavorites(),
+    },
+    groups: favoriteGroups.map((g) => g.name),
+    favorites: getFavoriteKeys().map((key, index) => {
+      const fav = favorites[key];
+      return {
+        name: fav.name,
+        country: fav.country || "",
+        state: fav.state || "",
+        lat: fav.lat,
+        lon: fav.lon,
+        group: groupNames[favoriteGroupId(fav)] || "",
+        order: index,
+      };
+    }),
+  };
 }
 
 /**
- * Converts short unit abbreviations to full words for screen readers.
- * Example: "mm" becomes "millimeters" for the title/aria-label attributes.
- * This improves accessibility for users with assistive technologies.
- * @param {string} u - Short unit string (mm, in, mm/h, in/h)
- * @returns {string} Full unit name for accessibility
+ * Splits CSV text into rows of fields. Handles quoted fields (with commas,
+ * line breaks and "" escapes), CRLF line endings and a leading BOM.
+ * Blank lines are skipped.
+ * @param {string} text - CSV file contents
+ * @returns {Array<string[]>} Rows of fields
  */
-function unitLabel(u) {
-  switch (u) {
-    case "mm":
-      return "millimeters";
-    case "mm/h":
-      return "millimeters per hour";
-    case "in/h":
-      return "inches per hour";
-    case "in":
-      return "inches";
-    default:
-      return String(u || "");
+function parseCsv(text) {
+  const src = String(text || "").replace(/^\uFEFF/, "");
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (inQuotes) {
+      if (ch === '"' && src[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
   }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((cell) => cell.trim() !== ""));
 }
 
 /**
- * Converts wind speed unit abbreviations to full words for screen readers.
- * @param {string} u - Short unit string (m/s, mph, km/h)
- * @returns {string} Full unit name for accessibility
+ * Parses an import file. JSON files are favorites exports (see
+ * buildFavoritesExport; a bare array of favorites also works). CSV files
+ * need a header row with at least name, lat and lon columns; country,
+ * state and group are optional, and rows keep their order.
+ * @param {string} text - File contents
+ * @param {string} fileName - File name, used to tell CSV from JSON
+ * @returns {Object} { entries: [{ source, raw }], settings, error }
  */
-function windUnitLabel(u) {
-  switch (u) {
-    case "m/s":
-      return "meters per second";
-    case "mph":
-      return "miles per hour";
-    case "km/h":
-      return "kilometers per hour";
-    default:
-      return String(u || "");
+function parseFavoritesFile(text, fileName = "") {
+  const trimmed = String(text || "").trim();
+  const isJson =
+    /\.json$/i.test(fileName) ||
+    (!/\.csv$/i.test(fileName) && /^[[{]/.test(trimmed));
+
+  if (isJson) {
+    let data;
+    try {
+      data = JSON.parse(trimmed);
+    } catch {
+      return {
+        entries: [],
+        settings: null,
+        error: "The file is not valid JSON.",
+      };
+    }
+    const list = Array.isArray(data) ? data : data && data.favorites;
+    if (!Array.isArray(list)) {
+      return {
+        entries: [],
+        settings: null,
+        error: "No favorites list found in the file.",
+      };
+    }
+    const entries = list.map((raw, index) => ({
+      source: `Item ${index + 1}`,
+      raw: raw && typeof raw === "object" ? raw : {},
+      order:
+        raw && Number.isFinite(Number(raw.order)) ? Number(raw.order) : index,
+    }));
+    entries.sort((a, b) => a.order - b.order);
+
+    // Settings are optional and only kept when valid
+    let settings = null;
+    const rawSettings = !Array.isArray(data) && data.settings;
+    if (rawSettings && typeof rawSettings === "object") {
+      const maxFavorites = Number(rawSettings.maxFavorites);
+      settings = {
+        units:
+          rawSettings.units === "metric" || rawSettings.units === "imperial"
+            ? rawSettings.units
+            : null,
+        maxFavorites:
+          Number.isInteger(maxFavorites) &&
+          maxFavorites >= 1 &&
+          maxFavorites <= MAX_FAVORITES_LIMIT
+            ? maxFavorites
+            : null,
+      };
+      if (!settings.units && !settings.maxFavorites) settings = null;
+    }
+    return { entries, settings, error: null };
+  }
+
+  const rows = parseCsv(trimmed);
+  const header = (rows[0] || []).map((h) => h.trim().toLowerCase());
+  const column = (...names) => header.findIndex((h) => names.includes(h));
+  const columns = {
+    name: column("name", "city"),
+    country: column("country"),
+    state: column("state", "region"),
+    lat: column("lat", "latitude"),
+    lon: column("lon", "lng", "longitude"),
+    group: column("group"),
+  };
+  if (columns.name === -1 || columns.lat === -1 || columns.lon === -1) {
+    return {
+      entries: [],
+      settings: null,
+      error:
+        "The CSV needs a header row with at least name, lat and lon columns.",
+    };
   }
+  const entries = rows.slice(1).map((row, index) => {
+    const raw = {};
+    Object.keys(columns).forEach((field) => {
+      if (columns[field] !== -1) raw[field] = row[columns[field]] || "";
+    });
+    // +2: the header is row 1 and rows are counted from 1
+    return { source: `Row ${index + 2}`, raw };
+  });
+  return { entries, settings: null, error: null };
 }
 
 /**
- * Returns a CSS class name for color-coding temperatures.
- * Converts to Celsius internally if needed, then returns:
- * - temp-freezing: below -10°C (very cold, blue)
- * - temp-cold: -10°C to 0°C (cold)
- * - temp-neutral: exactly 0°C
- * - temp-warm: 0°C to 15°C (mild)
- * - temp-hot: above 15°C (warm/hot, orange/red)
- * @param {number} tempValue - Temperature value
- * @param {boolean} isMetric - True if value is Celsius, false if Fahrenheit
- * @returns {string} CSS class name for styling
+ * Checks one imported favorite and cleans up its fields.
+ * @param {Object} raw - { name, country, state, lat, lon, group } from the file
+ * @returns {Object} { location } when valid, otherwise { error }
  */
-function tempColorClass(tempValue, isMetric = true) {
-  const celsius = isMetric ? tempValue : ((tempValue - 32) * 5) / 9;
-  if (celsius < -10) return "temp-freezing";
-  if (celsius < 0) return "temp-cold";
-  if (celsius === 0) return "temp-neutral";
-  if (celsius <= 15) return "temp-warm";
-  return "temp-hot";
+function validateImportedFavorite(raw) {
+  const text = (value) =>
+    typeof value === "string" || typeof value === "number"
+      ? String(value).trim()
+      : "";
+  const name = text(raw.name);
+  if (!name) return { error: "Missing name" };
+  if (name.length > 100) return { error: "Name is too long" };
+
+  const lat = text(raw.lat) === "" ? NaN : Number(raw.lat);
+  const lon = text(raw.lon) === "" ? NaN : Number(raw.lon);
+  if (!Number.isFinite(lat) || lat < -90 || lat > 90) {
+    return { error: "Latitude must be a number between -90 and 90" };
+  }
+  if (!Number.isFinite(lon) || lon < -180 || lon > 180) {
+    return { error: "Longitude must be a number between -180 and 180" };
+  }
+
+  // Country codes are shown with Intl.DisplayNames, which only accepts
+  // two-letter region codes
+  const country = text(raw.country).toUpperCase();
+  if (country && !/^[A-Z]{2}$/.test(country)) {
+    return { error: "Country must be a two-letter code like FI or US" };
+  }
+
+  return {
+    location: {
+      name,
+      country,
+      state: text(raw.state).slice(0, 100),
+      lat,
+      lon,
+      group: text(raw.group).slice(0, 100),
+    },
+  };
 }
 
 /**
- * Converts millimeters to inches for imperial unit users.
- * 1 inch = 25.4 millimeters
- * @param {number} mm - Value in millimeters
- * @returns {string} Value in inches, rounded to 1 decimal place
+ * Compares parsed import entries with the current favorites, for the
+ * preview shown before anything is saved. Entries are matched with
+ * createLocationKey(), so the same place is never saved twice.
+ * @param {Object} parsed - Result of parseFavoritesFile()
+ * @returns {Object} { added, conflicts, unchanged, skipped, settings } where
+ *   added: [{ key, location }] new favorites
+ *   conflicts: [{ key, existing, location }] saved with different coordinates or group
+ *   unchanged: [{ key, location }] already saved as-is
+ *   skipped: [{ source, reason }] invalid or duplicate entries
  */
-function mmToInches(mm) {
-  return (Number(mm || 0) / 25.4).toFixed(1);
-}
+function planFavoritesImport(parsed) {
+  const plan = {
+    added: [],
+    conflicts: [],
+    unchanged: [],
+    skipped: [],
+    settings: parsed.settings || null,
+  };
+  const seen = new Set();
+
+  parsed.entries.forEach((entry) => {
+    const result = validateImportedFavorite(entry.raw);
+    if (result.error) {
+      plan.skipped.push({ source: entry.source, reason: result.error });
+      return;
+    }
+    const location = result.location;
+    const key = createLocationKey(location);
+    if (seen.has(key)) {
+      plan.skipped.push({
+        source: entry.source,
+        reason: `Duplicate of ${location.name} earlier in the file`,
+      });
+      return;
+    }
+    seen.add(key);
+
+    const existing = favorites[key];
+    if (!existing) {
+      plan.added.push({ key, location });
+      return;
+    }
+    const existingGroup = favoriteGroups.find(
+      (g) => g.id === favoriteGroupId(existing)
+    );
+    const sameGroup =
+      (existingGroup ? existingGroup.name : "").toLowerCase() ===
+      location.group.toLowerCase();
+    const samePlace =
+      roundCoordForCompare(existing.lat) ===
+        roundCoordForCompare(location.lat) &&
+      roundCoordForCompare(existing.lon) === roundCoordForCompare(location.lon);
+    if (samePlace && sameGroup) {
+      plan.unchanged.push({ key, location });
+    } else {
+      plan.conflicts.push({
+        key,
+        existing,
+        existingGroupName: existingGroup ? existingGroup.name : "",
+        location,
+      });
+    }
+  });
+  return plan;
+}
 
 /**
- * Converts wind direction from degrees to compass direction.
- * 0° = North, 90° = East, 180° = South, 270° = West
- * Divides the compass into 16 directions (N, NNE, NE, ENE, E, etc.)
- * @param {number} deg - Wind direction in degrees (0-360)
- * @returns {Object} Object with `short` ("NNE") and `full` ("North-Northeast")
+ * Rounds a coordinate to 4 decimals (about 10 m), so values that only
+ * differ by float formatting in an export count as the same place.
+ * @param {number} value - Latitude or longitude
+ * @returns {number} Rounded coordinate
  */
-function windDirection(deg) {
-  const directions = [
-    { short: "N", full: "North" },
-    { short: "NNE", full: "North-Northeast" },
-    { short: "NE", full: "Northeast" },
-    { short: "ENE", full: "East-Northeast" },
-    { short: "E", full: "East" },
-    { short: "ESE", full: "East-Southeast" },
-    { short: "SE", full: "Southeast" },
-    { short: "SSE", full: "South-Southeast" },
-    { short: "S", full: "South" },
-    { short: "SSW", full: "South-Southwest" },
-    { short: "SW", full: "Southwest" },
-    { short: "WSW", full: "West-Southwest" },
-    { short: "W", full: "West" },
-    { short: "WNW", full: "West-Northwest" },
-    { short: "NW", full: "Northwest" },
-    { short: "NNW", full: "North-Northwest" },
-  ];
-  const index = Math.round(deg / 22.5) % 16;
-  return directions[index];
+function roundCoordForCompare(value) {
+  return Math.round(Number(value) * 10000) / 10000;
 }
 
-// =====================================================================
-// === 6. DATA FETCHING ===
-// === GetLocations, fetchWeather ===
-// =====================================================================
-// Functions that make HTTP requests to our backend API proxy.
-// The proxy adds the API key server-side so it's not exposed in the browser.
+/**
+ * Works out how many new favorites an import may add. The favorites limit
+ * is raised to fit the import (up to MAX_FAVORITES_LIMIT).
+ * @param {number} newCount - Number of new favorites in the import
+ * @param {number} limit - Current favorites limit
+ * @returns {Object} { limit, room } - limit after the import and how many fit
+ */
+function importCapacity(newCount, limit) {
+  const current = Object.keys(favorites).length;
+  const needed = Math.min(MAX_FAVORITES_LIMIT, current + newCount);
+  const newLimit = Math.max(limit, needed);
+  return { limit: newLimit, room: Math.max(0, newLimit - current) };
+}
 
 /**
- * Fetches location suggestions from the geocoding API.
- * Called as user types in the search box (debounced).
- *
- * Features:
- * - Aborts previous request if user types again (prevents race conditions)
- * - Shows loading/error states in the status message
- * - Deduplicates results before displaying
- *
- * @param {string} query - The search term (city name)
- * @returns {Array|null} Array of location objects, or null on error
+ * Merges a previewed import into the favorites and saves them.
+ * Groups are matched by name (case-insensitive) and created when missing.
+ * New favorites go to the end in file order; replaced ones keep their place.
+ * @param {Object} plan - Result of planFavoritesImport()
+ * @param {Object} options
+ * @param {Set<string>} options.replaceKeys - Conflicting keys to overwrite
+ * @param {boolean} options.applySettings - Also apply the file's favorites limit
+ * @returns {Object} { added, replaced, dropped } counts
  */
-async function GetLocations(query) {
-  const trimmed = String(query || "").trim();
-  if (!trimmed) return null;
-  lastQuery = trimmed;
+function applyFavoritesImport(plan, { replaceKeys, applySettings }) {
+  if (applySettings && plan.settings && plan.settings.maxFavorites) {
+    setMaxFavorites(plan.settings.maxFavorites);
+    touchPreferences();
+  }
 
-  if (geocodeController) {
-    geocodeController.abort();
+  const groupIdFor = (name) => {
+    if (!name) return "";
+    const existing = favoriteGroups.find(
+      (g) => g.name.toLowerCase() === name.toLowerCase()
+    );
+    return existing ? existing.id : addFavoriteGroup(name).id;
+  };
+
+  let replaced = 0;
+  plan.conflicts.forEach(({ key, location }) => {
+    if (!replaceKeys.has(key) || !favorites[key]) return;
+    const fav = favorites[key];
+    const moved =
+      roundCoordForCompare(fav.lat) !== roundCoordForCompare(location.lat) ||
+      roundCoordForCompare(fav.lon) !== roundCoordForCompare(location.lon);
+    favorites[key] = {
+      ...fav,
+      name: location.name,
+      country: location.country,
+      state: location.state,
+      lat: location.lat,
+      lon: location.lon,
+      group: groupIdFor(location.group),
+      // Weather saved for the old coordinates no longer applies
+      weatherData: moved ? null : fav.weatherData,
+      lastUpdated: moved ? 0 : fav.lastUpdated,
+    };
+    touchFavorite(key);
+    replaced++;
+  });
+
+  const capacity = importCapacity(plan.added.length, getMaxFavorites());
+  if (capacity.limit !== getMaxFavorites()) {
+    setMaxFavorites(capacity.limit);
+    touchPreferences();
   }
-  geocodeController = new AbortController();
-  const { signal } = geocodeController;
+  const toAdd = plan.added.slice(0, capacity.room);
+  toAdd.forEach(({ key, location }) => {
+    favorites[key] = {
+      name: location.name,
+      country: location.country,
+      state: location.state,
+      lat: location.lat,
+      lon: location.lon,
+      group: groupIdFor(location.group),
+      lastUpdated: 0,
+      weatherData: null,
+    };
+    touchFavorite(key);
+  });
 
-  try {
-    if (statusMessage) {
-      statusMessage.textContent = `Searching for "${trimmed}"...`;
-      statusMessage.setAttribute("aria-live", "polite");
-      statusMessage.classList.remove("status-warning");
-    }
+  favoriteOrder = getFavoriteKeys();
+  touchFavoriteLayout();
+  saveFavorites();
+  return {
+    added: toAdd.length,
+    replaced,
+    dropped: plan.added.length - toAdd.length,
+  };
+}
 
-    const url = `${API_BASE_URL}/api/geocode?q=${encodeURIComponent(trimmed)}`;
-    const resp = await fetch(url, { signal });
+/**
+ * Builds the body for a sync request: every favorite (without its weather)
+ * and every removal with its timestamp, plus the layout and preferences.
+ * The server keeps whichever version of each part is newest.
+ * @returns {Object} { favorites, layout, preferences }
+ */
+function buildSyncPayload() {
+  const syncedFavorites = {};
+  Object.keys(favoriteTombstones).forEach((key) => {
+    syncedFavorites[key] = {
+      deleted: true,
+      updatedAt: favoriteTombstones[key],
+    };
+  });
+  Object.keys(favorites).forEach((key) => {
+    const fav = favorites[key];
+    syncedFavorites[key] = {
+      name: fav.name,
+      country: fav.country || "",
+      state: fav.state || "",
+      lat: fav.lat,
+      lon: fav.lon,
+      group: fav.group || "",
+      // Favorites saved before sync existed have no timestamp: any synced
+      // version wins over them
+      updatedAt: fav.updatedAt || 0,
+    };
+  });
+  return {
+    favorites: syncedFavorites,
+    layout: {
+      order: getFavoriteKeys(),
+      groups: favoriteGroups,
+      updatedAt: favoriteLayoutUpdatedAt,
+    },
+    preferences: {
+      units: getSelectedUnit() || "metric",
+      maxFavorites: getMaxFavorites(),
+      updatedAt: Number(localStorage.getItem(PREFS_UPDATED_KEY)) || 0,
+    },
+  };
+}
 
-    if (!resp.ok) {
-      console.error("Geocode proxy returned", resp.status);
-      if (trimmed === lastQuery) {
-        if (statusMessage) {
-          statusMessage.textContent =
-            "Failed to fetch locations. Please try again.";
-          statusMessage.setAttribute("aria-live", "assertive");
-          statusMessage.classList.add("status-warning");
-        }
-        clearSuggestions();
-      }
-      return null;
+/**
+ * Applies the merged profile returned by the server. Local changes made
+ * while the request was running are newer, so they are kept (and synced
+ * next time). Weather data is kept for favorites whose place didn't change.
+ * @param {Object} profile - Profile from the sync endpoint
+ * @returns {Object} { units, changedKeys } - units to switch to (or null)
+ *   and the favorites that were added or moved and need fresh weather
+ */
+function applySyncedProfile(profile) {
+  const remoteFavorites = (profile && profile.favorites) || {};
+  const changedKeys = [];
+
+  Object.keys(remoteFavorites).forEach((key) => {
+    const remote = remoteFavorites[key];
+    const local = favorites[key];
+    const localUpdatedAt = local
+      ? local.updatedAt || 0
+      : favoriteTombstones[key] || 0;
+    if (localUpdatedAt > remote.updatedAt) return;
+
+    if (remote.deleted) {
+      if (local) forgetFavorite(key);
+      return;
     }
+    const moved =
+      !local ||
+      roundCoordForCompare(local.lat) !== roundCoordForCompare(remote.lat) ||
+      roundCoordForCompare(local.lon) !== roundCoordForCompare(remote.lon);
+    favorites[key] = {
+      name: remote.name,
+      country: remote.country,
+      state: remote.state,
+      lat: remote.lat,
+      lon: remote.lon,
+      group: remote.group,
+      updatedAt: remote.updatedAt,
+      lastUpdated: moved ? 0 : local.lastUpdated,
+      weatherData: moved ? null : local.weatherData,
+    };
+    delete favoriteTombstones[key];
+    if (moved) changedKeys.push(key);
+  });
 
-    const json = await resp.json();
-    const deduped = dedupeLocations(json);
+  const layout = profile && profile.layout;
+  if (layout && layout.updatedAt >= favoriteLayoutUpdatedAt) {
+    favoriteOrder = layout.order;
+    favoriteGroups = layout.groups;
+    favoriteLayoutUpdatedAt = layout.updatedAt;
+  }
+  favoriteOrder = getFavoriteKeys();
+  saveFavorites();
 
-    if (trimmed === lastQuery) {
-      if (Array.isArray(deduped) && deduped.length === 0) {
-        if (statusMessage) {
-          statusMessage.textContent =
-            "There are no locations matching your search term";
-          statusMessage.setAttribute("aria-live", "assertive");
-          statusMessage.classList.add("status-warning");
-        }
-        renderSuggestions(deduped);
-      } else {
-        if (statusMessage) {
-          statusMessage.textContent = "";
-          statusMessage.setAttribute("aria-live", "polite");
-          statusMessage.classList.remove("status-warning");
-        }
-        renderSuggestions(deduped);
-      }
-    }
-    return deduped;
-  } catch (err) {
-    if (err.name === "AbortError") {
-      return null;
-    }
-    console.error("GetLocations network/error:", err);
-    if (trimmed === lastQuery) {
-      if (statusMessage) {
-        statusMessage.textContent =
-          "Failed to fetch locations. Please try again.";
-        statusMessage.setAttribute("aria-live", "assertive");
-        statusMessage.classList.add("status-warning");
-      }
-      clearSuggestions();
-    }
-    return null;
-  } finally {
-    if (geocodeController && geocodeController.signal === signal) {
-      geocodeController = null;
-    }
+  let units = null;
+  const prefs = profile && profile.preferences;
+  const localPrefsAt = Number(localStorage.getItem(PREFS_UPDATED_KEY)) || 0;
+  if (prefs && prefs.updatedAt > localPrefsAt) {
+    if (prefs.maxFavorites) setMaxFavorites(prefs.maxFavorites);
+    if (prefs.units !== getSelectedUnit()) units = prefs.units;
+    localStorage.setItem(PREFS_UPDATED_KEY, String(prefs.updatedAt));
   }
+
+  return { units, changedKeys };
 }
 
 /**
- * Fetches weather data for a specific location.
- * Uses latitude/longitude from the selected location.
- *
- * The API returns:
- * - current: Current weather conditions
- * - hourly: Hour-by-hour forecast (48 hours)
- * - daily: Day-by-day forecast (7 days)
- *
- * @param {number} lat - Latitude of the location
- * @param {number} lon - Longitude of the location
- * @param {Object} location - Location object with name, country, state for display
- * @returns {Object|null} Weather data object, or null on error
+ * Formats a timestamp as a short time string (e.g., "14:30").
+ * Used for the "Last updated" display on favorite cards and for the
+ * "Offline – data from 14:30" notice on the weather card.
+ * Shows actual time instead of relative time since relative time
+ * doesn't auto-update and becomes misleading.
+ * @param {number} timestamp - Timestamp in milliseconds
+ * @param {string} prefix - Text before the time (default "Updated:")
+ * @returns {string} Formatted time like "Updated: 14:30"
  */
-async function fetchWeather(lat, lon, location = null) {
-  if (!Number.isFinite(lat) || !Number.isFinite(lon)) {
-    console.error("fetchWeather: invalid lat/lon", lat, lon);
-    return null;
-  }
-  const units = getSelectedUnit() || "metric";
-  const exclude = "minutely";
-  const url = `${API_BASE_URL}/api/weather?lat=${encodeURIComponent(
-    lat
-  )}&lon=${encodeURIComponent(lon)}&units=${encodeURIComponent(
-    units
-  )}&exclude=${encodeURIComponent(exclude)}`;
+function formatLastUpdatedTime(timestamp, prefix = "Updated:") {
+  if (!timestamp) return "Never";
+  const d = new Date(timestamp);
+  const time = new Intl.DateTimeFormat(navigator.language || "en-US", {
+    hour: "2-digit",
+    minute: "2-digit",
+    hour12: false,
+  }).format(d);
+  return `${prefix} ${time}`;
+}
 
-  try {
-    const resp = await fetch(url);
-    if (!resp.ok) {
-      console.error("Weather proxy returned", resp.status);
-      return null;
-    }
-    const json = await resp.json();
-    lastFetchedTs = Date.now();
-    lastWeatherPayload = json; // Store for hourly modal access
-    const loc = location || lastSelectedLocation || { lat, lon };
-    renderCurrentWeather(json, loc);
-    return json;
-  } catch (err) {
-    console.error("fetchWeather error", err);
-    return null;
-  }
+/**
+ * Returns the government weather alerts that have not ended yet.
+ * One Call only includes the `alerts` array when there are alerts,
+ * so a missing array simply means "no alerts".
+ * @param {Object} payload - Weather data from the API
+ * @returns {Array} Alerts whose end time is still in the future
+ */
+function getActiveAlerts(payload) {
+  if (!payload || !Array.isArray(payload.alerts)) return [];
+  const nowSeconds = Math.floor(Date.now() / 1000);
+  return payload.alerts.filter((a) => a && Number(a.end) > nowSeconds);
 }
 
 /**
- * Reverse geocodes coordinates to get location name.
- * Uses the browser's geolocation API coordinates to get a city name.
- *
- * @param {number} lat - Latitude
- * @param {number} lon - Longitude
- * @returns {Object|null} Location object with name, country, state, lat, lon
+ * Reads how long to wait from a 429 response's Retry-After header, which is
+ * either a number of seconds or an HTTP date.
+ * @param {Response} resp - Fetch response
+ * @returns {number} Wait time in ms (at least 1 second)
  */
-async function reverseGeocode(lat, lon) {
-  try {
-    const url = `${API_BASE_URL}/api/reverse-geocode?lat=${encodeURIComponent(
-      lat
-    )}&lon=${encodeURIComponent(lon)}`;
-    const resp = await fetch(url);
-    if (!resp.ok) {
-      console.error("Reverse geocode returned", resp.status);
-      return null;
-    }
-    const data = await resp.json();
-    // API returns an array, get the first (closest) result
-    const location = Array.isArray(data) ? data[0] : data;
-    if (location && location.name) {
-      return {
-        name: location.name,
-        country: location.country || "",
-        state: location.state || "",
-        lat: lat,
-        lon: lon,
-      };
-    }
-    return null;
-  } catch (err) {
-    console.error("reverseGeocode error", err);
-    return null;
-  }
+function retryAfterMs(resp) {
+  const value = resp.headers.get("Retry-After") || "";
+  const seconds = Number(value);
+  const ms =
+    Number.isFinite(seconds) && value.trim() !== ""
+      ? seconds * 1000
+      : Date.parse(value) - Date.now();
+  return Math.max(1000, Number.isFinite(ms) ? ms : 0);
 }
 
 /**
- * Gets user's current location using browser's geolocation API,
- * then reverse geocodes to get the location name and fetches weather.
+ * Reads the auto-refresh interval from localStorage.
+ * @returns {number} Minutes between refreshes, 0 when off
  */
-async function getUserLocation() {
-  if (!navigator.geolocation) {
-    if (statusMessage) {
-      statusMessage.textContent =
-        "Geolocation is not supported by your browser";
-      statusMessage.classList.add("status-warning");
-    }
-    return;
-  }
+function getAutoRefreshMinutes() {
+  const stored = localStorage.getItem(AUTO_REFRESH_KEY);
+  const minutes = Number(stored);
+  return stored !== null && AUTO_REFRESH_OPTIONS.includes(minutes)
+    ? minutes
+    : DEFAULT_AUTO_REFRESH_MINUTES;
+}
 
-  // Show loading state
-  if (geolocateBtn) {
-    geolocateBtn.classList.add("locating");
-    geolocateBtn.disabled = true;
-  }
-  if (statusMessage) {
-    statusMessage.textContent = "Getting your location...";
-    statusMessage.classList.remove("status-warning");
-  }
+/**
+ * Saves the auto-refresh interval.
+ * @param {number} minutes - One of AUTO_REFRESH_OPTIONS
+ * @returns {number} The interval in use afterwards
+ */
+function setAutoRefreshMinutes(minutes) {
+  const value = Number(minutes);
+  if (!AUTO_REFRESH_OPTIONS.includes(value)) return autoRefreshMinutes;
+  autoRefreshMinutes = value;
+  localStorage.setItem(AUTO_REFRESH_KEY, String(value));
+  return value;
+}
 
-  try {
-    // Get user's position
-    const position = await new Promise((resolve, reject) => {
-      navigator.geolocation.getCurrentPosition(resolve, reject, {
-        enableHighAccuracy: false,
-        timeout: 10000,
-        maximumAge: 300000, // Cache for 5 minutes
-      });
-    });
+/**
+ * Trims weather data to what the favorites use, like the proxy's
+ * view=summary: current conditions and a short outline of each day (for
+ * the saved card and the compare view), so favorites don't keep whole
+ * forecasts in localStorage. Summaries pass through unchanged.
+ * @param {Object|null} payload - Weather data (full or summary)
+ * @returns {Object|null} Summary, or null without data
+ */
+function toSavedWeather(payload) {
+  if (!payload || !payload.current) return null;
+  const current = payload.current;
+  const daily = Array.isArray(payload.daily) ? payload.daily : [];
+  return {
+    provider: payload.provider,
+    lat: payload.lat,
+    lon: payload.lon,
+    timezone: payload.timezone,
+    timezone_offset: payload.timezone_offset,
+    current: {
+      dt: current.dt,
+      temp: current.temp,
+      feels_like: current.feels_like,
+      humidity: current.humidity,
+      wind_speed: current.wind_speed,
+      wind_deg: current.wind_deg,
+      wind_gust: current.wind_gust,
+      weather: current.weather || [],
+    },
+    daily: daily
+      .filter((day) => day && day.temp)
+      .map((day) => ({
+        dt: day.dt,
+        temp: { min: day.temp.min, max: day.temp.max },
+        pop: day.pop,
+        rain: day.rain,
+        snow: day.snow,
+        wind_speed: day.wind_speed,
+        wind_gust: day.wind_gust,
+        weather: day.weather || [],
+      })),
+    alerts: Array.isArray(payload.alerts) ? payload.alerts : [],
+  };
+}
 
-    const { latitude, longitude } = position.coords;
+/**
+ * Whether a favorite's saved weather can be used as is in the compare view:
+ * updated recently (before the age indicator turns amber) and with an
+ * outline for every compared day. Favorites saved by older versions only
+ * have today.
+ * @param {Object} fav - Favorite
+ * @returns {boolean} True when no update is needed
+ */
+function hasFreshForecast(fav) {
+  const data = fav && fav.weatherData;
+  if (!data || !Array.isArray(data.daily)) return false;
+  if (data.daily.length < COMPARE_DAYS) return false;
+  return Date.now() - (fav.lastUpdated || 0) < AGE_WARN_MS;
+}
 
-    // Reverse geocode to get location name
-    const location = await reverseGeocode(latitude, longitude);
+/**
+ * Finds the best values in one row of the compare view.
+ * Nothing is highlighted when fewer than two places have a value or all
+ * values are the same.
+ * @param {Array<number|null>} values - Value per column (null when missing)
+ * @param {string} pick - "max" or "min", whichever is better
+ * @returns {Array<number>} Indexes of the best columns (ties included)
+ */
+function compareBestIndexes(values, pick) {
+  const present = values.filter((v) => Number.isFinite(v));
+  if (present.length < 2) return [];
+  const best = pick === "max" ? Math.max(...present) : Math.min(...present);
+  if (present.every((v) => v === best)) return [];
+  return values.map((v, i) => (v === best ? i : -1)).filter((i) => i >= 0);
+}
 
-    if (location) {
-      // Update search input with location name
-      if (q) {
-        const displayName = location.state
-          ? `${location.name}, ${location.state}, ${location.country}`
-          : `${location.name}, ${location.country}`;
-        q.value = displayName;
-      }
+/**
+ * Loads the notification rules from localStorage, dropping rules with an
+ * unknown metric or period.
+ * @returns {Object} Rules by location key
+ */
+function loadNotificationRules() {
+  let stored = null;
+  try {
+    stored = JSON.parse(localStorage.getItem(NOTIFY_RULES_KEY));
+  } catch {
+    stored = null;
+  }
+  if (!stored || typeof stored !== "object") return {};
+  const rules = {};
+  Object.keys(stored).forEach((key) => {
+    const list = Array.isArray(stored[key])
+      ? stored[key].filter(
+          (r) => r && r.id && RULE_METRICS[r.metric] && RULE_PERIODS[r.period]
+        )
+      : [];
+    list.forEach((r) => {
+      if (!Array.isArray(r.notified)) r.notified = [];
+    });
+    if (list.length) rules[key] = list;
+  });
+  return rules;
+}
 
-      // Store as selected location and fetch weather
-      lastSelectedLocation = location;
-      clearSuggestions();
-      if (statusMessage) {
-        statusMessage.textContent = "";
-      }
-      await fetchWeather(latitude, longitude, location);
-    } else {
-      // Fallback: use coordinates directly if reverse geocode fails
-      if (q) {
-        q.value = `${latitude.toFixed(4)}, ${longitude.toFixed(4)}`;
-      }
-      lastSelectedLocation = {
-        lat: latitude,
-        lon: longitude,
-        name: "Your Location",
-      };
-      if (statusMessage) {
-        statusMessage.textContent = "";
-      }
-      await fetchWeather(latitude, longitude, {
-        name: "Your Location",
-        lat: latitude,
-        lon: longitude,
-      });
-    }
-  } catch (err) {
-    console.error("Geolocation error:", err);
-    let errorMsg = "Unable to get your location";
+/**
+ * Saves the notification rules to localStorage.
+ */
+function saveNotificationRules() {
+  localStorage.setItem(NOTIFY_RULES_KEY, JSON.stringify(notificationRules));
+}
 
-    switch (err.code) {
-      case err.PERMISSION_DENIED:
-        errorMsg =
-          "Location access was denied. Please enable location permissions.";
-        break;
-      case err.POSITION_UNAVAILABLE:
-        errorMsg = "Location information is unavailable.";
-        break;
-      case err.TIMEOUT:
-        errorMsg = "Location request timed out. Please try again.";
-        break;
-    }
+/**
+ * Loads the notification inbox from localStorage.
+ * @returns {Array} Inbox entries, newest first
+ */
+function loadNotificationInbox() {
+  let stored = null;
+  try {
+    stored = JSON.parse(localStorage.getItem(NOTIFY_INBOX_KEY));
+  } catch {
+    stored = null;
+  }
+  return Array.isArray(stored) ? stored.filter((e) => e && e.id && e.text) : [];
+}
 
-    if (statusMessage) {
-      statusMessage.textContent = errorMsg;
-      statusMessage.classList.add("status-warning");
-    }
-  } finally {
-    // Remove loading state
-    if (geolocateBtn) {
-      geolocateBtn.classList.remove("locating");
-      geolocateBtn.disabled = false;
+/**
+ * Saves the notification inbox to localStorage (at most INBOX_LIMIT entries).
+ */
+function saveNotificationInbox() {
+  notificationInbox = notificationInbox.slice(0, INBOX_LIMIT);
+  localStorage.setItem(NOTIFY_INBOX_KEY, JSON.stringify(notificationInbox));
+}
+
+/**
+ * Adds a notification rule to a favorite. The threshold is kept in the
+ * currently selected units and converted when the rule is checked.
+ * @param {string} key - Location key of the favorite
+ * @param {Object} fields - { metric, op ("above"/"below"), threshold, period }
+ * @returns {Object|null} The new rule, or null when the fields are invalid
+ */
+function addNotificationRule(key, { metric, op, threshold, period }) {
+  if (!favorites[key] || !RULE_METRICS[metric] || !RULE_PERIODS[period]) {
+    return null;
+  }
+  const rule = {
+    id: `r${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    metric,
+    op: null,
+    threshold: null,
+    units: getSelectedUnit() || "metric",
+    period,
+    notified: [],
+  };
+  if (metric !== "alerts") {
+    const value = Number(threshold);
+    if ((op !== "above" && op !== "below") || String(threshold).trim() === "") {
+      return null;
     }
+    if (!Number.isFinite(value)) return null;
+    rule.op = op;
+    rule.threshold = value;
   }
+  notificationRules[key] = [...(notificationRules[key] || []), rule];
+  saveNotificationRules();
+  return rule;
 }
 
-// =====================================================================
-// === 7. RENDERING FUNCTIONS ===
-// === renderSuggestions, renderCurrentWeather, renderHourlyModal, ===
-// === renderSavedLocations, refreshAllFavorites ===
-// =====================================================================
-// Functions that create and insert HTML into the page.
-// They take data and turn it into visible UI elements.
+/**
+ * Removes a notification rule from a favorite.
+ * @param {string} key - Location key of the favorite
+ * @param {string} ruleId - Id of the rule
+ */
+function removeNotificationRule(key, ruleId) {
+  const rules = (notificationRules[key] || []).filter((r) => r.id !== ruleId);
+  if (rules.length) {
+    notificationRules[key] = rules;
+  } else {
+    delete notificationRules[key];
+  }
+  saveNotificationRules();
+}
 
 /**
- * Renders the autocomplete dropdown with location suggestions.
- * Creates clickable items that users can select with mouse or keyboard.
- *
- * Accessibility features:
- * - ARIA roles (listbox/option) for screen readers
- * - aria-selected to indicate highlighted item
- * - Keyboard navigation support (arrow keys, Enter, Escape)
- *
- * @param {Array} items - Array of location objects to display
+ * Reads a rule's metric from one forecast day, in the rule's units.
+ * @param {Object} rule - Notification rule (not an alerts rule)
+ * @param {Object} day - Daily forecast entry
+ * @param {string} units - Units the forecast was fetched in
+ * @returns {number|null} Value, or null when the day doesn't have it
  */
-function renderSuggestions(items = []) {
-  if (!suggestionsEl) return;
-  suggestionsEl.innerHTML = "";
-  currentSuggestions = Array.isArray(items) ? items : [];
+function ruleMetricValue(rule, day, units) {
+  const number = (v) =>
+    v !== null && v !== undefined && Number.isFinite(Number(v))
+      ? Number(v)
+      : null;
+  let value = null;
+  switch (rule.metric) {
+    case "temp_min":
+    case "temp_max":
+      value = number(day.temp && day.temp[rule.metric.slice(5)]);
+      return value === null ? null : convertTemp(value, units, rule.units);
+    case "pop":
+      value = number(day.pop);
+      return value === null ? null : value * 100;
+    case "wind_gust":
+      value = number(day.wind_gust);
+      return value === null ? null : convertSpeed(value, units, rule.units);
+    case "precip":
+      value = (Number(day.rain) || 0) + (Number(day.snow) || 0);
+      return rule.units === "metric" ? value : value / 25.4;
+    default:
+      return null;
+  }
+}
 
-  if (currentSuggestions.length === 0) {
-    const empty = document.createElement("div");
-    empty.className = "suggestion-item";
-    empty.textContent = "No matches";
-    empty.setAttribute("role", "option");
-    empty.setAttribute("aria-selected", "false");
-    suggestionsEl.appendChild(empty);
-    suggestionsEl.style.display = "block";
-    q.setAttribute("aria-expanded", "true");
-    return;
+/**
+ * Checks a notification rule against a favorite's weather.
+ * Each day in the rule's period is a separate match (an alerts rule
+ * matches per alert), so a rule reports every day once.
+ * @param {Object} rule - Notification rule
+ * @param {Object} weather - Saved weather of the favorite (summary)
+ * @param {string} units - Units the weather was fetched in
+ * @returns {Array<Object>} Matches: [{ matchKey, text }]
+ */
+function evaluateRule(rule, weather, units) {
+  const period = RULE_PERIODS[rule.period];
+  const daily = weather && Array.isArray(weather.daily) ? weather.daily : [];
+  if (!period) return [];
+  const days = daily.slice(period.from, period.to + 1);
+  if (!days.length) return [];
+  const tz = Number(weather.timezone_offset) || 0;
+
+  if (rule.metric === "alerts") {
+    // The period runs from the start of its first local day to the end of
+    // its last one
+    const dayStart = (dt) => Math.floor((dt + tz) / 86400) * 86400 - tz;
+    const start = dayStart(days[0].dt);
+    const end = dayStart(days[days.length - 1].dt) + 86400;
+    return getActiveAlerts(weather)
+      .filter((a) => Number(a.start) < end && Number(a.end) > start)
+      .map((a) => ({
+        matchKey: `${rule.id}:${a.event}:${a.start}`,
+        text: `${a.event || "Weather alert"} (${
+          a.sender_name || "weather service"
+        }), ${formatDayLabel(Math.max(Number(a.start), start), tz)}`,
+      }));
   }
 
-  currentSuggestions.forEach((it, idx) => {
-    const el = document.createElement("div");
-    el.className = "suggestion-item";
-    el.setAttribute("role", "option");
-    el.setAttribute("data-idx", String(idx));
-    el.setAttribute("id", `suggestion-${idx}`);
-    el.setAttribute("aria-selected", "false");
-    const countryText = it.country
-      ? regionNames.of(it.country) || it.country
-      : "";
-    const stateText = it.state ? `, ${it.state}` : "";
-    el.innerHTML = `<span class="loc-name">${it.name}</span><span class="loc-meta">${countryText}${stateText}</span>`;
-    el.addEventListener("click", () => selectSuggestion(idx));
-    el.addEventListener("mousemove", () => setHighlight(idx));
-    suggestionsEl.appendChild(el);
+  return days
+    .map((day) => ({ day, value: ruleMetricValue(rule, day, units) }))
+    .filter(({ value }) =>
+      value === null
+        ? false
+        : rule.op === "above"
+        ? value > rule.threshold
+        : value < rule.threshold
+    )
+    .map(({ day, value }) => ({
+      matchKey: `${rule.id}:${day.dt}`,
+      text: `${formatDayLabel(day.dt, tz)}: ${RULE_METRICS[
+        rule.metric
+      ].label.toLowerCase()} ${formatRuleValue(
+        rule.metric,
+        value,
+        rule.units
+      )} (${rule.op} ${formatRuleValue(
+        rule.metric,
+        rule.threshold,
+        rule.units
+      )})`,
+    }));
+}
+
+/**
+ * Turns a weather response into the reading stored in the history: the
+ * current conditions and today's precipitation total so far (mm; the
+ * provider's figure for the whole local day).
+ * @param {string} key - Location key of the favorite
+ * @param {Object} payload - Weather data (full or summary)
+ * @param {string} units - Units the weather was fetched in
+ * @returns {Object|null} { key, dt, tz, units, temp, feels_like, humidity,
+ *   wind_speed, precip_day }, or null without current conditions
+ */
+function toHistoryRecord(key, payload, units) {
+  const current = payload && payload.current;
+  if (!current || !Number.isFinite(Number(current.dt))) return null;
+  const today = Array.isArray(payload.daily) ? payload.daily[0] : null;
+  return {
+    key,
+    dt: Number(current.dt),
+    tz: Number(payload.timezone_offset) || 0,
+    units,
+    temp: current.temp,
+    feels_like: current.feels_like,
+    humidity: current.humidity,
+    wind_speed: current.wind_speed,
+    precip_day: today
+      ? (Number(today.rain) || 0) + (Number(today.snow) || 0)
+      : null,
+  };
+}
+
+/**
+ * Finds the reading closest to 24 hours before `dt`, within
+ * HISTORY_MATCH_WINDOW_S.
+ * @param {Array<Object>} records - History readings of one location
+ * @param {number} dt - Time of the current conditions (unix seconds)
+ * @returns {Object|null} Reading, or null when none is close enough
+ */
+function findYesterdayRecord(records, dt) {
+  const target = Number(dt) - 86400;
+  let best = null;
+  records.forEach((record) => {
+    const distance = Math.abs(record.dt - target);
+    if (
+      distance <= HISTORY_MATCH_WINDOW_S &&
+      (!best || distance < Math.abs(best.dt - target))
+    ) {
+      best = record;
+    }
   });
+  return best;
+}
 
-  suggestionsEl.style.display = "block";
-  q.setAttribute("aria-expanded", "true");
-  highlightedIndex = -1;
+/**
+ * Groups history readings by local day (in the location's timezone).
+ * Low and high come from the recorded temperatures; precipitation is the
+ * day total from the day's last reading.
+ * @param {Array<Object>} records - History readings of one location
+ * @param {string} unit - Units for the temperatures
+ * @returns {Array<Object>} Days, newest first: [{ dt, tz, min, max,
+ *   precip (mm or null), count }]
+ */
+function summarizeHistoryDays(records, unit) {
+  const days = new Map();
+  [...records]
+    .sort((a, b) => a.dt - b.dt)
+    .forEach((record) => {
+      const temp = Number(record.temp);
+      if (!Number.isFinite(temp)) return;
+      const value = convertTemp(temp, record.units, unit);
+      const dayIndex = Math.floor((record.dt + record.tz) / 86400);
+      const day = days.get(dayIndex);
+      if (!day) {
+        days.set(dayIndex, {
+          dt: record.dt,
+          tz: record.tz,
+          min: value,
+          max: value,
+          precip: record.precip_day,
+          count: 1,
+        });
+        return;
+      }
+      day.min = Math.min(day.min, value);
+      day.max = Math.max(day.max, value);
+      if (record.precip_day !== null) day.precip = record.precip_day;
+      day.count++;
+    });
+  return [...days.values()].reverse();
 }
 
 /**
- * Renders the main weather display including current conditions and 7-day forecast.
- * This is the largest function - it builds the entire weather card HTML.
- *
- * Displays:
- * - Location name and country
- * - Current temperature, feels-like, description
- * - Precipitation amount and type (rain/snow)
- * - Wind speed, gusts, and direction
- * - 7-day forecast with daily highs/lows
- * - Refresh button with cooldown timer
- *
- * @param {Object} payload - Weather data from the API
- * @param {Object} location - Location info (name, country, state, lat, lon)
+ * Moves a "YYYY-MM-DD" date by a number of days.
+ * @param {string} date - Date
+ * @param {number} days - Days to add (negative to go back)
+ * @returns {string} New date as "YYYY-MM-DD"
  */
-function renderCurrentWeather(payload, location = {}) {
-  const el = document.getElementById("current-weather");
-  if (!el) return;
-  if (!payload || !payload.current) {
-    el.innerHTML =
-      '<div class="controls-panel">No weather data available.</div>';
-    return;
+function shiftIsoDate(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+/**
+ * Checks a map configuration from the proxy (or localStorage).
+ * @param {Object} data - { tileUrl, attribution, maxZoom }
+ * @returns {Object} Configuration with invalid parts replaced by defaults:
+ *   the tile URL must be http(s) with {z}, {x} and {y}
+ */
+function normalizeMapConfig(data) {
+  const config = { ...DEFAULT_MAP_CONFIG };
+  if (!data || typeof data !== "object") return config;
+  const tileUrl = typeof data.tileUrl === "string" ? data.tileUrl : "";
+  if (
+    /^https?:\/\//.test(tileUrl) &&
+    ["{z}", "{x}", "{y}"].every((part) => tileUrl.includes(part))
+  ) {
+    config.tileUrl = tileUrl;
+  }
+  if (typeof data.attribution === "string") {
+    config.attribution = data.attribution;
   }
+  const maxZoom = Math.round(Number(data.maxZoom));
+  if (Number.isFinite(maxZoom)) {
+    config.maxZoom = Math.min(22, Math.max(MAP_MIN_ZOOM, maxZoom));
+  }
+  return config;
+}
 
-  const tz = payload.timezone_offset || 0;
-  const current = payload.current;
-  const iconCode =
-    current.weather && current.weather[0] && current.weather[0].icon;
-  const description =
-    current.weather && current.weather[0] && current.weather[0].description;
+/**
+ * Loads the map configuration last received from the proxy.
+ * @returns {Object} Configuration (defaults when none is stored)
+ */
+function loadStoredMapConfig() {
+  try {
+    return normalizeMapConfig(
+      JSON.parse(localStorage.getItem(MAP_CONFIG_KEY) || "null")
+    );
+  } catch (err) {
+    return { ...DEFAULT_MAP_CONFIG };
+  }
+}
 
-  const descriptionsList = Array.isArray(current.weather)
-    ? current.weather
-        .map((w) => w && w.description)
-        .filter(Boolean)
-        .join(", ")
-    : "";
-  const precipDescriptionsList = Array.isArray(current.weather)
-    ? current.weather
-        .filter(
-          (w) =>
-            w &&
-            Number.isFinite(Number(w.id)) &&
-            PRECIP_WEATHER_IDS.includes(Number(w.id))
-        )
-        .map((w) => w && w.description)
-        .filter(Boolean)
-        .join(", ")
-    : "";
+/**
+ * Projects a point to Web Mercator pixel coordinates at a zoom level, the
+ * projection of XYZ map tiles: the world is MAP_TILE_SIZE * 2^zoom pixels
+ * wide and high, with (0, 0) at 180° W on MAP_MAX_LAT.
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {number} zoom - Zoom level
+ * @returns {Object} { x, y } in pixels
+ */
+function projectToWorld(lat, lon, zoom) {
+  const size = MAP_TILE_SIZE * 2 ** zoom;
+  const clamped = Math.max(-MAP_MAX_LAT, Math.min(MAP_MAX_LAT, Number(lat)));
+  const sin = Math.sin((clamped * Math.PI) / 180);
+  return {
+    x: ((Number(lon) + 180) / 360) * size,
+    y: (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * size,
+  };
+}
 
-  const temp = current.temp;
-  const feels = current.feels_like;
+/**
+ * Converts Web Mercator pixel coordinates back to a point (the reverse of
+ * projectToWorld). The map repeats sideways, so the longitude is wrapped
+ * into -180..180.
+ * @param {number} x - Pixels from the left edge of the world
+ * @param {number} y - Pixels from the top edge of the world
+ * @param {number} zoom - Zoom level
+ * @returns {Object} { lat, lon }
+ */
+function worldToLatLon(x, y, zoom) {
+  const size = MAP_TILE_SIZE * 2 ** zoom;
+  const lon = (x / size) * 360 - 180;
+  const n = Math.PI - (2 * Math.PI * y) / size;
+  return {
+    lat: (180 / Math.PI) * Math.atan(Math.sinh(n)),
+    lon: ((((lon + 180) % 360) + 360) % 360) - 180,
+  };
+}
+
+/**
+ * Fills in an XYZ tile URL template.
+ * @param {string} template - URL with {z}, {x} and {y}
+ * @param {number} z - Zoom level
+ * @param {number} x - Tile column
+ * @param {number} y - Tile row
+ * @returns {string} Tile URL
+ */
+function tileUrlFor(template, z, x, y) {
+  return template
+    .replace(/\{z\}/g, String(z))
+    .replace(/\{x\}/g, String(x))
+    .replace(/\{y\}/g, String(y));
+}
+
+/**
+ * Picks the spacing of the map's latitude/longitude grid for a zoom level.
+ * @param {number} zoom - Zoom level
+ * @returns {number} Spacing in degrees (see MAP_GRID_STEPS)
+ */
+function mapGridStep(zoom) {
+  const degreesPerPx = 360 / (MAP_TILE_SIZE * 2 ** zoom);
+  const step = MAP_GRID_STEPS.find((s) => s / degreesPerPx >= MAP_GRID_MIN_PX);
+  return step || MAP_GRID_STEPS[MAP_GRID_STEPS.length - 1];
+}
+
+/**
+ * Where the map opens: the shown location, else the first favorite, else
+ * the whole world.
+ * @returns {Object} { lat, lon, zoom }
+ */
+function initialMapView() {
+  const first = favorites[getFavoriteKeys()[0]];
+  const place = lastSelectedLocation || first;
+  if (
+    place &&
+    Number.isFinite(Number(place.lat)) &&
+    Number.isFinite(Number(place.lon))
+  ) {
+    return {
+      lat: Number(place.lat),
+      lon: Number(place.lon),
+      zoom: Math.min(lastSelectedLocation ? 8 : 5, mapConfig.maxZoom),
+    };
+  }
+  return { lat: 30, lon: 0, zoom: 2 };
+}
+
+// =====================================================================
+// === 5. FORMATTING FUNCTIONS ===
+// === toLocalDate, formatTimeOnly, formatUserLocalFullFromMs, ===
+// === formatCompactDate, isSameLocalDate, unitLabel, windUnitLabel, ===
+// === pressureUnitLabel, distanceUnitLabel, tempColorClass, uvColorClass, ===
+// === uvRiskLabel, mmToInches, hPaToInHg, metersToKm, metersToMiles, ===
+// === convertTemp, convertSpeed, ===
+// === windDirection, formatClockTime, formatDuration, formatDaylightChange, ===
+// === estimateDaylightSeconds, daylightChangeSeconds, moonPhaseInfo, ===
+// === summarizeMinutely, formatAge, ageLevel, formatRuleValue, describeRule, ===
+// === formatTempDelta, formatPastDateLabel ===
+// =====================================================================
+// Functions that format data for display (dates, times, units, etc.)
+// These make raw API data human-readable.
+
+/**
+ * Converts OpenWeather timestamp to a JavaScript Date in the location's timezone.
+ *
+ * OpenWeather gives us:
+ * - dt: Unix timestamp in seconds (not milliseconds like JS uses)
+ * - timezone_offset: Seconds offset from UTC for the location
+ *
+ * We add these together and multiply by 1000 (to get milliseconds).
+ * The returned Date uses UTC methods to represent the location's local time.
+ *
+ * @param {number} dtSeconds - Unix timestamp in seconds from API
+ * @param {number} timezoneOffsetSeconds - Timezone offset in seconds
+ * @returns {Date} JavaScript Date representing local time at that location
+ */
+function toLocalDate(dtSeconds, timezoneOffsetSeconds = 0) {
+  return new Date((Number(dtSeconds) + Number(timezoneOffsetSeconds)) * 1000);
+}
+
+/**
+ * Formats a timestamp as date and time in the location's timezone.
+ * Used to show "Local time" in the weather card.
+ * Example output: "Dec 3, 19:52:00"
+ * @param {number} dtSeconds - Unix timestamp in seconds
+ * @param {number} timezoneOffsetSeconds - Location's timezone offset in seconds
+ * @param {string} locale - Locale for formatting (default: "en-US")
+ * @returns {string} Formatted date and time string like "Dec 3, 19:52:00"
+ */
+function formatTimeOnly(
+  dtSeconds,
+  timezoneOffsetSeconds = 0,
+  locale = "en-US"
+) {
+  const d = toLocalDate(dtSeconds, timezoneOffsetSeconds);
+  const datePart = new Intl.DateTimeFormat("en-US", {
+    month: "short",
+    day: "numeric",
+    timeZone: "UTC",
+  }).format(d);
+  const timePart = new Intl.DateTimeFormat(locale, {
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+    hour12: false,
+    timeZone: "UTC",
+  }).format(d);
+  return `${datePart}, ${timePart}`;
+}
+
+/**
+ * Formats a timestamp in the USER's local timezone (not the weather location's).
+ * Used for "Last updated" to show when data was fetched in the user's time.
+ * Example output: "Dec 3, 21:52:00"
+ * @param {number} ms - Timestamp in milliseconds
+ * @param {string} locale - User's locale for formatting
+ * @returns {string} Compact date and time string
+ */
+function formatUserLocalFullFromMs(ms, locale = navigator.language || "en-US") {
+  const d = new Date(Number(ms));
+  const datePart = new Intl.DateTimeFormat("en-US", {
+    month: "short",
+    day: "numeric",
+  }).format(d);
+  const timePart = new Intl.DateTimeFormat(locale, {
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+    hour12: false,
+  }).format(d);
+  return `${datePart}, ${timePart}`;
+}
+
+/**
+ * Formats a date in compact form for the 7-day forecast.
+ * Example output: "Mon, Dec 2"
+ * @param {number} dtSeconds - Unix timestamp in seconds
+ * @param {number} tz - Timezone offset in seconds
+ * @returns {string} Compact date string like "Mon, Dec 2"
+ */
+function formatCompactDate(dtSeconds, tz) {
+  const d = toLocalDate(dtSeconds, tz);
+  const weekday = new Intl.DateTimeFormat("en-US", {
+    weekday: "short",
+    timeZone: "UTC",
+  }).format(d);
+  const month = new Intl.DateTimeFormat("en-US", {
+    month: "short",
+    timeZone: "UTC",
+  }).format(d);
+  return `${weekday}, ${month} ${d.getUTCDate()}`;
+}
+
+/**
+ * Checks if two dates represent the same calendar day.
+ * Used to determine if a forecast day is "Today" or "Tomorrow".
+ * Uses UTC methods because our dates store local time in UTC fields.
+ * @param {Date} a - First date to compare
+ * @param {Date} b - Second date to compare
+ * @returns {boolean} True if same year, month, and day
+ */
+function isSameLocalDate(a, b) {
+  return (
+    a.getUTCFullYear() === b.getUTCFullYear() &&
+    a.getUTCMonth() === b.getUTCMonth() &&
+    a.getUTCDate() === b.getUTCDate()
+  );
+}
+
+/**
+ * Converts short unit abbreviations to full words for screen readers.
+ * Example: "mm" becomes "millimeters" for the title/aria-label attributes.
+ * This improves accessibility for users with assistive technologies.
+ * @param {string} u - Short unit string (mm, in, mm/h, in/h)
+ * @returns {string} Full unit name for accessibility
+ */
+function unitLabel(u) {
+  switch (u) {
+    case "mm":
+      return "millimeters";
+    case "mm/h":
+      return "millimeters per hour";
+    case "in/h":
+      return "inches per hour";
+    case "in":
+      return "inches";
+    default:
+      return String(u || "");
+  }
+}
+
+/**
+ * Converts wind speed unit abbreviations to full words for screen readers.
+ * @param {string} u - Short unit string (m/s, mph, km/h)
+ * @returns {string} Full unit name for accessibility
+ */
+function windUnitLabel(u) {
+  switch (u) {
+    case "m/s":
+      return "meters per second";
+    case "mph":
+      return "miles per hour";
+    case "km/h":
+      return "kilometers per hour";
+    default:
+      return String(u || "");
+  }
+}
+
+/**
+ * Converts pressure unit abbreviations to full words for screen readers.
+ * @param {string} u - Short unit string (hPa, inHg)
+ * @returns {string} Full unit name for accessibility
+ */
+function pressureUnitLabel(u) {
+  switch (u) {
+    case "hPa":
+      return "hectopascals";
+    case "inHg":
+      return "inches of mercury";
+    default:
+      return String(u || "");
+  }
+}
+
+/**
+ * Converts distance unit abbreviations to full words for screen readers.
+ * @param {string} u - Short unit string (km, mi)
+ * @returns {string} Full unit name for accessibility
+ */
+function distanceUnitLabel(u) {
+  switch (u) {
+    case "km":
+      return "kilometers";
+    case "mi":
+      return "miles";
+    default:
+      return String(u || "");
+  }
+}
+
+/**
+ * Returns a CSS class name for color-coding temperatures.
+ * Converts to Celsius internally if needed, then returns:
+ * - temp-freezing: below -10°C (very cold, blue)
+ * - temp-cold: -10°C to 0°C (cold)
+ * - temp-neutral: exactly 0°C
+ * - temp-warm: 0°C to 15°C (mild)
+ * - temp-hot: above 15°C (warm/hot, orange/red)
+ * @param {number} tempValue - Temperature value
+ * @param {boolean} isMetric - True if value is Celsius, false if Fahrenheit
+ * @returns {string} CSS class name for styling
+ */
+function tempColorClass(tempValue, isMetric = true) {
+  const celsius = isMetric ? tempValue : ((tempValue - 32) * 5) / 9;
+  if (celsius < -10) return "temp-freezing";
+  if (celsius < 0) return "temp-cold";
+  if (celsius === 0) return "temp-neutral";
+  if (celsius <= 15) return "temp-warm";
+  return "temp-hot";
+}
+
+/**
+ * Returns a CSS class name for color-coding the UV index.
+ * Follows the WHO UV index risk scale:
+ * - uv-low: 0-2 (green)
+ * - uv-moderate: 3-5 (yellow)
+ * - uv-high: 6-7 (orange)
+ * - uv-very-high: 8-10 (red)
+ * - uv-extreme: 11+ (violet)
+ * @param {number} uvi - UV index value
+ * @returns {string} CSS class name for styling
+ */
+function uvColorClass(uvi) {
+  const rounded = Math.round(Number(uvi) || 0);
+  if (rounded <= 2) return "uv-low";
+  if (rounded <= 5) return "uv-moderate";
+  if (rounded <= 7) return "uv-high";
+  if (rounded <= 10) return "uv-very-high";
+  return "uv-extreme";
+}
+
+/**
+ * Returns the WHO risk category name for a UV index value.
+ * Uses the same bands as uvColorClass().
+ * @param {number} uvi - UV index value
+ * @returns {string} Risk label like "Moderate"
+ */
+function uvRiskLabel(uvi) {
+  switch (uvColorClass(uvi)) {
+    case "uv-low":
+      return "Low";
+    case "uv-moderate":
+      return "Moderate";
+    case "uv-high":
+      return "High";
+    case "uv-very-high":
+      return "Very high";
+    default:
+      return "Extreme";
+  }
+}
+
+/**
+ * Converts millimeters to inches for imperial unit users.
+ * 1 inch = 25.4 millimeters
+ * @param {number} mm - Value in millimeters
+ * @returns {string} Value in inches, rounded to 1 decimal place
+ */
+function mmToInches(mm) {
+  return (Number(mm || 0) / 25.4).toFixed(1);
+}
+
+/**
+ * Converts hectopascals to inches of mercury for imperial unit users.
+ * OpenWeather always reports pressure in hPa, regardless of `units`.
+ * 1 hPa = 0.02953 inHg
+ * @param {number} hpa - Pressure in hectopascals
+ * @returns {string} Value in inHg, rounded to 2 decimal places
+ */
+function hPaToInHg(hpa) {
+  return (Number(hpa || 0) * 0.02953).toFixed(2);
+}
+
+/**
+ * Converts meters to kilometers.
+ * OpenWeather always reports visibility in meters (max 10 000).
+ * @param {number} m - Distance in meters
+ * @returns {string} Value in kilometers, rounded to 1 decimal place
+ */
+function metersToKm(m) {
+  return (Number(m || 0) / 1000).toFixed(1);
+}
+
+/**
+ * Converts meters to miles for imperial unit users.
+ * 1 mile = 1609.344 meters
+ * @param {number} m - Distance in meters
+ * @returns {string} Value in miles, rounded to 1 decimal place
+ */
+function metersToMiles(m) {
+  return (Number(m || 0) / 1609.344).toFixed(1);
+}
+
+/**
+ * Converts a temperature between the API's unit systems.
+ * @param {number} value - Temperature in `fromUnit`
+ * @param {string} fromUnit - "metric" (°C) or "imperial" (°F)
+ * @param {string} toUnit - "metric" (°C) or "imperial" (°F)
+ * @returns {number} Temperature in `toUnit`
+ */
+function convertTemp(value, fromUnit, toUnit) {
+  const v = Number(value);
+  if (fromUnit === toUnit) return v;
+  return toUnit === "imperial" ? (v * 9) / 5 + 32 : ((v - 32) * 5) / 9;
+}
+
+/**
+ * Converts a wind speed between the API's unit systems.
+ * 1 m/s = 2.23694 mph
+ * @param {number} value - Speed in `fromUnit`
+ * @param {string} fromUnit - "metric" (m/s) or "imperial" (mph)
+ * @param {string} toUnit - "metric" (m/s) or "imperial" (mph)
+ * @returns {number} Speed in `toUnit`
+ */
+function convertSpeed(value, fromUnit, toUnit) {
+  const v = Number(value);
+  if (fromUnit === toUnit) return v;
+  return toUnit === "imperial" ? v * 2.23694 : v / 2.23694;
+}
+
+/**
+ * Converts wind direction from degrees to compass direction.
+ * 0° = North, 90° = East, 180° = South, 270° = West
+ * Divides the compass into 16 directions (N, NNE, NE, ENE, E, etc.)
+ * @param {number} deg - Wind direction in degrees (0-360)
+ * @returns {Object} Object with `short` ("NNE") and `full` ("North-Northeast")
+ */
+function windDirection(deg) {
+  const directions = [
+    { short: "N", full: "North" },
+    { short: "NNE", full: "North-Northeast" },
+    { short: "NE", full: "Northeast" },
+    { short: "ENE", full: "East-Northeast" },
+    { short: "E", full: "East" },
+    { short: "ESE", full: "East-Southeast" },
+    { short: "SE", full: "Southeast" },
+    { short: "SSE", full: "South-Southeast" },
+    { short: "S", full: "South" },
+    { short: "SSW", full: "South-Southwest" },
+    { short: "SW", full: "Southwest" },
+    { short: "WSW", full: "West-Southwest" },
+    { short: "W", full: "West" },
+    { short: "WNW", full: "West-Northwest" },
+    { short: "NW", full: "Northwest" },
+    { short: "NNW", full: "North-Northwest" },
+  ];
+  const index = Math.round(deg / 22.5) % 16;
+  return directions[index];
+}
+
+/**
+ * Formats a timestamp as hours and minutes in the location's timezone.
+ * Used for sunrise/sunset and moonrise/moonset times.
+ * Example output: "07:42"
+ * @param {number} dtSeconds - Unix timestamp in seconds
+ * @param {number} tz - Timezone offset in seconds
+ * @returns {string} Time like "07:42", or "--:--" when the event doesn't happen
+ */
+function formatClockTime(dtSeconds, tz = 0) {
+  // OpenWeather sends 0 for e.g. moonrise on days when the moon doesn't rise
+  if (!Number(dtSeconds)) return "--:--";
+  const d = toLocalDate(dtSeconds, tz);
+  const hours = String(d.getUTCHours()).padStart(2, "0");
+  const minutes = String(d.getUTCMinutes()).padStart(2, "0");
+  return `${hours}:${minutes}`;
+}
+
+/**
+ * Formats a duration in seconds as hours and minutes.
+ * Example: 37980 -> "10 h 33 min"
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} Duration like "10 h 33 min"
+ */
+function formatDuration(seconds) {
+  const totalMinutes = Math.round(Math.abs(Number(seconds) || 0) / 60);
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  return `${hours} h ${minutes} min`;
+}
+
+/**
+ * Formats a change in daylight length with a sign.
+ * Example: 154 -> "+2 min 34 s", -65 -> "−1 min 5 s"
+ * @param {number} seconds - Change in seconds (positive = longer day)
+ * @returns {string} Signed change like "+2 min 34 s"
+ */
+function formatDaylightChange(seconds) {
+  const rounded = Math.round(Number(seconds) || 0);
+  const sign = rounded < 0 ? "−" : "+";
+  const abs = Math.abs(rounded);
+  const minutes = Math.floor(abs / 60);
+  const secs = abs % 60;
+  return minutes > 0 ? `${sign}${minutes} min ${secs} s` : `${sign}${secs} s`;
+}
+
+/**
+ * Estimates the length of daylight for a latitude and date.
+ * The payload has no data for yesterday, so this solar approximation is
+ * used to work out how much today's daylight changed. It is only
+ * accurate to a minute or so, but the error mostly cancels out when
+ * two consecutive days are compared.
+ * @param {number} lat - Latitude in degrees
+ * @param {number} dtSeconds - Unix timestamp in seconds (any time on that day)
+ * @returns {number} Daylight length in seconds (0 in polar night)
+ */
+function estimateDaylightSeconds(lat, dtSeconds) {
+  const d = new Date(Number(dtSeconds) * 1000);
+  const startOfYear = Date.UTC(d.getUTCFullYear(), 0, 1);
+  const dayOfYear = Math.floor((d.getTime() - startOfYear) / 86400000) + 1;
+  const rad = Math.PI / 180;
+  // Solar declination and hour angle of sunrise (-0.833° accounts for refraction)
+  const declination =
+    -23.44 * rad * Math.cos(((2 * Math.PI) / 365) * (dayOfYear + 10));
+  const latRad = Number(lat) * rad;
+  const cosHourAngle =
+    (Math.sin(-0.833 * rad) - Math.sin(latRad) * Math.sin(declination)) /
+    (Math.cos(latRad) * Math.cos(declination));
+  const hourAngle = Math.acos(Math.min(1, Math.max(-1, cosHourAngle)));
+  return ((2 * hourAngle) / rad / 15) * 3600;
+}
+
+/**
+ * Works out how much daylight changed compared to the previous day.
+ * Uses the real sunrise/sunset of the previous forecast day when we have it,
+ * otherwise (for the first day) falls back to estimateDaylightSeconds().
+ * @param {Array} dailyArr - The `daily` array from the API
+ * @param {number} idx - Index of the day to compare
+ * @param {number} lat - Latitude of the location
+ * @returns {number|null} Change in seconds, or null if it can't be computed
+ */
+function daylightChangeSeconds(dailyArr, idx, lat) {
+  const day = dailyArr[idx];
+  if (!day || !day.sunrise || !day.sunset) return null;
+  const prev = dailyArr[idx - 1];
+  if (prev && prev.sunrise && prev.sunset) {
+    return day.sunset - day.sunrise - (prev.sunset - prev.sunrise);
+  }
+  if (!Number.isFinite(Number(lat))) return null;
+  return (
+    estimateDaylightSeconds(lat, day.dt) -
+    estimateDaylightSeconds(lat, day.dt - 86400)
+  );
+}
+
+/**
+ * Converts OpenWeather's moon_phase value to a name and sprite icon.
+ * moon_phase runs from 0 to 1: 0 and 1 are new moon, 0.25 first quarter,
+ * 0.5 full moon and 0.75 last quarter. Values in between are the
+ * waxing/waning crescent and gibbous phases.
+ * @param {number} phase - Moon phase value (0-1)
+ * @returns {Object} Object with `name` ("Waxing crescent") and `icon` (sprite id)
+ */
+function moonPhaseInfo(phase) {
+  const phases = [
+    { name: "New moon", icon: "icon-moon-new" },
+    { name: "Waxing crescent", icon: "icon-moon-waxing-crescent" },
+    { name: "First quarter", icon: "icon-moon-first-quarter" },
+    { name: "Waxing gibbous", icon: "icon-moon-waxing-gibbous" },
+    { name: "Full moon", icon: "icon-moon-full" },
+    { name: "Waning gibbous", icon: "icon-moon-waning-gibbous" },
+    { name: "Last quarter", icon: "icon-moon-last-quarter" },
+    { name: "Waning crescent", icon: "icon-moon-waning-crescent" },
+  ];
+  const index = Math.round((Number(phase) || 0) * 8) % 8;
+  return phases[index];
+}
+
+/**
+ * Turns the 60-minute precipitation nowcast into a plain-language summary.
+ * Examples: "Rain starting in 12 min", "Rain stopping in 20 min",
+ * "Dry for the next hour", "Rain for the next hour".
+ * @param {Array} minutely - The `minutely` array ({ dt, precipitation } in mm/h)
+ * @param {string} noun - What to call the precipitation ("Rain" or "Snow")
+ * @returns {string} Summary text, or "" if there is no nowcast data
+ */
+function summarizeMinutely(minutely, noun = "Rain") {
+  if (!Array.isArray(minutely) || minutely.length === 0) return "";
+  const nowSeconds = Math.floor(Date.now() / 1000);
+  const upcoming = minutely.filter((m) => Number(m.dt) >= nowSeconds - 60);
+  if (upcoming.length === 0) return "";
+
+  const isWet = (m) => Number(m.precipitation) > 0;
+  const minutesUntil = (m) =>
+    Math.max(1, Math.round((Number(m.dt) - nowSeconds) / 60));
+
+  if (isWet(upcoming[0])) {
+    const firstDry = upcoming.find((m) => !isWet(m));
+    return firstDry
+      ? `${noun} stopping in ${minutesUntil(firstDry)} min`
+      : `${noun} for the next hour`;
+  }
+  const firstWet = upcoming.find(isWet);
+  return firstWet
+    ? `${noun} starting in ${minutesUntil(firstWet)} min`
+    : "Dry for the next hour";
+}
+
+/**
+ * Formats how long ago a timestamp was.
+ * Examples: "just now", "12 min ago", "3 h ago", "2 d ago"
+ * @param {number} timestamp - Time in ms
+ * @returns {string} Relative age, or "never" without a timestamp
+ */
+function formatAge(timestamp) {
+  if (!timestamp) return "never";
+  const minutes = Math.floor((Date.now() - timestamp) / 60000);
+  if (minutes < 1) return "just now";
+  if (minutes < 60) return `${minutes} min ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 48) return `${hours} h ago`;
+  return `${Math.floor(hours / 24)} d ago`;
+}
+
+/**
+ * Classifies the age of data for the age indicators.
+ * @param {number} timestamp - When the data was fetched (ms)
+ * @returns {string} "fresh", "warn" (amber, AGE_WARN_MS) or "stale" (red, AGE_STALE_MS)
+ */
+function ageLevel(timestamp) {
+  const age = Date.now() - (Number(timestamp) || 0);
+  if (age >= AGE_STALE_MS) return "stale";
+  if (age >= AGE_WARN_MS) return "warn";
+  return "fresh";
+}
+
+/**
+ * Formats a value of a notification rule metric with its unit,
+ * e.g. "-2 °C", "60 %" or "0.25 in".
+ * @param {string} metric - Rule metric (see RULE_METRICS)
+ * @param {number} value - Value in `units`
+ * @param {string} units - "metric" or "imperial"
+ * @returns {string} Value with unit
+ */
+function formatRuleValue(metric, value, units) {
+  const isMetric = units === "metric";
+  const oneDecimal = (v) => String(Math.round(v * 10) / 10);
+  switch (metric) {
+    case "temp_min":
+    case "temp_max":
+      return `${oneDecimal(value)} ${isMetric ? "°C" : "°F"}`;
+    case "pop":
+      return `${Math.round(value)} %`;
+    case "wind_gust":
+      return `${oneDecimal(value)} ${isMetric ? "m/s" : "mph"}`;
+    case "precip":
+      return isMetric ? `${value.toFixed(1)} mm` : `${value.toFixed(2)} in`;
+    default:
+      return String(value);
+  }
+}
+
+/**
+ * Describes a notification rule in words, e.g. "Low temperature below
+ * 0 °C tomorrow" or "Weather alert in the next 3 days".
+ * @param {Object} rule - Notification rule
+ * @returns {string} Description
+ */
+function describeRule(rule) {
+  const metric = RULE_METRICS[rule.metric].label;
+  const period = RULE_PERIODS[rule.period].phrase;
+  if (rule.metric === "alerts") return `${metric} ${period}`;
+  return `${metric} ${rule.op} ${formatRuleValue(
+    rule.metric,
+    rule.threshold,
+    rule.units
+  )} ${period}`;
+}
+
+/**
+ * Describes how the temperature changed since yesterday at the same time,
+ * e.g. "3° warmer than yesterday at this time".
+ * @param {number} diff - Current minus yesterday's temperature, in degrees
+ * @returns {string} Description
+ */
+function formatTempDelta(diff) {
+  const degrees = Math.abs(Math.round(diff));
+  if (degrees === 0) return "Same temperature as yesterday at this time";
+  return `${degrees}° ${
+    diff > 0 ? "warmer" : "colder"
+  } than yesterday at this time`;
+}
+
+/**
+ * Formats a past date with its year, e.g. "Mon, Mar 3, 2025".
+ * @param {string} date - Date as "YYYY-MM-DD"
+ * @returns {string} Date label
+ */
+function formatPastDateLabel(date) {
+  return new Intl.DateTimeFormat("en-US", {
+    weekday: "short",
+    month: "short",
+    day: "numeric",
+    year: "numeric",
+    timeZone: "UTC",
+  }).format(new Date(`${date}T00:00:00Z`));
+}
+
+// =====================================================================
+// === 6. DATA FETCHING ===
+// === GetLocations, fetchWeather, createSyncProfile, syncFavorites, ===
+// === fetchWeatherBatch, fetchCompareWeather, openHistoryDb, historyKeyRange, ===
+// === recordObservation, getHistory, clearHistory, fetchPastWeather, ===
+// === loadMapConfig ===
+// =====================================================================
+// Functions that make HTTP requests to our backend API proxy.
+// The proxy adds the API key server-side so it's not exposed in the browser.
+
+/**
+ * Fetches location suggestions from the geocoding API.
+ * Called as user types in the search box (debounced).
+ *
+ * Features:
+ * - Aborts previous request if user types again (prevents race conditions)
+ * - Shows loading/error states in the status message
+ * - Deduplicates results before displaying
+ *
+ * @param {string} query - The search term (city name)
+ * @returns {Array|null} Array of location objects, or null on error
+ */
+async function GetLocations(query) {
+  const trimmed = String(query || "").trim();
+  if (!trimmed) return null;
+  lastQuery = trimmed;
+  if (isRateLimited()) return null;
+
+  if (geocodeController) {
+    geocodeController.abort();
+  }
+  geocodeController = new AbortController();
+  const { signal } = geocodeController;
+
+  try {
+    if (statusMessage) {
+      statusMessage.textContent = `Searching for "${trimmed}"...`;
+      statusMessage.setAttribute("aria-live", "polite");
+      statusMessage.classList.remove("status-warning");
+    }
+
+    const url = `${API_BASE_URL}/api/geocode?q=${encodeURIComponent(trimmed)}`;
+    const resp = await fetch(url, { signal });
+
+    if (resp.status === 429) {
+      startRateLimitCooldown(retryAfterMs(resp));
+      clearSuggestions();
+      return null;
+    }
+    if (!resp.ok) {
+      console.error("Geocode proxy returned", resp.status);
+      if (trimmed === lastQuery) {
+        if (statusMessage) {
+          statusMessage.textContent =
+            "Failed to fetch locations. Please try again.";
+          statusMessage.setAttribute("aria-live", "assertive");
+          statusMessage.classList.add("status-warning");
+        }
+        clearSuggestions();
+      }
+      return null;
+    }
+
+    const json = await resp.json();
+    const deduped = dedupeLocations(json);
+
+    if (trimmed === lastQuery) {
+      if (Array.isArray(deduped) && deduped.length === 0) {
+        if (statusMessage) {
+          statusMessage.textContent =
+            "There are no locations matching your search term";
+          statusMessage.setAttribute("aria-live", "assertive");
+          statusMessage.classList.add("status-warning");
+        }
+        renderSuggestions(deduped);
+      } else {
+        if (statusMessage) {
+          statusMessage.textContent = "";
+          statusMessage.setAttribute("aria-live", "polite");
+          statusMessage.classList.remove("status-warning");
+        }
+        renderSuggestions(deduped);
+      }
+    }
+    return deduped;
+  } catch (err) {
+    if (err.name === "AbortError") {
+      return null;
+    }
+    console.error("GetLocations network/error:", err);
+    if (trimmed === lastQuery) {
+      if (statusMessage) {
+        statusMessage.textContent =
+          "Failed to fetch locations. Please try again.";
+        statusMessage.setAttribute("aria-live", "assertive");
+        statusMessage.classList.add("status-warning");
+      }
+      clearSuggestions();
+    }
+    return null;
+  } finally {
+    if (geocodeController && geocodeController.signal === signal) {
+      geocodeController = null;
+    }
+  }
+}
+
+/**
+ * Fetches weather data for a specific location.
+ * Uses latitude/longitude from the selected location.
+ *
+ * The API returns:
+ * - current: Current weather conditions
+ * - minutely: Minute-by-minute precipitation for the next hour (where available)
+ * - hourly: Hour-by-hour forecast (48 hours)
+ * - daily: Day-by-day forecast (7 days)
+ *
+ * @param {number} lat - Latitude of the location
+ * @param {number} lon - Longitude of the location
+ * @param {Object} location - Location object with name, country, state for display
+ * @returns {Object|null} Weather data object, or null on error
+ */
+async function fetchWeather(lat, lon, location = null) {
+  if (!Number.isFinite(lat) || !Number.isFinite(lon)) {
+    console.error("fetchWeather: invalid lat/lon", lat, lon);
+    return null;
+  }
+  const units = getSelectedUnit() || "metric";
+  // Include the minutely nowcast for the selected location (favorites skip it)
+  const exclude = "";
+  const url = `${API_BASE_URL}/api/weather?lat=${encodeURIComponent(
+    lat
+  )}&lon=${encodeURIComponent(lon)}&units=${encodeURIComponent(
+    units
+  )}&exclude=${encodeURIComponent(exclude)}`;
+
+  if (isRateLimited()) return null;
+
+  try {
+    const resp = await fetch(url);
+    if (resp.status === 429) {
+      startRateLimitCooldown(retryAfterMs(resp));
+      return null;
+    }
+    if (!resp.ok) {
+      console.error("Weather proxy returned", resp.status);
+      return null;
+    }
+    const json = await resp.json();
+    // The service worker sets this header when it answers from its cache
+    const offlineCachedAt = Number(resp.headers.get("X-Offline-Cached-At"));
+    // The proxy sets this one when the weather service failed
+    const staleCachedAt = Number(resp.headers.get("X-Stale-Cached-At"));
+    showingOfflineData = offlineCachedAt > 0;
+    showingStaleData = !showingOfflineData && staleCachedAt > 0;
+    lastFetchedTs = showingOfflineData
+      ? offlineCachedAt
+      : showingStaleData
+      ? staleCachedAt
+      : Date.now();
+    lastWeatherPayload = json; // Store for hourly modal access
+    lastWeatherUnits = units;
+    const loc = location || lastSelectedLocation || { lat, lon };
+    // Record before rendering, so the card's history read includes it
+    if (isFavorite(loc)) {
+      recordObservation(createLocationKey(loc), json, units);
+    }
+    renderCurrentWeather(json, loc);
+    renderMapPins();
+    syncUrlState();
+    saveLastLocation();
+    return json;
+  } catch (err) {
+    // No network and nothing in the service worker cache. Favorites only
+    // keep a summary, which isn't enough to fill the weather card.
+    console.error("fetchWeather error", err);
+    if (statusMessage) {
+      statusMessage.textContent = navigator.onLine
+        ? "Failed to fetch weather. Please try again."
+        : "You are offline and there is no saved weather for this location.";
+      statusMessage.classList.add("status-warning");
+    }
+    return null;
+  }
+}
+
+/**
+ * Reverse geocodes coordinates to get location name.
+ * Uses the browser's geolocation API coordinates to get a city name.
+ *
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {Object|null} Location object with name, country, state, lat, lon
+ */
+async function reverseGeocode(lat, lon) {
+  if (isRateLimited()) return null;
+  try {
+    const url = `${API_BASE_URL}/api/reverse-geocode?lat=${encodeURIComponent(
+      lat
+    )}&lon=${encodeURIComponent(lon)}`;
+    const resp = await fetch(url);
+    if (resp.status === 429) {
+      startRateLimitCooldown(retryAfterMs(resp));
+      return null;
+    }
+    if (!resp.ok) {
+      console.error("Reverse geocode returned", resp.status);
+      return null;
+    }
+    const data = await resp.json();
+    // API returns an array, get the first (closest) result
+    const location = Array.isArray(data) ? data[0] : data;
+    if (location && location.name) {
+      return {
+        name: location.name,
+        country: location.country || "",
+        state: location.state || "",
+        lat: lat,
+        lon: lon,
+      };
+    }
+    return null;
+  } catch (err) {
+    console.error("reverseGeocode error", err);
+    return null;
+  }
+}
+
+/**
+ * Gets user's current location using browser's geolocation API,
+ * then reverse geocodes to get the location name and fetches weather.
+ */
+async function getUserLocation() {
+  if (!navigator.geolocation) {
+    if (statusMessage) {
+      statusMessage.textContent =
+        "Geolocation is not supported by your browser";
+      statusMessage.classList.add("status-warning");
+    }
+    return;
+  }
+
+  // Show loading state
+  if (geolocateBtn) {
+    geolocateBtn.classList.add("locating");
+    geolocateBtn.disabled = true;
+  }
+  if (statusMessage) {
+    statusMessage.textContent = "Getting your location...";
+    statusMessage.classList.remove("status-warning");
+  }
+
+  try {
+    // Get user's position
+    const position = await new Promise((resolve, reject) => {
+      navigator.geolocation.getCurrentPosition(resolve, reject, {
+        enableHighAccuracy: false,
+        timeout: 10000,
+        maximumAge: 300000, // Cache for 5 minutes
+      });
+    });
+
+    const { latitude, longitude } = position.coords;
+
+    // Reverse geocode to get location name
+    const location = await reverseGeocode(latitude, longitude);
+
+    if (location) {
+      // Update search input with location name
+      if (q) {
+        const displayName = location.state
+          ? `${location.name}, ${location.state}, ${location.country}`
+          : `${location.name}, ${location.country}`;
+        q.value = displayName;
+      }
+
+      // Store as selected location and fetch weather
+      lastSelectedLocation = location;
+      clearSuggestions();
+      if (statusMessage) {
+        statusMessage.textContent = "";
+      }
+      await fetchWeather(latitude, longitude, location);
+    } else {
+      // Fallback: use coordinates directly if reverse geocode fails
+      if (q) {
+        q.value = `${latitude.toFixed(4)}, ${longitude.toFixed(4)}`;
+      }
+      lastSelectedLocation = {
+        lat: latitude,
+        lon: longitude,
+        name: "Your Location",
+      };
+      if (statusMessage) {
+        statusMessage.textContent = "";
+      }
+      await fetchWeather(latitude, longitude, {
+        name: "Your Location",
+        lat: latitude,
+        lon: longitude,
+      });
+    }
+  } catch (err) {
+    console.error("Geolocation error:", err);
+    let errorMsg = "Unable to get your location";
+
+    switch (err.code) {
+      case err.PERMISSION_DENIED:
+        errorMsg =
+          "Location access was denied. Please enable location permissions.";
+        break;
+      case err.POSITION_UNAVAILABLE:
+        errorMsg = "Location information is unavailable.";
+        break;
+      case err.TIMEOUT:
+        errorMsg = "Location request timed out. Please try again.";
+        break;
+    }
+
+    if (statusMessage) {
+      statusMessage.textContent = errorMsg;
+      statusMessage.classList.add("status-warning");
+    }
+  } finally {
+    // Remove loading state
+    if (geolocateBtn) {
+      geolocateBtn.classList.remove("locating");
+      geolocateBtn.disabled = false;
+    }
+  }
+}
+
+/**
+ * Creates a new (empty) sync profile on the server.
+ * @returns {Promise<string>} The profile token
+ * @throws {Error} When the request fails
+ */
+async function createSyncProfile() {
+  const resp = await fetch(`${API_BASE_URL}/api/profiles`, { method: "POST" });
+  if (!resp.ok) throw new Error(`Profile create failed: ${resp.status}`);
+  const json = await resp.json();
+  return json.token;
+}
+
+/**
+ * Syncs favorites and preferences with the server profile (if sync is on).
+ * Sends everything with its timestamps; the server merges it with what
+ * other devices sent (last writer wins per favorite) and returns the
+ * result, which is then applied here.
+ * Calls made while a sync is running wait for it and then sync again.
+ * @returns {Promise<void>}
+ */
+async function syncFavorites() {
+  const token = localStorage.getItem(SYNC_TOKEN_KEY);
+  if (!token) {
+    setSyncStatus("off");
+    return;
+  }
+  if (syncInFlight) {
+    await syncInFlight;
+    return syncFavorites();
+  }
+
+  clearTimeout(syncTimer);
+  syncTimer = null;
+  setSyncStatus("syncing");
+
+  syncInFlight = (async () => {
+    const payload = buildSyncPayload();
+    try {
+      const resp = await fetch(`${API_BASE_URL}/api/profiles/me`, {
+        method: "PATCH",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${token}`,
+        },
+        body: JSON.stringify(payload),
+      });
+      if (resp.status === 401) {
+        // The code is unknown (mistyped, or the server's data was reset)
+        localStorage.removeItem(SYNC_TOKEN_KEY);
+        setSyncStatus(
+          "error",
+          "Sync code not recognized by the server. Sync is off."
+        );
+        return;
+      }
+      if (!resp.ok) throw new Error(`Sync failed: ${resp.status}`);
+      const profile = await resp.json();
+
+      // The server has the removals now; keep only ones made meanwhile
+      Object.keys(payload.favorites).forEach((key) => {
+        const sent = payload.favorites[key];
+        if (sent.deleted && favoriteTombstones[key] === sent.updatedAt) {
+          delete favoriteTombstones[key];
+        }
+      });
+
+      const wasFavorite = isFavorite(lastSelectedLocation);
+      const result = applySyncedProfile(profile);
+      renderSavedLocations();
+      if (result.units) {
+        // Refetches the weather card and all favorites in the new units
+        switchUnits(result.units);
+      } else {
+        if (result.changedKeys.length) refreshAllFavorites();
+        // Update the star on the weather card if this place was (un)favorited elsewhere
+        if (
+          lastWeatherPayload &&
+          lastSelectedLocation &&
+          wasFavorite !== isFavorite(lastSelectedLocation)
+        ) {
+          renderCurrentWeather(lastWeatherPayload, lastSelectedLocation);
+        }
+      }
+      setSyncStatus("synced");
+    } catch (err) {
+      console.error("Favorites sync failed:", err);
+      setSyncStatus(
+        "error",
+        navigator.onLine
+          ? "Sync failed. Will retry after the next change."
+          : "Offline. Will sync when back online."
+      );
+    }
+  })();
+
+  try {
+    await syncInFlight;
+  } finally {
+    syncInFlight = null;
+  }
+}
+
+/**
+ * Fetches weather summaries for many locations with one request to the
+ * batch endpoint. The proxy streams one JSON line per location as soon as
+ * it's ready, so `onResult` runs progressively, in completion order.
+ * A summary has the same fields as a full response, but only current
+ * conditions, an outline of each day in `daily` and the alerts.
+ * @param {Array<Object>} locations - [{ lat, lon }]
+ * @param {string} units - "metric" or "imperial"
+ * @param {Function} onResult - Called with { index, ok, stale, storedAt, data }
+ * @returns {Promise<boolean>} False when the request failed or was rate limited
+ */
+async function fetchWeatherBatch(locations, units, onResult) {
+  if (isRateLimited()) return false;
+  const resp = await fetch(`${API_BASE_URL}/api/weather/batch`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({
+      units,
+      locations: locations.map((l) => ({ lat: l.lat, lon: l.lon })),
+    }),
+  });
+  if (resp.status === 429) {
+    startRateLimitCooldown(retryAfterMs(resp));
+    return false;
+  }
+  if (!resp.ok || !resp.body) {
+    console.error("Weather batch returned", resp.status);
+    return false;
+  }
+
+  // Read the NDJSON stream chunk by chunk; a line can span two chunks
+  const reader = resp.body.getReader();
+  const decoder = new TextDecoder();
+  let buffered = "";
+  const handleLine = (line) => {
+    if (!line.trim()) return;
+    try {
+      onResult(JSON.parse(line));
+    } catch (err) {
+      console.error("Bad weather batch line", err);
+    }
+  };
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffered += decoder.decode(value, { stream: true });
+    const lines = buffered.split("\n");
+    buffered = lines.pop();
+    lines.forEach(handleLine);
+  }
+  handleLine(buffered + decoder.decode());
+  return true;
+}
+
+/**
+ * Updates the saved weather of the given favorites for the compare view,
+ * with one batch request. Stale results from the proxy are stored too, but
+ * keep their age, so they still count as not fresh.
+ * @param {Array<string>} keys - Location keys of favorites
+ * @returns {Promise<boolean>} False when the request failed or was rate limited
+ */
+async function fetchCompareWeather(keys) {
+  const favs = keys.map((key) => favorites[key]).filter(Boolean);
+  if (!favs.length) return true;
+  const units = getSelectedUnit() || "metric";
+  const ok = await fetchWeatherBatch(favs, units, (result) => {
+    const fav = favs[result.index];
+    if (!fav || !result.ok) return;
+    fav.weatherData = result.data;
+    fav.lastUpdated = result.stale ? result.storedAt : Date.now();
+    recordObservation(createLocationKey(fav), result.data, units);
+  });
+  saveFavorites();
+  return ok;
+}
+
+/**
+ * Opens the history database, creating it on first use. Readings are keyed
+ * by [location key, dt], so the same reading (e.g. again from the proxy's
+ * cache) is stored once.
+ * @returns {Promise<IDBDatabase>} Database
+ */
+function openHistoryDb() {
+  if (!historyDbPromise) {
+    historyDbPromise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error("IndexedDB is not available"));
+        return;
+      }
+      const request = indexedDB.open(HISTORY_DB_NAME, 1);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(HISTORY_STORE, {
+          keyPath: ["key", "dt"],
+        });
+        store.createIndex("dt", "dt");
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Try again on the next call instead of keeping the failure
+    historyDbPromise.catch(() => {
+      historyDbPromise = null;
+    });
+  }
+  return historyDbPromise;
+}
+
+/**
+ * Key range covering every reading of one location.
+ * @param {string} key - Location key
+ * @returns {IDBKeyRange} Range
+ */
+function historyKeyRange(key) {
+  return IDBKeyRange.bound([key, 0], [key, Infinity]);
+}
+
+/**
+ * Stores the current conditions of a favorite in the history and deletes
+ * readings older than HISTORY_MAX_AGE_MS. Failures are logged, not thrown:
+ * the history is a nice-to-have next to the weather itself.
+ * @param {string} key - Location key of the favorite
+ * @param {Object} payload - Weather data (full or summary)
+ * @param {string} units - Units the weather was fetched in
+ * @returns {Promise<void>}
+ */
+async function recordObservation(key, payload, units) {
+  const record = toHistoryRecord(key, payload, units);
+  if (!record) return;
+  try {
+    const db = await openHistoryDb();
+    await new Promise((resolve, reject) => {
+      const tx = db.transaction(HISTORY_STORE, "readwrite");
+      const store = tx.objectStore(HISTORY_STORE);
+      store.put(record);
+      const cutoff = Math.floor((Date.now() - HISTORY_MAX_AGE_MS) / 1000);
+      store
+        .index("dt")
+        .openCursor(IDBKeyRange.upperBound(cutoff, true)).onsuccess = (e) => {
+        const cursor = e.target.result;
+        if (cursor) {
+          cursor.delete();
+          cursor.continue();
+        }
+      };
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+  } catch (err) {
+    console.error("Failed to record weather history:", err);
+  }
+}
+
+/**
+ * Reads the recorded history of a location, oldest first.
+ * @param {string} key - Location key
+ * @returns {Promise<Array<Object>>} Readings (see toHistoryRecord)
+ */
+async function getHistory(key) {
+  const db = await openHistoryDb();
+  return new Promise((resolve, reject) => {
+    const request = db
+      .transaction(HISTORY_STORE)
+      .objectStore(HISTORY_STORE)
+      .getAll(historyKeyRange(key));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Deletes the recorded history of a location.
+ * @param {string} key - Location key
+ * @returns {Promise<void>}
+ */
+async function clearHistory(key) {
+  const db = await openHistoryDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(HISTORY_STORE, "readwrite");
+    tx.objectStore(HISTORY_STORE).delete(historyKeyRange(key));
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+/**
+ * Fetches the weather of one past day (hour by hour, plus the day's
+ * totals) from /api/history, in the selected units.
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {string} date - The location's local date, "YYYY-MM-DD"
+ * @returns {Promise<Object>} { data, units } on success, otherwise
+ *   { message } with text for the user
+ */
+async function fetchPastWeather(lat, lon, date) {
+  if (isRateLimited()) {
+    return { message: "Too many requests. Please wait a moment." };
+  }
+  const units = getSelectedUnit() || "metric";
+  const url = `${API_BASE_URL}/api/history?lat=${encodeURIComponent(
+    lat
+  )}&lon=${encodeURIComponent(lon)}&date=${encodeURIComponent(
+    date
+  )}&units=${encodeURIComponent(units)}`;
+  try {
+    const resp = await fetch(url);
+    if (resp.status === 429) {
+      startRateLimitCooldown(retryAfterMs(resp));
+      return { message: "Too many requests. Please wait a moment." };
+    }
+    if (resp.status === 501) {
+      return { message: "Past weather is not available on this server." };
+    }
+    if (!resp.ok) {
+      console.error("History proxy returned", resp.status);
+      return { message: "Failed to fetch the past weather." };
+    }
+    return { data: await resp.json(), units };
+  } catch (err) {
+    console.error("fetchPastWeather error", err);
+    return {
+      message: navigator.onLine
+        ? "Failed to fetch the past weather."
+        : "You are offline.",
+    };
+  }
+}
+
+/**
+ * Fetches the map's tile source from the proxy and remembers it for
+ * offline use. Keeps the stored configuration when the request fails.
+ * @returns {Promise<boolean>} True when the tile source changed
+ */
+async function loadMapConfig() {
+  try {
+    const resp = await fetch(`${API_BASE_URL}/api/map-config`);
+    if (!resp.ok) {
+      console.error("Map config returned", resp.status);
+      return false;
+    }
+    const config = normalizeMapConfig(await resp.json());
+    const changed =
+      config.tileUrl !== mapConfig.tileUrl ||
+      config.attribution !== mapConfig.attribution ||
+      config.maxZoom !== mapConfig.maxZoom;
+    mapConfig = config;
+    localStorage.setItem(MAP_CONFIG_KEY, JSON.stringify(config));
+    return changed;
+  } catch (err) {
+    console.error("loadMapConfig error", err);
+    return false;
+  }
+}
+
+// =====================================================================
+// === 7. RENDERING FUNCTIONS ===
+// === renderSuggestions, renderCurrentWeather, getHourlyDayIndexes, ===
+// === formatDayLabel, buildHourlyRowHtml, wireModalBackdrop, renderHourlyModal, ===
+// === showPastDay, renderPastDayModal, renderAlertsModal, ===
+// === renderImportModal, renderSyncModal, renderCompareModal, ===
+// === renderRulesModal, renderInboxModal, renderWeatherHistory, ===
+// === renderHistoryModal, buildChartSvg, renderWeatherCharts, ===
+// === renderMapPanel, renderMapPins, renderMap, announceSavedLocations, ===
+// === renderSavedLocations, refreshAllFavorites ===
+// =====================================================================
+// Functions that create and insert HTML into the page.
+// They take data and turn it into visible UI elements.
+
+/**
+ * Renders the autocomplete dropdown with location suggestions.
+ * Creates clickable items that users can select with mouse or keyboard.
+ *
+ * Accessibility features:
+ * - ARIA roles (listbox/option) for screen readers
+ * - aria-selected to indicate highlighted item
+ * - Keyboard navigation support (arrow keys, Enter, Escape)
+ *
+ * @param {Array} items - Array of location objects to display
+ */
+function renderSuggestions(items = []) {
+  if (!suggestionsEl) return;
+  suggestionsEl.innerHTML = "";
+  currentSuggestions = Array.isArray(items) ? items : [];
+
+  if (currentSuggestions.length === 0) {
+    const empty = document.createElement("div");
+    empty.className = "suggestion-item";
+    empty.textContent = "No matches";
+    empty.setAttribute("role", "option");
+    empty.setAttribute("aria-selected", "false");
+    suggestionsEl.appendChild(empty);
+    suggestionsEl.style.display = "block";
+    q.setAttribute("aria-expanded", "true");
+    return;
+  }
+
+  currentSuggestions.forEach((it, idx) => {
+    const el = document.createElement("div");
+    el.className = "suggestion-item";
+    el.setAttribute("role", "option");
+    el.setAttribute("data-idx", String(idx));
+    el.setAttribute("id", `suggestion-${idx}`);
+    el.setAttribute("aria-selected", "false");
+    const countryText = it.country
+      ? regionNames.of(it.country) || it.country
+      : "";
+    const stateText = it.state ? `, ${it.state}` : "";
+    el.innerHTML = `<span class="loc-name">${it.name}</span><span class="loc-meta">${countryText}${stateText}</span>`;
+    el.addEventListener("click", () => selectSuggestion(idx));
+    el.addEventListener("mousemove", () => setHighlight(idx));
+    suggestionsEl.appendChild(el);
+  });
+
+  suggestionsEl.style.display = "block";
+  q.setAttribute("aria-expanded", "true");
+  highlightedIndex = -1;
+}
+
+/**
+ * Renders the main weather display including current conditions and 7-day forecast.
+ * This is the largest function - it builds the entire weather card HTML.
+ *
+ * Displays:
+ * - Location name and country
+ * - Current temperature, feels-like, description
+ * - Precipitation amount and type (rain/snow), plus the one-hour nowcast
+ * - Wind speed, gusts, and direction
+ * - Humidity, pressure, UV index, dew point, visibility and cloud cover
+ * - Sunrise, sunset, daylight length and moon phase (also per forecast day)
+ * - 7-day forecast with daily highs/lows
+ * - Refresh button with cooldown timer
+ * - Banner for active weather alerts (opens the alerts modal)
+ * - "Offline – data from HH:MM" notice when showing cached data
+ *
+ * @param {Object} payload - Weather data from the API
+ * @param {Object} location - Location info (name, country, state, lat, lon)
+ */
+function renderCurrentWeather(payload, location = {}) {
+  const el = document.getElementById("current-weather");
+  if (!el) return;
+  if (!payload || !payload.current) {
+    el.innerHTML =
+      '<div class="controls-panel">No weather data available.</div>';
+    return;
+  }
+
+  const tz = payload.timezone_offset || 0;
+  const current = payload.current;
+  const iconCode =
+    current.weather && current.weather[0] && current.weather[0].icon;
+  const description =
+    current.weather && current.weather[0] && current.weather[0].description;
+
+  const descriptionsList = Array.isArray(current.weather)
+    ? current.weather
+        .map((w) => w && w.description)
+        .filter(Boolean)
+        .join(", ")
+    : "";
+  const precipDescriptionsList = Array.isArray(current.weather)
+    ? current.weather
+        .filter(
+          (w) =>
+            w &&
+            Number.isFinite(Number(w.id)) &&
+            PRECIP_WEATHER_IDS.includes(Number(w.id))
+        )
+        .map((w) => w && w.description)
+        .filter(Boolean)
+        .join(", ")
+    : "";
+
+  const temp = current.temp;
+  const feels = current.feels_like;
   const rainVal = (current.rain && current.rain["1h"]) || 0;
   const snowVal = (current.snow && current.snow["1h"]) || 0;
   const precip = rainVal + snowVal;
@@ -914,605 +3225,2663 @@ function renderCurrentWeather(payload, location = {}) {
   const windGust = Math.round(current.wind_gust || 0);
   const windDeg = current.wind_deg || 0;
 
-  const unit = getSelectedUnit() || "metric";
-  const hasSnow = !!current.snow;
-  const precipIconName = hasSnow ? "icon-snowflake" : "icon-drop";
-  const precipUnit = unit === "metric" ? "mm/h" : "in/h";
-  let precipValue = precip;
-  if (unit !== "metric") {
-    precipValue = (precipValue / 25.4).toFixed(1);
-  } else {
-    precipValue = precipValue.toFixed(1);
-  }
-  const precipIconSvg = `<svg class="icon"><use href="assets/sprite.svg#${precipIconName}"></use></svg>`;
+  const unit = getSelectedUnit() || "metric";
+
+  // Extra conditions. Pressure and visibility come in hPa/meters for
+  // both unit systems, so convert them here; dew point already follows `units`.
+  const humidity = Number.isFinite(Number(current.humidity))
+    ? Math.round(current.humidity)
+    : "--";
+  const clouds = Number.isFinite(Number(current.clouds))
+    ? Math.round(current.clouds)
+    : "--";
+  const uvi = Number.isFinite(Number(current.uvi))
+    ? Math.round(current.uvi)
+    : null;
+  const dewPoint = Number.isFinite(Number(current.dew_point))
+    ? Math.round(current.dew_point)
+    : null;
+  const pressureUnit = unit === "metric" ? "hPa" : "inHg";
+  let pressureValue = "--";
+  if (Number.isFinite(Number(current.pressure))) {
+    pressureValue =
+      unit === "metric"
+        ? String(Math.round(current.pressure))
+        : hPaToInHg(current.pressure);
+  }
+  const visibilityUnit = unit === "metric" ? "km" : "mi";
+  let visibilityValue = "--";
+  if (Number.isFinite(Number(current.visibility))) {
+    visibilityValue =
+      unit === "metric"
+        ? metersToKm(current.visibility)
+        : metersToMiles(current.visibility);
+  }
+
+  const hasSnow = !!current.snow;
+  const precipIconName = hasSnow ? "icon-snowflake" : "icon-drop";
+  const precipUnit = unit === "metric" ? "mm/h" : "in/h";
+  let precipValue = precip;
+  if (unit !== "metric") {
+    precipValue = (precipValue / 25.4).toFixed(1);
+  } else {
+    precipValue = precipValue.toFixed(1);
+  }
+  const precipIconSvg = `<svg class="icon"><use href="assets/sprite.svg#${precipIconName}"></use></svg>`;
+
+  // One-hour precipitation nowcast (only present when minutely was requested
+  // and the weather provider has nowcast coverage for the location)
+  const minutely = Array.isArray(payload.minutely) ? payload.minutely : [];
+  const freezing = unit === "metric" ? current.temp <= 0 : current.temp <= 32;
+  const nowcastSummary = summarizeMinutely(
+    minutely,
+    hasSnow || freezing ? "Snow" : "Rain"
+  );
+  // Bars are scaled against 4 mm/h (heavy rain), so light rain is still visible
+  const nowcastBarsHtml = minutely
+    .slice(0, 60)
+    .map((m, i) => {
+      const intensity = Math.min(1, Number(m.precipitation || 0) / 4);
+      const h = intensity > 0 ? Math.max(2, Math.round(intensity * 20)) : 0;
+      return h
+        ? `<rect class="nowcast__bar" x="${i * 2}" y="${
+            20 - h
+          }" width="2" height="${h}"></rect>`
+        : "";
+    })
+    .join("");
+
+  const tempUnit = unit === "metric" ? "°C" : "°F";
+  const windUnit = unit === "metric" ? "m/s" : "mph";
+  const tempUnitLabel =
+    tempUnit === "°C" ? "degrees Celsius" : "degrees Fahrenheit";
+
+  const nameText = location.name || "";
+  const countryText = location.country
+    ? regionNames.of(location.country) || location.country
+    : "";
+  const stateText = location.state ? `, ${location.state}` : "";
+
+  const payloadMs = Number(current.dt) * 1000;
+  const displayUserMs = lastFetchedTs || payloadMs;
+  const placeTimeOnly = formatTimeOnly(displayUserMs / 1000, tz);
+  const userLocalFull = formatUserLocalFullFromMs(displayUserMs);
+  const refreshDisabled = Date.now() < (refreshDisabledUntil || 0);
+  const iconUrlCurrent = iconCode
+    ? `https://openweathermap.org/img/wn/${iconCode}@4x.png`
+    : "";
+
+  const dir = windDirection(windDeg);
+  const shortDirection = dir.short;
+  const fullDirectionName = dir.full;
+
+  const dailyArr = Array.isArray(payload.daily)
+    ? payload.daily.slice(0, 7)
+    : [];
+  const dailyPrecipUnit = unit === "metric" ? "mm" : "in";
+
+  // Astronomy for today: sunrise/sunset from `current`, moon from daily[0]
+  const today = dailyArr[0] || {};
+  const hasSunToday = current.sunrise && current.sunset;
+  const daylightToday = hasSunToday ? current.sunset - current.sunrise : null;
+  const daylightChangeToday = daylightChangeSeconds(dailyArr, 0, payload.lat);
+  const moonToday = moonPhaseInfo(today.moon_phase);
+
+  const nowLocal = toLocalDate(Math.floor(Date.now() / 1000), tz);
+  const tomorrow = new Date(nowLocal.getTime());
+  tomorrow.setUTCDate(tomorrow.getUTCDate() + 1);
+
+  // Days covered by the 48-hour forecast get an "hourly forecast" button
+  const hourlyDayIndexes = getHourlyDayIndexes(payload);
+
+  const dailyItemsHtml = dailyArr
+    .map((dItem, idx) => {
+      const dateBase = formatCompactDate(dItem.dt, tz);
+      const itemDate = toLocalDate(dItem.dt, tz);
+      let dateLabel = dateBase;
+      if (isSameLocalDate(itemDate, nowLocal)) {
+        dateLabel = `Today (${dateBase})`;
+      } else if (isSameLocalDate(itemDate, tomorrow)) {
+        dateLabel = `Tomorrow (${dateBase})`;
+      }
+
+      const iconCode =
+        dItem.weather && dItem.weather[0] && dItem.weather[0].icon;
+      const iconUrl = iconCode
+        ? `https://openweathermap.org/img/wn/${iconCode}@2x.png`
+        : "";
+
+      const tmin =
+        dItem.temp && Number.isFinite(Number(dItem.temp.min))
+          ? Math.round(dItem.temp.min)
+          : 0;
+      const tmax =
+        dItem.temp && Number.isFinite(Number(dItem.temp.max))
+          ? Math.round(dItem.temp.max)
+          : 0;
+
+      const rainVal = Number(dItem.rain) || 0;
+      const snowVal = Number(dItem.snow) || 0;
+      const precipRaw = rainVal + snowVal;
+      let precipDisplay = "0.0";
+      if (unit !== "metric") {
+        precipDisplay = String(mmToInches(precipRaw));
+      } else {
+        precipDisplay = precipRaw.toFixed(1);
+      }
+
+      const pop = dItem.pop != null ? Math.round(Number(dItem.pop) * 100) : 0;
+      const wind_s =
+        dItem.wind_speed != null ? Math.round(dItem.wind_speed) : 0;
+      const wind_deg = dItem.wind_deg != null ? dItem.wind_deg : 0;
+      const wdir = windDirection(wind_deg);
+
+      const showHourly = hourlyDayIndexes.includes(idx);
+
+      // Astronomy row: sun and moon times in the location's timezone
+      const hasSun = dItem.sunrise && dItem.sunset;
+      const dayChange = daylightChangeSeconds(dailyArr, idx, payload.lat);
+      const moon = moonPhaseInfo(dItem.moon_phase);
+
+      return `
+        <li class="daily-weather-list-item">
+          <div class="daily-weather-list-item__date">${escapeHtml(
+            dateLabel
+          )}</div>
+          <div class="daily-weather-list-item__icon">${
+            iconUrl
+              ? `<img src="${iconUrl}" alt="${escapeHtml(
+                  (dItem.weather &&
+                    dItem.weather[0] &&
+                    dItem.weather[0].description) ||
+                    ""
+                )}">`
+              : ""
+          }</div>
+          <div class="daily-weather-list-item__temp"><strong>
+            <span class="temp-min ${tempColorClass(
+              tmin,
+              unit === "metric"
+            )}">${escapeHtml(String(tmin))}</span></strong>
+            <span class="temp-slash">/<strong></span>
+            <span class="temp-max ${tempColorClass(
+              tmax,
+              unit === "metric"
+            )}">${escapeHtml(String(tmax))}</span></strong>
+            <span class="weather-card__temp-unit" aria-label="${escapeHtml(
+              tempUnitLabel
+            )}">${escapeHtml(tempUnit)}</span>
+          </div>
+          <div class="daily-weather-list-item__precip">
+            <span>${escapeHtml(precipDisplay)} <abbr title="${escapeHtml(
+        unitLabel(dailyPrecipUnit)
+      )}">${escapeHtml(dailyPrecipUnit)}</abbr></span>
+          </div>
+          <div class="daily-weather-list-item__pop"><span>${escapeHtml(
+            String(pop)
+          )} %</span></div>
+          <div class="daily-weather-list-item__wind">
+            <span class="wind-speed">${escapeHtml(
+              String(wind_s)
+            )} <abbr title="${escapeHtml(
+        windUnitLabel(windUnit)
+      )}">${escapeHtml(windUnit)}</abbr></span>
+            <div class="wind-arrow" data-rotate="${escapeHtml(
+              String(wind_deg)
+            )}">
+              <svg class="icon" style="transform: rotate(${wind_deg}deg)"><use href="assets/sprite.svg#icon-arrow-down"></use></svg>
+            </div>
+            <span class="wind-dir">from <span aria-label="${escapeHtml(
+              wdir.full
+            )}">${escapeHtml(wdir.short)}</span></span>
+          </div>
+          ${
+            showHourly
+              ? `<div class="daily-weather-list-item__h_button"><button class="h-btn" data-day-index="${idx}"><div>hourly forecast</div></button></div>`
+              : ""
+          }
+          <div class="daily-weather-list-item__astro">
+            <span class="astro-item">
+              <svg class="icon" aria-hidden="true"><use href="assets/sprite.svg#icon-sun"></use></svg>
+              ${escapeHtml(formatClockTime(dItem.sunrise, tz))}–${escapeHtml(
+        formatClockTime(dItem.sunset, tz)
+      )}
+              ${
+                hasSun
+                  ? `(${escapeHtml(
+                      formatDuration(dItem.sunset - dItem.sunrise)
+                    )}${
+                      dayChange != null
+                        ? `, ${escapeHtml(formatDaylightChange(dayChange))}`
+                        : ""
+                    })`
+                  : ""
+              }
+            </span>
+            <span class="astro-item">
+              <svg class="icon" role="img" aria-label="${escapeHtml(
+                moon.name
+              )}"><use href="assets/sprite.svg#${moon.icon}"></use></svg>
+              ${escapeHtml(formatClockTime(dItem.moonrise, tz))}–${escapeHtml(
+        formatClockTime(dItem.moonset, tz)
+      )}
+              <span class="astro-item__label">${escapeHtml(moon.name)}</span>
+            </span>
+          </div>
+        </li>
+      `;
+    })
+    .join("\n");
+
+  // Check if current location is a favorite
+  const isCurrentFavorite = isFavorite(location);
+  const starIcon = isCurrentFavorite ? "icon-star-filled" : "icon-star";
+  const starLabel = isCurrentFavorite
+    ? "Remove from favorites"
+    : "Add to favorites";
+  const favoritesAtLimit = !isCurrentFavorite && isFavoritesFull();
+
+  // Alerts banner - one line per active alert, the whole banner opens details
+  const activeAlerts = getActiveAlerts(payload);
+  const alertsBannerHtml = activeAlerts.length
+    ? `
+    <button type="button" class="weather-alerts-banner" id="weather-alerts-banner" aria-haspopup="dialog">
+      <svg class="icon" aria-hidden="true"><use href="assets/sprite.svg#icon-warning"></use></svg>
+      <span class="weather-alerts-banner__list">
+        ${activeAlerts
+          .map(
+            (a) => `
+          <span class="weather-alerts-banner__item">
+            <strong>${escapeHtml(a.event || "Weather alert")}</strong>
+            <span class="weather-alerts-banner__meta">${escapeHtml(
+              a.sender_name || ""
+            )} · ${escapeHtml(formatTimeOnly(a.start, tz))} – ${escapeHtml(
+              formatTimeOnly(a.end, tz)
+            )}</span>
+          </span>`
+          )
+          .join("")}
+      </span>
+      <span class="weather-alerts-banner__more">Details</span>
+    </button>`
+    : "";
+
+  // Offline notice when the data came from a cache rather than the network
+  let offlineNoticeHtml = "";
+  if (showingOfflineData || showingStaleData) {
+    offlineNoticeHtml = `<div class="weather-card__offline" role="status">${escapeHtml(
+      showingOfflineData
+        ? formatLastUpdatedTime(lastFetchedTs, "Offline – data from")
+        : formatLastUpdatedTime(
+            lastFetchedTs,
+            "Weather service not responding – showing cached data from"
+          )
+    )}</div>`;
+  }
+
+  el.innerHTML = `${offlineNoticeHtml}${alertsBannerHtml}
+    <div class="weather-card__header">
+      <div class="weather-card__header-left">
+        <div class="weather-card__title-row">
+          <h3 class="weather-card__title">${escapeHtml(nameText)}</h3>
+          <button class="weather-card__favorite ${
+            isCurrentFavorite ? "is-favorite" : ""
+          }" 
+                  aria-label="${starLabel}" 
+                  id="weather-favorite-btn"
+                  ${
+                    favoritesAtLimit
+                      ? `title="Maximum ${getMaxFavorites()} favorites reached"`
+                      : ""
+                  }>
+            <svg class="icon" width="20" height="20"><use href="assets/sprite.svg#${starIcon}"></use></svg>
+          </button>
+        </div>
+        <div class="weather-card__subtitle">${escapeHtml(
+          countryText
+        )}${escapeHtml(stateText)}</div>
+      </div>
+      <div class="weather-card__header-right">
+        ${ageIndicatorHtml(lastFetchedTs)}
+        <button class="weather-card__refresh" aria-label="Refresh weather" id="weather-refresh-btn" ${
+          refreshDisabled ? "disabled" : ""
+        }>
+          <svg class="icon" width="20" height="20"><use href="assets/sprite.svg#icon-refresh"></use></svg>
+        </button>
+      </div>
+    </div>
+    <div class="weather-card__meta-row"><strong>Current weather - ${escapeHtml(
+      descriptionsList || "No description"
+    )} -</strong> (Last updated: ${escapeHtml(
+    userLocalFull
+  )} (Local time ${escapeHtml(placeTimeOnly)})) </div>
+    <div class="weather-card__history" id="weather-history" hidden></div>
+    <div class="weather-card__body">
+      <div class="weather-card__tile">
+        <div class="weather-card__tile-top-row">
+          <div class="weather-card__tile-icon">${
+            iconUrlCurrent
+              ? `<img class="weather-symbol__img" src="${iconUrlCurrent}" alt="${escapeHtml(
+                  description || ""
+                )}">`
+              : ""
+          }</div>
+          <div class="weather-card__tile-main-info"></div>
+        </div>
+      </div>
+
+      <div class="weather-card__tile">
+        <div class="weather-card__tile-top-row">
+          <div class="weather-card__tile-icon">
+            <svg class="icon"><use href="assets/sprite.svg#icon-thermometer"></use></svg>
+          </div>
+          <div class="weather-card__tile-main-info ${tempColorClass(
+            Math.round(temp),
+            unit === "metric"
+          )}">
+            ${Math.round(
+              temp
+            )}<span class="weather-card__temp-unit" aria-label="${escapeHtml(
+    tempUnitLabel
+  )}">${tempUnit}</span>
+          </div>
+        </div>
+        <div class="weather-card__tile-bottom-row">
+          <div class="weather-card__tile-support-info ${tempColorClass(
+            Math.round(feels),
+            unit === "metric"
+          )}">
+            Feels like ${Math.round(feels)}${tempUnit}
+          </div>
+        </div>
+      </div>
+
+      <div class="weather-card__tile">
+        <div class="weather-card__tile-top-row">
+          <div class="weather-card__tile-icon">${precipIconSvg}</div>
+          <div class="weather-card__tile-main-info">
+            ${precipValue}
+            <abbr title="${escapeHtml(unitLabel(precipUnit))}">${escapeHtml(
+    precipUnit
+  )}</abbr>
+          </div>
+        </div>
+        <div class="weather-card__tile-bottom-row">
+          <div class="weather-card__tile-support-info">${escapeHtml(
+            precipDescriptionsList || "No precipitation"
+          )}</div>
+          ${
+            nowcastSummary
+              ? `<div class="nowcast">
+            <svg class="nowcast__strip" viewBox="0 0 120 20" preserveAspectRatio="none" aria-hidden="true">
+              <line class="nowcast__baseline" x1="0" x2="120" y1="19.5" y2="19.5"></line>
+              ${nowcastBarsHtml}
+            </svg>
+            <div class="nowcast__scale" aria-hidden="true"><span>Now</span><span>60 min</span></div>
+            <div class="weather-card__tile-support-info nowcast__summary">${escapeHtml(
+              nowcastSummary
+            )}</div>
+          </div>`
+              : ""
+          }
+        </div>
+      </div>
+
+      <div class="weather-card__tile">
+        <div class="weather-card__tile-top-row">
+          <div class="weather-card__tile-icon">
+            <svg class="icon"><use href="assets/sprite.svg#icon-wind"></use></svg>
+          </div>
+          <div class="weather-card__tile-main-info">${windSpeed}<abbr title="${escapeHtml(
+    windUnitLabel(windUnit)
+  )}"> ${escapeHtml(windUnit)}</abbr></div>
+        </div>
+        <div class="weather-card__tile-bottom-row">
+          <div class="weather-card__tile-support-info">
+            (${windGust}) <abbr title="${escapeHtml(
+    windUnitLabel(windUnit)
+  )}">${escapeHtml(windUnit)}</abbr>
+          </div>
+          <div class="weather-card__tile-support-info">
+            <div class="weather-card__wind-arrow">
+              <svg class="icon" style="transform: rotate(${windDeg}deg)">
+                <use href="assets/sprite.svg#icon-arrow-down"></use>
+              </svg>
+            </div>
+            from
+            <span aria-label="${escapeHtml(fullDirectionName)}">${escapeHtml(
+    shortDirection
+  )}</span>
+          </div>
+        </div>
+      </div>
+    </div>
+    <div class="weather-card__body weather-card__body--details">
+      <div class="weather-card__tile">
+        <div class="weather-card__tile-top-row">
+          <div class="weather-card__tile-icon">
+            <svg class="icon"><use href="assets/sprite.svg#icon-humidity"></use></svg>
+          </div>
+          <div class="weather-card__tile-main-info">${escapeHtml(
+            String(humidity)
+          )}<abbr title="percent"> %</abbr></div>
+        </div>
+        <div class="weather-card__tile-bottom-row">
+          <div class="weather-card__tile-support-info">Humidity</div>
+        </div>
+      </div>
+
+      <div class="weather-card__tile">
+        <div class="weather-card__tile-top-row">
+          <div class="weather-card__tile-icon">
+            <svg class="icon"><use href="assets/sprite.svg#icon-gauge"></use></svg>
+          </div>
+          <div class="weather-card__tile-main-info">${escapeHtml(
+            pressureValue
+          )}<abbr title="${escapeHtml(
+    pressureUnitLabel(pressureUnit)
+  )}"> ${escapeHtml(pressureUnit)}</abbr></div>
+        </div>
+        <div class="weather-card__tile-bottom-row">
+          <div class="weather-card__tile-support-info">Pressure</div>
+        </div>
+      </div>
+
+      <div class="weather-card__tile">
+        <div class="weather-card__tile-top-row">
+          <div class="weather-card__tile-icon">
+            <svg class="icon"><use href="assets/sprite.svg#icon-sun"></use></svg>
+          </div>
+          <div class="weather-card__tile-main-info ${
+            uvi != null ? uvColorClass(uvi) : ""
+          }">${uvi != null ? escapeHtml(String(uvi)) : "--"}</div>
+        </div>
+        <div class="weather-card__tile-bottom-row">
+          <div class="weather-card__tile-support-info">
+            UV index${
+              uvi != null
+                ? ` – <span class="${uvColorClass(uvi)}">${escapeHtml(
+                    uvRiskLabel(uvi)
+                  )}</span>`
+                : ""
+            }
+          </div>
+        </div>
+      </div>
+
+      <div class="weather-card__tile">
+        <div class="weather-card__tile-top-row">
+          <div class="weather-card__tile-icon">
+            <svg class="icon"><use href="assets/sprite.svg#icon-drop"></use></svg>
+          </div>
+          <div class="weather-card__tile-main-info ${
+            dewPoint != null ? tempColorClass(dewPoint, unit === "metric") : ""
+          }">${
+    dewPoint != null
+      ? `${escapeHtml(
+          String(dewPoint)
+        )}<span class="weather-card__temp-unit" aria-label="${escapeHtml(
+          tempUnitLabel
+        )}">${tempUnit}</span>`
+      : "--"
+  }</div>
+        </div>
+        <div class="weather-card__tile-bottom-row">
+          <div class="weather-card__tile-support-info">Dew point</div>
+        </div>
+      </div>
+
+      <div class="weather-card__tile">
+        <div class="weather-card__tile-top-row">
+          <div class="weather-card__tile-icon">
+            <svg class="icon"><use href="assets/sprite.svg#icon-eye"></use></svg>
+          </div>
+          <div class="weather-card__tile-main-info">${escapeHtml(
+            visibilityValue
+          )}<abbr title="${escapeHtml(
+    distanceUnitLabel(visibilityUnit)
+  )}"> ${escapeHtml(visibilityUnit)}</abbr></div>
+        </div>
+        <div class="weather-card__tile-bottom-row">
+          <div class="weather-card__tile-support-info">Visibility</div>
+        </div>
+      </div>
+
+      <div class="weather-card__tile">
+        <div class="weather-card__tile-top-row">
+          <div class="weather-card__tile-icon">
+            <svg class="icon"><use href="assets/sprite.svg#icon-cloud"></use></svg>
+          </div>
+          <div class="weather-card__tile-main-info">${escapeHtml(
+            String(clouds)
+          )}<abbr title="percent"> %</abbr></div>
+        </div>
+        <div class="weather-card__tile-bottom-row">
+          <div class="weather-card__tile-support-info">Cloud cover</div>
+        </div>
+      </div>
+    </div>
+    <div class="weather-card__meta-row"><strong>Sun and moon</strong></div>
+    <div class="weather-card__astro">
+      <div class="weather-card__astro-item">
+        <span class="weather-card__astro-label">Sunrise</span>
+        <time>${escapeHtml(formatClockTime(current.sunrise, tz))}</time>
+      </div>
+      <div class="weather-card__astro-item">
+        <span class="weather-card__astro-label">Sunset</span>
+        <time>${escapeHtml(formatClockTime(current.sunset, tz))}</time>
+      </div>
+      <div class="weather-card__astro-item">
+        <span class="weather-card__astro-label">Daylight</span>
+        <span>${
+          daylightToday != null
+            ? escapeHtml(formatDuration(daylightToday))
+            : "--"
+        }</span>
+        ${
+          daylightChangeToday != null
+            ? `<span class="weather-card__astro-support">${escapeHtml(
+                formatDaylightChange(daylightChangeToday)
+              )} vs yesterday</span>`
+            : ""
+        }
+      </div>
+      <div class="weather-card__astro-item">
+        <span class="weather-card__astro-label">Moon</span>
+        <svg class="icon" role="img" aria-label="${escapeHtml(
+          moonToday.name
+        )}"><use href="assets/sprite.svg#${moonToday.icon}"></use></svg>
+        <span class="weather-card__astro-support">${escapeHtml(
+          moonToday.name
+        )}</span>
+        <span class="weather-card__astro-support">Rise ${escapeHtml(
+          formatClockTime(today.moonrise, tz)
+        )} · Set ${escapeHtml(formatClockTime(today.moonset, tz))}</span>
+      </div>
+    </div>
+  `;
+
+  try {
+    const dailyHtml = `
+      <div class="weather-card__meta-row"><strong>Forecast for 7 days</strong></div>
+      <div class="daily-weather-list">
+        <div class="daily-weather-list__headers">
+          <div class="daily-weather-list__forecast-headers">
+            <span class="daily-weather-list__header">Weather</span>
+            <span class="daily-weather-list__header">Temp. min/max</span>
+            <span class="daily-weather-list__header">Precip.</span>
+            <span class="daily-weather-list__header">Precip. chance</span>
+            <span class="daily-weather-list__header">Wind</span>
+          </div>
+        </div>
+        <ol class="daily-weather-list__daily">
+          ${dailyItemsHtml}
+        </ol>
+      </div>
+    `;
+    el.insertAdjacentHTML("beforeend", dailyHtml);
+  } catch (e) {
+    console.error("Failed to render daily forecast:", e);
+  }
+
+  // Past weather lookup: any day up to yesterday in the location's time
+  const maxPastDate = toLocalDate(Math.floor(Date.now() / 1000) - 86400, tz)
+    .toISOString()
+    .slice(0, 10);
+  el.insertAdjacentHTML(
+    "beforeend",
+    `<div class="weather-card__meta-row"><strong>Past weather</strong></div>
+    <form class="weather-card__past" id="weather-past-form">
+      <label for="weather-past-date">Weather on</label>
+      <input type="date" id="weather-past-date" required min="${PAST_WEATHER_MIN_DATE}" max="${maxPastDate}" value="${maxPastDate}">
+      <button type="submit" class="weather-card__past-button" aria-haspopup="dialog">Show</button>
+      <span class="weather-card__past-status" id="weather-past-status" role="status"></span>
+    </form>`
+  );
+  document
+    .getElementById("weather-past-form")
+    .addEventListener("submit", (e) => {
+      e.preventDefault();
+      const input = document.getElementById("weather-past-date");
+      if (!input.checkValidity()) {
+        input.reportValidity();
+        return;
+      }
+      showPastDay(
+        {
+          lat: payload.lat,
+          lon: payload.lon,
+          name: nameText,
+          maxDate: maxPastDate,
+        },
+        input.value
+      );
+    });
+
+  // Charts section (filled by renderWeatherCharts)
+  el.insertAdjacentHTML(
+    "beforeend",
+    `<div class="weather-card__meta-row"><strong>Charts</strong></div>
+    <div class="weather-charts" id="weather-charts"></div>`
+  );
+  renderWeatherCharts();
+
+  // Data source credit (the proxy adds the provider that answered)
+  const attribution = payload.provider && payload.provider.attribution;
+  if (attribution) {
+    el.insertAdjacentHTML(
+      "beforeend",
+      `<p class="weather-card__attribution">
+        <a href="${escapeHtml(
+          attribution.url
+        )}" target="_blank" rel="noopener">${escapeHtml(attribution.text)}</a>
+      </p>`
+    );
+  }
+
+  // Comparison with yesterday and the history view (favorites only, since
+  // only they are recorded)
+  if (isCurrentFavorite) {
+    renderWeatherHistory(createLocationKey(location), payload, unit);
+  }
+
+  // Wire refresh button with cooldown
+  const refreshBtn = document.getElementById("weather-refresh-btn");
+  if (refreshBtn) {
+    const setCooldown = (ms = REFRESH_COOLDOWN_MS) => {
+      const now = Date.now();
+      refreshDisabledUntil = now + ms;
+      const curBtn = document.getElementById("weather-refresh-btn");
+      if (curBtn) {
+        try {
+          curBtn.setAttribute("disabled", "true");
+        } catch (e) {}
+        curBtn.classList.add("disabled");
+      }
+      setTimeout(() => {
+        refreshDisabledUntil = 0;
+        const b = document.getElementById("weather-refresh-btn");
+        if (b) {
+          try {
+            b.removeAttribute("disabled");
+          } catch (e) {}
+          b.classList.remove("disabled");
+        }
+      }, ms);
+    };
+
+    refreshBtn.addEventListener("click", () => {
+      if (refreshBtn.hasAttribute("disabled")) return;
+      if (
+        lastSelectedLocation &&
+        lastSelectedLocation.lat &&
+        lastSelectedLocation.lon
+      ) {
+        setCooldown();
+        fetchWeather(
+          lastSelectedLocation.lat,
+          lastSelectedLocation.lon,
+          lastSelectedLocation
+        );
+      }
+    });
+  }
+
+  // Wire hourly forecast buttons to open the modal
+  const hourlyBtns = el.querySelectorAll(".h-btn[data-day-index]");
+  hourlyBtns.forEach((btn) => {
+    btn.addEventListener("click", () => {
+      const dayIndex = parseInt(btn.getAttribute("data-day-index"), 10);
+      if (!isNaN(dayIndex)) {
+        renderHourlyModal(dayIndex);
+      }
+    });
+  });
+
+  // Wire alerts banner to open the alerts modal
+  const alertsBanner = document.getElementById("weather-alerts-banner");
+  if (alertsBanner) {
+    alertsBanner.addEventListener("click", () => {
+      renderAlertsModal();
+    });
+  }
+
+  // Wire favorite button to toggle favorite status
+  const favoriteBtn = document.getElementById("weather-favorite-btn");
+  if (favoriteBtn && location && location.name) {
+    favoriteBtn.addEventListener("click", () => {
+      const isNowFavorite = isFavorite(location);
+      if (isNowFavorite) {
+        // Remove from favorites
+        removeFavorite(location);
+        renderSavedLocations();
+        // Update button appearance
+        favoriteBtn.classList.remove("is-favorite");
+        favoriteBtn.setAttribute("aria-label", "Add to favorites");
+        favoriteBtn.innerHTML = `<svg class="icon" width="20" height="20"><use href="assets/sprite.svg#icon-star"></use></svg>`;
+      } else {
+        // Try to add to favorites
+        if (isFavoritesFull()) {
+          alert(
+            `Maximum ${getMaxFavorites()} favorites reached. Remove one first or raise the limit under your saved locations.`
+          );
+          return;
+        }
+        addFavorite(location, payload);
+        renderSavedLocations();
+        // Update button appearance
+        favoriteBtn.classList.add("is-favorite");
+        favoriteBtn.setAttribute("aria-label", "Remove from favorites");
+        favoriteBtn.innerHTML = `<svg class="icon" width="20" height="20"><use href="assets/sprite.svg#icon-star-filled"></use></svg>`;
+      }
+    });
+  }
+}
+
+/**
+ * Formats an hour (0-23) as a readable time string.
+ * Example: 9 -> "09:00", 14 -> "14:00"
+ * @param {number} hour - Hour value (0-23)
+ * @returns {string} Formatted time like "09:00"
+ */
+function formatHour(hour) {
+  return String(hour).padStart(2, "0") + ":00";
+}
+
+/**
+ * Returns the indexes of the `daily` entries that have hourly data.
+ * The hourly forecast covers 48 hours, so depending on the time of day
+ * this is two or three calendar days (today, tomorrow, day after).
+ * @param {Object} payload - Weather data from the API
+ * @returns {Array<number>} Daily indexes with at least one hourly entry
+ */
+function getHourlyDayIndexes(payload) {
+  if (!payload || !Array.isArray(payload.daily) || !payload.hourly) return [];
+  const tz = payload.timezone_offset || 0;
+  const hourlyDates = payload.hourly.map((h) => toLocalDate(h.dt, tz));
+  const out = [];
+  payload.daily.forEach((d, idx) => {
+    const dayDate = toLocalDate(d.dt, tz);
+    if (hourlyDates.some((hd) => isSameLocalDate(hd, dayDate))) {
+      out.push(idx);
+    }
+  });
+  return out;
+}
+
+/**
+ * Builds the label for a forecast day, e.g. "Today, Mon, Dec 2".
+ * @param {number} dtSeconds - Any timestamp within the day (seconds)
+ * @param {number} tz - Timezone offset in seconds
+ * @returns {string} Day label with "Today"/"Tomorrow" prefix where it applies
+ */
+function formatDayLabel(dtSeconds, tz) {
+  const dayDate = toLocalDate(dtSeconds, tz);
+  const dateLabel = formatCompactDate(dtSeconds, tz);
+  const nowLocal = toLocalDate(Math.floor(Date.now() / 1000), tz);
+  const tomorrow = new Date(nowLocal.getTime());
+  tomorrow.setUTCDate(tomorrow.getUTCDate() + 1);
+
+  if (isSameLocalDate(dayDate, nowLocal)) return `Today, ${dateLabel}`;
+  if (isSameLocalDate(dayDate, tomorrow)) return `Tomorrow, ${dateLabel}`;
+  return dateLabel;
+}
 
+/**
+ * Builds one row of the hourly table (time, weather, temperature,
+ * precipitation, wind). Shared by the hourly forecast and the past day view.
+ * @param {Object} h - Hourly entry
+ * @param {number} tz - Timezone offset in seconds
+ * @param {string} unit - Units the entry is in ("metric" or "imperial")
+ * @returns {string} Table row HTML
+ */
+function buildHourlyRowHtml(h, tz, unit) {
   const tempUnit = unit === "metric" ? "°C" : "°F";
-  const windUnit = unit === "metric" ? "m/s" : "mph";
   const tempUnitLabel =
     tempUnit === "°C" ? "degrees Celsius" : "degrees Fahrenheit";
+  const precipUnit = unit === "metric" ? "mm/h" : "in/h";
+  const windUnit = unit === "metric" ? "m/s" : "mph";
 
-  const nameText = location.name || "";
-  const countryText = location.country
-    ? regionNames.of(location.country) || location.country
-    : "";
-  const stateText = location.state ? `, ${location.state}` : "";
+  const hourDate = toLocalDate(h.dt, tz);
+  const hour = hourDate.getUTCHours();
+  const timeStr = formatHour(hour);
 
-  const payloadMs = Number(current.dt) * 1000;
-  const displayUserMs = lastFetchedTs || payloadMs;
-  const placeTimeOnly = formatTimeOnly(displayUserMs / 1000, tz);
-  const userLocalFull = formatUserLocalFullFromMs(displayUserMs);
-  const refreshDisabled = Date.now() < (refreshDisabledUntil || 0);
-  const iconUrlCurrent = iconCode
-    ? `https://openweathermap.org/img/wn/${iconCode}@4x.png`
+  // Weather icon
+  const iconCode = h.weather && h.weather[0] && h.weather[0].icon;
+  const iconUrl = iconCode
+    ? `https://openweathermap.org/img/wn/${iconCode}.png`
     : "";
+  const weatherDesc =
+    (h.weather && h.weather[0] && h.weather[0].description) || "";
 
-  const dir = windDirection(windDeg);
-  const shortDirection = dir.short;
-  const fullDirectionName = dir.full;
+  // Temperature
+  const temp = Math.round(h.temp);
 
-  const dailyArr = Array.isArray(payload.daily)
-    ? payload.daily.slice(0, 7)
-    : [];
-  const dailyPrecipUnit = unit === "metric" ? "mm" : "in";
+  // Precipitation (rain + snow, same logic as daily)
+  const rainVal = (h.rain && h.rain["1h"]) || 0;
+  const snowVal = (h.snow && h.snow["1h"]) || 0;
+  const precipRaw = rainVal + snowVal;
+  let precipDisplay = "0.0";
+  if (unit !== "metric") {
+    precipDisplay = (precipRaw / 25.4).toFixed(1);
+  } else {
+    precipDisplay = precipRaw.toFixed(1);
+  }
 
-  const nowLocal = toLocalDate(Math.floor(Date.now() / 1000), tz);
-  const tomorrow = new Date(nowLocal.getTime());
-  tomorrow.setUTCDate(tomorrow.getUTCDate() + 1);
+  // Wind
+  const windSpeed = Math.round(h.wind_speed || 0);
+  const windDeg = h.wind_deg || 0;
+  const wdir = windDirection(windDeg);
+
+  return `
+      <tr>
+        <td><time datetime="${escapeHtml(
+          hourDate.toISOString().slice(0, 16)
+        )}">${escapeHtml(timeStr)}</time></td>
+        <td>${
+          iconUrl
+            ? `<img class="hourly-weather-table__icon" src="${iconUrl}" alt="${escapeHtml(
+                weatherDesc
+              )}">`
+            : ""
+        }</td>
+        <td class="${tempColorClass(temp, unit === "metric")}">
+          ${escapeHtml(String(temp))}<span aria-label="${escapeHtml(
+    tempUnitLabel
+  )}">${escapeHtml(tempUnit)}</span>
+        </td>
+        <td>${escapeHtml(precipDisplay)} <abbr title="${escapeHtml(
+    unitLabel(precipUnit)
+  )}">${escapeHtml(precipUnit)}</abbr></td>
+        <td>
+          <div class="hourly-weather-table__wind">
+            <span>${escapeHtml(String(windSpeed))} <abbr title="${escapeHtml(
+    windUnitLabel(windUnit)
+  )}">${escapeHtml(windUnit)}</abbr></span>
+            <div class="hourly-weather-table__wind-arrow">
+              <svg class="icon" style="transform: rotate(${windDeg}deg)">
+                <use href="assets/sprite.svg#icon-arrow-down"></use>
+              </svg>
+            </div>
+            <span aria-label="${escapeHtml(wdir.full)}">${escapeHtml(
+    wdir.short
+  )}</span>
+          </div>
+        </td>
+      </tr>
+    `;
+}
 
-  const dailyItemsHtml = dailyArr
-    .map((dItem, idx) => {
-      const dateBase = formatCompactDate(dItem.dt, tz);
-      const itemDate = toLocalDate(dItem.dt, tz);
-      let dateLabel = dateBase;
-      if (isSameLocalDate(itemDate, nowLocal)) {
-        dateLabel = `Today (${dateBase})`;
-      } else if (isSameLocalDate(itemDate, tomorrow)) {
-        dateLabel = `Tomorrow (${dateBase})`;
-      }
+/**
+ * Closes a modal on a backdrop click or Escape (browsers handle Escape for
+ * <dialog> already, but just in case). Renderers call it on every render;
+ * the dialog element survives re-renders, so the handlers are added once.
+ * @param {HTMLDialogElement} modal - The modal's dialog element
+ */
+function wireModalBackdrop(modal) {
+  if (modal.dataset.wired) return;
+  modal.dataset.wired = "true";
+  modal.addEventListener("click", (e) => {
+    if (e.target === modal) {
+      modal.close();
+    }
+  });
+  modal.addEventListener("keydown", (e) => {
+    if (e.key === "Escape") {
+      modal.close();
+    }
+  });
+}
 
-      const iconCode =
-        dItem.weather && dItem.weather[0] && dItem.weather[0].icon;
-      const iconUrl = iconCode
-        ? `https://openweathermap.org/img/wn/${iconCode}@2x.png`
-        : "";
+/**
+ * Renders and opens the hourly forecast modal.
+ * Shows the whole 48-hour forecast as one continuous timeline with a
+ * separator row at each midnight, and scrolls to the selected day.
+ * Previous/next buttons in the header step between the days.
+ *
+ * @param {number} dayIndex - Index of the day (0 = today, 1 = tomorrow, etc.)
+ */
+function renderHourlyModal(dayIndex) {
+  const modal = document.getElementById("hourly-modal");
+  if (!modal || !lastWeatherPayload || !lastWeatherPayload.hourly) {
+    console.error("Cannot render hourly modal: missing modal element or data");
+    return;
+  }
 
-      const tmin =
-        dItem.temp && Number.isFinite(Number(dItem.temp.min))
-          ? Math.round(dItem.temp.min)
-          : 0;
-      const tmax =
-        dItem.temp && Number.isFinite(Number(dItem.temp.max))
-          ? Math.round(dItem.temp.max)
-          : 0;
+  const tz = lastWeatherPayload.timezone_offset || 0;
+  const dailyArr = lastWeatherPayload.daily || [];
+  const hourlyArr = lastWeatherPayload.hourly || [];
 
-      const rainVal = Number(dItem.rain) || 0;
-      const snowVal = Number(dItem.snow) || 0;
-      const precipRaw = rainVal + snowVal;
-      let precipDisplay = "0.0";
-      if (unit !== "metric") {
-        precipDisplay = String(mmToInches(precipRaw));
-      } else {
-        precipDisplay = precipRaw.toFixed(1);
-      }
+  // Get the selected day's data for the header
+  const selectedDay = dailyArr[dayIndex];
+  if (!selectedDay) {
+    console.error("No daily data for index", dayIndex);
+    return;
+  }
 
-      const pop = dItem.pop != null ? Math.round(Number(dItem.pop) * 100) : 0;
-      const wind_s =
-        dItem.wind_speed != null ? Math.round(dItem.wind_speed) : 0;
-      const wind_deg = dItem.wind_deg != null ? dItem.wind_deg : 0;
-      const wdir = windDirection(wind_deg);
+  // Only days covered by the hourly forecast can be stepped to
+  const dayIndexes = getHourlyDayIndexes(lastWeatherPayload);
+  const position = dayIndexes.indexOf(dayIndex);
+  if (position === -1) {
+    console.warn("No hourly data available for day index", dayIndex);
+    return;
+  }
+  const prevDayIndex = position > 0 ? dayIndexes[position - 1] : null;
+  const nextDayIndex =
+    position < dayIndexes.length - 1 ? dayIndexes[position + 1] : null;
 
-      const showHourly =
-        isSameLocalDate(itemDate, nowLocal) ||
-        isSameLocalDate(itemDate, tomorrow);
+  const dayDate = toLocalDate(selectedDay.dt, tz);
+  const headerLabel = formatDayLabel(selectedDay.dt, tz);
 
-      return `
-        <li class="daily-weather-list-item">
-          <div class="daily-weather-list-item__date">${escapeHtml(
-            dateLabel
-          )}</div>
-          <div class="daily-weather-list-item__icon">${
-            iconUrl
-              ? `<img src="${iconUrl}" alt="${escapeHtml(
-                  (dItem.weather &&
-                    dItem.weather[0] &&
-                    dItem.weather[0].description) ||
-                    ""
-                )}">`
-              : ""
-          }</div>
-          <div class="daily-weather-list-item__temp"><strong>
-            <span class="temp-min ${tempColorClass(
-              tmin,
-              unit === "metric"
-            )}">${escapeHtml(String(tmin))}</span></strong>
-            <span class="temp-slash">/<strong></span>
-            <span class="temp-max ${tempColorClass(
-              tmax,
-              unit === "metric"
-            )}">${escapeHtml(String(tmax))}</span></strong>
-            <span class="weather-card__temp-unit" aria-label="${escapeHtml(
-              tempUnitLabel
-            )}">${escapeHtml(tempUnit)}</span>
-          </div>
-          <div class="daily-weather-list-item__precip">
-            <span>${escapeHtml(precipDisplay)} <abbr title="${escapeHtml(
-        unitLabel(dailyPrecipUnit)
-      )}">${escapeHtml(dailyPrecipUnit)}</abbr></span>
-          </div>
-          <div class="daily-weather-list-item__pop"><span>${escapeHtml(
-            String(pop)
-          )} %</span></div>
-          <div class="daily-weather-list-item__wind">
-            <span class="wind-speed">${escapeHtml(
-              String(wind_s)
-            )} <abbr title="${escapeHtml(
-        windUnitLabel(windUnit)
-      )}">${escapeHtml(windUnit)}</abbr></span>
-            <div class="wind-arrow" data-rotate="${escapeHtml(
-              String(wind_deg)
-            )}">
-              <svg class="icon" style="transform: rotate(${wind_deg}deg)"><use href="assets/sprite.svg#icon-arrow-down"></use></svg>
-            </div>
-            <span class="wind-dir">from <span aria-label="${escapeHtml(
-              wdir.full
-            )}">${escapeHtml(wdir.short)}</span></span>
-          </div>
-          ${
-            showHourly
-              ? `<div class="daily-weather-list-item__h_button"><button class="h-btn" data-day-index="${idx}"><div>hourly forecast</div></button></div>`
-              : ""
-          }
-        </li>
-      `;
-    })
+  // Remember the open day so it ends up in the shareable URL
+  openHourlyDayIndex = dayIndex;
+
+  // Get current unit preferences
+  const unit = getSelectedUnit() || "metric";
+
+  // Group the hours by calendar day so each day gets its own <tbody>
+  // with a separator row. Each group remembers its daily index so we can
+  // scroll to it.
+  const groups = [];
+  hourlyArr.forEach((h) => {
+    const hourDate = toLocalDate(h.dt, tz);
+    const last = groups[groups.length - 1];
+    if (last && isSameLocalDate(last.date, hourDate)) {
+      last.hours.push(h);
+      return;
+    }
+    const dIdx = dailyArr.findIndex((d) =>
+      isSameLocalDate(toLocalDate(d.dt, tz), hourDate)
+    );
+    groups.push({ date: hourDate, dayIndex: dIdx, hours: [h] });
+  });
+
+  const bodiesHtml = groups
+    .map(
+      (g) => `
+        <tbody id="hourly-day-${g.dayIndex}">
+          <tr class="hourly-weather-table__day-separator">
+            <th colspan="5" scope="rowgroup">${escapeHtml(
+              formatDayLabel(g.hours[0].dt, tz)
+            )}</th>
+          </tr>
+          ${g.hours.map((h) => buildHourlyRowHtml(h, tz, unit)).join("\n")}
+        </tbody>
+      `
+    )
     .join("\n");
 
-  // Check if current location is a favorite
-  const isCurrentFavorite = isFavorite(location);
-  const starIcon = isCurrentFavorite ? "icon-star-filled" : "icon-star";
-  const starLabel = isCurrentFavorite
-    ? "Remove from favorites"
-    : "Add to favorites";
-  const favoritesAtLimit =
-    !isCurrentFavorite && Object.keys(favorites).length >= MAX_FAVORITES;
+  // Build the complete modal HTML
+  modal.innerHTML = `
+    <div class="modal-dialog__header">
+      <div class="modal-dialog__header-content">
+        <div class="modal-dialog__day-nav">
+          <button class="modal-dialog__nav-button" id="hourly-modal-prev" aria-label="Previous day" ${
+            prevDayIndex === null ? "disabled" : ""
+          }>
+            <svg width="20" height="20" viewBox="0 0 256 256" aria-hidden="true" style="transform: rotate(90deg)">
+              <use href="assets/sprite.svg#icon-arrow-down"></use>
+            </svg>
+          </button>
+          <h2 id="hourly-modal-title">
+            <time datetime="${
+              dayDate.toISOString().split("T")[0]
+            }">${escapeHtml(headerLabel)}</time>
+          </h2>
+          <button class="modal-dialog__nav-button" id="hourly-modal-next" aria-label="Next day" ${
+            nextDayIndex === null ? "disabled" : ""
+          }>
+            <svg width="20" height="20" viewBox="0 0 256 256" aria-hidden="true" style="transform: rotate(-90deg)">
+              <use href="assets/sprite.svg#icon-arrow-down"></use>
+            </svg>
+          </button>
+        </div>
+        <button class="modal-dialog__close-button" aria-label="Close" id="hourly-modal-close">
+          <svg width="24" height="24" viewBox="0 0 256 256" aria-hidden="true">
+            <use href="assets/sprite.svg#icon-cross"></use>
+          </svg>
+        </button>
+      </div>
+    </div>
+    <div class="hourly-weather-dialog">
+      <div class="hourly-weather-dialog__table">
+        <table class="hourly-weather-table">
+          <caption class="sr-only">Hourly forecast for the next ${
+            hourlyArr.length
+          } hours</caption>
+          <thead>
+            <tr>
+              <th>Time</th>
+              <th>Weather</th>
+              <th>Temp</th>
+              <th>Precip</th>
+              <th>Wind</th>
+            </tr>
+          </thead>
+          ${bodiesHtml}
+        </table>
+      </div>
+    </div>
+  `;
+
+  // Wire close button
+  const closeBtn = document.getElementById("hourly-modal-close");
+  if (closeBtn) {
+    closeBtn.addEventListener("click", () => {
+      modal.close();
+    });
+  }
+
+  // Wire previous/next day buttons (re-render with the new day selected)
+  const prevBtn = document.getElementById("hourly-modal-prev");
+  if (prevBtn && prevDayIndex !== null) {
+    prevBtn.addEventListener("click", () => renderHourlyModal(prevDayIndex));
+  }
+  const nextBtn = document.getElementById("hourly-modal-next");
+  if (nextBtn && nextDayIndex !== null) {
+    nextBtn.addEventListener("click", () => renderHourlyModal(nextDayIndex));
+  }
+
+  wireModalBackdrop(modal);
+
+  // Open the modal (it is already open when stepping between days)
+  if (!modal.open) {
+    modal.showModal();
+  }
+  syncUrlState();
+
+  // Scroll the timeline so the selected day's separator sits under the table header
+  const scroller = modal.querySelector(".hourly-weather-dialog");
+  const target = document.getElementById(`hourly-day-${dayIndex}`);
+  const thead = modal.querySelector(".hourly-weather-table thead");
+  if (scroller && target) {
+    scroller.scrollTop +=
+      target.getBoundingClientRect().top -
+      scroller.getBoundingClientRect().top -
+      (thead ? thead.offsetHeight : 0);
+  }
+}
+
+/**
+ * Fetches a past day and shows it in the past day modal. While it loads,
+ * the card's status line says so and the modal's day buttons are disabled.
+ * @param {Object} place - { lat, lon, name, maxDate }: the location and the
+ *   latest date that can be picked
+ * @param {string} date - The location's local date, "YYYY-MM-DD"
+ * @returns {Promise<void>}
+ */
+async function showPastDay(place, date) {
+  const status = document.getElementById("weather-past-status");
+  const modal = document.getElementById("past-day-modal");
+  if (status) status.textContent = "Loading past weather...";
+  if (modal && modal.open) {
+    modal.querySelectorAll(".modal-dialog__nav-button").forEach((btn) => {
+      btn.disabled = true;
+    });
+  }
+  const result = await fetchPastWeather(place.lat, place.lon, date);
+  if (status) status.textContent = "";
+  renderPastDayModal(place, date, result);
+}
+
+/**
+ * Renders and opens the past day modal: the day's low/high, precipitation
+ * total and highest wind, then its hours in the hourly forecast's table.
+ * Previous/next buttons in the header step between days.
+ * @param {Object} place - { lat, lon, name, maxDate } (see showPastDay)
+ * @param {string} date - The location's local date, "YYYY-MM-DD"
+ * @param {Object} result - Result of fetchPastWeather()
+ */
+function renderPastDayModal(place, date, result) {
+  const modal = document.getElementById("past-day-modal");
+  if (!modal) {
+    console.error("Cannot render past day modal: missing modal element");
+    return;
+  }
+
+  const prevDate = date > PAST_WEATHER_MIN_DATE ? shiftIsoDate(date, -1) : null;
+  const nextDate = date < place.maxDate ? shiftIsoDate(date, 1) : null;
+  const payload = result.data;
+  const hours = payload && Array.isArray(payload.hourly) ? payload.hourly : [];
 
-  el.innerHTML = `
-    <div class="weather-card__header">
-      <div class="weather-card__header-left">
-        <div class="weather-card__title-row">
-          <h3 class="weather-card__title">${escapeHtml(nameText)}</h3>
-          <button class="weather-card__favorite ${
-            isCurrentFavorite ? "is-favorite" : ""
-          }" 
-                  aria-label="${starLabel}" 
-                  id="weather-favorite-btn"
-                  ${
-                    favoritesAtLimit
-                      ? 'title="Maximum 4 favorites reached"'
-                      : ""
-                  }>
-            <svg class="icon" width="20" height="20"><use href="assets/sprite.svg#${starIcon}"></use></svg>
+  let bodyHtml = "";
+  if (!payload) {
+    bodyHtml = `<p class="past-day-dialog__message">${escapeHtml(
+      result.message
+    )}</p>`;
+  } else {
+    const unit = result.units;
+    const tz = payload.timezone_offset || 0;
+    const day = payload.day || {};
+    const temp = day.temp || {};
+    const tempUnit = unit === "metric" ? "°C" : "°F";
+    const precip = Number(day.precipitation) || 0;
+    const summaryParts = [
+      Number.isFinite(Number(temp.min)) &&
+        `Low ${Math.round(temp.min)}${tempUnit}`,
+      Number.isFinite(Number(temp.max)) &&
+        `High ${Math.round(temp.max)}${tempUnit}`,
+      `Precipitation ${
+        unit === "metric"
+          ? `${precip.toFixed(1)} mm`
+          : `${mmToInches(precip)} in`
+      }`,
+      Number.isFinite(Number(day.wind_speed)) &&
+        `Highest wind ${Math.round(day.wind_speed)} ${
+          unit === "metric" ? "m/s" : "mph"
+        }`,
+    ].filter(Boolean);
+
+    bodyHtml = `
+      <p class="past-day-dialog__summary">${escapeHtml(
+        summaryParts.join(" · ")
+      )}</p>
+      ${
+        hours.length
+          ? `<div class="hourly-weather-dialog__table">
+        <table class="hourly-weather-table">
+          <caption class="sr-only">Hourly weather on ${escapeHtml(
+            formatPastDateLabel(date)
+          )}</caption>
+          <thead>
+            <tr>
+              <th>Time</th>
+              <th>Weather</th>
+              <th>Temp</th>
+              <th>Precip</th>
+              <th>Wind</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${hours.map((h) => buildHourlyRowHtml(h, tz, unit)).join("\n")}
+          </tbody>
+        </table>
+      </div>`
+          : `<p class="past-day-dialog__message">No hourly data for this day.</p>`
+      }`;
+  }
+
+  modal.innerHTML = `
+    <div class="modal-dialog__header">
+      <div class="modal-dialog__header-content">
+        <div class="modal-dialog__day-nav">
+          <button class="modal-dialog__nav-button" id="past-day-modal-prev" aria-label="Previous day" ${
+            prevDate === null ? "disabled" : ""
+          }>
+            <svg width="20" height="20" viewBox="0 0 256 256" aria-hidden="true" style="transform: rotate(90deg)">
+              <use href="assets/sprite.svg#icon-arrow-down"></use>
+            </svg>
+          </button>
+          <h2 id="past-day-modal-title">
+            <time datetime="${escapeHtml(date)}">${escapeHtml(
+    formatPastDateLabel(date)
+  )}</time>
+            ${
+              place.name
+                ? `<span class="past-day-dialog__place">${escapeHtml(
+                    place.name
+                  )}</span>`
+                : ""
+            }
+          </h2>
+          <button class="modal-dialog__nav-button" id="past-day-modal-next" aria-label="Next day" ${
+            nextDate === null ? "disabled" : ""
+          }>
+            <svg width="20" height="20" viewBox="0 0 256 256" aria-hidden="true" style="transform: rotate(-90deg)">
+              <use href="assets/sprite.svg#icon-arrow-down"></use>
+            </svg>
           </button>
         </div>
-        <div class="weather-card__subtitle">${escapeHtml(
-          countryText
-        )}${escapeHtml(stateText)}</div>
-      </div>
-      <div>
-        <button class="weather-card__refresh" aria-label="Refresh weather" id="weather-refresh-btn" ${
-          refreshDisabled ? "disabled" : ""
-        }>
-          <svg class="icon" width="20" height="20"><use href="assets/sprite.svg#icon-refresh"></use></svg>
+        <button class="modal-dialog__close-button" aria-label="Close" id="past-day-modal-close">
+          <svg width="24" height="24" viewBox="0 0 256 256" aria-hidden="true">
+            <use href="assets/sprite.svg#icon-cross"></use>
+          </svg>
         </button>
       </div>
     </div>
-    <div class="weather-card__meta-row"><strong>Current weather - ${escapeHtml(
-      descriptionsList || "No description"
-    )} -</strong> (Last updated: ${escapeHtml(
-    userLocalFull
-  )} (Local time ${escapeHtml(placeTimeOnly)})) </div>
-    <div class="weather-card__body">
-      <div class="weather-card__tile">
-        <div class="weather-card__tile-top-row">
-          <div class="weather-card__tile-icon">${
-            iconUrlCurrent
-              ? `<img class="weather-symbol__img" src="${iconUrlCurrent}" alt="${escapeHtml(
-                  description || ""
-                )}">`
-              : ""
-          }</div>
-          <div class="weather-card__tile-main-info"></div>
-        </div>
-      </div>
+    <div class="hourly-weather-dialog past-day-dialog">
+      ${bodyHtml}
+    </div>
+  `;
 
-      <div class="weather-card__tile">
-        <div class="weather-card__tile-top-row">
-          <div class="weather-card__tile-icon">
-            <svg class="icon"><use href="assets/sprite.svg#icon-thermometer"></use></svg>
-          </div>
-          <div class="weather-card__tile-main-info ${tempColorClass(
-            Math.round(temp),
-            unit === "metric"
-          )}">
-            ${Math.round(
-              temp
-            )}<span class="weather-card__temp-unit" aria-label="${escapeHtml(
-    tempUnitLabel
-  )}">${tempUnit}</span>
-          </div>
-        </div>
-        <div class="weather-card__tile-bottom-row">
-          <div class="weather-card__tile-support-info ${tempColorClass(
-            Math.round(feels),
-            unit === "metric"
-          )}">
-            Feels like ${Math.round(feels)}${tempUnit}
-          </div>
-        </div>
-      </div>
+  document
+    .getElementById("past-day-modal-close")
+    .addEventListener("click", () => modal.close());
+  const prevBtn = document.getElementById("past-day-modal-prev");
+  if (prevDate !== null) {
+    prevBtn.addEventListener("click", () => showPastDay(place, prevDate));
+  }
+  const nextBtn = document.getElementById("past-day-modal-next");
+  if (nextDate !== null) {
+    nextBtn.addEventListener("click", () => showPastDay(place, nextDate));
+  }
 
-      <div class="weather-card__tile">
-        <div class="weather-card__tile-top-row">
-          <div class="weather-card__tile-icon">${precipIconSvg}</div>
-          <div class="weather-card__tile-main-info">
-            ${precipValue}
-            <abbr title="${escapeHtml(unitLabel(precipUnit))}">${escapeHtml(
-    precipUnit
-  )}</abbr>
-          </div>
-        </div>
-        <div class="weather-card__tile-bottom-row">
-          <div class="weather-card__tile-support-info">${escapeHtml(
-            precipDescriptionsList || "No precipitation"
-          )}</div>
-        </div>
-      </div>
+  wireModalBackdrop(modal);
 
-      <div class="weather-card__tile">
-        <div class="weather-card__tile-top-row">
-          <div class="weather-card__tile-icon">
-            <svg class="icon"><use href="assets/sprite.svg#icon-wind"></use></svg>
-          </div>
-          <div class="weather-card__tile-main-info">${windSpeed}<abbr title="${escapeHtml(
-    windUnitLabel(windUnit)
-  )}"> ${escapeHtml(windUnit)}</abbr></div>
-        </div>
-        <div class="weather-card__tile-bottom-row">
-          <div class="weather-card__tile-support-info">
-            (${windGust}) <abbr title="${escapeHtml(
-    windUnitLabel(windUnit)
-  )}">${escapeHtml(windUnit)}</abbr>
-          </div>
-          <div class="weather-card__tile-support-info">
-            <div class="weather-card__wind-arrow">
-              <svg class="icon" style="transform: rotate(${windDeg}deg)">
-                <use href="assets/sprite.svg#icon-arrow-down"></use>
-              </svg>
-            </div>
-            from
-            <span aria-label="${escapeHtml(fullDirectionName)}">${escapeHtml(
-    shortDirection
-  )}</span>
+  if (!modal.open) {
+    modal.showModal();
+  }
+}
+
+/**
+ * Renders and opens the weather alerts modal for the current location.
+ * Shows each active alert's event, issuing agency, validity period
+ * (in the location's local time) and the full description text.
+ */
+function renderAlertsModal() {
+  const modal = document.getElementById("alerts-modal");
+  const alerts = getActiveAlerts(lastWeatherPayload);
+  if (!modal || alerts.length === 0) {
+    console.error("Cannot render alerts modal: missing modal element or data");
+    return;
+  }
+
+  const tz = lastWeatherPayload.timezone_offset || 0;
+
+  const alertsHtml = alerts
+    .map((a) => {
+      const tags = Array.isArray(a.tags) ? a.tags : [];
+      return `
+        <article class="weather-alert">
+          <h3 class="weather-alert__event">${escapeHtml(
+            a.event || "Weather alert"
+          )}</h3>
+          <div class="weather-alert__meta">
+            <span>Issued by ${escapeHtml(a.sender_name || "unknown")}</span>
+            <span>
+              <time datetime="${escapeHtml(
+                new Date(Number(a.start) * 1000).toISOString()
+              )}">${escapeHtml(formatTimeOnly(a.start, tz))}</time>
+              –
+              <time datetime="${escapeHtml(
+                new Date(Number(a.end) * 1000).toISOString()
+              )}">${escapeHtml(formatTimeOnly(a.end, tz))}</time>
+              (local time)
+            </span>
           </div>
-        </div>
+          ${
+            tags.length
+              ? `<div class="weather-alert__tags">${tags
+                  .map(
+                    (t) =>
+                      `<span class="weather-alert__tag">${escapeHtml(t)}</span>`
+                  )
+                  .join("")}</div>`
+              : ""
+          }
+          <p class="weather-alert__description">${escapeHtml(
+            a.description || ""
+          )}</p>
+        </article>
+      `;
+    })
+    .join("\n");
+
+  modal.innerHTML = `
+    <div class="modal-dialog__header">
+      <div class="modal-dialog__header-content">
+        <h2 id="alerts-modal-title">Weather alerts (${alerts.length})</h2>
+        <button class="modal-dialog__close-button" aria-label="Close" id="alerts-modal-close">
+          <svg width="24" height="24" viewBox="0 0 256 256" aria-hidden="true">
+            <use href="assets/sprite.svg#icon-cross"></use>
+          </svg>
+        </button>
       </div>
     </div>
+    <div class="alerts-dialog">
+      ${alertsHtml}
+    </div>
   `;
 
-  try {
-    const dailyHtml = `
-      <div class="weather-card__meta-row"><strong>Forecast for 7 days</strong></div>
-      <div class="daily-weather-list">
-        <div class="daily-weather-list__headers">
-          <div class="daily-weather-list__forecast-headers">
-            <span class="daily-weather-list__header">Weather</span>
-            <span class="daily-weather-list__header">Temp. min/max</span>
-            <span class="daily-weather-list__header">Precip.</span>
-            <span class="daily-weather-list__header">Precip. chance</span>
-            <span class="daily-weather-list__header">Wind</span>
-          </div>
-        </div>
-        <ol class="daily-weather-list__daily">
-          ${dailyItemsHtml}
-        </ol>
-      </div>
-    `;
-    el.insertAdjacentHTML("beforeend", dailyHtml);
-  } catch (e) {
-    console.error("Failed to render daily forecast:", e);
+  // Wire close button
+  const closeBtn = document.getElementById("alerts-modal-close");
+  if (closeBtn) {
+    closeBtn.addEventListener("click", () => {
+      modal.close();
+    });
   }
 
-  // Wire refresh button with cooldown
-  const refreshBtn = document.getElementById("weather-refresh-btn");
-  if (refreshBtn) {
-    const setCooldown = (ms = REFRESH_COOLDOWN_MS) => {
-      const now = Date.now();
-      refreshDisabledUntil = now + ms;
-      const curBtn = document.getElementById("weather-refresh-btn");
-      if (curBtn) {
-        try {
-          curBtn.setAttribute("disabled", "true");
-        } catch (e) {}
-        curBtn.classList.add("disabled");
-      }
-      setTimeout(() => {
-        refreshDisabledUntil = 0;
-        const b = document.getElementById("weather-refresh-btn");
-        if (b) {
-          try {
-            b.removeAttribute("disabled");
-          } catch (e) {}
-          b.classList.remove("disabled");
-        }
-      }, ms);
-    };
+  wireModalBackdrop(modal);
+
+  // Open the modal
+  if (!modal.open) {
+    modal.showModal();
+  }
+}
+
+/**
+ * Shows the import preview: what will be added, which saved favorites
+ * conflict with the file (each can be replaced or kept), and which entries
+ * were skipped. Nothing is saved until the user confirms.
+ * @param {Object} plan - Result of planFavoritesImport()
+ * @param {string} fileName - Name of the imported file
+ */
+function renderImportModal(plan, fileName) {
+  const modal = document.getElementById("import-modal");
+  if (!modal) {
+    console.error("Cannot render import modal: missing modal element");
+    return;
+  }
+
+  const placeText = (loc) =>
+    `${loc.name}${loc.state ? ", " + loc.state : ""}${
+      loc.country ? ", " + loc.country : ""
+    }`;
+  const coordsText = (loc) =>
+    `${Number(loc.lat).toFixed(2)}, ${Number(loc.lon).toFixed(2)}`;
+
+  const limit = getMaxFavorites();
+  const capacity = importCapacity(plan.added.length, limit);
+  const notices = [];
+  if (capacity.limit > limit) {
+    notices.push(
+      `Your favorites limit will be raised from ${limit} to ${capacity.limit} to fit them.`
+    );
+  }
+  if (capacity.room < plan.added.length) {
+    notices.push(
+      `Only the first ${capacity.room} new favorites fit (at most ${MAX_FAVORITES_LIMIT} favorites can be saved).`
+    );
+  }
+
+  const conflictsHtml = plan.conflicts.length
+    ? `
+      <h3 class="import-dialog__heading">Already saved, but different (${
+        plan.conflicts.length
+      })</h3>
+      <p class="import-dialog__hint">Tick the ones to replace with the imported version. The rest stay as they are.</p>
+      <table class="import-dialog__table">
+        <thead>
+          <tr>
+            <th scope="col">Replace</th>
+            <th scope="col">Place</th>
+            <th scope="col">Saved</th>
+            <th scope="col">Imported</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${plan.conflicts
+            .map(
+              (c) => `
+            <tr>
+              <td><input type="checkbox" class="import-dialog__replace" value="${escapeHtml(
+                c.key
+              )}" aria-label="Replace ${escapeHtml(c.location.name)}"></td>
+              <th scope="row">${escapeHtml(placeText(c.location))}</th>
+              <td>${escapeHtml(coordsText(c.existing))}<br>${escapeHtml(
+                c.existingGroupName || "Ungrouped"
+              )}</td>
+              <td>${escapeHtml(coordsText(c.location))}<br>${escapeHtml(
+                c.location.group || "Ungrouped"
+              )}</td>
+            </tr>`
+            )
+            .join("")}
+        </tbody>
+      </table>`
+    : "";
+
+  const addedHtml = plan.added.length
+    ? `
+      <h3 class="import-dialog__heading">New (${plan.added.length})</h3>
+      <ul class="import-dialog__list">
+        ${plan.added
+          .map(
+            ({ location }) =>
+              `<li>${escapeHtml(placeText(location))}${
+                location.group
+                  ? ` <span class="import-dialog__group">${escapeHtml(
+                      location.group
+                    )}</span>`
+                  : ""
+              }</li>`
+          )
+          .join("")}
+      </ul>`
+    : "";
+
+  const skippedHtml = plan.skipped.length
+    ? `
+      <h3 class="import-dialog__heading">Skipped (${plan.skipped.length})</h3>
+      <ul class="import-dialog__list import-dialog__list--skipped">
+        ${plan.skipped
+          .map(
+            (item) =>
+              `<li>${escapeHtml(item.source)}: ${escapeHtml(item.reason)}</li>`
+          )
+          .join("")}
+      </ul>`
+    : "";
+
+  const settings = plan.settings;
+  const settingsText = settings
+    ? [
+        settings.units
+          ? `units ${settings.units === "metric" ? "°C" : "°F"}`
+          : "",
+        settings.maxFavorites ? `favorites limit ${settings.maxFavorites}` : "",
+      ]
+        .filter(Boolean)
+        .join(", ")
+    : "";
+  const settingsHtml = settings
+    ? `
+      <label class="import-dialog__settings">
+        <input type="checkbox" id="import-apply-settings">
+        Also apply the file's settings (${escapeHtml(settingsText)})
+      </label>`
+    : "";
+
+  const nothingToImport =
+    !plan.added.length && !plan.conflicts.length && !settings;
+
+  modal.innerHTML = `
+    <div class="modal-dialog__header">
+      <div class="modal-dialog__header-content">
+        <h2 id="import-modal-title">Import favorites</h2>
+        <button class="modal-dialog__close-button" aria-label="Close" id="import-modal-close">
+          <svg width="24" height="24" viewBox="0 0 256 256" aria-hidden="true">
+            <use href="assets/sprite.svg#icon-cross"></use>
+          </svg>
+        </button>
+      </div>
+    </div>
+    <div class="import-dialog">
+      <p class="import-dialog__summary">
+        <strong>${escapeHtml(fileName)}</strong>:
+        ${plan.added.length} new, ${plan.conflicts.length} conflicting,
+        ${plan.unchanged.length} already saved, ${plan.skipped.length} skipped.
+      </p>
+      ${notices
+        .map((n) => `<p class="import-dialog__notice">${escapeHtml(n)}</p>`)
+        .join("")}
+      ${conflictsHtml}
+      ${addedHtml}
+      ${skippedHtml}
+      ${settingsHtml}
+      <div class="import-dialog__actions">
+        <button type="button" class="import-dialog__button" id="import-modal-cancel">Cancel</button>
+        <button type="button" class="import-dialog__button import-dialog__button--primary" id="import-modal-confirm"${
+          nothingToImport ? " disabled" : ""
+        }>Import</button>
+      </div>
+    </div>
+  `;
 
-    refreshBtn.addEventListener("click", () => {
-      if (refreshBtn.hasAttribute("disabled")) return;
-      if (
-        lastSelectedLocation &&
-        lastSelectedLocation.lat &&
-        lastSelectedLocation.lon
-      ) {
-        setCooldown();
-        fetchWeather(
-          lastSelectedLocation.lat,
-          lastSelectedLocation.lon,
-          lastSelectedLocation
-        );
-      }
-    });
-  }
+  const closeModal = () => modal.close();
+  document
+    .getElementById("import-modal-close")
+    .addEventListener("click", closeModal);
+  document
+    .getElementById("import-modal-cancel")
+    .addEventListener("click", closeModal);
+
+  document
+    .getElementById("import-modal-confirm")
+    .addEventListener("click", () => {
+      const replaceKeys = new Set(
+        [...modal.querySelectorAll(".import-dialog__replace:checked")].map(
+          (box) => box.value
+        )
+      );
+      const settingsBox = document.getElementById("import-apply-settings");
+      const applySettings = !!(settingsBox && settingsBox.checked);
+      const result = applyFavoritesImport(plan, { replaceKeys, applySettings });
+      modal.close();
 
-  // Wire hourly forecast buttons to open the modal
-  const hourlyBtns = el.querySelectorAll(".h-btn[data-day-index]");
-  hourlyBtns.forEach((btn) => {
-    btn.addEventListener("click", () => {
-      const dayIndex = parseInt(btn.getAttribute("data-day-index"), 10);
-      if (!isNaN(dayIndex)) {
-        renderHourlyModal(dayIndex);
-      }
-    });
-  });
+      const unitsChanged =
+        applySettings && settings.units && settings.units !== getSelectedUnit();
 
-  // Wire favorite button to toggle favorite status
-  const favoriteBtn = document.getElementById("weather-favorite-btn");
-  if (favoriteBtn && location && location.name) {
-    favoriteBtn.addEventListener("click", () => {
-      const isNowFavorite = isFavorite(location);
-      if (isNowFavorite) {
-        // Remove from favorites
-        removeFavorite(location);
-        renderSavedLocations();
-        // Update button appearance
-        favoriteBtn.classList.remove("is-favorite");
-        favoriteBtn.setAttribute("aria-label", "Add to favorites");
-        favoriteBtn.innerHTML = `<svg class="icon" width="20" height="20"><use href="assets/sprite.svg#icon-star"></use></svg>`;
+      renderSavedLocations();
+      if (unitsChanged) {
+        touchPreferences();
+        // Refetches the weather card and all favorites in the new units
+        switchUnits(settings.units);
       } else {
-        // Try to add to favorites
-        if (Object.keys(favorites).length >= MAX_FAVORITES) {
-          alert(
-            `Maximum ${MAX_FAVORITES} favorites reached. Remove one first.`
-          );
-          return;
+        // Imported favorites have no weather yet
+        refreshAllFavorites();
+        // The star on the weather card may have changed
+        if (lastWeatherPayload && lastSelectedLocation) {
+          renderCurrentWeather(lastWeatherPayload, lastSelectedLocation);
         }
-        addFavorite(location, payload);
-        renderSavedLocations();
-        // Update button appearance
-        favoriteBtn.classList.add("is-favorite");
-        favoriteBtn.setAttribute("aria-label", "Remove from favorites");
-        favoriteBtn.innerHTML = `<svg class="icon" width="20" height="20"><use href="assets/sprite.svg#icon-star-filled"></use></svg>`;
       }
+
+      const message = `Imported ${result.added} new favorite${
+        result.added === 1 ? "" : "s"
+      }${result.replaced ? `, replaced ${result.replaced}` : ""}${
+        result.dropped ? ` (${result.dropped} did not fit)` : ""
+      }.`;
+      if (statusMessage) statusMessage.textContent = message;
+      announceSavedLocations(message);
     });
-  }
+
+  wireModalBackdrop(modal);
+
+  modal.showModal();
 }
 
 /**
- * Formats an hour (0-23) as a readable time string.
- * Example: 9 -> "09:00", 14 -> "14:00"
- * @param {number} hour - Hour value (0-23)
- * @returns {string} Formatted time like "09:00"
+ * Shows the sync dialog. Without a sync code it offers to turn sync on
+ * (creating a profile) or to enter the code from another device; with a
+ * code it shows the code to copy, the sync status and "Sync now"/"Turn off".
  */
-function formatHour(hour) {
-  return String(hour).padStart(2, "0") + ":00";
+function renderSyncModal() {
+  const modal = document.getElementById("sync-modal");
+  if (!modal) {
+    console.error("Cannot render sync modal: missing modal element");
+    return;
+  }
+  const token = localStorage.getItem(SYNC_TOKEN_KEY);
+
+  const bodyHtml = token
+    ? `
+      <p>Sync is on. To sync another device, open this app there, choose
+        <strong>Sync</strong> and enter this code:</p>
+      <div class="sync-dialog__code-row">
+        <input type="text" class="sync-dialog__code" id="sync-code" value="${escapeHtml(
+          token
+        )}" readonly aria-label="Sync code">
+        <button type="button" class="import-dialog__button" id="sync-copy">Copy</button>
+      </div>
+      <p class="sync-dialog__hint">Anyone with the code can see and change your favorites, so only enter it on your own devices.</p>
+      <p class="sync-dialog__status" id="sync-modal-status">${escapeHtml(
+        syncStatusText()
+      )}</p>
+      <div class="import-dialog__actions">
+        <button type="button" class="import-dialog__button" id="sync-off">Turn off on this device</button>
+        <button type="button" class="import-dialog__button import-dialog__button--primary" id="sync-now">Sync now</button>
+      </div>`
+    : `
+      <p>Sync keeps your favorites, groups and settings the same on all
+        your devices. No account needed: this device gets a sync code that
+        you enter on your other devices.</p>
+      <div class="import-dialog__actions">
+        <button type="button" class="import-dialog__button import-dialog__button--primary" id="sync-create">Turn on sync</button>
+      </div>
+      <h3 class="import-dialog__heading">Already have a code?</h3>
+      <div class="sync-dialog__code-row">
+        <label class="sr-only" for="sync-code-input">Sync code from another device</label>
+        <input type="text" class="sync-dialog__code" id="sync-code-input" autocomplete="off" spellcheck="false" placeholder="Sync code">
+        <button type="button" class="import-dialog__button" id="sync-link">Use code</button>
+      </div>
+      <p class="sync-dialog__hint">Favorites on this device are merged with the synced ones.</p>
+      <p class="sync-dialog__status" id="sync-modal-status">${escapeHtml(
+        syncStatus.state === "error" ? syncStatus.message : ""
+      )}</p>`;
+
+  modal.innerHTML = `
+    <div class="modal-dialog__header">
+      <div class="modal-dialog__header-content">
+        <h2 id="sync-modal-title">Sync favorites</h2>
+        <button class="modal-dialog__close-button" aria-label="Close" id="sync-modal-close">
+          <svg width="24" height="24" viewBox="0 0 256 256" aria-hidden="true">
+            <use href="assets/sprite.svg#icon-cross"></use>
+          </svg>
+        </button>
+      </div>
+    </div>
+    <div class="import-dialog sync-dialog">
+      ${bodyHtml}
+    </div>
+  `;
+
+  const byId = (id) => document.getElementById(id);
+  const showStatus = (text) => {
+    const el = byId("sync-modal-status");
+    if (el) el.textContent = text;
+  };
+  // Sync, then redraw the dialog with the result
+  const syncAndRefresh = async () => {
+    await syncFavorites();
+    if (modal.open) renderSyncModal();
+  };
+
+  byId("sync-modal-close").addEventListener("click", () => modal.close());
+
+  if (token) {
+    byId("sync-copy").addEventListener("click", async () => {
+      try {
+        await navigator.clipboard.writeText(token);
+        showStatus("Code copied.");
+      } catch {
+        // Clipboard blocked: select the code so it can be copied by hand
+        byId("sync-code").select();
+      }
+    });
+    byId("sync-now").addEventListener("click", syncAndRefresh);
+    byId("sync-off").addEventListener("click", () => {
+      // Favorites stay on this device; it just stops syncing them
+      localStorage.removeItem(SYNC_TOKEN_KEY);
+      clearTimeout(syncTimer);
+      setSyncStatus("off");
+      renderSyncModal();
+    });
+  } else {
+    const createBtn = byId("sync-create");
+    createBtn.addEventListener("click", async () => {
+      createBtn.disabled = true;
+      showStatus("Turning on sync...");
+      try {
+        localStorage.setItem(SYNC_TOKEN_KEY, await createSyncProfile());
+      } catch (err) {
+        console.error("Failed to create sync profile:", err);
+        showStatus("Couldn't turn on sync. Please try again later.");
+        createBtn.disabled = false;
+        return;
+      }
+      syncAndRefresh();
+    });
+    byId("sync-link").addEventListener("click", () => {
+      const code = byId("sync-code-input").value.trim();
+      if (!/^[A-Za-z0-9_-]{16,128}$/.test(code)) {
+        showStatus("That doesn't look like a sync code.");
+        return;
+      }
+      localStorage.setItem(SYNC_TOKEN_KEY, code);
+      syncAndRefresh();
+    });
+  }
+
+  wireModalBackdrop(modal);
+
+  if (!modal.open) {
+    modal.showModal();
+  }
 }
 
 /**
- * Renders and opens the hourly forecast modal for a specific day.
- * Filters hourly data to show only hours belonging to the selected day.
- *
- * @param {number} dayIndex - Index of the day (0 = today, 1 = tomorrow, etc.)
+ * Renders and opens the compare dialog: two to four favorites side by side
+ * as 7-day columns, with the best value of every row highlighted.
+ * Favorites with fresh saved weather are shown right away; the others are
+ * updated with one batch request and the dialog is drawn again.
  */
-function renderHourlyModal(dayIndex) {
-  const modal = document.getElementById("hourly-modal");
-  if (!modal || !lastWeatherPayload || !lastWeatherPayload.hourly) {
-    console.error("Cannot render hourly modal: missing modal element or data");
+function renderCompareModal() {
+  const modal = document.getElementById("compare-modal");
+  if (!modal) {
+    console.error("Cannot render compare modal: missing modal element");
     return;
   }
 
-  const tz = lastWeatherPayload.timezone_offset || 0;
-  const dailyArr = lastWeatherPayload.daily || [];
-  const hourlyArr = lastWeatherPayload.hourly || [];
+  // Drawing the dialog again replaces the focused element; remember it
+  const focused = modal.contains(document.activeElement)
+    ? document.activeElement.id || document.activeElement.value
+    : null;
 
-  // Get the selected day's data for the header
-  const selectedDay = dailyArr[dayIndex];
-  if (!selectedDay) {
-    console.error("No daily data for index", dayIndex);
-    return;
-  }
+  const favKeys = getFavoriteKeys();
+  compareSelection = favKeys.filter((key) => compareSelection.includes(key));
+  const columns = compareSelection.map((key) => favorites[key]);
+  const canCompare = columns.length >= COMPARE_MIN;
 
-  // Get the date for the selected day
-  const dayDate = toLocalDate(selectedDay.dt, tz);
-  const dateLabel = formatCompactDate(selectedDay.dt, tz);
+  const unit = getSelectedUnit() || "metric";
+  const isMetric = unit === "metric";
+  const tempUnit = isMetric ? "°C" : "°F";
+  const precipUnit = isMetric ? "mm" : "in";
+  const windUnit = isMetric ? "m/s" : "mph";
+
+  // One row per metric; `pick` says whether the highest or lowest is best
+  const metrics = [
+    {
+      label: `High / low (${tempUnit})`,
+      pick: "max",
+      value: (d) =>
+        d.temp && Number.isFinite(Number(d.temp.max))
+          ? Math.round(d.temp.max)
+          : null,
+      format: (d, v) => `${v} / ${Math.round(d.temp.min)}`,
+    },
+    {
+      label: `Precipitation (${precipUnit})`,
+      pick: "min",
+      value: (d) => {
+        const mm = (Number(d.rain) || 0) + (Number(d.snow) || 0);
+        return Number(isMetric ? mm.toFixed(1) : mmToInches(mm));
+      },
+      format: (d, v) => v.toFixed(1),
+    },
+    {
+      label: "Chance of precipitation",
+      pick: "min",
+      value: (d) => Math.round((Number(d.pop) || 0) * 100),
+      format: (d, v) => `${v} %`,
+    },
+    {
+      label: `Wind (${windUnit})`,
+      pick: "min",
+      value: (d) =>
+        Number.isFinite(Number(d.wind_speed)) ? Math.round(d.wind_speed) : null,
+      format: (d, v) => String(v),
+    },
+  ];
 
-  // Determine if this is "Today" or "Tomorrow"
-  const nowLocal = toLocalDate(Math.floor(Date.now() / 1000), tz);
-  const tomorrow = new Date(nowLocal.getTime());
-  tomorrow.setUTCDate(tomorrow.getUTCDate() + 1);
+  const dayGroupsHtml = [];
+  for (let i = 0; i < COMPARE_DAYS; i++) {
+    const days = columns.map((fav) => {
+      const daily = fav.weatherData && fav.weatherData.daily;
+      return (Array.isArray(daily) && daily[i]) || null;
+    });
+    const labelIndex = days.findIndex(Boolean);
+    if (labelIndex < 0) continue;
+    // Day i is the same date everywhere except across the date line
+    const dayLabel = formatDayLabel(
+      days[labelIndex].dt,
+      columns[labelIndex].weatherData.timezone_offset || 0
+    );
+
+    const rowsHtml = metrics
+      .map((metric) => {
+        const values = days.map((d) => (d ? metric.value(d) : null));
+        const best = compareBestIndexes(values, metric.pick);
+        const cellsHtml = values
+          .map((v, c) => {
+            if (v === null) return '<td class="compare-table__cell">–</td>';
+            const isBest = best.includes(c);
+            return `<td class="compare-table__cell${
+              isBest ? " compare-table__cell--best" : ""
+            }">${escapeHtml(metric.format(days[c], v))}${
+              isBest ? '<span class="sr-only"> (best)</span>' : ""
+            }</td>`;
+          })
+          .join("");
+        return `<tr><th scope="row">${escapeHtml(
+          metric.label
+        )}</th>${cellsHtml}</tr>`;
+      })
+      .join("");
+
+    dayGroupsHtml.push(`
+      <tbody>
+        <tr class="compare-table__day">
+          <th scope="colgroup" colspan="${columns.length + 1}">${escapeHtml(
+      dayLabel
+    )}</th>
+        </tr>
+        ${rowsHtml}
+      </tbody>`);
+  }
 
-  let headerLabel = dateLabel;
-  if (isSameLocalDate(dayDate, nowLocal)) {
-    headerLabel = `Today, ${dateLabel}`;
-  } else if (isSameLocalDate(dayDate, tomorrow)) {
-    headerLabel = `Tomorrow, ${dateLabel}`;
+  // Favorites whose saved weather is too old (or too short) get updated once
+  // per opening of the dialog
+  const missing = compareSelection.filter(
+    (key) => !hasFreshForecast(favorites[key])
+  );
+  const toFetch = canCompare
+    ? missing.filter((key) => !compareFetchState[key])
+    : [];
+  toFetch.forEach((key) => {
+    compareFetchState[key] = "loading";
+  });
+  let statusText = "";
+  if (missing.some((key) => compareFetchState[key] === "loading")) {
+    statusText = "Updating forecasts...";
+  } else if (canCompare && missing.length) {
+    statusText =
+      "Some forecasts couldn't be updated. Older saved data is shown where available.";
   }
 
-  // Filter hourly data to only include hours for the selected day
-  const filteredHourly = hourlyArr.filter((h) => {
-    const hourDate = toLocalDate(h.dt, tz);
-    return isSameLocalDate(hourDate, dayDate);
+  const pickerHtml = favKeys
+    .map((key) => {
+      const checked = compareSelection.includes(key);
+      const disabled = !checked && compareSelection.length >= COMPARE_MAX;
+      return `
+        <label class="compare-dialog__option">
+          <input type="checkbox" class="compare-dialog__checkbox" value="${escapeHtml(
+            key
+          )}"${checked ? " checked" : ""}${disabled ? " disabled" : ""}>
+          ${escapeHtml(favorites[key].name)}
+        </label>`;
+    })
+    .join("");
+
+  const tableHtml = canCompare
+    ? `
+      <div class="compare-dialog__table-wrap">
+        <table class="compare-table">
+          <thead>
+            <tr>
+              <td></td>
+              ${columns
+                .map((fav) => `<th scope="col">${escapeHtml(fav.name)}</th>`)
+                .join("")}
+            </tr>
+          </thead>
+          ${dayGroupsHtml.join("")}
+        </table>
+      </div>
+      <p class="import-dialog__hint">Highlighted each day: the warmest high, the least precipitation, the lowest chance of precipitation and the calmest wind.</p>`
+    : `<p class="import-dialog__hint">Pick at least ${COMPARE_MIN} favorites to compare.</p>`;
+
+  modal.innerHTML = `
+    <div class="modal-dialog__header">
+      <div class="modal-dialog__header-content">
+        <h2 id="compare-modal-title">Compare favorites</h2>
+        <button class="modal-dialog__close-button" aria-label="Close" id="compare-modal-close">
+          <svg width="24" height="24" viewBox="0 0 256 256" aria-hidden="true">
+            <use href="assets/sprite.svg#icon-cross"></use>
+          </svg>
+        </button>
+      </div>
+    </div>
+    <div class="import-dialog compare-dialog">
+      <fieldset class="compare-dialog__picker">
+        <legend>Favorites to compare (${COMPARE_MIN} to ${COMPARE_MAX})</legend>
+        ${pickerHtml}
+      </fieldset>
+      <p class="sync-dialog__status" role="status">${escapeHtml(statusText)}</p>
+      ${tableHtml}
+    </div>
+  `;
+
+  document
+    .getElementById("compare-modal-close")
+    .addEventListener("click", () => modal.close());
+  modal.querySelectorAll(".compare-dialog__checkbox").forEach((box) => {
+    box.addEventListener("change", () => {
+      compareSelection = Array.from(
+        modal.querySelectorAll(".compare-dialog__checkbox:checked")
+      ).map((el) => el.value);
+      renderCompareModal();
+    });
   });
+  if (focused) {
+    const again =
+      document.getElementById(focused) ||
+      modal.querySelector(
+        `.compare-dialog__checkbox[value="${CSS.escape(focused)}"]`
+      );
+    if (again) again.focus();
+  }
 
-  if (filteredHourly.length === 0) {
-    console.warn("No hourly data available for day index", dayIndex);
+  wireModalBackdrop(modal);
+
+  if (!modal.open) {
+    modal.showModal();
+  }
+
+  if (toFetch.length) {
+    fetchCompareWeather(toFetch)
+      .catch((err) => {
+        console.error("Failed to update forecasts for compare:", err);
+      })
+      .then(() => {
+        toFetch.forEach((key) => {
+          compareFetchState[key] = "done";
+        });
+        if (modal.open) renderCompareModal();
+        renderSavedLocations();
+      });
+  }
+}
+
+/**
+ * Renders and opens the notification rules dialog of a favorite: its rules
+ * with delete buttons and a form for a new rule.
+ * @param {string} key - Location key of the favorite
+ */
+function renderRulesModal(key) {
+  const modal = document.getElementById("rules-modal");
+  const fav = favorites[key];
+  if (!modal || !fav) {
+    console.error(
+      "Cannot render rules modal: missing modal element or favorite"
+    );
     return;
   }
+  const rules = notificationRules[key] || [];
+  const isMetric = (getSelectedUnit() || "metric") === "metric";
+  const unitByMetric = {
+    temp_min: isMetric ? "°C" : "°F",
+    temp_max: isMetric ? "°C" : "°F",
+    pop: "%",
+    wind_gust: isMetric ? "m/s" : "mph",
+    precip: isMetric ? "mm" : "in",
+    alerts: "",
+  };
 
-  // Get current unit preferences
-  const unit = getSelectedUnit() || "metric";
-  const tempUnit = unit === "metric" ? "°C" : "°F";
-  const tempUnitLabel =
-    tempUnit === "°C" ? "degrees Celsius" : "degrees Fahrenheit";
-  const precipUnit = unit === "metric" ? "mm/h" : "in/h";
-  const windUnit = unit === "metric" ? "m/s" : "mph";
+  let permissionText = "";
+  if (!("Notification" in window)) {
+    permissionText =
+      "This browser can't show notifications, so matches only appear in the inbox.";
+  } else if (Notification.permission === "denied") {
+    permissionText =
+      "Notifications are blocked for this site, so matches only appear in the inbox.";
+  }
 
-  // Build table rows for each hour
-  const rowsHtml = filteredHourly
-    .map((h) => {
-      const hourDate = toLocalDate(h.dt, tz);
-      const hour = hourDate.getUTCHours();
-      const timeStr = formatHour(hour);
+  const rulesHtml = rules.length
+    ? `<ul class="rules-dialog__list">
+        ${rules
+          .map(
+            (rule) => `
+          <li class="rules-dialog__rule">
+            <span>${escapeHtml(describeRule(rule))}</span>
+            <button type="button" class="import-dialog__button rules-dialog__delete" data-rule-id="${escapeHtml(
+              rule.id
+            )}" aria-label="Delete rule: ${escapeHtml(
+              describeRule(rule)
+            )}">Delete</button>
+          </li>`
+          )
+          .join("")}
+      </ul>`
+    : '<p class="import-dialog__hint">No rules yet.</p>';
 
-      // Weather icon
-      const iconCode = h.weather && h.weather[0] && h.weather[0].icon;
-      const iconUrl = iconCode
-        ? `https://openweathermap.org/img/wn/${iconCode}.png`
-        : "";
-      const weatherDesc =
-        (h.weather && h.weather[0] && h.weather[0].description) || "";
+  modal.innerHTML = `
+    <div class="modal-dialog__header">
+      <div class="modal-dialog__header-content">
+        <h2 id="rules-modal-title">Rules for ${escapeHtml(fav.name)}</h2>
+        <button class="modal-dialog__close-button" aria-label="Close" id="rules-modal-close">
+          <svg width="24" height="24" viewBox="0 0 256 256" aria-hidden="true">
+            <use href="assets/sprite.svg#icon-cross"></use>
+          </svg>
+        </button>
+      </div>
+    </div>
+    <div class="import-dialog rules-dialog">
+      <p class="import-dialog__summary">Rules are checked whenever the
+        favorites refresh. Each match is reported once per day, in the inbox
+        and as a browser notification.</p>
+      ${rulesHtml}
+      <h3 class="import-dialog__heading">New rule</h3>
+      <form class="rules-dialog__form" id="rules-form" novalidate>
+        <label class="rules-dialog__field">Watch
+          <select id="rule-metric">
+            ${Object.keys(RULE_METRICS)
+              .map(
+                (id) =>
+                  `<option value="${id}">${escapeHtml(
+                    RULE_METRICS[id].label
+                  )}</option>`
+              )
+              .join("")}
+          </select>
+        </label>
+        <label class="rules-dialog__field">Condition
+          <select id="rule-op">
+            <option value="above">above</option>
+            <option value="below">below</option>
+          </select>
+        </label>
+        <label class="rules-dialog__field">Threshold
+          <span class="rules-dialog__threshold">
+            <input type="number" step="any" id="rule-threshold" inputmode="decimal">
+            <span id="rule-unit">${escapeHtml(unitByMetric.temp_min)}</span>
+          </span>
+        </label>
+        <label class="rules-dialog__field">When
+          <select id="rule-period">
+            ${Object.keys(RULE_PERIODS)
+              .map(
+                (id) =>
+                  `<option value="${id}">${escapeHtml(
+                    RULE_PERIODS[id].label
+                  )}</option>`
+              )
+              .join("")}
+          </select>
+        </label>
+        <button type="submit" class="import-dialog__button import-dialog__button--primary">Add rule</button>
+      </form>
+      <p class="sync-dialog__status" id="rules-modal-status" role="status">${escapeHtml(
+        permissionText
+      )}</p>
+    </div>
+  `;
+
+  const byId = (id) => document.getElementById(id);
+  const metricSelect = byId("rule-metric");
+  // Alerts rules have no condition or threshold
+  const updateFields = () => {
+    const isAlerts = metricSelect.value === "alerts";
+    byId("rule-op").disabled = isAlerts;
+    byId("rule-threshold").disabled = isAlerts;
+    byId("rule-unit").textContent = unitByMetric[metricSelect.value];
+  };
+  metricSelect.addEventListener("change", updateFields);
+
+  byId("rules-modal-close").addEventListener("click", () => modal.close());
+  byId("rules-form").addEventListener("submit", (e) => {
+    e.preventDefault();
+    const rule = addNotificationRule(key, {
+      metric: metricSelect.value,
+      op: byId("rule-op").value,
+      threshold: byId("rule-threshold").value,
+      period: byId("rule-period").value,
+    });
+    if (!rule) {
+      byId("rules-modal-status").textContent = "Enter a number as threshold.";
+      byId("rule-threshold").focus();
+      return;
+    }
+    // Asking needs a user action, so it happens when the first rule is added
+    if ("Notification" in window && Notification.permission === "default") {
+      Notification.requestPermission().catch(() => {});
+    }
+    checkNotificationRules([key]);
+    renderSavedLocations();
+    renderRulesModal(key);
+    byId("rule-metric").focus();
+  });
+  modal.querySelectorAll(".rules-dialog__delete").forEach((btn) => {
+    btn.addEventListener("click", () => {
+      removeNotificationRule(key, btn.getAttribute("data-rule-id"));
+      renderSavedLocations();
+      renderRulesModal(key);
+      byId("rule-metric").focus();
+    });
+  });
 
-      // Temperature
-      const temp = Math.round(h.temp);
+  wireModalBackdrop(modal);
 
-      // Precipitation (rain + snow, same logic as daily)
-      const rainVal = (h.rain && h.rain["1h"]) || 0;
-      const snowVal = (h.snow && h.snow["1h"]) || 0;
-      const precipRaw = rainVal + snowVal;
-      let precipDisplay = "0.0";
-      if (unit !== "metric") {
-        precipDisplay = (precipRaw / 25.4).toFixed(1);
-      } else {
-        precipDisplay = precipRaw.toFixed(1);
-      }
+  if (!modal.open) {
+    modal.showModal();
+  }
+}
 
-      // Wind
-      const windSpeed = Math.round(h.wind_speed || 0);
-      const windDeg = h.wind_deg || 0;
-      const wdir = windDirection(windDeg);
+/**
+ * Renders and opens the notification inbox: rule matches, newest first.
+ * Opening it marks every entry as read (new ones stay highlighted until
+ * the next opening).
+ */
+function renderInboxModal() {
+  const modal = document.getElementById("inbox-modal");
+  if (!modal) {
+    console.error("Cannot render inbox modal: missing modal element");
+    return;
+  }
 
-      return `
-        <tr>
-          <td><time datetime="${escapeHtml(timeStr)}">${escapeHtml(
-        timeStr
-      )}</time></td>
-          <td>${
-            iconUrl
-              ? `<img class="hourly-weather-table__icon" src="${iconUrl}" alt="${escapeHtml(
-                  weatherDesc
-                )}">`
-              : ""
-          }</td>
-          <td class="${tempColorClass(temp, unit === "metric")}">
-            ${escapeHtml(String(temp))}<span aria-label="${escapeHtml(
-        tempUnitLabel
-      )}">${escapeHtml(tempUnit)}</span>
-          </td>
-          <td>${escapeHtml(precipDisplay)} <abbr title="${escapeHtml(
-        unitLabel(precipUnit)
-      )}">${escapeHtml(precipUnit)}</abbr></td>
-          <td>
-            <div class="hourly-weather-table__wind">
-              <span>${escapeHtml(String(windSpeed))} <abbr title="${escapeHtml(
-        windUnitLabel(windUnit)
-      )}">${escapeHtml(windUnit)}</abbr></span>
-              <div class="hourly-weather-table__wind-arrow">
-                <svg class="icon" style="transform: rotate(${windDeg}deg)">
-                  <use href="assets/sprite.svg#icon-arrow-down"></use>
-                </svg>
-              </div>
-              <span aria-label="${escapeHtml(wdir.full)}">${escapeHtml(
-        wdir.short
-      )}</span>
+  const entriesHtml = notificationInbox.length
+    ? `<ul class="inbox-dialog__list">
+        ${notificationInbox
+          .map(
+            (entry) => `
+          <li class="inbox-dialog__entry${
+            entry.read ? "" : " inbox-dialog__entry--unread"
+          }">
+            <div class="inbox-dialog__meta">
+              <strong>${escapeHtml(entry.name || "")}</strong>
+              <span>${escapeHtml(
+                formatUserLocalFullFromMs(entry.firedAt)
+              )}</span>${
+              entry.read ? "" : '<span class="inbox-dialog__new">New</span>'
+            }
             </div>
-          </td>
-        </tr>
-      `;
-    })
-    .join("\n");
+            <div>${escapeHtml(entry.text)}</div>
+          </li>`
+          )
+          .join("")}
+      </ul>`
+    : `<p class="import-dialog__hint">Nothing yet. Add rules to a favorite with
+        the Rules button on its card to be told when they match.</p>`;
+
+  modal.innerHTML = `
+    <div class="modal-dialog__header">
+      <div class="modal-dialog__header-content">
+        <h2 id="inbox-modal-title">Notifications</h2>
+        <button class="modal-dialog__close-button" aria-label="Close" id="inbox-modal-close">
+          <svg width="24" height="24" viewBox="0 0 256 256" aria-hidden="true">
+            <use href="assets/sprite.svg#icon-cross"></use>
+          </svg>
+        </button>
+      </div>
+    </div>
+    <div class="import-dialog inbox-dialog">
+      ${entriesHtml}
+      <div class="import-dialog__actions">
+        <button type="button" class="import-dialog__button" id="inbox-clear"${
+          notificationInbox.length ? "" : " disabled"
+        }>Clear history</button>
+      </div>
+    </div>
+  `;
+
+  document
+    .getElementById("inbox-modal-close")
+    .addEventListener("click", () => modal.close());
+  document.getElementById("inbox-clear").addEventListener("click", () => {
+    notificationInbox = [];
+    saveNotificationInbox();
+    renderInboxModal();
+    document.getElementById("inbox-modal-close").focus();
+  });
+
+  if (notificationInbox.some((entry) => !entry.read)) {
+    notificationInbox.forEach((entry) => {
+      entry.read = true;
+    });
+    saveNotificationInbox();
+    updateInboxButton();
+  }
+
+  wireModalBackdrop(modal);
+
+  if (!modal.open) {
+    modal.showModal();
+  }
+}
+
+/**
+ * Fills the history row of the weather card: the temperature change since
+ * yesterday at the same time (when a reading from then exists) and the
+ * button that opens the history view. Stays hidden without readings.
+ * @param {string} key - Location key of the shown favorite
+ * @param {Object} payload - Shown weather data
+ * @param {string} unit - Units of the shown temperatures
+ * @returns {Promise<void>}
+ */
+async function renderWeatherHistory(key, payload, unit) {
+  const el = document.getElementById("weather-history");
+  if (!el) return;
+  let records = [];
+  try {
+    records = await getHistory(key);
+  } catch (err) {
+    console.error("Failed to read weather history:", err);
+    return;
+  }
+  // The card was rendered again (or for another location) meanwhile
+  if (!el.isConnected || !records.length) return;
+
+  const yesterday = findYesterdayRecord(records, payload.current.dt);
+  const deltaHtml = yesterday
+    ? `<span class="weather-card__history-delta">${escapeHtml(
+        formatTempDelta(
+          Math.round(Number(payload.current.temp)) -
+            Math.round(convertTemp(yesterday.temp, yesterday.units, unit))
+        )
+      )}</span>`
+    : "";
+  el.innerHTML = `${deltaHtml}
+    <button type="button" class="weather-card__history-button" id="weather-history-btn" aria-haspopup="dialog">History</button>`;
+  el.hidden = false;
+  document
+    .getElementById("weather-history-btn")
+    .addEventListener("click", () => renderHistoryModal(key));
+}
+
+/**
+ * Renders and opens the history view of a favorite: per local day the low
+ * and high of the recorded temperatures, the precipitation total and how
+ * many readings the day has, newest day first.
+ * @param {string} key - Location key of the favorite
+ * @returns {Promise<void>}
+ */
+async function renderHistoryModal(key) {
+  const modal = document.getElementById("history-modal");
+  if (!modal) {
+    console.error("Cannot render history modal: missing modal element");
+    return;
+  }
+  let records = [];
+  try {
+    records = await getHistory(key);
+  } catch (err) {
+    console.error("Failed to read weather history:", err);
+  }
+
+  const unit = getSelectedUnit() || "metric";
+  const isMetric = unit === "metric";
+  const tempUnit = isMetric ? "°C" : "°F";
+  const fav = favorites[key];
+  const name = fav ? fav.name : "";
+  const days = summarizeHistoryDays(records, unit);
+
+  const periodHtml = records.length
+    ? `<p class="import-dialog__hint">${records.length} reading${
+        records.length === 1 ? "" : "s"
+      } from ${escapeHtml(
+        formatCompactDate(records[0].dt, records[0].tz)
+      )} to ${escapeHtml(
+        formatCompactDate(
+          records[records.length - 1].dt,
+          records[records.length - 1].tz
+        )
+      )}. Low and high come from the readings taken while the app was
+        open; precipitation is the day's total reported by the weather
+        service.</p>`
+    : `<p class="import-dialog__hint">Nothing recorded yet. The current
+        conditions of this favorite are recorded each time its weather is
+        refreshed on this device.</p>`;
+
+  const tableHtml = days.length
+    ? `<div class="compare-dialog__table-wrap">
+        <table class="history-table">
+          <caption class="sr-only">Recorded weather per day for ${escapeHtml(
+            name
+          )}</caption>
+          <thead>
+            <tr>
+              <th scope="col">Day</th>
+              <th scope="col">Low</th>
+              <th scope="col">High</th>
+              <th scope="col">Precipitation</th>
+              <th scope="col">Readings</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${days
+              .map(
+                (day) => `
+              <tr>
+                <th scope="row">${escapeHtml(
+                  formatCompactDate(day.dt, day.tz)
+                )}</th>
+                <td class="${tempColorClass(
+                  Math.round(day.min),
+                  isMetric
+                )}">${Math.round(day.min)}${tempUnit}</td>
+                <td class="${tempColorClass(
+                  Math.round(day.max),
+                  isMetric
+                )}">${Math.round(day.max)}${tempUnit}</td>
+                <td>${
+                  day.precip === null
+                    ? "--"
+                    : isMetric
+                    ? `${day.precip.toFixed(1)} mm`
+                    : `${mmToInches(day.precip)} in`
+                }</td>
+                <td>${day.count}</td>
+              </tr>`
+              )
+              .join("")}
+          </tbody>
+        </table>
+      </div>`
+    : "";
 
-  // Build the complete modal HTML
   modal.innerHTML = `
     <div class="modal-dialog__header">
       <div class="modal-dialog__header-content">
-        <h2 id="hourly-modal-title">
-          <time datetime="${dayDate.toISOString().split("T")[0]}">${escapeHtml(
-    headerLabel
-  )}</time>
-        </h2>
-        <button class="modal-dialog__close-button" aria-label="Close" id="hourly-modal-close">
+        <h2 id="history-modal-title">History – ${escapeHtml(name)}</h2>
+        <button class="modal-dialog__close-button" aria-label="Close" id="history-modal-close">
           <svg width="24" height="24" viewBox="0 0 256 256" aria-hidden="true">
             <use href="assets/sprite.svg#icon-cross"></use>
           </svg>
         </button>
       </div>
     </div>
-    <div class="hourly-weather-dialog">
-      <div class="hourly-weather-dialog__table">
-        <table class="hourly-weather-table">
-          <caption class="sr-only">Hourly forecast for ${escapeHtml(
-            headerLabel
-          )}</caption>
-          <thead>
-            <tr>
-              <th>Time</th>
-              <th>Weather</th>
-              <th>Temp</th>
-              <th>Precip</th>
-              <th>Wind</th>
-            </tr>
-          </thead>
-          <tbody>
-            ${rowsHtml}
-          </tbody>
-        </table>
+    <div class="import-dialog history-dialog">
+      ${periodHtml}
+      ${tableHtml}
+      <div class="import-dialog__actions">
+        <button type="button" class="import-dialog__button" id="history-clear"${
+          records.length ? "" : " disabled"
+        }>Clear history</button>
       </div>
     </div>
   `;
 
-  // Wire close button
-  const closeBtn = document.getElementById("hourly-modal-close");
-  if (closeBtn) {
-    closeBtn.addEventListener("click", () => {
-      modal.close();
+  document
+    .getElementById("history-modal-close")
+    .addEventListener("click", () => modal.close());
+  document
+    .getElementById("history-clear")
+    .addEventListener("click", async () => {
+      try {
+        await clearHistory(key);
+      } catch (err) {
+        console.error("Failed to clear weather history:", err);
+      }
+      await renderHistoryModal(key);
+      document.getElementById("history-modal-close").focus();
+      const row = document.getElementById("weather-history");
+      if (
+        row &&
+        lastSelectedLocation &&
+        createLocationKey(lastSelectedLocation) === key
+      ) {
+        row.hidden = true;
+      }
     });
+
+  wireModalBackdrop(modal);
+
+  if (!modal.open) {
+    modal.showModal();
   }
+}
 
-  // Close on backdrop click
-  modal.addEventListener("click", (e) => {
-    if (e.target === modal) {
-      modal.close();
-    }
+/**
+ * Builds an SVG chart from a list of points. Used for the temperature,
+ * precipitation and wind charts, so all three share axes and styling.
+ *
+ * - lines: drawn against the left axis; `dotClass(value)` optionally
+ *   returns a class per point (e.g. tempColorClass for temperature bands)
+ * - bars: drawn from zero against the left axis
+ * - percentLine: drawn against a fixed 0-100 % right axis (used for PoP)
+ *
+ * @param {Object} config
+ * @param {Array<string>} config.labels - X axis label for each point
+ * @param {Array<Object>} config.lines - { values, className, label, dashed, dotClass }
+ * @param {Array<Object>} config.bars - { values, className, label }
+ * @param {Object} config.percentLine - { values, className, label } or null
+ * @param {string} config.unit - Unit for the left axis labels
+ * @param {string} config.title - Accessible chart title
+ * @returns {string} Chart HTML (svg + legend)
+ */
+function buildChartSvg({
+  labels = [],
+  lines = [],
+  bars = [],
+  percentLine = null,
+  unit = "",
+  title = "",
+}) {
+  const width = 720;
+  const height = 200;
+  const pad = { top: 12, right: percentLine ? 40 : 12, bottom: 26, left: 44 };
+  const plotW = width - pad.left - pad.right;
+  const plotH = height - pad.top - pad.bottom;
+  const n = labels.length;
+  if (n === 0) return "";
+
+  // Left axis range covers all lines and bars; bars always start from zero
+  const allValues = [
+    ...lines.flatMap((l) => l.values),
+    ...bars.flatMap((b) => b.values),
+  ].filter((v) => Number.isFinite(v));
+  let yMin = Math.min(...allValues, bars.length ? 0 : Infinity);
+  let yMax = Math.max(...allValues);
+  if (!Number.isFinite(yMin) || !Number.isFinite(yMax)) return "";
+  yMin = Math.floor(yMin);
+  yMax = Math.ceil(yMax);
+  if (yMax === yMin) yMax = yMin + 1;
+
+  const step = plotW / n;
+  const x = (i) => pad.left + step * (i + 0.5);
+  const y = (v) => pad.top + plotH - ((v - yMin) / (yMax - yMin)) * plotH;
+  const yPct = (v) => pad.top + plotH - (v / 100) * plotH;
+
+  // Four horizontal grid lines with labels
+  const ticks = [0, 1, 2, 3, 4].map((t) => yMin + ((yMax - yMin) * t) / 4);
+  const decimals = yMax - yMin < 4 ? 1 : 0;
+  const gridHtml = ticks
+    .map(
+      (t) => `
+      <line class="chart-grid" x1="${pad.left}" x2="${
+        width - pad.right
+      }" y1="${y(t)}" y2="${y(t)}"></line>
+      <text class="chart-axis-label" x="${pad.left - 6}" y="${
+        y(t) + 4
+      }" text-anchor="end">${escapeHtml(t.toFixed(decimals))}</text>`
+    )
+    .join("");
+  const pctAxisHtml = percentLine
+    ? [0, 50, 100]
+        .map(
+          (t) => `
+      <text class="chart-axis-label" x="${width - pad.right + 6}" y="${
+            yPct(t) + 4
+          }">${t}%</text>`
+        )
+        .join("")
+    : "";
+
+  // Show at most ~12 x labels so they don't overlap
+  const labelEvery = Math.ceil(n / 12);
+  const xLabelsHtml = labels
+    .map((label, i) =>
+      i % labelEvery === 0
+        ? `<text class="chart-axis-label" x="${x(i)}" y="${
+            height - 8
+          }" text-anchor="middle">${escapeHtml(label)}</text>`
+        : ""
+    )
+    .join("");
+
+  const barW = step * 0.6;
+  const barsHtml = bars
+    .map((b) =>
+      b.values
+        .map((v, i) =>
+          Number.isFinite(v) && v > 0
+            ? `<rect class="${b.className}" x="${x(i) - barW / 2}" y="${y(
+                v
+              )}" width="${barW}" height="${y(0) - y(v)}"></rect>`
+            : ""
+        )
+        .join("")
+    )
+    .join("");
+
+  const polyline = (values, yFn, className, dashed) => {
+    const pts = values
+      .map((v, i) => (Number.isFinite(v) ? `${x(i)},${yFn(v)}` : null))
+      .filter(Boolean)
+      .join(" ");
+    return `<polyline class="${className}${
+      dashed ? " chart-line--dashed" : ""
+    }" points="${pts}"></polyline>`;
+  };
+
+  const linesHtml = lines
+    .map(
+      (l) =>
+        polyline(l.values, y, l.className, l.dashed) +
+        (l.dotClass
+          ? l.values
+              .map((v, i) =>
+                Number.isFinite(v)
+                  ? `<circle class="chart-dot ${l.dotClass(v)}" cx="${x(
+                      i
+                    )}" cy="${y(v)}" r="3"></circle>`
+                  : ""
+              )
+              .join("")
+          : "")
+    )
+    .join("");
+
+  const pctHtml = percentLine
+    ? polyline(percentLine.values, yPct, percentLine.className, true)
+    : "";
+
+  const legendItems = [
+    ...lines.map((l) => ({ ...l, kind: "line" })),
+    ...bars.map((b) => ({ ...b, kind: "bar" })),
+    ...(percentLine ? [{ ...percentLine, kind: "line", dashed: true }] : []),
+  ];
+  const legendHtml = legendItems
+    .map(
+      (item) => `
+      <span class="chart-legend__item">
+        <svg width="24" height="12" aria-hidden="true">${
+          item.kind === "bar"
+            ? `<rect class="${item.className}" x="6" y="1" width="12" height="10"></rect>`
+            : `<line class="${item.className}${
+                item.dashed ? " chart-line--dashed" : ""
+              }" x1="0" x2="24" y1="6" y2="6"></line>`
+        }</svg>
+        ${escapeHtml(item.label)}
+      </span>`
+    )
+    .join("");
+
+  return `
+    <figure class="weather-chart">
+      <svg class="weather-chart__svg" viewBox="0 0 ${width} ${height}" role="img" aria-label="${escapeHtml(
+    `${title} (${unit})`
+  )}">
+        ${gridHtml}
+        ${pctAxisHtml}
+        ${barsHtml}
+        ${linesHtml}
+        ${pctHtml}
+        ${xLabelsHtml}
+      </svg>
+      <figcaption class="chart-legend">
+        <strong>${escapeHtml(title)}</strong> (${escapeHtml(unit)})
+        ${legendHtml}
+      </figcaption>
+    </figure>
+  `;
+}
+
+/**
+ * Renders the temperature, precipitation and wind charts into #weather-charts.
+ * Reads lastWeatherPayload.hourly (48 h) or .daily (7 days) depending on
+ * chartRange. Values are converted from the units the payload was fetched in
+ * to the selected unit, so the charts can be redrawn immediately on a unit
+ * change, before the re-fetch completes.
+ */
+function renderWeatherCharts() {
+  const container = document.getElementById("weather-charts");
+  if (!container || !lastWeatherPayload) return;
+
+  const tz = lastWeatherPayload.timezone_offset || 0;
+  const unit = getSelectedUnit() || "metric";
+  const isMetric = unit === "metric";
+  const tempUnit = isMetric ? "°C" : "°F";
+  const windUnit = isMetric ? "m/s" : "mph";
+  const precipUnit =
+    chartRange === "hourly"
+      ? isMetric
+        ? "mm/h"
+        : "in/h"
+      : isMetric
+      ? "mm"
+      : "in";
+  const toTemp = (v) => convertTemp(v, lastWeatherUnits, unit);
+  const toSpeed = (v) => convertSpeed(v, lastWeatherUnits, unit);
+  // Precipitation is always millimeters in the API response
+  const toPrecip = (mm) => (isMetric ? mm : Number(mmToInches(mm)));
+
+  let points = [];
+  if (chartRange === "hourly") {
+    points = (lastWeatherPayload.hourly || []).map((h) => ({
+      label: formatHour(toLocalDate(h.dt, tz).getUTCHours()).slice(0, 2),
+      temp: toTemp(h.temp),
+      feels: toTemp(h.feels_like),
+      precip: toPrecip(
+        ((h.rain && h.rain["1h"]) || 0) + ((h.snow && h.snow["1h"]) || 0)
+      ),
+      pop: Math.round(Number(h.pop || 0) * 100),
+      wind: toSpeed(h.wind_speed || 0),
+      gust: toSpeed(h.wind_gust || h.wind_speed || 0),
+    }));
+  } else {
+    points = (lastWeatherPayload.daily || []).slice(0, 7).map((d) => ({
+      label: formatCompactDate(d.dt, tz).split(",")[0],
+      temp: toTemp(d.temp && d.temp.max),
+      tempMin: toTemp(d.temp && d.temp.min),
+      feels: toTemp(d.feels_like && d.feels_like.day),
+      precip: toPrecip((Number(d.rain) || 0) + (Number(d.snow) || 0)),
+      pop: Math.round(Number(d.pop || 0) * 100),
+      wind: toSpeed(d.wind_speed || 0),
+      gust: toSpeed(d.wind_gust || d.wind_speed || 0),
+    }));
+  }
+
+  const labels = points.map((p) => p.label);
+  const tempDotClass = (v) => tempColorClass(Math.round(v), isMetric);
+  const tempLines =
+    chartRange === "hourly"
+      ? [
+          {
+            values: points.map((p) => p.temp),
+            className: "chart-line chart-line--temp",
+            label: "Temperature",
+            dotClass: tempDotClass,
+          },
+        ]
+      : [
+          {
+            values: points.map((p) => p.temp),
+            className: "chart-line chart-line--temp",
+            label: "Max",
+            dotClass: tempDotClass,
+          },
+          {
+            values: points.map((p) => p.tempMin),
+            className: "chart-line chart-line--temp-min",
+            label: "Min",
+            dotClass: tempDotClass,
+          },
+        ];
+  tempLines.push({
+    values: points.map((p) => p.feels),
+    className: "chart-line chart-line--feels",
+    label: "Feels like",
+    dashed: true,
   });
 
-  // Close on Escape key (browsers handle this automatically for <dialog>, but just in case)
-  modal.addEventListener("keydown", (e) => {
-    if (e.key === "Escape") {
-      modal.close();
-    }
+  container.innerHTML = `
+    <div class="weather-charts__toggle" role="group" aria-label="Chart range">
+      <button type="button" class="unit-btn ${
+        chartRange === "hourly" ? "active" : ""
+      }" data-chart-range="hourly" aria-pressed="${
+    chartRange === "hourly"
+  }">Next 48 hours</button>
+      <button type="button" class="unit-btn ${
+        chartRange === "daily" ? "active" : ""
+      }" data-chart-range="daily" aria-pressed="${
+    chartRange === "daily"
+  }">7 days</button>
+    </div>
+    ${buildChartSvg({
+      labels,
+      lines: tempLines,
+      unit: tempUnit,
+      title: "Temperature",
+    })}
+    ${buildChartSvg({
+      labels,
+      bars: [
+        {
+          values: points.map((p) => p.precip),
+          className: "chart-bar--precip",
+          label: "Precipitation",
+        },
+      ],
+      percentLine: {
+        values: points.map((p) => p.pop),
+        className: "chart-line chart-line--pop",
+        label: "Chance of precipitation",
+      },
+      unit: precipUnit,
+      title: "Precipitation",
+    })}
+    ${buildChartSvg({
+      labels,
+      lines: [
+        {
+          values: points.map((p) => p.wind),
+          className: "chart-line chart-line--wind",
+          label: "Wind speed",
+        },
+        {
+          values: points.map((p) => p.gust),
+          className: "chart-line chart-line--gust",
+          label: "Gusts",
+          dashed: true,
+        },
+      ],
+      unit: windUnit,
+      title: "Wind",
+    })}
+  `;
+
+  // Wire range toggle
+  container.querySelectorAll("[data-chart-range]").forEach((btn) => {
+    btn.addEventListener("click", () => {
+      chartRange = btn.getAttribute("data-chart-range");
+      renderWeatherCharts();
+    });
   });
+}
 
-  // Open the modal
-  modal.showModal();
+/**
+ * Builds the warning badge shown on a saved card when its cached
+ * weather data has active alerts. Returns an empty string otherwise.
+ * @param {Object} weather - Cached weather data of the favorite
+ * @returns {string} Badge HTML or ""
+ */
+function savedCardAlertBadgeHtml(weather) {
+  const count = getActiveAlerts(weather).length;
+  if (count === 0) return "";
+  const label = `${count} active weather alert${count === 1 ? "" : "s"}`;
+  return `<span class="saved-card__alert-badge" role="img" aria-label="${label}" title="${label}">
+    <svg class="icon" width="16" height="16" aria-hidden="true"><use href="assets/sprite.svg#icon-warning"></use></svg>${count}
+  </span>`;
 }
 
 /**
@@ -1591,10 +5960,17 @@ function updateSavedCard(card, key, fav) {
     }
   }
 
+  // Update alert badge
+  const alertsEl = card.querySelector(".saved-card__alerts");
+  if (alertsEl) {
+    alertsEl.innerHTML = savedCardAlertBadgeHtml(weather);
+  }
+
   // Update last updated time (this card only)
   const lastUpdatedEl = card.querySelector(".saved-card__updated");
   if (lastUpdatedEl) {
     lastUpdatedEl.textContent = formatLastUpdatedTime(fav.lastUpdated);
+    applyAgeIndicator(lastUpdatedEl, fav.lastUpdated);
   }
 
   // Update local time for this card only
@@ -1608,90 +5984,448 @@ function updateSavedCard(card, key, fav) {
   }
 }
 
+/**
+ * Builds the map panel on first open: the map with its grid, tile and pin
+ * layers, the zoom buttons, a usage hint and the tile attribution, and
+ * wires dragging, clicking, wheel and keyboard handling. The map itself is
+ * drawn by renderMap().
+ */
+function renderMapPanel() {
+  const panel = document.getElementById("map-panel");
+  if (!panel) return;
+
+  panel.innerHTML = `
+    <div class="map-panel__map">
+      <div class="map-panel__viewport" id="map-viewport" tabindex="0" role="application" aria-roledescription="map" aria-label="Map" aria-describedby="map-hint">
+        <svg class="map-panel__grid" id="map-grid" aria-hidden="true"></svg>
+        <div class="map-panel__tiles" id="map-tiles" aria-hidden="true"></div>
+        <div class="map-panel__pins" id="map-pins"></div>
+        <span class="map-panel__crosshair" aria-hidden="true"></span>
+      </div>
+      <div class="map-panel__zoom" role="group" aria-label="Zoom">
+        <button type="button" class="map-panel__zoom-button" id="map-zoom-in" aria-label="Zoom in">+</button>
+        <button type="button" class="map-panel__zoom-button" id="map-zoom-out" aria-label="Zoom out">−</button>
+      </div>
+    </div>
+    <div class="map-panel__footer">
+      <p class="map-panel__hint" id="map-hint">Click the map to show the weather
+        there; pins are your favorites. Keyboard: arrow keys move the map, + and
+        − zoom, Enter shows the weather at the center.</p>
+      <p class="map-panel__attribution" id="map-attribution"></p>
+    </div>
+  `;
+
+  const viewport = document.getElementById("map-viewport");
+
+  // Dragging pans the map; a press and release without moving picks the point
+  viewport.addEventListener("pointerdown", (e) => {
+    if (e.button !== 0 || e.target.closest(".map-pin")) return;
+    mapDrag = {
+      pointerId: e.pointerId,
+      startX: e.clientX,
+      startY: e.clientY,
+      lastX: e.clientX,
+      lastY: e.clientY,
+      moved: false,
+    };
+    viewport.setPointerCapture(e.pointerId);
+  });
+  viewport.addEventListener("pointermove", (e) => {
+    if (!mapDrag || e.pointerId !== mapDrag.pointerId) return;
+    if (
+      !mapDrag.moved &&
+      Math.hypot(e.clientX - mapDrag.startX, e.clientY - mapDrag.startY) >
+        MAP_CLICK_SLOP_PX
+    ) {
+      mapDrag.moved = true;
+      viewport.classList.add("map-panel__viewport--dragging");
+    }
+    if (mapDrag.moved) {
+      panMapBy(mapDrag.lastX - e.clientX, mapDrag.lastY - e.clientY);
+    }
+    mapDrag.lastX = e.clientX;
+    mapDrag.lastY = e.clientY;
+  });
+  viewport.addEventListener("pointerup", (e) => {
+    if (!mapDrag || e.pointerId !== mapDrag.pointerId) return;
+    const clicked = !mapDrag.moved;
+    mapDrag = null;
+    viewport.classList.remove("map-panel__viewport--dragging");
+    if (clicked) {
+      const rect = viewport.getBoundingClientRect();
+      const point = mapPointAt(e.clientX - rect.left, e.clientY - rect.top);
+      pickMapPoint(point.lat, point.lon);
+    }
+  });
+  viewport.addEventListener("pointercancel", () => {
+    mapDrag = null;
+    viewport.classList.remove("map-panel__viewport--dragging");
+  });
+
+  // The wheel zooms around the pointer
+  viewport.addEventListener(
+    "wheel",
+    (e) => {
+      e.preventDefault();
+      const now = Date.now();
+      if (e.deltaY === 0 || now - mapWheelAt < MAP_WHEEL_DELAY_MS) return;
+      mapWheelAt = now;
+      const rect = viewport.getBoundingClientRect();
+      zoomMapAt(
+        e.deltaY < 0 ? 1 : -1,
+        e.clientX - rect.left,
+        e.clientY - rect.top
+      );
+    },
+    { passive: false }
+  );
+
+  viewport.addEventListener("keydown", (e) => {
+    const pan = {
+      ArrowLeft: [-MAP_PAN_STEP_PX, 0],
+      ArrowRight: [MAP_PAN_STEP_PX, 0],
+      ArrowUp: [0, -MAP_PAN_STEP_PX],
+      ArrowDown: [0, MAP_PAN_STEP_PX],
+    }[e.key];
+    if (pan) {
+      e.preventDefault();
+      panMapBy(pan[0], pan[1]);
+    } else if (e.key === "+" || e.key === "=") {
+      e.preventDefault();
+      zoomMapAt(1);
+    } else if (e.key === "-" || e.key === "_") {
+      e.preventDefault();
+      zoomMapAt(-1);
+    } else if (e.key === "Enter" && e.target === viewport) {
+      e.preventDefault();
+      pickMapPoint(mapView.lat, mapView.lon);
+    }
+  });
+
+  // Pins open their favorite, like clicking its saved card
+  document.getElementById("map-pins").addEventListener("click", (e) => {
+    const pin = e.target.closest(".map-pin");
+    if (pin) showFavoriteWeather(pin.getAttribute("data-fav-key"));
+  });
+
+  document
+    .getElementById("map-zoom-in")
+    .addEventListener("click", () => zoomMapAt(1));
+  document
+    .getElementById("map-zoom-out")
+    .addEventListener("click", () => zoomMapAt(-1));
+}
+
+/**
+ * Puts a pin on the map for every favorite, showing its current
+ * temperature, and a marker at the shown location when it isn't a
+ * favorite. Does nothing while the map is closed; renderMap() places them.
+ */
+function renderMapPins() {
+  const panel = document.getElementById("map-panel");
+  const pinsEl = document.getElementById("map-pins");
+  if (!panel || panel.hidden || !pinsEl) return;
+
+  const unit = getSelectedUnit() || "metric";
+  const tempUnit = unit === "metric" ? "°C" : "°F";
+  const selectedKey = lastSelectedLocation
+    ? createLocationKey(lastSelectedLocation)
+    : null;
+  const hasCoords = (place) =>
+    Number.isFinite(Number(place.lat)) && Number.isFinite(Number(place.lon));
+
+  const pinsHtml = getFavoriteKeys()
+    .filter((key) => hasCoords(favorites[key]))
+    .map((key) => {
+      const fav = favorites[key];
+      const current = fav.weatherData && fav.weatherData.current;
+      const temp =
+        current && Number.isFinite(Number(current.temp))
+          ? Math.round(current.temp)
+          : null;
+      const label =
+        temp === null ? fav.name : `${fav.name}, ${temp} ${tempUnit}`;
+      return `<button type="button" class="map-pin${
+        key === selectedKey ? " map-pin--selected" : ""
+      }" data-fav-key="${escapeHtml(key)}" data-lat="${Number(
+        fav.lat
+      )}" data-lon="${Number(fav.lon)}" title="${escapeHtml(
+        label
+      )}" aria-label="${escapeHtml(
+        `${label}: show weather`
+      )}"><span class="map-pin__temp ${
+        temp === null ? "" : tempColorClass(temp, unit === "metric")
+      }">${temp === null ? "–" : `${temp}°`}</span></button>`;
+    })
+    .join("");
+
+  const markerHtml =
+    lastSelectedLocation &&
+    hasCoords(lastSelectedLocation) &&
+    !favorites[selectedKey]
+      ? `<span class="map-panel__marker" data-lat="${Number(
+          lastSelectedLocation.lat
+        )}" data-lon="${Number(
+          lastSelectedLocation.lon
+        )}" aria-hidden="true"></span>`
+      : "";
+
+  pinsEl.innerHTML = markerHtml + pinsHtml;
+  renderMap();
+}
+
+/**
+ * Draws the map for the current view (mapView): the latitude/longitude
+ * grid, the tiles when a tile URL is configured (tiles already on the map
+ * are reused) and the positions of the pins. Tiles that fail to load leave
+ * the grid visible, so the map stays usable offline.
+ */
+function renderMap() {
+  const viewport = document.getElementById("map-viewport");
+  if (!viewport || !mapView) return;
+
+  const width = viewport.clientWidth;
+  const height = viewport.clientHeight;
+  const zoom = mapView.zoom;
+  const size = MAP_TILE_SIZE * 2 ** zoom;
+  const center = projectToWorld(mapView.lat, mapView.lon, zoom);
+  const left = center.x - width / 2;
+  const top = center.y - height / 2;
+
+  // Grid lines over the world's area (meridians repeat sideways)
+  const step = mapGridStep(zoom);
+  const isMajor = (degrees) => Math.round(degrees * 1e6) % 360e6 === 0;
+  const lines = [];
+  const lonFrom = Math.ceil(((left / size) * 360 - 180) / step);
+  const lonTo = Math.floor((((left + width) / size) * 360 - 180) / step);
+  for (let i = lonFrom; i <= lonTo; i++) {
+    const x = ((i * step + 180) / 360) * size - left;
+    lines.push(
+      `<line class="map-panel__grid-line${
+        isMajor(i * step) ? " map-panel__grid-line--major" : ""
+      }" x1="${x}" y1="${-top}" x2="${x}" y2="${size - top}"></line>`
+    );
+  }
+  const latFrom = worldToLatLon(0, Math.max(0, top), zoom).lat;
+  const latTo = worldToLatLon(0, Math.min(size, top + height), zoom).lat;
+  for (let i = Math.floor(latFrom / step); i >= Math.ceil(latTo / step); i--) {
+    const y = projectToWorld(i * step, 0, zoom).y - top;
+    lines.push(
+      `<line class="map-panel__grid-line${
+        i === 0 ? " map-panel__grid-line--major" : ""
+      }" x1="0" y1="${y}" x2="${width}" y2="${y}"></line>`
+    );
+  }
+  const grid = document.getElementById("map-grid");
+  grid.setAttribute("viewBox", `0 0 ${width} ${height}`);
+  grid.innerHTML = `<rect class="map-panel__world" x="0" y="${-top}" width="${width}" height="${size}"></rect>${lines.join(
+    ""
+  )}`;
+
+  // Tiles in view; columns wrap around, rows stop at the poles
+  const tilesEl = document.getElementById("map-tiles");
+  const wanted = new Set();
+  if (mapConfig.tileUrl && tilesEl) {
+    const count = 2 ** zoom;
+    const rowFrom = Math.max(0, Math.floor(top / MAP_TILE_SIZE));
+    const rowTo = Math.min(
+      count - 1,
+      Math.floor((top + height) / MAP_TILE_SIZE)
+    );
+    const colFrom = Math.floor(left / MAP_TILE_SIZE);
+    const colTo = Math.floor((left + width) / MAP_TILE_SIZE);
+    for (let row = rowFrom; row <= rowTo; row++) {
+      for (let col = colFrom; col <= colTo; col++) {
+        const key = `${zoom}/${col}/${row}`;
+        wanted.add(key);
+        let img = mapTileEls.get(key);
+        if (!img) {
+          img = document.createElement("img");
+          img.className = "map-panel__tile";
+          img.alt = "";
+          img.draggable = false;
+          // CORS responses can be cached for offline use (see sw.js). A
+          // tile that fails that way is tried once more without CORS, and
+          // if it loads then, the server doesn't allow CORS at all.
+          if (mapTilesCors) img.crossOrigin = "anonymous";
+          img.addEventListener("load", () => {
+            if (img.dataset.corsRetry) mapTilesCors = false;
+          });
+          img.addEventListener("error", () => {
+            if (img.crossOrigin && !img.dataset.corsRetry) {
+              img.dataset.corsRetry = "true";
+              img.removeAttribute("crossorigin");
+              img.src = img.src;
+              return;
+            }
+            img.classList.add("map-panel__tile--missing");
+          });
+          img.src = tileUrlFor(
+            mapConfig.tileUrl,
+            zoom,
+            ((col % count) + count) % count,
+            row
+          );
+          tilesEl.appendChild(img);
+          mapTileEls.set(key, img);
+        }
+        img.style.transform = `translate(${Math.round(
+          col * MAP_TILE_SIZE - left
+        )}px, ${Math.round(row * MAP_TILE_SIZE - top)}px)`;
+      }
+    }
+  }
+  mapTileEls.forEach((img, key) => {
+    if (!wanted.has(key)) {
+      img.remove();
+      mapTileEls.delete(key);
+    }
+  });
+
+  // Pins at the copy of their point nearest to the center
+  viewport.querySelectorAll("#map-pins [data-lat]").forEach((el) => {
+    const point = projectToWorld(
+      Number(el.getAttribute("data-lat")),
+      Number(el.getAttribute("data-lon")),
+      zoom
+    );
+    let dx = point.x - center.x;
+    dx -= Math.round(dx / size) * size;
+    el.style.left = `${Math.round(width / 2 + dx)}px`;
+    el.style.top = `${Math.round(point.y - top)}px`;
+  });
+}
+
+/**
+ * Reads a message to screen reader users (e.g. "Oslo moved to position 2 of 5").
+ * @param {string} message - Text for the polite live region
+ */
+function announceSavedLocations(message) {
+  const statusEl = document.getElementById("saved-locations-status");
+  if (statusEl) statusEl.textContent = message;
+}
+
 /**
  * Renders the saved/favorite locations as mini cards in the saved-locations section.
  * Each card shows: location name, weather icon, temperature, last updated time,
  * and has a refresh button for on-demand updates.
+ * Cards are listed in the saved order, under their group headings (if any
+ * groups exist), and can be reordered by dragging or with the arrow keys on
+ * the card's grip button. A toolbar sets the favorites limit and adds groups.
  */
 function renderSavedLocations() {
-  const container = document.querySelector("#saved-locations .saved-grid");
+  const container = document.querySelector("#saved-locations .saved-groups");
   if (!container) return;
 
-  const favKeys = Object.keys(favorites);
+  // Keep the installed app's shortcuts in sync with the favorites
+  updateManifestShortcuts();
+  // And the map's pins
+  renderMapPins();
 
-  // If no favorites, hide the section
-  if (favKeys.length === 0) {
-    container.innerHTML = "";
-    return;
-  }
+  const favKeys = getFavoriteKeys();
 
   const unit = getSelectedUnit() || "metric";
   const tempUnit = unit === "metric" ? "°C" : "°F";
   const tempUnitLabel =
     tempUnit === "°C" ? "degrees Celsius" : "degrees Fahrenheit";
 
-  const cardsHtml = favKeys
-    .map((key) => {
-      const fav = favorites[key];
-      const weather = fav.weatherData;
+  // Options for the "move to group" select on each card
+  const groupOptions = [{ id: "", name: "Ungrouped" }, ...favoriteGroups];
 
-      // Location display
-      const countryText = fav.country
-        ? regionNames.of(fav.country) || fav.country
+  const cardHtmlByKey = {};
+  favKeys.forEach((key) => {
+    const fav = favorites[key];
+    const weather = fav.weatherData;
+    const groupId = favoriteGroupId(fav);
+
+    // Location display
+    const countryText = fav.country
+      ? regionNames.of(fav.country) || fav.country
+      : "";
+    const displayName = `${fav.name}${countryText ? ", " + countryText : ""}`;
+
+    // Weather data (if available)
+    let iconUrl = "";
+    let temp = "--";
+    let feelsLike = "--";
+    let tempClass = "";
+    let feelsLikeClass = "";
+    let weatherDesc = "";
+    let windSpeed = "--";
+
+    if (weather && weather.current) {
+      const current = weather.current;
+      const iconCode =
+        current.weather && current.weather[0] && current.weather[0].icon;
+      iconUrl = iconCode
+        ? `https://openweathermap.org/img/wn/${iconCode}@2x.png`
         : "";
-      const displayName = `${fav.name}${countryText ? ", " + countryText : ""}`;
-
-      // Weather data (if available)
-      let iconUrl = "";
-      let temp = "--";
-      let feelsLike = "--";
-      let tempClass = "";
-      let feelsLikeClass = "";
-      let weatherDesc = "";
-      let windSpeed = "--";
-
-      if (weather && weather.current) {
-        const current = weather.current;
-        const iconCode =
-          current.weather && current.weather[0] && current.weather[0].icon;
-        iconUrl = iconCode
-          ? `https://openweathermap.org/img/wn/${iconCode}@2x.png`
-          : "";
-        temp = Math.round(current.temp);
-        feelsLike = Math.round(current.feels_like);
-        tempClass = tempColorClass(temp, unit === "metric");
-        feelsLikeClass = tempColorClass(feelsLike, unit === "metric");
-        weatherDesc =
-          (current.weather &&
-            current.weather[0] &&
-            current.weather[0].description) ||
-          "";
-        windSpeed = Math.round(current.wind_speed || 0);
-      }
+      temp = Math.round(current.temp);
+      feelsLike = Math.round(current.feels_like);
+      tempClass = tempColorClass(temp, unit === "metric");
+      feelsLikeClass = tempColorClass(feelsLike, unit === "metric");
+      weatherDesc =
+        (current.weather &&
+          current.weather[0] &&
+          current.weather[0].description) ||
+        "";
+      windSpeed = Math.round(current.wind_speed || 0);
+    }
 
-      // Wind unit based on selected unit
-      const windUnit = unit === "metric" ? "m/s" : "mph";
-
-      // Last updated - shows actual time (e.g., "14:30") instead of relative time
-      const lastUpdatedText = formatLastUpdatedTime(fav.lastUpdated);
-
-      // Location's current local time (using timezone_offset from weather data)
-      let locationLocalTime = "--:--";
-      if (weather && typeof weather.timezone_offset === "number") {
-        // Calculate current time at the location
-        const nowUtc = Date.now(); // Current UTC time in ms
-        const locationTime = new Date(nowUtc + weather.timezone_offset * 1000);
-        // Format using UTC methods since we already added the offset
-        const hours = String(locationTime.getUTCHours()).padStart(2, "0");
-        const minutes = String(locationTime.getUTCMinutes()).padStart(2, "0");
-        locationLocalTime = `${hours}:${minutes}`;
-      }
+    // Wind unit based on selected unit
+    const windUnit = unit === "metric" ? "m/s" : "mph";
 
-      return `
-        <div class="saved-card" data-fav-key="${escapeHtml(key)}">
+    // Last updated - shows actual time (e.g., "14:30") instead of relative time
+    const lastUpdatedText = formatLastUpdatedTime(fav.lastUpdated);
+
+    const ruleCount = (notificationRules[key] || []).length;
+
+    // Location's current local time (using timezone_offset from weather data)
+    let locationLocalTime = "--:--";
+    if (weather && typeof weather.timezone_offset === "number") {
+      // Calculate current time at the location
+      const nowUtc = Date.now(); // Current UTC time in ms
+      const locationTime = new Date(nowUtc + weather.timezone_offset * 1000);
+      // Format using UTC methods since we already added the offset
+      const hours = String(locationTime.getUTCHours()).padStart(2, "0");
+      const minutes = String(locationTime.getUTCMinutes()).padStart(2, "0");
+      locationLocalTime = `${hours}:${minutes}`;
+    }
+
+    const groupSelectHtml = favoriteGroups.length
+      ? `
+          <label class="saved-card__group">
+            <span class="sr-only">Group for ${escapeHtml(fav.name)}</span>
+            <select class="saved-card__group-select" data-fav-key="${escapeHtml(
+              key
+            )}">
+              ${groupOptions
+                .map(
+                  (g) =>
+                    `<option value="${escapeHtml(g.id)}"${
+                      g.id === groupId ? " selected" : ""
+                    }>${escapeHtml(g.name)}</option>`
+                )
+                .join("")}
+            </select>
+          </label>`
+      : "";
+
+    cardHtmlByKey[key] = `
+        <div class="saved-card" data-fav-key="${escapeHtml(
+          key
+        )}" draggable="true">
           <div class="saved-card__header">
             <div class="saved-card__header-top">
+              <button type="button" class="saved-card__handle" aria-label="Move ${escapeHtml(
+                fav.name
+              )} (use arrow keys)" data-fav-key="${escapeHtml(key)}">
+                <svg class="icon" width="16" height="16" aria-hidden="true"><use href="assets/sprite.svg#icon-grip"></use></svg>
+              </button>
               <span class="saved-card__name">${escapeHtml(displayName)}</span>
+              <span class="saved-card__alerts">${savedCardAlertBadgeHtml(
+                weather
+              )}</span>
               <button class="saved-card__remove" aria-label="Remove ${escapeHtml(
                 fav.name
               )} from favorites" data-fav-key="${escapeHtml(key)}">
@@ -1717,76 +6451,368 @@ function renderSavedLocations() {
                 ${escapeHtml(
                   String(temp)
                 )}<span class="saved-card__temp-unit" aria-label="${escapeHtml(
-        tempUnitLabel
-      )}">${escapeHtml(tempUnit)}</span>
+      tempUnitLabel
+    )}">${escapeHtml(tempUnit)}</span>
               </div>
               <div class="saved-card__feels-like ${feelsLikeClass}">
                 Feels like ${escapeHtml(String(feelsLike))}${escapeHtml(
-        tempUnit
-      )}
+      tempUnit
+    )}
               </div>
             </div>
             <div class="saved-card__wind">
               <svg class="icon" width="16" height="16"><use href="assets/sprite.svg#icon-wind"></use></svg>
               <span>${escapeHtml(String(windSpeed))} ${escapeHtml(
-        windUnit
-      )}</span>
+      windUnit
+    )}</span>
             </div>
-          </div>
+          </div>${groupSelectHtml}
           <div class="saved-card__footer">
-            <span class="saved-card__updated">${escapeHtml(
-              lastUpdatedText
-            )}</span>
+            <span class="saved-card__updated age-indicator age-indicator--${ageLevel(
+              fav.lastUpdated
+            )}" data-age-ts="${escapeHtml(
+      String(fav.lastUpdated || 0)
+    )}">${escapeHtml(lastUpdatedText)}</span>
             <span class="saved-card__separator">|</span>
             <span class="saved-card__local-time">Local: ${escapeHtml(
               locationLocalTime
             )}</span>
-            <button class="saved-card__refresh" aria-label="Refresh weather for ${escapeHtml(
-              fav.name
-            )}" data-fav-key="${escapeHtml(key)}">
-              <svg class="icon" width="16" height="16"><use href="assets/sprite.svg#icon-refresh"></use></svg>
-            </button>
+            <span class="saved-card__actions">
+              <button type="button" class="saved-card__rules" aria-haspopup="dialog" aria-label="Notification rules for ${escapeHtml(
+                fav.name
+              )}" data-fav-key="${escapeHtml(key)}">Rules${
+      ruleCount ? ` (${ruleCount})` : ""
+    }</button>
+              <button class="saved-card__refresh" aria-label="Refresh weather for ${escapeHtml(
+                fav.name
+              )}" data-fav-key="${escapeHtml(key)}">
+                <svg class="icon" width="16" height="16"><use href="assets/sprite.svg#icon-refresh"></use></svg>
+              </button>
+            </span>
           </div>
         </div>
       `;
+  });
+
+  // Ungrouped favorites first, then each named group. Without any groups
+  // the cards are shown in a single grid with no heading, and without any
+  // favorites only the toolbar is shown (so a list can still be imported).
+  const sections = favoriteGroups.length
+    ? [{ id: "", name: "Ungrouped" }, ...favoriteGroups]
+    : favKeys.length
+    ? [{ id: "", name: "" }]
+    : [];
+  const groupsHtml = sections
+    .map((group) => {
+      const keys = favKeys.filter(
+        (key) => favoriteGroupId(favorites[key]) === group.id
+      );
+      const headerHtml = group.name
+        ? `
+          <div class="saved-group__header">
+            <h2 class="saved-group__title">${escapeHtml(
+              group.name
+            )} <span class="saved-group__count">(${keys.length})</span></h2>
+            ${
+              group.id
+                ? `
+            <button type="button" class="saved-group__button saved-group__rename" data-group-id="${escapeHtml(
+              group.id
+            )}">Rename</button>
+            <button type="button" class="saved-group__button saved-group__delete" data-group-id="${escapeHtml(
+              group.id
+            )}">Delete</button>`
+                : ""
+            }
+          </div>`
+        : "";
+      return `
+        <section class="saved-group" aria-label="${escapeHtml(
+          group.name || "Saved locations"
+        )}">
+          ${headerHtml}
+          <div class="saved-grid" data-group-id="${escapeHtml(group.id)}">
+            ${
+              keys.length
+                ? keys.map((key) => cardHtmlByKey[key]).join("\n")
+                : '<p class="saved-grid__empty">Drag favorites here or pick this group on a card.</p>'
+            }
+          </div>
+        </section>
+      `;
     })
     .join("\n");
 
-  container.innerHTML = cardsHtml;
+  const toolbarHtml = `
+    <div class="saved-toolbar">
+      <span class="saved-toolbar__count">${
+        favKeys.length
+      } of ${getMaxFavorites()} favorites</span>
+      <label class="saved-toolbar__limit" for="favorites-limit">Limit</label>
+      <input type="number" id="favorites-limit" class="saved-toolbar__limit-input" min="1" max="${MAX_FAVORITES_LIMIT}" value="${getMaxFavorites()}">
+      <button type="button" class="saved-toolbar__button" id="favorites-add-group">New group</button>
+      <button type="button" class="saved-toolbar__button" id="favorites-compare" aria-haspopup="dialog"${
+        favKeys.length >= COMPARE_MIN ? "" : " disabled"
+      }>Compare</button>
+      <button type="button" class="saved-toolbar__button" id="favorites-export"${
+        favKeys.length ? "" : " disabled"
+      }>Export</button>
+      <button type="button" class="saved-toolbar__button" id="favorites-import">Import</button>
+      <input type="file" id="favorites-import-file" accept=".json,.csv,application/json,text/csv" hidden>
+      <button type="button" class="saved-toolbar__button" id="favorites-sync" aria-haspopup="dialog">Sync</button>
+      <span class="saved-toolbar__sync" id="favorites-sync-status"></span>
+      <button type="button" class="saved-toolbar__button" id="favorites-inbox" aria-haspopup="dialog">Inbox</button>
+    </div>
+  `;
+
+  container.innerHTML = toolbarHtml + groupsHtml;
+
+  // Favorites limit - lowering it keeps existing favorites, only blocks new ones
+  const limitInput = document.getElementById("favorites-limit");
+  if (limitInput) {
+    limitInput.addEventListener("change", () => {
+      limitInput.value = setMaxFavorites(limitInput.value);
+      touchPreferences();
+      const countEl = container.querySelector(".saved-toolbar__count");
+      if (countEl) {
+        countEl.textContent = `${
+          favKeys.length
+        } of ${getMaxFavorites()} favorites`;
+      }
+      // The star button on the weather card shows a hint when at the limit
+      const favoriteBtn = document.getElementById("weather-favorite-btn");
+      if (favoriteBtn && !favoriteBtn.classList.contains("is-favorite")) {
+        if (isFavoritesFull()) {
+          favoriteBtn.title = `Maximum ${getMaxFavorites()} favorites reached`;
+        } else {
+          favoriteBtn.removeAttribute("title");
+        }
+      }
+    });
+  }
+
+  // New group
+  const addGroupBtn = document.getElementById("favorites-add-group");
+  if (addGroupBtn) {
+    addGroupBtn.addEventListener("click", () => {
+      const group = addFavoriteGroup(
+        prompt('Name for the new group (e.g. "Work sites"):')
+      );
+      if (group) {
+        renderSavedLocations();
+        announceSavedLocations(`Group ${group.name} added`);
+      }
+    });
+  }
+
+  // Compare dialog - forecasts it updates are fetched again on each opening
+  const compareBtn = document.getElementById("favorites-compare");
+  if (compareBtn) {
+    compareBtn.addEventListener("click", () => {
+      compareFetchState = {};
+      if (!favKeys.some((key) => compareSelection.includes(key))) {
+        compareSelection = favKeys.slice(0, COMPARE_MAX);
+      }
+      renderCompareModal();
+    });
+  }
+
+  // Export / import (JSON export file or a CSV list of sites)
+  const exportBtn = document.getElementById("favorites-export");
+  if (exportBtn) {
+    exportBtn.addEventListener("click", exportFavorites);
+  }
+  const importBtn = document.getElementById("favorites-import");
+  const importInput = document.getElementById("favorites-import-file");
+  if (importBtn && importInput) {
+    importBtn.addEventListener("click", () => importInput.click());
+    importInput.addEventListener("change", () => {
+      const file = importInput.files && importInput.files[0];
+      if (file) importFavoritesFile(file);
+      // Allow picking the same file again
+      importInput.value = "";
+    });
+  }
+
+  // Sync dialog and status
+  const syncBtn = document.getElementById("favorites-sync");
+  if (syncBtn) {
+    syncBtn.addEventListener("click", renderSyncModal);
+  }
+  renderSyncStatus();
+
+  // Notification inbox with the unread count
+  const inboxBtn = document.getElementById("favorites-inbox");
+  if (inboxBtn) {
+    inboxBtn.addEventListener("click", renderInboxModal);
+  }
+  updateInboxButton();
+
+  // Rename and delete groups. Deleting a group keeps its favorites (ungrouped).
+  container.querySelectorAll(".saved-group__rename").forEach((btn) => {
+    btn.addEventListener("click", () => {
+      const group = favoriteGroups.find(
+        (g) => g.id === btn.getAttribute("data-group-id")
+      );
+      if (!group) return;
+      const name = String(prompt("Group name:", group.name) || "").trim();
+      if (!name) return;
+      group.name = name;
+      touchFavoriteLayout();
+      saveFavorites();
+      renderSavedLocations();
+    });
+  });
+
+  container.querySelectorAll(".saved-group__delete").forEach((btn) => {
+    btn.addEventListener("click", () => {
+      const groupId = btn.getAttribute("data-group-id");
+      const group = favoriteGroups.find((g) => g.id === groupId);
+      if (!group) return;
+      if (
+        !confirm(
+          `Delete the group "${group.name}"? Its favorites will be kept as ungrouped.`
+        )
+      ) {
+        return;
+      }
+      favoriteGroups = favoriteGroups.filter((g) => g.id !== groupId);
+      Object.keys(favorites).forEach((key) => {
+        if (favorites[key].group === groupId) {
+          favorites[key].group = "";
+          touchFavorite(key);
+        }
+      });
+      touchFavoriteLayout();
+      saveFavorites();
+      renderSavedLocations();
+      announceSavedLocations(`Group ${group.name} deleted`);
+    });
+  });
+
+  // Move a card to another group with its select
+  container.querySelectorAll(".saved-card__group-select").forEach((select) => {
+    select.addEventListener("change", () => {
+      const key = select.getAttribute("data-fav-key");
+      if (!favorites[key]) return;
+      moveFavorite(key, select.value);
+      renderSavedLocations();
+      const group = favoriteGroups.find((g) => g.id === select.value);
+      announceSavedLocations(
+        `${favorites[key].name} moved to ${group ? group.name : "Ungrouped"}`
+      );
+    });
+  });
+
+  // Keyboard reordering: arrow keys on the grip button move the card one
+  // step within its group
+  container.querySelectorAll(".saved-card__handle").forEach((btn) => {
+    btn.addEventListener("keydown", (e) => {
+      const step = { ArrowUp: -1, ArrowLeft: -1, ArrowDown: 1, ArrowRight: 1 }[
+        e.key
+      ];
+      if (!step) return;
+      e.preventDefault();
+      const key = btn.getAttribute("data-fav-key");
+      const groupId = favoriteGroupId(favorites[key]);
+      const groupKeys = favKeys.filter(
+        (k) => favoriteGroupId(favorites[k]) === groupId
+      );
+      const target = groupKeys.indexOf(key) + step;
+      if (target < 0 || target >= groupKeys.length) return;
+      // Moving down: go in front of the card that follows the next one
+      const beforeKey =
+        step < 0 ? groupKeys[target] : groupKeys[target + 1] || null;
+      moveFavorite(key, groupId, beforeKey);
+      renderSavedLocations();
+      const movedHandle = [
+        ...container.querySelectorAll(".saved-card__handle"),
+      ].find((el) => el.getAttribute("data-fav-key") === key);
+      if (movedHandle) movedHandle.focus();
+      announceSavedLocations(
+        `${favorites[key].name} moved to position ${target + 1} of ${
+          groupKeys.length
+        }`
+      );
+    });
+  });
+
+  // Drag-and-drop reordering. Dropping on the left half of a card places
+  // the dragged card before it, the right half after it; dropping on an
+  // empty part of a group's grid moves the card to the end of that group.
+  const clearDropMarkers = () => {
+    container
+      .querySelectorAll(".is-drop-before, .is-drop-after, .is-drop-target")
+      .forEach((el) =>
+        el.classList.remove("is-drop-before", "is-drop-after", "is-drop-target")
+      );
+  };
+
+  container.querySelectorAll(".saved-card").forEach((card) => {
+    card.addEventListener("dragstart", (e) => {
+      draggedFavoriteKey = card.getAttribute("data-fav-key");
+      e.dataTransfer.effectAllowed = "move";
+      e.dataTransfer.setData("text/plain", draggedFavoriteKey);
+      card.classList.add("is-dragging");
+    });
+    card.addEventListener("dragend", () => {
+      draggedFavoriteKey = null;
+      card.classList.remove("is-dragging");
+      clearDropMarkers();
+    });
+  });
+
+  container.querySelectorAll(".saved-grid").forEach((grid) => {
+    grid.addEventListener("dragover", (e) => {
+      if (!draggedFavoriteKey) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = "move";
+      clearDropMarkers();
+      grid.classList.add("is-drop-target");
+      const targetCard = e.target.closest(".saved-card");
+      if (targetCard && !targetCard.classList.contains("is-dragging")) {
+        const rect = targetCard.getBoundingClientRect();
+        targetCard.classList.add(
+          e.clientX < rect.left + rect.width / 2
+            ? "is-drop-before"
+            : "is-drop-after"
+        );
+      }
+    });
+    grid.addEventListener("dragleave", (e) => {
+      if (!grid.contains(e.relatedTarget)) clearDropMarkers();
+    });
+    grid.addEventListener("drop", (e) => {
+      if (!draggedFavoriteKey) return;
+      e.preventDefault();
+      const key = draggedFavoriteKey;
+      const groupId = grid.getAttribute("data-group-id") || "";
+      let beforeKey = null;
+      const targetCard = e.target.closest(".saved-card");
+      if (targetCard) {
+        const rect = targetCard.getBoundingClientRect();
+        const next = targetCard.nextElementSibling;
+        beforeKey =
+          e.clientX < rect.left + rect.width / 2
+            ? targetCard.getAttribute("data-fav-key")
+            : next && next.classList.contains("saved-card")
+            ? next.getAttribute("data-fav-key")
+            : null;
+      }
+      draggedFavoriteKey = null;
+      moveFavorite(key, groupId, beforeKey);
+      renderSavedLocations();
+    });
+  });
 
   // Wire up click handlers for cards (to show full weather)
   container.querySelectorAll(".saved-card").forEach((card) => {
-    card.addEventListener("click", async (e) => {
-      // Don't trigger if clicking remove or refresh buttons
-      if (
-        e.target.closest(".saved-card__remove") ||
-        e.target.closest(".saved-card__refresh")
-      ) {
+    card.addEventListener("click", (e) => {
+      // Don't trigger if clicking the card's buttons or group select
+      if (e.target.closest("button, label, select")) {
         return;
       }
-      const key = card.getAttribute("data-fav-key");
-      const fav = favorites[key];
-      if (fav) {
-        lastSelectedLocation = {
-          name: fav.name,
-          country: fav.country,
-          state: fav.state,
-          lat: fav.lat,
-          lon: fav.lon,
-        };
-        // Fetch fresh weather and update the favorite's data too
-        const weatherData = await fetchWeather(
-          fav.lat,
-          fav.lon,
-          lastSelectedLocation
-        );
-        if (weatherData) {
-          favorites[key].weatherData = weatherData;
-          favorites[key].lastUpdated = Date.now();
-          saveFavorites();
-          renderSavedLocations();
-        }
-      }
+      showFavoriteWeather(card.getAttribute("data-fav-key"));
     });
   });
 
@@ -1796,8 +6822,7 @@ function renderSavedLocations() {
       e.stopPropagation();
       const key = btn.getAttribute("data-fav-key");
       if (key && favorites[key]) {
-        delete favorites[key];
-        saveFavorites();
+        removeFavoriteKey(key);
         renderSavedLocations();
         // Also update the star button in main weather card if visible
         const favoriteBtn = document.getElementById("weather-favorite-btn");
@@ -1813,6 +6838,14 @@ function renderSavedLocations() {
     });
   });
 
+  // Wire up notification rules buttons
+  container.querySelectorAll(".saved-card__rules").forEach((btn) => {
+    btn.addEventListener("click", (e) => {
+      e.stopPropagation();
+      renderRulesModal(btn.getAttribute("data-fav-key"));
+    });
+  });
+
   // Wire up refresh buttons
   container.querySelectorAll(".saved-card__refresh").forEach((btn) => {
     btn.addEventListener("click", async (e) => {
@@ -1821,185 +6854,1009 @@ function renderSavedLocations() {
       const fav = favorites[key];
       if (!fav) return;
 
-      // Visual feedback - spin the refresh icon
-      btn.classList.add("refreshing");
+      // Visual feedback - spin the refresh icon
+      btn.classList.add("refreshing");
+
+      try {
+        // A batch of one, so the rate limit and stale results are handled
+        // like in refreshAllFavorites()
+        const unit = getSelectedUnit() || "metric";
+        await fetchWeatherBatch([fav], unit, (result) => {
+          if (!result.ok || favorites[key] !== fav) return;
+          fav.weatherData = result.data;
+          fav.lastUpdated = result.stale ? result.storedAt : Date.now();
+          saveFavorites();
+          recordObservation(key, result.data, unit);
+
+          // Update only this specific card instead of re-rendering all
+          const card = btn.closest(".saved-card");
+          if (card) {
+            updateSavedCard(card, key, fav);
+          }
+        });
+      } catch (err) {
+        console.error("Failed to refresh favorite:", err);
+      } finally {
+        btn.classList.remove("refreshing");
+      }
+    });
+  });
+}
+
+/**
+ * Refreshes weather data for all favorites on page load.
+ * Uses the batch endpoint and updates each card as its result arrives.
+ */
+async function refreshAllFavorites() {
+  const favKeys = getFavoriteKeys();
+  if (favKeys.length === 0) return;
+
+  const unit = getSelectedUnit() || "metric";
+  const container = document.querySelector("#saved-locations .saved-groups");
+
+  try {
+    await fetchWeatherBatch(
+      favKeys.map((key) => favorites[key]),
+      unit,
+      (result) => {
+        const key = favKeys[result.index];
+        const fav = favorites[key];
+        if (!fav || !result.ok) return;
+        fav.weatherData = result.data;
+        // Stale results are as old as the proxy's cached copy
+        fav.lastUpdated = result.stale ? result.storedAt : Date.now();
+        recordObservation(key, result.data, unit);
+        const card =
+          container &&
+          container.querySelector(
+            `.saved-card[data-fav-key="${CSS.escape(key)}"]`
+          );
+        if (card) updateSavedCard(card, key, fav);
+      }
+    );
+  } catch (err) {
+    console.error("Failed to refresh favorites:", err);
+  }
+
+  // Save updated data, report rule matches and re-render
+  saveFavorites();
+  checkNotificationRules(favKeys);
+  renderSavedLocations();
+}
+
+// =====================================================================
+// === 8. UI STATE MANAGEMENT ===
+// === clearSuggestions, setHighlight, selectSuggestion, ===
+// === applyUnitToUI, setUnit, getSelectedUnit, ===
+// === readUrlState, buildLocationParams, syncUrlState, restoreFromUrl, ===
+// === saveLastLocation, getLaunchLocation, applyLaunchLocation, ===
+// === updateManifestShortcuts, exportFavorites, importFavoritesFile, ===
+// === switchUnits, scheduleSync, setSyncStatus, syncStatusText, renderSyncStatus, ===
+// === startRateLimitCooldown, isRateLimited, ageIndicatorHtml, ===
+// === applyAgeIndicator, updateAgeIndicators, runAutoRefresh, ===
+// === startAutoRefresh, stopAutoRefresh, checkNotificationRules, ===
+// === showRuleNotification, updateInboxButton, showFavoriteWeather, ===
+// === setMapOpen, resetMapTiles, queueMapRender, mapPointAt, panMapBy, ===
+// === zoomMapAt, pickMapPoint ===
+// =====================================================================
+// Functions that update the UI state (showing/hiding elements,
+// managing active states, handling user selections).
+
+/**
+ * Hides the suggestions dropdown and resets related state.
+ * Called when:
+ * - User selects a suggestion
+ * - User clicks outside the dropdown
+ * - User presses Escape
+ * - Search input is cleared
+ */
+function clearSuggestions() {
+  if (!suggestionsEl) return;
+  suggestionsEl.innerHTML = "";
+  suggestionsEl.style.display = "none";
+  q.setAttribute("aria-expanded", "false");
+  q.removeAttribute("aria-activedescendant");
+  currentSuggestions = [];
+  highlightedIndex = -1;
+}
+
+/**
+ * Highlights a suggestion item for keyboard navigation.
+ * Updates visual styling and ARIA attributes.
+ * Also scrolls the item into view if needed.
+ * @param {number} index - Index of the item to highlight (-1 to clear)
+ */
+function setHighlight(index) {
+  if (!suggestionsEl) return;
+  const items = suggestionsEl.querySelectorAll(".suggestion-item");
+  items.forEach((el) => el.classList.remove("highlighted"));
+  items.forEach((el) => el.setAttribute("aria-selected", "false"));
+  if (index >= 0 && index < items.length) {
+    items[index].classList.add("highlighted");
+    items[index].setAttribute("aria-selected", "true");
+    q.setAttribute("aria-activedescendant", items[index].id);
+    highlightedIndex = index;
+    items[index].scrollIntoView({ block: "nearest" });
+  } else {
+    q.removeAttribute("aria-activedescendant");
+    highlightedIndex = -1;
+  }
+}
+
+/**
+ * Handles when user selects a location (by click or Enter key).
+ * Updates the search input with the selected location name,
+ * stores the location for refresh functionality, and fetches weather.
+ * @param {number} index - Index of the selected suggestion
+ */
+function selectSuggestion(index) {
+  if (!currentSuggestions || index < 0 || index >= currentSuggestions.length)
+    return;
+  const sel = currentSuggestions[index];
+  q.value = `${sel.name}${sel.country ? ", " + sel.country : ""}${
+    sel.state ? ", " + sel.state : ""
+  }`;
+  clearSuggestions();
+  lastSelectedLocation = sel;
+  lastFetchedTs = Date.now();
+  fetchWeather(sel.lat, sel.lon, sel);
+}
+
+/**
+ * Updates the unit toggle buttons to show which unit is active.
+ * Adds "active" class and aria-pressed="true" to the selected button.
+ * @param {string} unit - "metric" or "imperial"
+ */
+function applyUnitToUI(unit) {
+  if (!unitToggle) return;
+  const buttons = unitToggle.querySelectorAll(".unit-btn");
+  buttons.forEach((btn) => {
+    const u = btn.getAttribute("data-unit");
+    const isActive = u === unit;
+    btn.classList.toggle("active", isActive);
+    btn.setAttribute("aria-pressed", String(isActive));
+  });
+}
+
+/**
+ * Changes the temperature/wind unit preference.
+ * Saves to localStorage so it persists across browser sessions.
+ * @param {string} unit - "metric" (°C, m/s) or "imperial" (°F, mph)
+ */
+function setUnit(unit) {
+  if (unit !== "metric" && unit !== "imperial") return;
+  currentUnit = unit;
+  localStorage.setItem("weather_unit", unit);
+  applyUnitToUI(unit);
+  // Redraw charts in the new unit straight away (converted from the last payload)
+  renderWeatherCharts();
+  syncUrlState();
+}
+
+/**
+ * Returns the current unit preference.
+ * @returns {string} "metric" or "imperial"
+ */
+function getSelectedUnit() {
+  return currentUnit;
+}
+
+/**
+ * Reads the shareable state from the page URL's query string.
+ * Example: ?lat=61.4981&lon=23.7610&name=Tampere&country=FI&units=imperial&day=1
+ * @returns {Object} { location, units, day } - each null when missing/invalid
+ */
+function readUrlState() {
+  const params = new URLSearchParams(window.location.search);
+  const lat = Number(params.get("lat"));
+  const lon = Number(params.get("lon"));
+  const hasCoords =
+    params.has("lat") &&
+    params.has("lon") &&
+    Number.isFinite(lat) &&
+    Number.isFinite(lon);
+
+  const location = hasCoords
+    ? {
+        name: params.get("name") || "Selected location",
+        country: params.get("country") || "",
+        state: params.get("state") || "",
+        lat,
+        lon,
+      }
+    : null;
+
+  const unitsParam = params.get("units");
+  const units =
+    unitsParam === "metric" || unitsParam === "imperial" ? unitsParam : null;
+
+  const dayParam = parseInt(params.get("day"), 10);
+  const day = Number.isInteger(dayParam) && dayParam >= 0 ? dayParam : null;
+
+  return { location, units, day };
+}
+
+/**
+ * Builds the query string parameters that describe a location.
+ * Shared by the page URL, the launch location and the app shortcuts.
+ * @param {Object} location - Location object (name, country, state, lat, lon)
+ * @param {string} units - "metric" or "imperial"
+ * @returns {URLSearchParams} Parameters like lat=..&lon=..&name=..&units=..
+ */
+function buildLocationParams(location, units) {
+  const params = new URLSearchParams();
+  params.set("lat", Number(location.lat).toFixed(4));
+  params.set("lon", Number(location.lon).toFixed(4));
+  if (location.name) params.set("name", location.name);
+  if (location.country) params.set("country", location.country);
+  if (location.state) params.set("state", location.state);
+  params.set("units", units);
+  return params;
+}
+
+/**
+ * Writes the selected location, unit and open modal day into the URL
+ * so the page can be shared or bookmarked.
+ * A new location adds a browser history entry (so Back returns to the
+ * previous location); unit or modal changes replace the current entry.
+ */
+function syncUrlState() {
+  if (
+    restoringUrlState ||
+    !lastSelectedLocation ||
+    !Number.isFinite(Number(lastSelectedLocation.lat)) ||
+    !Number.isFinite(Number(lastSelectedLocation.lon))
+  ) {
+    return;
+  }
+
+  const params = buildLocationParams(
+    lastSelectedLocation,
+    getSelectedUnit() || "metric"
+  );
+  if (openHourlyDayIndex !== null) {
+    params.set("day", String(openHourlyDayIndex));
+  }
+
+  const newUrl = `${window.location.pathname}?${params.toString()}`;
+  if (newUrl === window.location.pathname + window.location.search) return;
+
+  const current = new URLSearchParams(window.location.search);
+  const sameLocation =
+    current.get("lat") === params.get("lat") &&
+    current.get("lon") === params.get("lon");
+  if (sameLocation) {
+    history.replaceState(null, "", newUrl);
+  } else {
+    history.pushState(null, "", newUrl);
+  }
+}
+
+/**
+ * Remembers the selected location so the installed app can reopen it.
+ */
+function saveLastLocation() {
+  if (
+    !lastSelectedLocation ||
+    !Number.isFinite(Number(lastSelectedLocation.lat)) ||
+    !Number.isFinite(Number(lastSelectedLocation.lon))
+  ) {
+    return;
+  }
+  localStorage.setItem(
+    LAST_LOCATION_KEY,
+    JSON.stringify({
+      name: lastSelectedLocation.name || "",
+      country: lastSelectedLocation.country || "",
+      state: lastSelectedLocation.state || "",
+      lat: Number(lastSelectedLocation.lat),
+      lon: Number(lastSelectedLocation.lon),
+    })
+  );
+}
+
+/**
+ * Picks the location to open when the app starts without one in the URL:
+ * the last viewed location, or else the first favorite.
+ * @returns {Object|null} Location object, or null if there is none
+ */
+function getLaunchLocation() {
+  try {
+    const last = JSON.parse(localStorage.getItem(LAST_LOCATION_KEY));
+    if (last && Number.isFinite(last.lat) && Number.isFinite(last.lon)) {
+      return last;
+    }
+  } catch {
+    // Corrupted value - fall through to favorites
+  }
+  const firstKey = getFavoriteKeys()[0];
+  return firstKey ? favorites[firstKey] : null;
+}
+
+/**
+ * When the installed app is launched (manifest start_url "?source=pwa"),
+ * rewrites the URL to the launch location so restoreFromUrl() opens it.
+ */
+function applyLaunchLocation() {
+  const params = new URLSearchParams(window.location.search);
+  if (params.get("source") !== "pwa" || params.has("lat")) return;
+  const launch = getLaunchLocation();
+  if (!launch) return;
+  const launchParams = buildLocationParams(
+    launch,
+    getSelectedUnit() || "metric"
+  );
+  history.replaceState(
+    null,
+    "",
+    `${window.location.pathname}?${launchParams.toString()}`
+  );
+}
+
+// Base manifest (fetched once) and the last generated manifest JSON
+let baseManifest = null;
+let lastManifestJson = "";
+
+/**
+ * Adds an app shortcut per favorite to the web app manifest, so
+ * long-pressing the installed app icon jumps straight to that city.
+ * The manifest can't read localStorage, so we generate it here and point
+ * the <link rel="manifest"> at a data: URL. All URLs in it must then be
+ * absolute, because relative ones would resolve against the data: URL.
+ */
+async function updateManifestShortcuts() {
+  const link = document.querySelector('link[rel="manifest"]');
+  if (!link) return;
+
+  try {
+    if (!baseManifest) {
+      const manifestUrl = new URL("manifest.webmanifest", window.location.href);
+      const resp = await fetch(manifestUrl);
+      if (!resp.ok) return;
+      const json = await resp.json();
+      const abs = (u) => new URL(u, manifestUrl).href;
+      baseManifest = {
+        ...json,
+        id: abs(json.id || json.start_url),
+        start_url: abs(json.start_url),
+        scope: abs(json.scope),
+        icons: json.icons.map((icon) => ({ ...icon, src: abs(icon.src) })),
+      };
+    }
+
+    const appUrl = new URL("./", window.location.href).href;
+    const shortcutIcon = baseManifest.icons.find(
+      (icon) => icon.sizes === "192x192" && icon.purpose === "any"
+    );
+    const shortcuts = getFavoriteKeys().map((key) => {
+      const fav = favorites[key];
+      const countryText = fav.country
+        ? regionNames.of(fav.country) || fav.country
+        : "";
+      return {
+        name: `${fav.name}${countryText ? ", " + countryText : ""}`,
+        short_name: fav.name,
+        description: `Weather in ${fav.name}`,
+        url: `${appUrl}?${buildLocationParams(
+          fav,
+          getSelectedUnit() || "metric"
+        ).toString()}`,
+        icons: shortcutIcon ? [shortcutIcon] : [],
+      };
+    });
+
+    const manifestJson = JSON.stringify({ ...baseManifest, shortcuts });
+    if (manifestJson === lastManifestJson) return;
+    lastManifestJson = manifestJson;
+    link.href = `data:application/manifest+json,${encodeURIComponent(
+      manifestJson
+    )}`;
+  } catch (err) {
+    console.error("Failed to update manifest shortcuts:", err);
+  }
+}
+
+/**
+ * Restores location, unit and open hourly modal from the URL.
+ * Runs on page load (shared links) and on Back/Forward navigation.
+ * @returns {Promise<boolean>} True if the unit preference was changed
+ */
+async function restoreFromUrl() {
+  const { location, units, day } = readUrlState();
+  const modal = document.getElementById("hourly-modal");
+
+  let unitsChanged = false;
+  if (units && units !== getSelectedUnit()) {
+    // setUnit() syncs the URL, which still describes the entry we are
+    // restoring, not lastSelectedLocation, so keep it from writing history
+    restoringUrlState = true;
+    setUnit(units);
+    restoringUrlState = false;
+    unitsChanged = true;
+  }
+
+  // Back to an entry without a location (e.g. the initial page)
+  if (!location) {
+    if (modal && modal.open) modal.close();
+    lastSelectedLocation = null;
+    lastWeatherPayload = null;
+    const el = document.getElementById("current-weather");
+    if (el) el.innerHTML = "";
+    if (q) q.value = "";
+    return unitsChanged;
+  }
+
+  const alreadyShown =
+    lastWeatherPayload &&
+    lastSelectedLocation &&
+    Number(lastSelectedLocation.lat).toFixed(4) === location.lat.toFixed(4) &&
+    Number(lastSelectedLocation.lon).toFixed(4) === location.lon.toFixed(4);
+
+  if (!alreadyShown || unitsChanged) {
+    if (modal && modal.open) modal.close();
+    lastSelectedLocation = location;
+    if (q) {
+      q.value = `${location.name}${
+        location.country ? ", " + location.country : ""
+      }${location.state ? ", " + location.state : ""}`;
+    }
+    clearSuggestions();
+    const data = await fetchWeather(location.lat, location.lon, location);
+    if (!data) return unitsChanged;
+  }
+
+  if (day !== null) {
+    renderHourlyModal(day);
+  } else if (modal && modal.open) {
+    modal.close();
+  }
+  return unitsChanged;
+}
+
+/**
+ * Switches units and refetches everything shown in them: the current
+ * weather (if a location is selected) and all favorites.
+ * @param {string} unit - "metric" or "imperial"
+ */
+function switchUnits(unit) {
+  setUnit(unit);
+
+  // Re-fetch current weather if a location is selected
+  if (
+    lastSelectedLocation &&
+    Number.isFinite(Number(lastSelectedLocation.lat)) &&
+    Number.isFinite(Number(lastSelectedLocation.lon))
+  ) {
+    lastFetchedTs = Date.now();
+    fetchWeather(
+      Number(lastSelectedLocation.lat),
+      Number(lastSelectedLocation.lon),
+      lastSelectedLocation
+    );
+  }
+
+  // Re-fetch all favorites with new units
+  refreshAllFavorites();
+}
+
+/**
+ * Syncs a moment after the last change (when sync is on), so a burst of
+ * changes goes out in one request.
+ */
+function scheduleSync() {
+  if (!localStorage.getItem(SYNC_TOKEN_KEY)) return;
+  clearTimeout(syncTimer);
+  syncTimer = setTimeout(syncFavorites, SYNC_DELAY_MS);
+  setSyncStatus("pending");
+}
 
-      try {
-        const unit = getSelectedUnit() || "metric";
-        const url = `${API_BASE_URL}/api/weather?lat=${encodeURIComponent(
-          fav.lat
-        )}&lon=${encodeURIComponent(fav.lon)}&units=${encodeURIComponent(
-          unit
-        )}&exclude=minutely`;
-
-        const resp = await fetch(url);
-        if (resp.ok) {
-          const json = await resp.json();
-          favorites[key].weatherData = json;
-          favorites[key].lastUpdated = Date.now();
-          saveFavorites();
+/**
+ * Updates the sync status shown next to the Sync button.
+ * @param {string} state - "off", "pending", "syncing", "synced" or "error"
+ * @param {string} message - Error text (for "error")
+ */
+function setSyncStatus(state, message = "") {
+  syncStatus = {
+    state,
+    message,
+    lastSyncedAt: state === "synced" ? Date.now() : syncStatus.lastSyncedAt,
+  };
+  renderSyncStatus();
+}
 
-          // Update only this specific card instead of re-rendering all
-          const card = btn.closest(".saved-card");
-          if (card) {
-            updateSavedCard(card, key, favorites[key]);
-          }
-        }
-      } catch (err) {
-        console.error("Failed to refresh favorite:", err);
-      } finally {
-        btn.classList.remove("refreshing");
-      }
-    });
-  });
+/**
+ * Returns the sync status as text, e.g. "Synced 14:30".
+ * @returns {string} Status text ("" when sync is off)
+ */
+function syncStatusText() {
+  switch (syncStatus.state) {
+    case "pending":
+      return "Changes not synced yet";
+    case "syncing":
+      return "Syncing...";
+    case "synced":
+      return formatLastUpdatedTime(syncStatus.lastSyncedAt, "Synced");
+    case "error":
+      return syncStatus.message;
+    default:
+      return "";
+  }
 }
 
 /**
- * Refreshes weather data for all favorites on page load.
- * Staggers requests to avoid overwhelming the API.
+ * Shows the current sync status in the saved locations toolbar.
  */
-async function refreshAllFavorites() {
-  const favKeys = Object.keys(favorites);
-  if (favKeys.length === 0) return;
+function renderSyncStatus() {
+  const el = document.getElementById("favorites-sync-status");
+  if (!el) return;
+  el.textContent = syncStatusText();
+  el.classList.toggle("is-error", syncStatus.state === "error");
+}
 
-  const unit = getSelectedUnit() || "metric";
+/**
+ * Downloads the favorites, their groups and order, and the settings as a
+ * JSON file that can be imported in another browser.
+ */
+function exportFavorites() {
+  const json = JSON.stringify(buildFavoritesExport(), null, 2);
+  const url = URL.createObjectURL(
+    new Blob([json], { type: "application/json" })
+  );
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = `weather-favorites-${new Date()
+    .toISOString()
+    .slice(0, 10)}.json`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
 
-  for (let i = 0; i < favKeys.length; i++) {
-    const key = favKeys[i];
-    const fav = favorites[key];
+/**
+ * Reads an import file (JSON export or CSV) and opens the import preview.
+ * @param {File} file - File picked by the user
+ */
+async function importFavoritesFile(file) {
+  let text;
+  try {
+    text = await file.text();
+  } catch (err) {
+    console.error("Failed to read import file:", err);
+    alert(`Couldn't read ${file.name}.`);
+    return;
+  }
+  const parsed = parseFavoritesFile(text, file.name);
+  if (parsed.error) {
+    alert(`Couldn't import ${file.name}: ${parsed.error}`);
+    return;
+  }
+  renderImportModal(planFavoritesImport(parsed), file.name);
+}
 
-    try {
-      const url = `${API_BASE_URL}/api/weather?lat=${encodeURIComponent(
-        fav.lat
-      )}&lon=${encodeURIComponent(fav.lon)}&units=${encodeURIComponent(
-        unit
-      )}&exclude=minutely`;
-
-      const resp = await fetch(url);
-      if (resp.ok) {
-        const json = await resp.json();
-        favorites[key].weatherData = json;
-        favorites[key].lastUpdated = Date.now();
-      }
-    } catch (err) {
-      console.error(`Failed to refresh favorite ${fav.name}:`, err);
+/**
+ * Starts the cooldown after a 429 from the proxy: shows a countdown in the
+ * status message and clears it when requests are allowed again.
+ * @param {number} ms - Wait time from retryAfterMs()
+ */
+function startRateLimitCooldown(ms) {
+  rateLimitedUntil = Math.max(rateLimitedUntil, Date.now() + ms);
+  clearInterval(rateLimitTimer);
+  const update = () => {
+    if (!statusMessage) return;
+    const left = Math.ceil((rateLimitedUntil - Date.now()) / 1000);
+    if (left > 0) {
+      statusMessage.textContent = `Too many requests. Please wait ${left} s before trying again.`;
+      statusMessage.classList.add("status-warning");
+      return;
     }
+    clearInterval(rateLimitTimer);
+    rateLimitTimer = null;
+    // Leave messages written after the countdown alone
+    if (statusMessage.textContent.startsWith("Too many requests")) {
+      statusMessage.textContent = "";
+      statusMessage.classList.remove("status-warning");
+    }
+  };
+  if (statusMessage) statusMessage.setAttribute("aria-live", "polite");
+  update();
+  rateLimitTimer = setInterval(update, 1000);
+}
+
+/**
+ * Whether the proxy's cooldown is still running. Shows the cooldown message
+ * again so a blocked search or refresh isn't silently ignored.
+ * @returns {boolean} True while requests should not be sent
+ */
+function isRateLimited() {
+  if (Date.now() >= rateLimitedUntil) return false;
+  startRateLimitCooldown(0);
+  return true;
+}
+
+/**
+ * Age indicator for the weather card: a colored dot and "12 min ago",
+ * kept up to date by updateAgeIndicators().
+ * @param {number} timestamp - When the shown data was fetched (ms)
+ * @returns {string} HTML for the indicator
+ */
+function ageIndicatorHtml(timestamp) {
+  const level = ageLevel(timestamp);
+  return `<span class="age-indicator age-indicator--${level}" data-age-ts="${escapeHtml(
+    String(timestamp || 0)
+  )}" data-age-text="relative" title="Data age">${escapeHtml(
+    formatAge(timestamp)
+  )}</span>`;
+}
+
+/**
+ * Turns an element into an age indicator (or updates one): sets its
+ * timestamp and color. Elements with data-age-text="relative" also get
+ * the "12 min ago" text; others keep their own text.
+ * @param {HTMLElement} el - Indicator element
+ * @param {number} timestamp - When the data was fetched (ms)
+ */
+function applyAgeIndicator(el, timestamp) {
+  const level = ageLevel(timestamp);
+  el.dataset.ageTs = String(timestamp || 0);
+  el.classList.add("age-indicator");
+  ["fresh", "warn", "stale"].forEach((l) =>
+    el.classList.toggle(`age-indicator--${l}`, l === level)
+  );
+  if (el.dataset.ageText === "relative") el.textContent = formatAge(timestamp);
+  const label =
+    level === "fresh"
+      ? ""
+      : level === "warn"
+      ? " (getting old)"
+      : " (out of date)";
+  el.title = `Data age: ${formatAge(timestamp)}${label}`;
+}
+
+/**
+ * Updates every age indicator on the page as time passes.
+ */
+function updateAgeIndicators() {
+  document
+    .querySelectorAll(".age-indicator[data-age-ts]")
+    .forEach((el) => applyAgeIndicator(el, Number(el.dataset.ageTs)));
+}
 
-    // Stagger requests
-    if (i < favKeys.length - 1) {
-      await new Promise((resolve) =>
-        setTimeout(resolve, FAV_REFRESH_STAGGER_MS)
+/**
+ * Auto-refresh tick: updates the age indicators and refreshes the shown
+ * weather and the favorites when they are older than the interval. Skipped
+ * while offline, rate limited or when a refresh is still running.
+ */
+async function runAutoRefresh() {
+  updateAgeIndicators();
+  if (!autoRefreshMinutes || autoRefreshInFlight || !navigator.onLine) return;
+  if (Date.now() < rateLimitedUntil || document.hidden) return;
+
+  const now = Date.now();
+  const intervalMs = autoRefreshMinutes * 60 * 1000;
+  const isDue = (fetchedAt, attemptedAt) =>
+    now - fetchedAt >= intervalMs && now - attemptedAt >= intervalMs;
+
+  const currentDue =
+    lastSelectedLocation && isDue(lastFetchedTs, autoRefreshAttempts.current);
+  const favKeys = getFavoriteKeys();
+  const favoritesDue =
+    favKeys.length > 0 &&
+    favKeys.some((key) =>
+      isDue(favorites[key].lastUpdated || 0, autoRefreshAttempts.favorites)
+    );
+  if (!currentDue && !favoritesDue) return;
+
+  autoRefreshInFlight = true;
+  try {
+    if (currentDue) {
+      autoRefreshAttempts.current = now;
+      await fetchWeather(
+        Number(lastSelectedLocation.lat),
+        Number(lastSelectedLocation.lon),
+        lastSelectedLocation
       );
     }
+    if (favoritesDue) {
+      autoRefreshAttempts.favorites = now;
+      await refreshAllFavorites();
+    }
+  } finally {
+    autoRefreshInFlight = false;
   }
+}
 
-  // Save updated data and re-render
-  saveFavorites();
-  renderSavedLocations();
+/**
+ * Starts the auto-refresh tick and catches up right away (e.g. when the tab
+ * becomes visible again after a while).
+ */
+function startAutoRefresh() {
+  stopAutoRefresh();
+  autoRefreshTimer = setInterval(runAutoRefresh, AUTO_REFRESH_TICK_MS);
+  runAutoRefresh();
 }
 
-// =====================================================================
-// === 8. UI STATE MANAGEMENT ===
-// === clearSuggestions, setHighlight, selectSuggestion, ===
-// === applyUnitToUI, setUnit, getSelectedUnit ===
-// =====================================================================
-// Functions that update the UI state (showing/hiding elements,
-// managing active states, handling user selections).
+/**
+ * Stops the auto-refresh tick (tab hidden): no requests for a dashboard
+ * nobody is looking at.
+ */
+function stopAutoRefresh() {
+  clearInterval(autoRefreshTimer);
+  autoRefreshTimer = null;
+}
 
 /**
- * Hides the suggestions dropdown and resets related state.
- * Called when:
- * - User selects a suggestion
- * - User clicks outside the dropdown
- * - User presses Escape
- * - Search input is cleared
+ * Checks the notification rules of favorites against their saved weather.
+ * New matches go to the inbox and are shown as browser notifications;
+ * matches reported before are skipped.
+ * @param {Array<string>} keys - Location keys of the favorites to check
  */
-function clearSuggestions() {
-  if (!suggestionsEl) return;
-  suggestionsEl.innerHTML = "";
-  suggestionsEl.style.display = "none";
-  q.setAttribute("aria-expanded", "false");
-  q.removeAttribute("aria-activedescendant");
-  currentSuggestions = [];
-  highlightedIndex = -1;
+function checkNotificationRules(keys) {
+  const units = getSelectedUnit() || "metric";
+  const fired = [];
+  keys.forEach((key) => {
+    const fav = favorites[key];
+    if (!fav || !fav.weatherData || !notificationRules[key]) return;
+    notificationRules[key].forEach((rule) => {
+      evaluateRule(rule, fav.weatherData, units).forEach((match) => {
+        if (rule.notified.includes(match.matchKey)) return;
+        rule.notified = [...rule.notified, match.matchKey].slice(
+          -RULE_NOTIFIED_LIMIT
+        );
+        fired.push({
+          id: match.matchKey,
+          key,
+          name: fav.name,
+          text: match.text,
+          firedAt: Date.now(),
+          read: false,
+        });
+      });
+    });
+  });
+  if (!fired.length) return;
+
+  saveNotificationRules();
+  notificationInbox = [...fired, ...notificationInbox];
+  saveNotificationInbox();
+  fired.forEach(showRuleNotification);
+  updateInboxButton();
 }
 
 /**
- * Highlights a suggestion item for keyboard navigation.
- * Updates visual styling and ARIA attributes.
- * Also scrolls the item into view if needed.
- * @param {number} index - Index of the item to highlight (-1 to clear)
+ * Shows a rule match as a browser notification, if the user allowed them.
+ * Goes through the service worker when there is one, since mobile browsers
+ * don't support `new Notification()`.
+ * @param {Object} entry - Inbox entry
  */
-function setHighlight(index) {
-  if (!suggestionsEl) return;
-  const items = suggestionsEl.querySelectorAll(".suggestion-item");
-  items.forEach((el) => el.classList.remove("highlighted"));
-  items.forEach((el) => el.setAttribute("aria-selected", "false"));
-  if (index >= 0 && index < items.length) {
-    items[index].classList.add("highlighted");
-    items[index].setAttribute("aria-selected", "true");
-    q.setAttribute("aria-activedescendant", items[index].id);
-    highlightedIndex = index;
-    items[index].scrollIntoView({ block: "nearest" });
-  } else {
-    q.removeAttribute("aria-activedescendant");
-    highlightedIndex = -1;
+function showRuleNotification(entry) {
+  if (!("Notification" in window) || Notification.permission !== "granted") {
+    return;
+  }
+  const title = `Weather rule: ${entry.name}`;
+  const options = {
+    body: entry.text,
+    tag: entry.id,
+    icon: "assets/icons/icon-192.png",
+  };
+  if ("serviceWorker" in navigator && navigator.serviceWorker.controller) {
+    navigator.serviceWorker.ready
+      .then((registration) => registration.showNotification(title, options))
+      .catch((err) => console.error("Failed to show notification:", err));
+    return;
+  }
+  try {
+    new Notification(title, options);
+  } catch (err) {
+    console.error("Failed to show notification:", err);
   }
 }
 
 /**
- * Handles when user selects a location (by click or Enter key).
- * Updates the search input with the selected location name,
- * stores the location for refresh functionality, and fetches weather.
- * @param {number} index - Index of the selected suggestion
+ * Shows the unread count on the inbox button in the saved locations toolbar.
  */
-function selectSuggestion(index) {
-  if (!currentSuggestions || index < 0 || index >= currentSuggestions.length)
-    return;
-  const sel = currentSuggestions[index];
-  q.value = `${sel.name}${sel.country ? ", " + sel.country : ""}${
-    sel.state ? ", " + sel.state : ""
+function updateInboxButton() {
+  const btn = document.getElementById("favorites-inbox");
+  if (!btn) return;
+  const unread = notificationInbox.filter((entry) => !entry.read).length;
+  btn.innerHTML = `Inbox${
+    unread
+      ? ` <span class="saved-toolbar__badge">${escapeHtml(
+          String(unread)
+        )}</span>`
+      : ""
   }`;
-  clearSuggestions();
-  lastSelectedLocation = sel;
-  lastFetchedTs = Date.now();
-  fetchWeather(sel.lat, sel.lon, sel);
+  btn.setAttribute("aria-label", unread ? `Inbox, ${unread} unread` : "Inbox");
 }
 
 /**
- * Updates the unit toggle buttons to show which unit is active.
- * Adds "active" class and aria-pressed="true" to the selected button.
- * @param {string} unit - "metric" or "imperial"
+ * Shows a favorite's weather (from its saved card or its map pin) and
+ * updates the favorite's saved weather with the fresh data.
+ * @param {string} key - Favorite key
  */
-function applyUnitToUI(unit) {
-  if (!unitToggle) return;
-  const buttons = unitToggle.querySelectorAll(".unit-btn");
-  buttons.forEach((btn) => {
-    const u = btn.getAttribute("data-unit");
-    const isActive = u === unit;
-    btn.classList.toggle("active", isActive);
-    btn.setAttribute("aria-pressed", String(isActive));
+async function showFavoriteWeather(key) {
+  const fav = favorites[key];
+  if (!fav) return;
+  lastSelectedLocation = {
+    name: fav.name,
+    country: fav.country,
+    state: fav.state,
+    lat: fav.lat,
+    lon: fav.lon,
+  };
+  // Fetch fresh weather and update the favorite's data too
+  const weatherData = await fetchWeather(
+    fav.lat,
+    fav.lon,
+    lastSelectedLocation
+  );
+  if (weatherData && favorites[key]) {
+    favorites[key].weatherData = toSavedWeather(weatherData);
+    favorites[key].lastUpdated = Date.now();
+    saveFavorites();
+    renderSavedLocations();
+  }
+}
+
+/**
+ * Opens or closes the map panel. The map is built on first open, starts
+ * at the shown location (see initialMapView) and picks up the server's
+ * tile settings once they have loaded.
+ * @param {boolean} open - Whether the panel should be shown
+ */
+function setMapOpen(open) {
+  const panel = document.getElementById("map-panel");
+  if (!panel) return;
+  panel.hidden = !open;
+  const toggle = document.getElementById("mapToggleBtn");
+  if (toggle) toggle.setAttribute("aria-expanded", String(open));
+  if (!open) return;
+
+  if (!panel.dataset.ready) {
+    panel.dataset.ready = "true";
+    renderMapPanel();
+    resetMapTiles();
+  }
+  if (!mapView) mapView = initialMapView();
+  renderMapPins();
+
+  loadMapConfig().then((changed) => {
+    if (!changed || !mapView) return;
+    mapView.zoom = Math.min(mapView.zoom, mapConfig.maxZoom);
+    resetMapTiles();
+    renderMap();
   });
 }
 
 /**
- * Changes the temperature/wind unit preference.
- * Saves to localStorage so it persists across browser sessions.
- * @param {string} unit - "metric" (°C, m/s) or "imperial" (°F, mph)
+ * Drops the map's tiles (after the tile settings changed) and shows the
+ * attribution of the current tile source.
  */
-function setUnit(unit) {
-  if (unit !== "metric" && unit !== "imperial") return;
-  currentUnit = unit;
-  localStorage.setItem("weather_unit", unit);
-  applyUnitToUI(unit);
+function resetMapTiles() {
+  const tilesEl = document.getElementById("map-tiles");
+  if (tilesEl) tilesEl.innerHTML = "";
+  mapTileEls = new Map();
+  mapTilesCors = true;
+  const attribution = document.getElementById("map-attribution");
+  if (attribution) {
+    attribution.textContent = mapConfig.tileUrl
+      ? mapConfig.attribution
+      : "No map tiles are configured; the map shows a latitude/longitude grid.";
+  }
 }
 
 /**
- * Returns the current unit preference.
- * @returns {string} "metric" or "imperial"
+ * Redraws the map on the next animation frame, so a burst of pointer
+ * moves draws once per frame.
  */
-function getSelectedUnit() {
-  return currentUnit;
+function queueMapRender() {
+  if (mapRenderQueued) return;
+  mapRenderQueued = true;
+  requestAnimationFrame(() => {
+    mapRenderQueued = false;
+    renderMap();
+  });
+}
+
+/**
+ * Converts a point on the map (pixels from its top left corner) to
+ * coordinates.
+ * @param {number} px - Pixels from the left edge
+ * @param {number} py - Pixels from the top edge
+ * @returns {Object} { lat, lon }
+ */
+function mapPointAt(px, py) {
+  const viewport = document.getElementById("map-viewport");
+  const center = projectToWorld(mapView.lat, mapView.lon, mapView.zoom);
+  return worldToLatLon(
+    center.x + px - viewport.clientWidth / 2,
+    center.y + py - viewport.clientHeight / 2,
+    mapView.zoom
+  );
+}
+
+/**
+ * Moves the map by a number of pixels. The center stays between the
+ * poles; sideways the map wraps around.
+ * @param {number} dx - Pixels to the right
+ * @param {number} dy - Pixels down
+ */
+function panMapBy(dx, dy) {
+  if (!mapView) return;
+  const size = MAP_TILE_SIZE * 2 ** mapView.zoom;
+  const center = projectToWorld(mapView.lat, mapView.lon, mapView.zoom);
+  const point = worldToLatLon(
+    center.x + dx,
+    Math.max(0, Math.min(size, center.y + dy)),
+    mapView.zoom
+  );
+  mapView = { ...mapView, lat: point.lat, lon: point.lon };
+  queueMapRender();
+}
+
+/**
+ * Zooms the map in or out, keeping the point under the pointer in place
+ * (the center when no point is given, e.g. for the buttons and keys).
+ * @param {number} delta - Zoom levels to add (+1 in, -1 out)
+ * @param {number|null} px - Pointer pixels from the left edge
+ * @param {number|null} py - Pointer pixels from the top edge
+ */
+function zoomMapAt(delta, px = null, py = null) {
+  const viewport = document.getElementById("map-viewport");
+  if (!viewport || !mapView) return;
+  const zoom = Math.min(
+    mapConfig.maxZoom,
+    Math.max(MAP_MIN_ZOOM, mapView.zoom + delta)
+  );
+  if (zoom === mapView.zoom) return;
+
+  const offsetX = px === null ? 0 : px - viewport.clientWidth / 2;
+  const offsetY = py === null ? 0 : py - viewport.clientHeight / 2;
+  const anchor = mapPointAt(
+    viewport.clientWidth / 2 + offsetX,
+    viewport.clientHeight / 2 + offsetY
+  );
+  const moved = projectToWorld(anchor.lat, anchor.lon, zoom);
+  const point = worldToLatLon(moved.x - offsetX, moved.y - offsetY, zoom);
+  mapView = { lat: point.lat, lon: point.lon, zoom };
+  queueMapRender();
+}
+
+/**
+ * Shows the weather for a point picked on the map: looks up the place's
+ * name (falling back to its coordinates) and fetches its weather, like
+ * "Use my location" does.
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ */
+async function pickMapPoint(lat, lon) {
+  const latitude = Math.round(lat * 10000) / 10000;
+  const longitude = Math.round(lon * 10000) / 10000;
+  if (statusMessage) {
+    statusMessage.textContent = "Looking up the place...";
+    statusMessage.classList.remove("status-warning");
+  }
+
+  const coords = `${latitude.toFixed(4)}, ${longitude.toFixed(4)}`;
+  const location = (await reverseGeocode(latitude, longitude)) || {
+    name: coords,
+    lat: latitude,
+    lon: longitude,
+  };
+  if (q) {
+    q.value = location.country
+      ? location.state
+        ? `${location.name}, ${location.state}, ${location.country}`
+        : `${location.name}, ${location.country}`
+      : coords;
+  }
+  lastSelectedLocation = location;
+  clearSuggestions();
+  if (statusMessage) {
+    statusMessage.textContent = "";
+  }
+  await fetchWeather(latitude, longitude, location);
+  renderMapPins();
 }
 
 // =====================================================================
@@ -2076,24 +7933,62 @@ if (unitToggle) {
     const btn = ev.target.closest(".unit-btn");
     if (!btn) return;
     const unit = btn.getAttribute("data-unit");
-    setUnit(unit);
+    if (unit !== "metric" && unit !== "imperial") return;
+    touchPreferences();
+    switchUnits(unit);
+  });
+}
 
-    // Re-fetch current weather if a location is selected
-    if (
-      lastSelectedLocation &&
-      Number.isFinite(Number(lastSelectedLocation.lat)) &&
-      Number.isFinite(Number(lastSelectedLocation.lon))
-    ) {
-      lastFetchedTs = Date.now();
-      fetchWeather(
-        Number(lastSelectedLocation.lat),
-        Number(lastSelectedLocation.lon),
-        lastSelectedLocation
-      );
-    }
+// --- Hourly Modal Close Handler ---
+// Drops the open day from the URL however the modal gets closed
+// (close button, backdrop, Escape).
+const hourlyModalEl = document.getElementById("hourly-modal");
+if (hourlyModalEl) {
+  hourlyModalEl.addEventListener("close", () => {
+    openHourlyDayIndex = null;
+    syncUrlState();
+  });
+}
+
+// --- Back/Forward Navigation ---
+// Moves between previously viewed locations using the URL state.
+window.addEventListener("popstate", async () => {
+  const unitsChanged = await restoreFromUrl();
+  if (unitsChanged) refreshAllFavorites();
+});
 
-    // Re-fetch all favorites with new units
-    refreshAllFavorites();
+// --- Back Online Handler ---
+// Replaces cached data with fresh weather as soon as the connection returns.
+window.addEventListener("online", () => {
+  if (showingOfflineData && lastSelectedLocation) {
+    fetchWeather(
+      Number(lastSelectedLocation.lat),
+      Number(lastSelectedLocation.lon),
+      lastSelectedLocation
+    );
+  }
+  // Send changes made while offline
+  syncFavorites();
+});
+
+// --- Auto-Refresh Handlers ---
+// Pauses refreshing while the tab is hidden and catches up when it's shown
+// or the window gets focus again.
+document.addEventListener("visibilitychange", () => {
+  if (document.hidden) stopAutoRefresh();
+  else startAutoRefresh();
+});
+window.addEventListener("focus", () => {
+  if (!document.hidden) runAutoRefresh();
+});
+const autoRefreshSelectEl = document.getElementById("auto-refresh-select");
+if (autoRefreshSelectEl) {
+  autoRefreshSelectEl.value = String(autoRefreshMinutes);
+  autoRefreshSelectEl.addEventListener("change", () => {
+    autoRefreshSelectEl.value = String(
+      setAutoRefreshMinutes(autoRefreshSelectEl.value)
+    );
+    runAutoRefresh();
   });
 }
 
@@ -2105,21 +8000,63 @@ if (geolocateBtn) {
   });
 }
 
+// --- Map Panel Handlers ---
+// The Map button shows or hides the map; the map is redrawn when the
+// window's size changes.
+const mapToggleBtn = document.getElementById("mapToggleBtn");
+if (mapToggleBtn) {
+  mapToggleBtn.addEventListener("click", () => {
+    const panel = document.getElementById("map-panel");
+    setMapOpen(Boolean(panel && panel.hidden));
+  });
+}
+window.addEventListener("resize", () => {
+  const panel = document.getElementById("map-panel");
+  if (panel && !panel.hidden) queueMapRender();
+});
+
 // --- Initialization ---
 // Code that runs immediately when the script loads.
 
-// Load favorites from localStorage
-favorites = loadFavorites();
+// Register the service worker (offline app shell + cached weather)
+if ("serviceWorker" in navigator) {
+  navigator.serviceWorker.register("sw.js").catch((err) => {
+    console.error("Service worker registration failed:", err);
+  });
+}
+
+// Load favorites (with their order and groups) from localStorage
+const storedFavorites = loadFavorites();
+favorites = storedFavorites.items;
+favoriteOrder = storedFavorites.order;
+favoriteGroups = storedFavorites.groups;
+favoriteTombstones = storedFavorites.deleted;
+favoriteLayoutUpdatedAt = storedFavorites.layoutUpdatedAt;
 
 // Set the correct unit button as active based on saved preference
 applyUnitToUI(currentUnit);
 
+// Installed app launch: open the last viewed location or first favorite
+applyLaunchLocation();
+
+// Open the location, units and hourly day from a shared link (if any).
+// Units are applied synchronously, before favorites are refreshed below.
+restoreFromUrl();
+
 // Render saved locations (with cached data initially)
 renderSavedLocations();
 
-// Refresh all favorites with fresh data (staggered API calls)
+// Refresh all favorites with fresh data (one batch request)
 refreshAllFavorites();
 
+// Keep the shown weather and favorites fresh while the tab is visible. The
+// loads above count as the first refresh.
+autoRefreshAttempts = { current: Date.now(), favorites: Date.now() };
+if (!document.hidden) startAutoRefresh();
+
+// Merge with the synced profile (if sync is on for this device)
+syncFavorites();
+
 // Start listening for search input and fetch location suggestions
 addDebouncedInputListener((value) => {
   if (!value) {
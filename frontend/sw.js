@@ -0,0 +1,243 @@
+// =====================================================================
+// === SERVICE WORKER - offline support ===
+// =====================================================================
+// Registered by app.js. Runs in the background, separate from the page,
+// and sits between the page and the network:
+// - Precaches the app shell (HTML, JS, CSS, icon sprite) so the app opens offline
+// - Keeps the last /api/weather response per location and serves it when
+//   the network is down, marked with the X-Offline-Cached-At header
+// - Caches OpenWeather condition icons as they are used
+// - Caches the map tiles that were viewed (up to TILE_CACHE_LIMIT), so the
+//   map keeps its tiles offline
+
+// Bump the version when the app shell changes so old caches get cleared
+const STATIC_CACHE = "weather-static-v2";
+const WEATHER_CACHE = "weather-api-v1";
+const ICON_CACHE = "weather-icons-v1";
+const TILE_CACHE = "weather-tiles-v1";
+
+// Map tiles: images with a .../{z}/{x}/{y}.png style path, from any tile
+// server (the tile URL is configurable)
+const TILE_PATH = /\/\d+\/\d+\/\d+(@2x)?\.(png|jpe?g|webp)$/;
+const TILE_CACHE_LIMIT = 500;
+
+// Files needed to start the app without a network connection
+const APP_SHELL = [
+  "./",
+  "index.html",
+  "app.js",
+  "style.css",
+  "assets/sprite.svg",
+  "manifest.webmanifest",
+  "assets/icons/icon.svg",
+  "assets/icons/icon-192.png",
+  "assets/icons/icon-maskable-192.png",
+];
+
+// Header added to weather responses served from the cache.
+// Value is the time (ms) the response was originally fetched.
+const OFFLINE_HEADER = "X-Offline-Cached-At";
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(STATIC_CACHE)
+      .then((cache) => cache.addAll(APP_SHELL))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  const keep = [STATIC_CACHE, WEATHER_CACHE, ICON_CACHE, TILE_CACHE];
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys.filter((k) => !keep.includes(k)).map((k) => caches.delete(k))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const request = event.request;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+
+  // The API can live on another origin (Render), so match by path only
+  if (url.pathname === "/api/weather") {
+    event.respondWith(networkFirstWeather(request, url));
+    return;
+  }
+
+  if (
+    url.hostname === "openweathermap.org" &&
+    url.pathname.startsWith("/img/")
+  ) {
+    event.respondWith(cacheFirst(request, ICON_CACHE, { opaque: true }));
+    return;
+  }
+
+  // Before the app shell: a local tile server may share the app's origin
+  if (request.destination === "image" && TILE_PATH.test(url.pathname)) {
+    event.respondWith(
+      cacheFirst(request, TILE_CACHE, { maxEntries: TILE_CACHE_LIMIT })
+    );
+    return;
+  }
+
+  if (
+    url.origin === self.location.origin &&
+    !url.pathname.startsWith("/api/")
+  ) {
+    event.respondWith(staleWhileRevalidate(event));
+  }
+});
+
+/**
+ * Builds the cache key for a weather request: one entry per location, unit
+ * system, provider and view (or field list). Coordinates are rounded like the proxy does, and `exclude`
+ * is ignored so the nowcast/no-nowcast variants share the entry.
+ * @param {URL} url - The /api/weather request URL
+ * @returns {string} Cache key URL
+ */
+function weatherCacheKey(url) {
+  const lat = Math.round(Number(url.searchParams.get("lat")) * 100) / 100;
+  const lon = Math.round(Number(url.searchParams.get("lon")) * 100) / 100;
+  const units = url.searchParams.get("units") || "metric";
+  const provider = url.searchParams.get("provider") || "";
+  // Summaries and field lists must not replace the full response
+  const view = url.searchParams.get("view") || "full";
+  const fields = url.searchParams.get("fields") || "";
+  return `${
+    url.origin
+  }/api/weather?lat=${lat}&lon=${lon}&units=${units}&provider=${provider}&view=${encodeURIComponent(
+    view
+  )}&fields=${encodeURIComponent(fields)}`;
+}
+
+/**
+ * Network first for weather data. Successful responses are stored with the
+ * time they were fetched; when the network fails the stored copy is returned
+ * with the OFFLINE_HEADER so the page can show an "offline" notice.
+ * @param {Request} request - The original request
+ * @param {URL} url - Parsed request URL
+ * @returns {Promise<Response>} Fresh or cached response
+ */
+async function networkFirstWeather(request, url) {
+  const cache = await caches.open(WEATHER_CACHE);
+  const key = weatherCacheKey(url);
+
+  try {
+    const response = await fetch(request);
+    // Stale answers from the proxy are older than the time they'd be stored with
+    if (response.ok && !response.headers.has("X-Stale-Cached-At")) {
+      const body = await response.clone().arrayBuffer();
+      await cache.put(
+        key,
+        new Response(body, {
+          headers: {
+            "Content-Type": "application/json",
+            "X-Cached-At": String(Date.now()),
+          },
+        })
+      );
+    }
+    return response;
+  } catch (err) {
+    const cached = await cache.match(key);
+    if (!cached) throw err;
+    const headers = new Headers(cached.headers);
+    headers.set(OFFLINE_HEADER, cached.headers.get("X-Cached-At") || "0");
+    return new Response(await cached.arrayBuffer(), { status: 200, headers });
+  }
+}
+
+/**
+ * Cache first, falling back to the network (and caching the result).
+ * Used for weather icons, which never change for a given URL, and map tiles.
+ * A failed cache write (e.g. storage quota) doesn't fail the request.
+ * @param {Request} request - The original request
+ * @param {string} cacheName - Cache to use
+ * @param {Object} options
+ * @param {number} options.maxEntries - Entries kept; the oldest are dropped
+ *   beyond it (0 keeps everything)
+ * @param {boolean} options.opaque - Also cache opaque responses. Browsers
+ *   count each one as several MB of quota, so only the few icons use it.
+ * @returns {Promise<Response>} Cached or network response
+ */
+async function cacheFirst(
+  request,
+  cacheName,
+  { maxEntries = 0, opaque = false } = {}
+) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  // Icons are cross-origin images without CORS, so they are opaque (status 0)
+  if (response.ok || (opaque && response.type === "opaque")) {
+    try {
+      await cache.put(request, response.clone());
+      if (maxEntries) await trimCache(cache, maxEntries);
+    } catch (err) {
+      console.error("Failed to cache", request.url, err);
+    }
+  }
+  return response;
+}
+
+/**
+ * Deletes the oldest entries of a cache (keys are in insertion order)
+ * until at most maxEntries are left.
+ * @param {Cache} cache - Cache to trim
+ * @param {number} maxEntries - Entries to keep
+ */
+async function trimCache(cache, maxEntries) {
+  const keys = await cache.keys();
+  await Promise.all(
+    keys
+      .slice(0, Math.max(0, keys.length - maxEntries))
+      .map((key) => cache.delete(key))
+  );
+}
+
+/**
+ * Serves the app shell from the cache and refreshes it in the background,
+ * so the next load picks up new versions of the files. Offline, a file that
+ * was never cached falls back to index.html for page loads and to a network
+ * error otherwise.
+ * @param {FetchEvent} event - The fetch event, kept alive until the
+ *   refreshed copy is stored
+ * @returns {Promise<Response>} Cached or network response
+ */
+async function staleWhileRevalidate(event) {
+  const request = event.request;
+  const cache = await caches.open(STATIC_CACHE);
+  // Shared links carry state in the query string (?lat=...), but it's the same file
+  const url = new URL(request.url);
+  const key = url.origin + url.pathname;
+  const cached = await cache.match(key);
+  const network = fetch(request).then((response) => {
+    if (response.ok) {
+      event.waitUntil(
+        cache
+          .put(key, response.clone())
+          .catch((err) => console.error("Failed to cache", key, err))
+      );
+    }
+    return response;
+  });
+  if (cached) {
+    // The cached copy is already served; a failed refresh is retried next load
+    event.waitUntil(network.catch(() => {}));
+    return cached;
+  }
+  return network.catch(async () => {
+    const shell =
+      request.mode === "navigate" ? await cache.match("index.html") : null;
+    return shell || Response.error();
+  });
+}
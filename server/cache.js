@@ -0,0 +1,235 @@
+// Response cache for the OpenWeather proxy.
+// A cache is a thin layer over a "store" (anything with async get/set/delete),
+// so the in-memory LRU can be swapped for the file-backed store via env config.
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+
+/**
+ * In-memory LRU store. A Map keeps insertion order, so re-inserting a key on
+ * every read moves it to the "most recently used" end and the first key is
+ * always the least recently used one.
+ * @param {Object} options
+ * @param {number} options.maxEntries - Entries kept before the oldest is evicted
+ * @returns {Object} Store with async get/set/delete
+ */
+export function createMemoryStore({ maxEntries = 500 } = {}) {
+  const entries = new Map();
+
+  return {
+    async get(key) {
+      if (!entries.has(key)) return null;
+      const entry = entries.get(key);
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry;
+    },
+    async set(key, entry) {
+      entries.delete(key);
+      entries.set(key, entry);
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+    async delete(key) {
+      entries.delete(key);
+    },
+  };
+}
+
+/**
+ * File-backed store. Each entry is written as one JSON file named after a hash
+ * of its key, so the cache survives server restarts. Like the memory store it
+ * keeps at most `maxEntries` entries: the files are tracked in write order
+ * (read from their modification times on first use), and the oldest ones
+ * are deleted when there are too many.
+ * @param {Object} options
+ * @param {string} options.dir - Directory for the cache files (created if missing)
+ * @param {number} options.maxEntries - Files kept before the oldest is deleted
+ * @returns {Object} Store with async get/set/delete
+ */
+export function createFileStore({ dir, maxEntries = 5000 }) {
+  const nameFor = (key) =>
+    crypto.createHash("sha1").update(key).digest("hex") + ".json";
+  let indexing = null;
+
+  // File names, oldest write first (a Set keeps insertion order)
+  async function readIndex() {
+    let names = [];
+    try {
+      names = (await fs.readdir(dir)).filter((n) => n.endsWith(".json"));
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err;
+    }
+    const written = await Promise.all(
+      names.map(async (name) => {
+        try {
+          return [name, (await fs.stat(path.join(dir, name))).mtimeMs];
+        } catch {
+          return null; // Deleted in the meantime
+        }
+      })
+    );
+    return new Set(
+      written
+        .filter(Boolean)
+        .sort((a, b) => a[1] - b[1])
+        .map(([name]) => name)
+    );
+  }
+
+  function index() {
+    if (!indexing) indexing = readIndex();
+    return indexing;
+  }
+
+  return {
+    async get(key) {
+      try {
+        const entry = JSON.parse(
+          await fs.readFile(path.join(dir, nameFor(key)), "utf8")
+        );
+        // Guard against hash collisions
+        return entry && entry.key === key ? entry : null;
+      } catch {
+        return null;
+      }
+    },
+    async set(key, entry) {
+      const names = await index();
+      const name = nameFor(key);
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(
+        path.join(dir, name),
+        JSON.stringify({ ...entry, key })
+      );
+      names.delete(name);
+      names.add(name);
+      const evicted = [];
+      while (names.size > maxEntries) {
+        const oldest = names.values().next().value;
+        names.delete(oldest);
+        evicted.push(fs.rm(path.join(dir, oldest), { force: true }));
+      }
+      await Promise.all(evicted);
+    },
+    async delete(key) {
+      const name = nameFor(key);
+      (await index()).delete(name);
+      await fs.rm(path.join(dir, name), { force: true });
+    },
+  };
+}
+
+/**
+ * Builds a strong ETag from a response body.
+ * @param {*} body - JSON-serializable body
+ * @returns {string} Quoted SHA-1 (base64) of the JSON
+ */
+function etagFor(body) {
+  return (
+    '"' +
+    crypto.createHash("sha1").update(JSON.stringify(body)).digest("base64") +
+    '"'
+  );
+}
+
+/**
+ * Copies a cache entry with a different body (e.g. a projection of the
+ * cached one), keeping its times and giving it a matching ETag.
+ * @param {Object} entry - Cache entry
+ * @param {*} body - New body
+ * @returns {Object} New entry, not stored anywhere
+ */
+export function withBody(entry, body) {
+  return { ...entry, body, etag: etagFor(body) };
+}
+
+/**
+ * Wraps a store with TTL bookkeeping and ETag generation.
+ * Expired entries are not deleted, so callers can still decide to use them.
+ * @param {Object} store - Store created by createMemoryStore/createFileStore
+ * @returns {Object} Cache with get, set and isFresh
+ */
+export function createCache(store) {
+  return {
+    async get(key) {
+      try {
+        return await store.get(key);
+      } catch (err) {
+        console.error("Cache read failed", err);
+        return null;
+      }
+    },
+    async set(key, body, ttlMs) {
+      const now = Date.now();
+      const entry = {
+        body,
+        etag: etagFor(body),
+        storedAt: now,
+        expiresAt: now + ttlMs,
+      };
+      try {
+        await store.set(key, entry);
+      } catch (err) {
+        console.error("Cache write failed", err);
+      }
+      return entry;
+    },
+    isFresh(entry) {
+      return !!entry && entry.expiresAt > Date.now();
+    },
+  };
+}
+
+/**
+ * Sends a cached entry with Cache-Control and ETag headers.
+ * Express answers with 304 on its own when If-None-Match matches the ETag.
+ * @param {Object} res - Express response
+ * @param {Object} entry - Cache entry ({ body, etag, expiresAt })
+ * @param {string} status - Value for the X-Cache header (HIT or MISS)
+ */
+export function sendCached(res, entry, status) {
+  const maxAge = Math.max(0, Math.floor((entry.expiresAt - Date.now()) / 1000));
+  res.set("Cache-Control", `public, max-age=${maxAge}`);
+  res.set("ETag", entry.etag);
+  res.set("X-Cache", status);
+  res.json(entry.body);
+}
+
+/**
+ * Sends an expired entry because the upstream failed (stale-while-error).
+ * X-Stale-Cached-At carries the time (ms) the entry was stored, so the
+ * frontend can say how old the data is; the response itself isn't cached.
+ * @param {Object} res - Express response
+ * @param {Object} entry - Cache entry ({ body, storedAt })
+ */
+export function sendStale(res, entry) {
+  res.set("Cache-Control", "no-store");
+  res.set("X-Stale-Cached-At", String(entry.storedAt));
+  res.set("X-Cache", "STALE");
+  res.json(entry.body);
+}
+
+/**
+ * Rounds a coordinate so nearby requests share a cache entry.
+ * Two decimals is roughly 1 km, far finer than the forecast grid.
+ * @param {number} value - Latitude or longitude
+ * @returns {number} Rounded coordinate
+ */
+export function roundCoord(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Normalizes a geocoding query: trims, lowercases and collapses whitespace,
+ * so "  New  York" and "new york" hit the same entry.
+ * @param {string} q - Raw search string
+ * @returns {string} Normalized query
+ */
+export function normalizeQuery(q) {
+  return String(q || "")
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, " ");
+}
@@ -1,10 +1,45 @@
-// Minimal Express proxy for OpenWeather (geocode + weather)
+// Minimal Express proxy for weather providers (geocode + weather)
 import express from "express";
 import fetch from "node-fetch"; // if Node < 18; otherwise use global fetch
 import dotenv from "dotenv";
 import cors from "cors";
 import path from "path";
 import { fileURLToPath } from "url";
+import {
+  createCache,
+  createFileStore,
+  createMemoryStore,
+  normalizeQuery,
+  roundCoord,
+} from "./cache.js";
+import { createProviderCache } from "./provider-cache.js";
+import {
+  createProfileStore,
+  createProfileToken,
+  emptyProfile,
+  mergeProfile,
+  readProfileToken,
+  replaceProfile,
+  sanitizeProfileData,
+} from "./profiles.js";
+import {
+  corsOriginOption,
+  createRateLimiter,
+  parseRateLimit,
+} from "./rate-limit.js";
+import {
+  createProviders,
+  HISTORY_STEP_S,
+  parseProjection,
+  projectWeather,
+  UpstreamError,
+} from "./providers/index.js";
+import { runWithConcurrency } from "./resilience.js";
+import {
+  createDeliveryLog,
+  createWatchScheduler,
+  loadWatchConfig,
+} from "./watches.js";
 
 dotenv.config();
 
@@ -12,8 +47,29 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const app = express();
-// Enable CORS for cross-origin requests from your frontend dev server
-app.use(cors());
+// Behind a reverse proxy (Render) req.ip is the proxy's address unless Express
+// trusts its X-Forwarded-For header; TRUST_PROXY is the number of proxy hops
+if (process.env.TRUST_PROXY) {
+  app.set(
+    "trust proxy",
+    Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY
+  );
+}
+// CORS only for the frontends in CORS_ORIGINS (comma-separated, "*" for any);
+// by default the deployed frontend (a separate Render service, so every call
+// is cross-origin) and local dev servers. The stale-data and Retry-After
+// headers must be exposed for the frontend to read them.
+const DEFAULT_CORS_ORIGINS = [
+  "https://project-2-weather-app-m117.onrender.com",
+  "http://localhost:*",
+  "http://127.0.0.1:*",
+].join(",");
+app.use(
+  cors({
+    origin: corsOriginOption(process.env.CORS_ORIGINS || DEFAULT_CORS_ORIGINS),
+    exposedHeaders: ["X-Stale-Cached-At", "Retry-After"],
+  })
+);
 
 // Serve static frontend files
 app.use(express.static(path.join(__dirname, "../frontend")));
@@ -21,125 +77,640 @@ app.use(express.static(path.join(__dirname, "../frontend")));
 const PORT = process.env.PORT || 3000;
 const KEY = process.env.OPENWEATHER_API_KEY;
 if (!KEY) {
-  console.warn("OPENWEATHER_API_KEY is not set in env; proxy will fail.");
+  console.warn(
+    "OPENWEATHER_API_KEY is not set in env; only the keyless provider is available."
+  );
+}
+
+// Weather providers: WEATHER_PROVIDER picks the default (openweather or
+// open-meteo); requests can pick another one with ?provider=<id>
+const weatherProviders = createProviders({
+  openWeatherKey: KEY,
+  defaultId: process.env.WEATHER_PROVIDER,
+  fetch,
+  // Per-attempt timeout, retries with backoff, and a circuit breaker per
+  // provider that stops calling it for a while after repeated failures
+  resilience: {
+    timeoutMs: Number(process.env.UPSTREAM_TIMEOUT_MS) || 5000,
+    retries:
+      process.env.UPSTREAM_RETRIES != null
+        ? Number(process.env.UPSTREAM_RETRIES)
+        : 2,
+    breakerThreshold: Number(process.env.UPSTREAM_BREAKER_THRESHOLD) || 5,
+    breakerResetMs: Number(process.env.UPSTREAM_BREAKER_RESET_MS) || 30000,
+  },
+});
+
+// Response cache: CACHE_STORE=memory (default, LRU) or CACHE_STORE=file
+const cache = createCache(
+  process.env.CACHE_STORE === "file"
+    ? createFileStore({
+        dir: process.env.CACHE_DIR || path.join(__dirname, ".cache"),
+        maxEntries: Number(process.env.CACHE_MAX_FILES) || 5000,
+      })
+    : createMemoryStore({
+        maxEntries: Number(process.env.CACHE_MAX_ENTRIES) || 500,
+      })
+);
+
+// How long each endpoint's responses stay fresh (ms). Weather changes often,
+// place names practically never.
+const CACHE_TTL_MS = {
+  weather: Number(process.env.CACHE_TTL_WEATHER_MS) || 10 * 60 * 1000,
+  geocode: Number(process.env.CACHE_TTL_GEOCODE_MS) || 24 * 60 * 60 * 1000,
+  reverseGeocode:
+    Number(process.env.CACHE_TTL_REVERSE_GEOCODE_MS) || 24 * 60 * 60 * 1000,
+  // Past days don't change once they are over (see /api/history)
+  history: Number(process.env.CACHE_TTL_HISTORY_MS) || 30 * 24 * 60 * 60 * 1000,
+};
+
+// How long past its expiry a cached response may still be served when every
+// provider fails (stale-while-error)
+const CACHE_STALE_MAX_MS =
+  Number(process.env.CACHE_STALE_MAX_MS) || 24 * 60 * 60 * 1000;
+
+// Provider calls through the cache, with stale-while-error (provider-cache.js)
+const { loadFromProviders, serveFromProviders } = createProviderCache({
+  cache,
+  staleMaxMs: CACHE_STALE_MAX_MS,
+});
+
+// Batch weather: most locations per request (the app allows 50 favorites)
+// and how many of them are fetched from upstream at the same time
+const MAX_BATCH_LOCATIONS = 50;
+const BATCH_CONCURRENCY = Number(process.env.BATCH_CONCURRENCY) || 4;
+const batchJson = express.json({ limit: "16kb" });
+
+// First day One Call has history for (/api/history)
+const HISTORY_MIN_DATE = "1979-01-02";
+
+// Upstream calls one uncached past day takes: day_summary plus a timemachine
+// call every HISTORY_STEP_S (see providers/openweather.js)
+const HISTORY_UPSTREAM_CALLS = 1 + (24 * 60 * 60) / HISTORY_STEP_S;
+
+// Accepted request values. Everything a client sends ends up in a cache
+// key, so free-form values would let anyone create unlimited entries.
+const UNITS = ["metric", "imperial"];
+const EXCLUDE_PARTS = ["current", "minutely", "hourly", "daily", "alerts"];
+const MAX_QUERY_LENGTH = 100;
+
+// Map tiles for the app's map panel: an XYZ URL template such as
+// http://localhost:8080/tiles/{z}/{x}/{y}.png, so the map can run against a
+// local tile server. Without one the app draws only a latitude/longitude grid.
+const MAP_CONFIG = {
+  tileUrl: parseTileUrl(process.env.MAP_TILE_URL),
+  attribution: process.env.MAP_TILE_ATTRIBUTION || "",
+  maxZoom: Math.min(22, Math.max(1, Number(process.env.MAP_MAX_ZOOM) || 18)),
+};
+
+// Per-IP rate limits, e.g. RATE_LIMIT_WEATHER=60/min ("<n>/s", "/min" or
+// "/h"). Search is typed letter by letter (debounced), so it gets the most.
+const rateLimits = {
+  geocode: createRateLimiter(
+    parseRateLimit(process.env.RATE_LIMIT_GEOCODE, 60)
+  ),
+  weather: createRateLimiter(
+    parseRateLimit(process.env.RATE_LIMIT_WEATHER, 60)
+  ),
+  // Counted per location in the batch
+  weatherBatch: createRateLimiter({
+    ...parseRateLimit(process.env.RATE_LIMIT_WEATHER_BATCH, 300),
+    cost: (req) =>
+      req.body && Array.isArray(req.body.locations)
+        ? req.body.locations.length
+        : 1,
+  }),
+  reverseGeocode: createRateLimiter(
+    parseRateLimit(process.env.RATE_LIMIT_REVERSE_GEOCODE, 20)
+  ),
+  // Counted in upstream calls: a request takes one token, and the route
+  // takes the rest of HISTORY_UPSTREAM_CALLS when the day isn't cached
+  history: createRateLimiter(
+    parseRateLimit(process.env.RATE_LIMIT_HISTORY, 90)
+  ),
+  profiles: createRateLimiter(
+    parseRateLimit(process.env.RATE_LIMIT_PROFILES, 30)
+  ),
+  // Creating a profile on top of that: a device needs one, so this can be
+  // strict, and it keeps one client from filling the profile store
+  profileCreate: createRateLimiter(
+    parseRateLimit(process.env.RATE_LIMIT_PROFILE_CREATE || "10/h", 10)
+  ),
+};
+
+// Sync profiles (favorites + preferences), one JSON file for all profiles
+const profiles = createProfileStore({
+  file:
+    process.env.PROFILE_STORE_FILE ||
+    path.join(__dirname, ".data", "profiles.json"),
+  maxProfiles: Number(process.env.PROFILE_STORE_MAX_PROFILES) || 10000,
+  idleMs:
+    Number(process.env.PROFILE_STORE_IDLE_MS) || 180 * 24 * 60 * 60 * 1000,
+});
+
+/**
+ * Validates the MAP_TILE_URL template.
+ * @param {string} value - Setting from env, may be undefined
+ * @returns {string|null} The template, or null when it's missing or isn't
+ *   an http(s) URL with {z}, {x} and {y}
+ */
+function parseTileUrl(value) {
+  if (!value) return null;
+  const valid =
+    /^https?:\/\//.test(value) &&
+    ["{z}", "{x}", "{y}"].every((part) => value.includes(part));
+  if (!valid) {
+    console.warn(
+      "MAP_TILE_URL must be an http(s) URL with {z}, {x} and {y}; the map shows no tiles."
+    );
+    return null;
+  }
+  return value;
+}
+
+/**
+ * Lists the providers that have a method, starting with `first` and then
+ * the others as failovers.
+ * @param {Object} first - Provider to try first
+ * @param {string} method - Provider method needed ("weather", ...)
+ * @returns {Array<Object>} Providers in order (may be empty)
+ */
+function providerChain(first, method) {
+  return [
+    first,
+    ...weatherProviders.ids
+      .map((id) => weatherProviders.get(id))
+      .filter((p) => p !== first),
+  ].filter((p) => typeof p[method] === "function");
+}
+
+/**
+ * Picks the providers to try for a request, in order: ?provider=<id> or the
+ * default one (WEATHER_PROVIDER) first, then the others as failovers.
+ * An explicitly requested provider is used alone, unless it doesn't have
+ * the method. Answers 400 for unknown ids.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} method - Provider method the route needs ("weather", ...)
+ * @returns {Array<Object>|null} Providers that have the method (may be
+ *   empty), or null when a response was already sent
+ */
+function providersFor(req, res, method) {
+  const requested = req.query.provider ? String(req.query.provider) : null;
+  const first = weatherProviders.get(requested);
+  if (!first) {
+    res
+      .status(400)
+      .json({ error: "Unknown provider", providers: weatherProviders.ids });
+    return null;
+  }
+  const all = providerChain(first, method);
+  return requested && all[0] === first ? [first] : all;
+}
+
+/**
+ * Whether rounded coordinates are on the globe.
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {boolean} True for finite values within ±90 / ±180
+ */
+function isValidCoord(lat, lon) {
+  return (
+    Number.isFinite(lat) &&
+    Number.isFinite(lon) &&
+    Math.abs(lat) <= 90 &&
+    Math.abs(lon) <= 180
+  );
+}
+
+/**
+ * Reads the units parameter.
+ * @param {*} value - Query or body value, may be undefined
+ * @returns {string|null} "metric" (the default) or "imperial", or null
+ *   for anything else
+ */
+function parseUnits(value) {
+  if (value == null || value === "") return "metric";
+  return UNITS.includes(value) ? value : null;
+}
+
+/**
+ * Reads the exclude parameter: comma-separated parts of EXCLUDE_PARTS.
+ * Parts are put in a fixed order, so equal requests share a cache entry.
+ * @param {*} value - Query value; undefined means the default "minutely"
+ * @returns {string|null} Normalized parts ("" excludes nothing), or null
+ *   when a part is unknown
+ */
+function parseExclude(value) {
+  if (value == null) return "minutely";
+  const parts = String(value)
+    .split(",")
+    .map((part) => part.trim())
+    .filter(Boolean);
+  if (!parts.every((part) => EXCLUDE_PARTS.includes(part))) return null;
+  return EXCLUDE_PARTS.filter((part) => parts.includes(part)).join(",");
+}
+
+/**
+ * Cache key for weather, shared by /api/weather and the batch endpoint.
+ * @param {Object} provider - First provider from providersFor()
+ * @param {number} lat - Rounded latitude
+ * @param {number} lon - Rounded longitude
+ * @param {string} units - "metric" or "imperial"
+ * @param {string} exclude - Excluded parts
+ * @returns {string} Cache key
+ */
+function weatherCacheKey(provider, lat, lon, units, exclude) {
+  return `weather:${provider.id}:${lat},${lon}:${units}:${exclude}`;
 }
 
 // server/index.js
-app.get("/api/geocode", async (req, res) => {
-  const q = String(req.query.q || "").trim();
+app.get("/api/geocode", rateLimits.geocode, async (req, res) => {
+  const q = normalizeQuery(req.query.q);
   if (!q) return res.status(400).json({ error: "Missing query param q" });
+  if (q.length > MAX_QUERY_LENGTH) {
+    return res.status(400).json({ error: "Query param q is too long" });
+  }
+  const providers = providersFor(req, res, "geocode");
+  if (!providers) return;
 
   // hard-code the limit on server side:
   const limit = 5;
 
-  // Build the upstream URL using URL and URLSearchParams to ensure proper encoding:
-  const upstream = new URL("https://api.openweathermap.org/geo/1.0/direct");
-  upstream.search = new URLSearchParams({
-    q, // raw string from req.query (will be encoded by URLSearchParams in app.js)
-    limit: String(limit), // server-enforced
-    appid: KEY, // secret from process.env
-  }).toString();
+  await serveFromProviders(res, {
+    cacheKey: `geocode:${providers[0].id}:${q}`,
+    ttlMs: CACHE_TTL_MS.geocode,
+    providers,
+    // Providers return only the needed fields (name, lat, lon, country, state)
+    call: (provider) => provider.geocode(q, limit),
+    label: "Proxy error",
+  });
+});
 
-  try {
-    const r = await fetch(upstream.toString());
-    if (!r.ok)
+// Weather from the selected provider, in the normalized schema described in
+// providers/index.js. Backend adds the API key where one is needed.
+app.get("/api/weather", rateLimits.weather, async (req, res) => {
+  const lat = roundCoord(Number(req.query.lat));
+  const lon = roundCoord(Number(req.query.lon));
+  const units = parseUnits(req.query.units);
+  // Default drops the 60-minute nowcast; an explicit empty value excludes nothing
+  const exclude = parseExclude(req.query.exclude);
+
+  if (!isValidCoord(lat, lon)) {
+    return res.status(400).json({ error: "Missing or invalid lat/lon" });
+  }
+  if (!units) {
+    return res.status(400).json({ error: "units must be metric or imperial" });
+  }
+  if (exclude === null) {
+    return res.status(400).json({
+      error: `exclude must list parts of: ${EXCLUDE_PARTS.join(", ")}`,
+    });
+  }
+  // ?view=full (default) or ?view=summary, or ?fields=current.temp,daily.pop,...
+  const projection = parseProjection(req.query);
+  if (!projection) {
+    return res.status(400).json({ error: "Invalid view or fields" });
+  }
+  const providers = providersFor(req, res, "weather");
+  if (!providers) return;
+
+  // The full response is cached; projections are cut from it per request
+  await serveFromProviders(res, {
+    cacheKey: weatherCacheKey(providers[0], lat, lon, units, exclude),
+    ttlMs: CACHE_TTL_MS.weather,
+    providers,
+    call: (provider) => provider.weather({ lat, lon, units, exclude }),
+    transform: (body) => projectWeather(body, projection),
+    label: "Weather proxy error",
+  });
+});
+
+// Weather for many locations at once (refreshing the saved favorites).
+// Body: { locations: [{ lat, lon }], units, view, fields }, ?provider= as
+// for /api/weather; the view defaults to "summary".
+// Locations are fetched a few at a time and share the /api/weather cache.
+// The response is NDJSON: one line per location as soon as it's ready
+// (in any order), { index, ok: true, stale, data } or
+// { index, ok: false, status, error }.
+app.post(
+  "/api/weather/batch",
+  // Parsed first, so the rate limiter can count the locations
+  batchJson,
+  rateLimits.weatherBatch,
+  async (req, res) => {
+    const locations = parseBatchLocations(req.body);
+    if (!locations) {
+      return res.status(400).json({
+        error: `Expected { locations: [{ lat, lon }] } with 1-${MAX_BATCH_LOCATIONS} locations`,
+      });
+    }
+    const units = parseUnits(req.body.units);
+    if (!units) {
       return res
-        .status(502)
-        .json({ error: "Upstream error", status: r.status });
-    const json = await r.json();
-    // Return only the needed fields (name, lat, lon, country, state).
-    res.json(
-      json.map((item) => ({
-        name: item.name,
-        lat: item.lat,
-        lon: item.lon,
-        country: item.country,
-        state: item.state || null,
-      }))
+        .status(400)
+        .json({ error: "units must be metric or imperial" });
+    }
+    const projection = parseProjection(req.body, "summary");
+    if (!projection) {
+      return res.status(400).json({ error: "Invalid view or fields" });
+    }
+    const providers = providersFor(req, res, "weather");
+    if (!providers) return;
+
+    res.set("Content-Type", "application/x-ndjson; charset=utf-8");
+    res.set("Cache-Control", "no-store");
+    res.flushHeaders();
+
+    await runWithConcurrency(
+      locations,
+      BATCH_CONCURRENCY,
+      async (loc, index) => {
+        // Same request as the single endpoint's default, so they share cache entries
+        const exclude = "minutely";
+        let line;
+        try {
+          const { entry, status } = await loadFromProviders({
+            cacheKey: weatherCacheKey(
+              providers[0],
+              loc.lat,
+              loc.lon,
+              units,
+              exclude
+            ),
+            ttlMs: CACHE_TTL_MS.weather,
+            providers,
+            call: (provider) =>
+              provider.weather({ lat: loc.lat, lon: loc.lon, units, exclude }),
+            label: "Weather batch error",
+          });
+          line = {
+            index,
+            ok: true,
+            stale: status === "STALE",
+            storedAt: entry.storedAt,
+            data: projectWeather(entry.body, projection),
+          };
+        } catch (err) {
+          line = {
+            index,
+            ok: false,
+            status: err instanceof UpstreamError ? 502 : 500,
+            error:
+              err instanceof UpstreamError ? "Upstream error" : "Proxy failed",
+          };
+        }
+        res.write(JSON.stringify(line) + "\n");
+      }
     );
-  } catch (err) {
-    console.error("Proxy error", err);
-    res.status(500).json({ error: "Proxy failed" });
+    res.end();
   }
+);
+
+/**
+ * Validates the batch body's locations and rounds their coordinates.
+ * @param {Object} body - Request body
+ * @returns {Array<Object>|null} [{ lat, lon }], or null when invalid
+ */
+function parseBatchLocations(body) {
+  const list = body && body.locations;
+  if (
+    !Array.isArray(list) ||
+    list.length === 0 ||
+    list.length > MAX_BATCH_LOCATIONS
+  ) {
+    return null;
+  }
+  const locations = list.map((item) => ({
+    lat: roundCoord(Number(item && item.lat)),
+    lon: roundCoord(Number(item && item.lon)),
+  }));
+  const valid = locations.every((l) => isValidCoord(l.lat, l.lon));
+  return valid ? locations : null;
+}
+
+// Reverse geocoding (converts lat/lon to location name). Not every provider
+// has it, so this uses the ones that do.
+app.get("/api/reverse-geocode", rateLimits.reverseGeocode, async (req, res) => {
+  const lat = roundCoord(Number(req.query.lat));
+  const lon = roundCoord(Number(req.query.lon));
+
+  if (!isValidCoord(lat, lon)) {
+    return res.status(400).json({ error: "Missing or invalid lat/lon" });
+  }
+  const providers = providersFor(req, res, "reverseGeocode");
+  if (!providers) return;
+  if (!providers.length) {
+    return res
+      .status(501)
+      .json({ error: "Reverse geocoding is not available" });
+  }
+
+  await serveFromProviders(res, {
+    cacheKey: `reverse-geocode:${providers[0].id}:${lat},${lon}`,
+    ttlMs: CACHE_TTL_MS.reverseGeocode,
+    providers,
+    call: (provider) => provider.reverseGeocode(lat, lon),
+    label: "Reverse geocode proxy error",
+  });
 });
 
-// Proxy to OpenWeather One Call (returns full weather payload). Backend adds the API key.
-app.get("/api/weather", async (req, res) => {
-  const lat = Number(req.query.lat);
-  const lon = Number(req.query.lon);
-  const units = String(req.query.units || "metric");
-  const exclude = String(req.query.exclude || "minutely");
+// Weather of one past day (?date=YYYY-MM-DD, the location's local date):
+// the day's summary and its hours, from the providers that have history.
+app.get("/api/history", rateLimits.history, async (req, res) => {
+  const lat = roundCoord(Number(req.query.lat));
+  const lon = roundCoord(Number(req.query.lon));
+  const units = parseUnits(req.query.units);
 
-  if (!Number.isFinite(lat) || !Number.isFinite(lon)) {
+  if (!isValidCoord(lat, lon)) {
     return res.status(400).json({ error: "Missing or invalid lat/lon" });
   }
+  if (!units) {
+    return res.status(400).json({ error: "units must be metric or imperial" });
+  }
+  const date = parseHistoryDate(req.query.date);
+  if (!date) {
+    return res.status(400).json({
+      error: `Missing or invalid date (YYYY-MM-DD, ${HISTORY_MIN_DATE} or later, not in the future)`,
+    });
+  }
+  const providers = providersFor(req, res, "history");
+  if (!providers) return;
+  if (!providers.length) {
+    return res
+      .status(501)
+      .json({ error: "Historical weather is not available" });
+  }
 
-  const upstream = new URL("https://api.openweathermap.org/data/3.0/onecall");
-  upstream.search = new URLSearchParams({
-    lat: String(lat),
-    lon: String(lon),
-    units: units,
-    exclude: exclude,
-    appid: KEY,
-  }).toString();
+  // A day is over everywhere 36 hours after it started in UTC (UTC-12);
+  // until then it can still get new hours
+  const isOver =
+    Date.parse(`${date}T00:00:00Z`) + 36 * 60 * 60 * 1000 <= Date.now();
+  const cacheKey = `history:${providers[0].id}:${lat},${lon}:${units}:${date}`;
+  // Stepping through days already loaded stays cheap; only a day that has
+  // to come from upstream costs its upstream calls
+  if (
+    !cache.isFresh(await cache.get(cacheKey)) &&
+    !rateLimits.history.take(req, res, HISTORY_UPSTREAM_CALLS - 1)
+  ) {
+    return;
+  }
+  await serveFromProviders(res, {
+    cacheKey,
+    ttlMs: isOver ? CACHE_TTL_MS.history : CACHE_TTL_MS.weather,
+    providers,
+    call: (provider) => provider.history({ lat, lon, date, units }),
+    label: "History proxy error",
+  });
+});
 
+/**
+ * Validates the date of a history request.
+ * @param {*} value - ?date= value
+ * @returns {string|null} The date as "YYYY-MM-DD", or null when it isn't a
+ *   real date between HISTORY_MIN_DATE and today (UTC)
+ */
+function parseHistoryDate(value) {
+  const date = String(value || "");
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) return null;
+  const time = Date.parse(`${date}T00:00:00Z`);
+  // Rejects dates like 2025-02-30, which Date rolls over into March
+  if (
+    !Number.isFinite(time) ||
+    new Date(time).toISOString().slice(0, 10) !== date
+  ) {
+    return null;
+  }
+  const today = new Date().toISOString().slice(0, 10);
+  return date >= HISTORY_MIN_DATE && date <= today ? date : null;
+}
+
+// Lists the weather providers this server can use, so clients can offer a choice
+app.get("/api/providers", (req, res) => {
+  res.json({
+    default: weatherProviders.defaultId,
+    providers: weatherProviders.ids.map((id) => ({
+      id,
+      name: weatherProviders.get(id).name,
+    })),
+  });
+});
+
+// Tile source of the app's map panel (see MAP_CONFIG)
+app.get("/api/map-config", (req, res) => {
+  res.json(MAP_CONFIG);
+});
+
+// --- Sync profiles ---
+// Anonymous profiles: POST creates one and returns its token, which the
+// client then sends as "Authorization: Bearer <token>".
+const profileJson = express.json({ limit: "256kb" });
+app.use("/api/profiles", rateLimits.profiles);
+
+app.post("/api/profiles", rateLimits.profileCreate, async (req, res) => {
   try {
-    const r = await fetch(upstream.toString());
-    if (!r.ok)
-      return res
-        .status(502)
-        .json({ error: "Upstream error", status: r.status });
-    const json = await r.json();
-    // Return full payload (no mapping) — frontend will decide what to read.
-    res.json(json);
+    const token = createProfileToken();
+    const profile = await profiles.create(token, emptyProfile());
+    if (!profile) {
+      return res.status(503).json({ error: "Profile store is full" });
+    }
+    res.status(201).json({ token, profile });
   } catch (err) {
-    console.error("Weather proxy error", err);
-    res.status(500).json({ error: "Proxy failed" });
+    console.error("Profile create error", err);
+    res.status(500).json({ error: "Profile store failed" });
   }
 });
 
-// Proxy to OpenWeather Reverse Geocoding (converts lat/lon to location name)
-app.get("/api/reverse-geocode", async (req, res) => {
-  const lat = Number(req.query.lat);
-  const lon = Number(req.query.lon);
-  const limit = 1; // We only need the closest match
-
-  if (!Number.isFinite(lat) || !Number.isFinite(lon)) {
-    return res.status(400).json({ error: "Missing or invalid lat/lon" });
+app.get("/api/profiles/me", async (req, res) => {
+  const token = readProfileToken(req);
+  const profile = token && (await profiles.get(token));
+  if (!profile) {
+    return res.status(401).json({ error: "Missing or unknown profile token" });
   }
+  res.set("Cache-Control", "no-store");
+  res.json(profile);
+});
 
-  const upstream = new URL("https://api.openweathermap.org/geo/1.0/reverse");
-  upstream.search = new URLSearchParams({
-    lat: String(lat),
-    lon: String(lon),
-    limit: String(limit),
-    appid: KEY,
-  }).toString();
+// PUT replaces the stored favorites/layout/preferences with the body;
+// PATCH merges the body in, last writer wins per favorite (used for syncing)
+for (const [method, apply] of [
+  ["put", replaceProfile],
+  ["patch", mergeProfile],
+]) {
+  app[method]("/api/profiles/me", profileJson, async (req, res) => {
+    const token = readProfileToken(req);
+    if (!token || !(await profiles.get(token))) {
+      return res
+        .status(401)
+        .json({ error: "Missing or unknown profile token" });
+    }
+    const data = sanitizeProfileData(req.body);
+    if (!data) return res.status(400).json({ error: "Invalid profile data" });
 
+    try {
+      const profile = await profiles.update(token, (current) =>
+        apply(current, data)
+      );
+      res.set("Cache-Control", "no-store");
+      res.json(profile);
+    } catch (err) {
+      console.error("Profile update error", err);
+      res.status(500).json({ error: "Profile store failed" });
+    }
+  });
+}
+
+// --- Scheduled watches ---
+// With WATCHES_FILE set, the server checks the watch rules in that file
+// every WATCH_INTERVAL_MS and POSTs new matches to its webhooks (see
+// watches.js). Weather goes through the same cache and providers as
+// /api/weather.
+async function startWatches() {
+  const file = process.env.WATCHES_FILE;
+  if (!file) return;
+  let config;
   try {
-    const r = await fetch(upstream.toString());
-    if (!r.ok)
-      return res
-        .status(502)
-        .json({ error: "Upstream error", status: r.status });
-    const json = await r.json();
-    // Return only the needed fields (name, lat, lon, country, state)
-    res.json(
-      json.map((item) => ({
-        name: item.name,
-        lat: item.lat,
-        lon: item.lon,
-        country: item.country,
-        state: item.state || null,
-      }))
-    );
+    config = await loadWatchConfig(file);
   } catch (err) {
-    console.error("Reverse geocode proxy error", err);
-    res.status(500).json({ error: "Proxy failed" });
+    console.error(`Watches file ${file} could not be read`, err);
+    return;
   }
-});
+  if (!config.watches.length) {
+    console.warn(`No valid watches in ${file}; the scheduler is off.`);
+    return;
+  }
+
+  const scheduler = createWatchScheduler({
+    config,
+    fetch,
+    deliveryLog: createDeliveryLog({
+      file:
+        process.env.WATCH_STATE_FILE ||
+        path.join(__dirname, ".data", "watch-deliveries.json"),
+    }),
+    intervalMs: Number(process.env.WATCH_INTERVAL_MS) || 15 * 60 * 1000,
+    loadWeather: async (watch) => {
+      const lat = roundCoord(watch.lat);
+      const lon = roundCoord(watch.lon);
+      const exclude = "minutely";
+      const providers = providerChain(weatherProviders.get(), "weather");
+      const { entry } = await loadFromProviders({
+        cacheKey: weatherCacheKey(providers[0], lat, lon, watch.units, exclude),
+        ttlMs: CACHE_TTL_MS.weather,
+        providers,
+        call: (provider) =>
+          provider.weather({ lat, lon, units: watch.units, exclude }),
+        label: "Watch weather error",
+      });
+      return entry.body;
+    },
+  });
+  scheduler.start();
+  console.log(`Watching ${config.watches.length} locations from ${file}`);
+}
 
 // Start the server
 app.listen(PORT, () => {
   console.log(`Proxy listening on http://localhost:${PORT}`);
+  startWatches();
 });
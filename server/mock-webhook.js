@@ -0,0 +1,28 @@
+// Local webhook receiver for trying out the scheduled watches: prints every
+// request it gets. Usage: node mock-webhook.js [port] (default 4000).
+// Add ?status=500 to the webhook URL to see how failed deliveries are retried.
+import http from "http";
+
+const port = Number(process.argv[2]) || 4000;
+
+http
+  .createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+    });
+    req.on("end", () => {
+      const url = new URL(req.url, `http://localhost:${port}`);
+      const status = Number(url.searchParams.get("status")) || 204;
+      console.log(`${new Date().toISOString()} ${req.method} ${req.url}`);
+      try {
+        console.log(JSON.stringify(JSON.parse(body), null, 2));
+      } catch {
+        console.log(body);
+      }
+      res.writeHead(status).end();
+    });
+  })
+  .listen(port, () => {
+    console.log(`Mock webhook receiver on http://localhost:${port}`);
+  });
@@ -0,0 +1,388 @@
+// Anonymous user profiles for syncing favorites and preferences between devices.
+// A profile is identified by a random token that the browser keeps; only a
+// hash of the token is stored, so the data file alone can't be used to sync.
+//
+// Profile shape (all timestamps are ms since epoch, set by the client):
+// {
+//   favorites: { [locationKey]: { name, country, state, lat, lon, group, updatedAt }
+//                               | { deleted: true, updatedAt } },
+//   layout: { order: [locationKey], groups: [{ id, name }], updatedAt },
+//   preferences: { units, maxFavorites, updatedAt },
+//   createdAt, updatedAt
+// }
+// Merging is last-writer-wins per favorite key, and for the layout and the
+// preferences as a whole. Deleted favorites are kept as tombstones so a
+// device that still has them doesn't bring them back on its next sync;
+// tombstones older than TOMBSTONE_RETENTION_MS are dropped.
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+
+// Upper bounds for a profile, so one token can't fill the disk. They also
+// hold for the merged profile, not just for each request.
+const MAX_FAVORITES = 200;
+const MAX_TOMBSTONES = 200;
+const MAX_GROUPS = 50;
+const MAX_TEXT_LENGTH = 100;
+
+// A device that hasn't synced for this long may bring back favorites that
+// were deleted elsewhere
+const TOMBSTONE_RETENTION_MS = 90 * 24 * 60 * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// A profile's last use is recorded to the day, so reading a profile doesn't
+// rewrite the store every time
+const USED_AT_RESOLUTION_MS = DAY_MS;
+
+/**
+ * Creates a new random profile token (URL-safe, 32 characters).
+ * @returns {string} Token
+ */
+export function createProfileToken() {
+  return crypto.randomBytes(24).toString("base64url");
+}
+
+/**
+ * Hashes a token for storage and lookups.
+ * @param {string} token - Profile token
+ * @returns {string} Hex SHA-256 hash
+ */
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+/**
+ * Returns an empty profile.
+ * @returns {Object} Profile with no favorites and unset layout/preferences
+ */
+export function emptyProfile() {
+  const now = Date.now();
+  return {
+    favorites: {},
+    layout: { order: [], groups: [], updatedAt: 0 },
+    preferences: { units: "metric", maxFavorites: null, updatedAt: 0 },
+    createdAt: now,
+    updatedAt: now,
+  };
+}
+
+/**
+ * Keeps a profile's favorites within bounds: drops tombstones older than
+ * TOMBSTONE_RETENTION_MS, then keeps the most recently updated
+ * MAX_FAVORITES favorites and MAX_TOMBSTONES tombstones.
+ * @param {Object} favorites - { [locationKey]: favorite or tombstone }
+ * @param {number} now - Current time (ms)
+ * @returns {Object} Bounded favorites
+ */
+export function boundFavorites(favorites, now = Date.now()) {
+  const newestFirst = (a, b) => favorites[b].updatedAt - favorites[a].updatedAt;
+  const keys = Object.keys(favorites);
+  const live = keys.filter((key) => !favorites[key].deleted);
+  const tombstones = keys.filter(
+    (key) =>
+      favorites[key].deleted &&
+      favorites[key].updatedAt >= now - TOMBSTONE_RETENTION_MS
+  );
+  const result = {};
+  live
+    .sort(newestFirst)
+    .slice(0, MAX_FAVORITES)
+    .concat(tombstones.sort(newestFirst).slice(0, MAX_TOMBSTONES))
+    .forEach((key) => {
+      result[key] = favorites[key];
+    });
+  return result;
+}
+
+/**
+ * Whether a profile holds anything worth keeping: favorites (or their
+ * tombstones), a layout or preferences.
+ * @param {Object} profile - Stored profile
+ * @returns {boolean} False for profiles that never got data
+ */
+function hasData(profile) {
+  return (
+    Object.keys(profile.favorites || {}).length > 0 ||
+    (profile.layout && profile.layout.updatedAt > 0) ||
+    (profile.preferences && profile.preferences.updatedAt > 0)
+  );
+}
+
+/**
+ * JSON file store for profiles. The whole file is read once and kept in
+ * memory; writes are queued and replace the file atomically (write to a
+ * temp file, then rename), so a crash never leaves half-written JSON.
+ * Each stored profile also has a `usedAt` time (ms, to the day) that the
+ * store keeps for itself. When the store is full, create() first drops
+ * profiles unused for `idleMs`, and profiles that never got data after
+ * `emptyIdleMs`.
+ * @param {Object} options
+ * @param {string} options.file - Path of the JSON file (created if missing)
+ * @param {number} options.maxProfiles - Profiles kept; create() refuses new
+ *   ones beyond it
+ * @param {number} options.idleMs - How long an unused profile is kept
+ * @param {number} options.emptyIdleMs - How long an unused profile without
+ *   data is kept
+ * @returns {Object} Store with async get(token), create(token, profile) and
+ *   update(token, updater)
+ */
+export function createProfileStore({
+  file,
+  maxProfiles = 10000,
+  idleMs = 180 * DAY_MS,
+  emptyIdleMs = DAY_MS,
+}) {
+  let profiles = null;
+  let loading = null;
+  let writeQueue = Promise.resolve();
+
+  async function read() {
+    try {
+      profiles = JSON.parse(await fs.readFile(file, "utf8")) || {};
+    } catch (err) {
+      if (err.code !== "ENOENT")
+        console.error("Profile store read failed", err);
+      profiles = {};
+    }
+    return profiles;
+  }
+
+  // Concurrent first calls share one read, so none of them can replace
+  // the data another one has already changed
+  function load() {
+    if (!loading) loading = read();
+    return loading;
+  }
+
+  function persist() {
+    const json = JSON.stringify(profiles);
+    writeQueue = writeQueue
+      .then(async () => {
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        const tmp = `${file}.${process.pid}.tmp`;
+        await fs.writeFile(tmp, json);
+        await fs.rename(tmp, file);
+      })
+      .catch((err) => console.error("Profile store write failed", err));
+    return writeQueue;
+  }
+
+  // Profiles stored before usedAt existed count from their last update
+  const usedAt = (stored) => stored.usedAt || stored.updatedAt || 0;
+
+  // The profile as the routes see it, without the store's usedAt
+  function publicProfile(stored) {
+    const { usedAt: _usedAt, ...profile } = stored;
+    return profile;
+  }
+
+  function pruneIdle(all, now) {
+    Object.keys(all).forEach((id) => {
+      const maxIdle = hasData(all[id]) ? idleMs : emptyIdleMs;
+      if (now - usedAt(all[id]) > maxIdle) delete all[id];
+    });
+  }
+
+  return {
+    async get(token) {
+      const all = await load();
+      const stored = all[hashToken(token)];
+      if (!stored) return null;
+      const now = Date.now();
+      if (now - usedAt(stored) >= USED_AT_RESOLUTION_MS) {
+        stored.usedAt = now;
+        await persist();
+      }
+      return publicProfile(stored);
+    },
+    // Returns null when the store still has maxProfiles profiles after
+    // dropping the idle ones
+    async create(token, profile) {
+      const all = await load();
+      const now = Date.now();
+      if (Object.keys(all).length >= maxProfiles) pruneIdle(all, now);
+      if (Object.keys(all).length >= maxProfiles) return null;
+      all[hashToken(token)] = { ...profile, usedAt: now };
+      await persist();
+      return profile;
+    },
+    // The updater runs synchronously on the loaded data, so two requests
+    // for the same profile can't overwrite each other's changes
+    async update(token, updater) {
+      const all = await load();
+      const id = hashToken(token);
+      if (!all[id]) return null;
+      const profile = updater(publicProfile(all[id]));
+      all[id] = { ...profile, usedAt: Date.now() };
+      await persist();
+      return profile;
+    },
+  };
+}
+
+/**
+ * Trims a value to a string of at most MAX_TEXT_LENGTH characters.
+ * @param {*} value - Any value
+ * @returns {string} Clean string ("" for non-strings)
+ */
+function cleanText(value) {
+  return typeof value === "string"
+    ? value.trim().slice(0, MAX_TEXT_LENGTH)
+    : "";
+}
+
+/**
+ * Validates profile data sent by a client and keeps only known fields.
+ * Every part is optional, so PATCH bodies can send just what changed.
+ * @param {Object} body - Request body
+ * @returns {Object|null} { favorites, layout, preferences } (missing parts
+ *   are undefined), or null when the data is invalid
+ */
+export function sanitizeProfileData(body) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) return null;
+  const isTime = (v) => Number.isFinite(v) && v >= 0;
+  const result = {};
+
+  if (body.favorites !== undefined) {
+    const favs = body.favorites;
+    if (!favs || typeof favs !== "object" || Array.isArray(favs)) return null;
+    const keys = Object.keys(favs);
+    if (keys.length > MAX_FAVORITES) return null;
+    result.favorites = {};
+    for (const key of keys) {
+      const fav = favs[key];
+      if (!fav || typeof fav !== "object" || !isTime(fav.updatedAt)) {
+        return null;
+      }
+      if (key.length > MAX_TEXT_LENGTH * 3) return null;
+      if (fav.deleted) {
+        result.favorites[key] = { deleted: true, updatedAt: fav.updatedAt };
+        continue;
+      }
+      const lat = Number(fav.lat);
+      const lon = Number(fav.lon);
+      if (
+        !cleanText(fav.name) ||
+        !Number.isFinite(lat) ||
+        !Number.isFinite(lon) ||
+        Math.abs(lat) > 90 ||
+        Math.abs(lon) > 180
+      ) {
+        return null;
+      }
+      result.favorites[key] = {
+        name: cleanText(fav.name),
+        country: cleanText(fav.country),
+        state: cleanText(fav.state),
+        lat,
+        lon,
+        group: cleanText(fav.group),
+        updatedAt: fav.updatedAt,
+      };
+    }
+  }
+
+  if (body.layout !== undefined) {
+    const layout = body.layout;
+    if (
+      !layout ||
+      !Array.isArray(layout.order) ||
+      !Array.isArray(layout.groups) ||
+      layout.order.length > MAX_FAVORITES ||
+      layout.groups.length > MAX_GROUPS ||
+      !isTime(layout.updatedAt)
+    ) {
+      return null;
+    }
+    result.layout = {
+      order: layout.order.filter((k) => typeof k === "string"),
+      groups: layout.groups
+        .filter((g) => g && cleanText(g.id) && cleanText(g.name))
+        .map((g) => ({ id: cleanText(g.id), name: cleanText(g.name) })),
+      updatedAt: layout.updatedAt,
+    };
+  }
+
+  if (body.preferences !== undefined) {
+    const prefs = body.preferences;
+    if (!prefs || typeof prefs !== "object" || !isTime(prefs.updatedAt)) {
+      return null;
+    }
+    const maxFavorites = Number(prefs.maxFavorites);
+    result.preferences = {
+      units: prefs.units === "imperial" ? "imperial" : "metric",
+      maxFavorites: Number.isInteger(maxFavorites) ? maxFavorites : null,
+      updatedAt: prefs.updatedAt,
+    };
+  }
+
+  return result;
+}
+
+/**
+ * Merges client data into a profile, last writer wins: per favorite key,
+ * and for the layout and preferences as a whole. Ties keep the stored value.
+ * The merged favorites are bounded with boundFavorites().
+ * @param {Object} profile - Stored profile
+ * @param {Object} data - Sanitized data from sanitizeProfileData()
+ * @returns {Object} New merged profile
+ */
+export function mergeProfile(profile, data) {
+  const now = Date.now();
+  const merged = {
+    ...profile,
+    favorites: { ...profile.favorites },
+    updatedAt: now,
+  };
+
+  if (data.favorites) {
+    Object.keys(data.favorites).forEach((key) => {
+      const incoming = data.favorites[key];
+      const current = merged.favorites[key];
+      if (!current || incoming.updatedAt > current.updatedAt) {
+        merged.favorites[key] = incoming;
+      }
+    });
+  }
+  merged.favorites = boundFavorites(merged.favorites, now);
+  if (data.layout && data.layout.updatedAt > profile.layout.updatedAt) {
+    merged.layout = data.layout;
+  }
+  if (
+    data.preferences &&
+    data.preferences.updatedAt > profile.preferences.updatedAt
+  ) {
+    merged.preferences = data.preferences;
+  }
+  return merged;
+}
+
+/**
+ * Replaces a profile's data (PUT). Parts missing from the data are reset,
+ * so the stored profile ends up exactly as sent.
+ * @param {Object} profile - Stored profile
+ * @param {Object} data - Sanitized data from sanitizeProfileData()
+ * @returns {Object} New profile
+ */
+export function replaceProfile(profile, data) {
+  const empty = emptyProfile();
+  return {
+    favorites: boundFavorites(data.favorites || empty.favorites),
+    layout: data.layout || empty.layout,
+    preferences: data.preferences || empty.preferences,
+    createdAt: profile.createdAt,
+    updatedAt: Date.now(),
+  };
+}
+
+/**
+ * Reads the profile token from the Authorization header ("Bearer <token>").
+ * @param {Object} req - Express request
+ * @returns {string|null} Token, or null when missing/malformed
+ */
+export function readProfileToken(req) {
+  const match = /^Bearer\s+([A-Za-z0-9_-]{16,128})$/.exec(
+    req.get("Authorization") || ""
+  );
+  return match ? match[1] : null;
+}
@@ -0,0 +1,95 @@
+// Provider calls through the response cache: fresh entries are served from
+// the cache, misses go to each provider in turn, and when every provider
+// fails a recently expired entry is served instead (stale-while-error).
+import { sendCached, sendStale, withBody } from "./cache.js";
+import { UpstreamError } from "./providers/errors.js";
+
+/**
+ * Sends the error response for a failed provider call: 502 with the
+ * upstream status when the upstream answered with an error, 500 otherwise.
+ * @param {Object} res - Express response
+ * @param {Error} err - Error thrown by the provider
+ * @param {string} label - Prefix for the log line
+ */
+export function sendProviderError(res, err, label) {
+  if (err instanceof UpstreamError) {
+    return res
+      .status(502)
+      .json({ error: "Upstream error", status: err.status });
+  }
+  console.error(label, err);
+  res.status(500).json({ error: "Proxy failed" });
+}
+
+/**
+ * Creates the cached provider calls used by the routes.
+ * @param {Object} options
+ * @param {Object} options.cache - Cache from createCache()
+ * @param {number} options.staleMaxMs - How long past its expiry a cached
+ *   response may still be served when every provider fails
+ * @returns {Object} { loadFromProviders, serveFromProviders }
+ */
+export function createProviderCache({ cache, staleMaxMs }) {
+  /**
+   * Runs a provider call through the cache. On a miss the call is tried with
+   * each provider in turn; when all of them fail, a cached copy that expired
+   * less than `staleMaxMs` ago is used instead.
+   * Results are cached under one key whichever provider answered.
+   * @param {Object} options
+   * @param {string} options.cacheKey - Cache key
+   * @param {number} options.ttlMs - How long a new result stays fresh
+   * @param {Array<Object>} options.providers - Providers to try, in order
+   * @param {Function} options.call - (provider) => Promise of the response body
+   * @param {string} options.label - Prefix for log lines
+   * @returns {Promise<Object>} { entry, status } with status "HIT", "MISS" or
+   *   "STALE"; rejects with the last provider error when there's nothing to use
+   */
+  async function loadFromProviders({
+    cacheKey,
+    ttlMs,
+    providers,
+    call,
+    label,
+  }) {
+    const cached = await cache.get(cacheKey);
+    if (cache.isFresh(cached)) return { entry: cached, status: "HIT" };
+
+    let error = null;
+    for (const provider of providers) {
+      try {
+        const entry = await cache.set(cacheKey, await call(provider), ttlMs);
+        return { entry, status: "MISS" };
+      } catch (err) {
+        console.warn(`${label}: ${provider.id} failed: ${err.message}`);
+        error = err;
+      }
+    }
+
+    if (cached && Date.now() - cached.expiresAt < staleMaxMs) {
+      return { entry: cached, status: "STALE" };
+    }
+    throw error;
+  }
+
+  /**
+   * Serves a provider call through the cache (see loadFromProviders), as a
+   * fresh, cached or stale response, or as the error response.
+   * @param {Object} res - Express response
+   * @param {Object} options - Same as loadFromProviders(), plus
+   *   options.transform: (body) => body sent instead of the cached one
+   */
+  async function serveFromProviders(res, options) {
+    try {
+      const loaded = await loadFromProviders(options);
+      const entry = options.transform
+        ? withBody(loaded.entry, options.transform(loaded.entry.body))
+        : loaded.entry;
+      if (loaded.status === "STALE") return sendStale(res, entry);
+      sendCached(res, entry, loaded.status);
+    } catch (err) {
+      sendProviderError(res, err, options.label);
+    }
+  }
+
+  return { loadFromProviders, serveFromProviders };
+}
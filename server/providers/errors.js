@@ -0,0 +1,11 @@
+/**
+ * Thrown by providers when the upstream API answers with an error status.
+ * The routes turn it into a 502 with the upstream status.
+ */
+export class UpstreamError extends Error {
+  constructor(status, message = `Upstream responded with ${status}`) {
+    super(message);
+    this.name = "UpstreamError";
+    this.status = status;
+  }
+}
@@ -0,0 +1,218 @@
+// Weather providers for the proxy. Each provider adapter fetches from its
+// upstream API and returns weather in one normalized schema, so the
+// frontend doesn't care which service the data came from.
+//
+// The schema follows the field names of OpenWeather One Call 3.0 (which the
+// frontend was first written against). Times are unix seconds, `units`
+// decides temperature (°C/°F) and wind (m/s / mph); precipitation is always
+// mm (mm/h for rates), pressure hPa and visibility meters.
+// {
+//   provider: { id, name, attribution: { text, url } },
+//   lat, lon, timezone, timezone_offset,
+//   current: { dt, sunrise, sunset, temp, feels_like, pressure, humidity,
+//              dew_point, uvi, clouds, visibility, wind_speed, wind_deg,
+//              wind_gust, rain: { "1h" }, snow: { "1h" }, weather: [Condition] },
+//   minutely: [{ dt, precipitation }]       (only when not excluded and available)
+//   hourly: [{ dt, temp, feels_like, pressure, humidity, dew_point, uvi,
+//              clouds, visibility, wind_speed, wind_deg, wind_gust, pop,
+//              rain: { "1h" }, snow: { "1h" }, weather: [Condition] }],   (48 h)
+//   daily: [{ dt, summary, sunrise, sunset, moonrise, moonset, moon_phase,
+//             temp: { day, min, max, night, eve, morn },
+//             feels_like: { day, night, eve, morn }, pressure, humidity,
+//             dew_point, wind_speed, wind_deg, wind_gust, clouds, pop, rain,
+//             snow, uvi, weather: [Condition] }],   (8 days, today first)
+//   alerts: [{ sender_name, event, start, end, description, tags }]  (always an array)
+// }
+//
+// History of one past day (`date` is the location's local date):
+// {
+//   provider, lat, lon, timezone, timezone_offset, date: "YYYY-MM-DD",
+//   day: { dt, temp: { min, max, morn, day, eve, night }, humidity, pressure,
+//          clouds, precipitation, wind_speed, wind_deg },
+//   hourly: [same fields as the forecast's hourly entries, without pop]
+// }                                   (every 3 hours for OpenWeather)
+// `day.dt` is the start of the local day, `precipitation` the day's total
+// (mm) and `wind_speed` its highest wind speed.
+// Condition = { id, main, description, icon } using OpenWeather condition
+// ids and icon codes, so the same icons and precipitation checks work.
+// Fields a provider doesn't have are left out (or 0 for rise/set times).
+//
+// Provider interface:
+//   id, name                                   - "openweather", "OpenWeather"
+//   weather({ lat, lon, units, exclude })      - normalized weather (above)
+//   geocode(q, limit)                          - [{ name, lat, lon, country, state }]
+//   reverseGeocode(lat, lon)   (optional)      - same shape as geocode
+//   history({ lat, lon, date, units })  (optional) - history of one day (above)
+// Methods throw UpstreamError when the upstream answers with an error (or
+// its circuit is open), and other errors when it can't be reached.
+import { createResilientFetch } from "../resilience.js";
+import { createOpenMeteoProvider } from "./open-meteo.js";
+import { createOpenWeatherProvider } from "./openweather.js";
+
+export { UpstreamError } from "./errors.js";
+// Spacing of the hourly points of OpenWeather history (the only provider
+// with history), which decides what a past day costs upstream
+export { HISTORY_STEP_S } from "./openweather.js";
+
+/**
+ * Creates the available providers and picks the default one.
+ * OpenWeather is only available with an API key; Open-Meteo needs no key.
+ * @param {Object} options
+ * @param {string} options.openWeatherKey - OpenWeather API key (optional)
+ * @param {string} options.defaultId - Preferred default provider id (WEATHER_PROVIDER)
+ * @param {Function} options.fetch - fetch implementation used by the adapters
+ * @param {Object} options.resilience - Timeout/retry/breaker options for
+ *   createResilientFetch (each provider gets its own circuit breaker)
+ * @returns {Object} { get(id), defaultId, ids }
+ */
+export function createProviders({
+  openWeatherKey,
+  defaultId,
+  fetch,
+  resilience = {},
+}) {
+  const fetchFor = (name) =>
+    createResilientFetch(fetch, { ...resilience, name });
+  const providers = {
+    "open-meteo": createOpenMeteoProvider({ fetch: fetchFor("open-meteo") }),
+  };
+  if (openWeatherKey) {
+    providers.openweather = createOpenWeatherProvider({
+      apiKey: openWeatherKey,
+      fetch: fetchFor("openweather"),
+    });
+  }
+
+  // Fall back to the keyless provider when the preferred one isn't available
+  let chosen = defaultId || "openweather";
+  if (!providers[chosen]) {
+    if (defaultId) {
+      console.warn(
+        `Weather provider "${defaultId}" is not available; using open-meteo.`
+      );
+    }
+    chosen = "open-meteo";
+  }
+
+  return {
+    defaultId: chosen,
+    ids: Object.keys(providers),
+    get(id) {
+      return providers[id || chosen] || null;
+    },
+  };
+}
+
+/**
+ * Trims normalized weather to what the saved favorites use: current
+ * conditions for the card, a short outline of each day (range,
+ * precipitation, wind) for the card and the compare view, and the alerts.
+ * Keeps the schema's field names, so the summary can be read like a full
+ * response.
+ * @param {Object} weather - Normalized weather
+ * @returns {Object} Summary { provider, lat, lon, timezone, timezone_offset,
+ *   current, daily: [{ dt, temp: { min, max }, pop, rain, snow, wind_speed,
+ *   wind_gust, weather }], alerts }
+ */
+export function summarizeWeather(weather) {
+  const current = weather.current || {};
+  return {
+    provider: weather.provider,
+    lat: weather.lat,
+    lon: weather.lon,
+    timezone: weather.timezone,
+    timezone_offset: weather.timezone_offset,
+    current: {
+      dt: current.dt,
+      temp: current.temp,
+      feels_like: current.feels_like,
+      humidity: current.humidity,
+      wind_speed: current.wind_speed,
+      wind_deg: current.wind_deg,
+      wind_gust: current.wind_gust,
+      weather: current.weather || [],
+    },
+    daily: (weather.daily || []).map((day) => ({
+      dt: day.dt,
+      temp: { min: day.temp.min, max: day.temp.max },
+      pop: day.pop,
+      rain: day.rain,
+      snow: day.snow,
+      wind_speed: day.wind_speed,
+      wind_gust: day.wind_gust,
+      weather: day.weather || [],
+    })),
+    alerts: weather.alerts || [],
+  };
+}
+
+// Shape of a field path in ?fields=: dotted keys, e.g. "current.temp"
+const FIELD_PATH = /^[a-z_]+(\.[a-z0-9_]+)*$/i;
+const MAX_FIELDS = 50;
+
+/**
+ * Reads the projection a client asked for: `view` ("full" or "summary") or
+ * `fields`, a comma-separated list of field paths. Paths go through arrays,
+ * so "daily.temp.max" keeps temp.max of every day.
+ * @param {Object} params - Query or body with optional view and fields
+ * @param {string} defaultView - View used when neither is given
+ * @returns {Object|null} { view } or { fields: [[key, ...]] }, or null when
+ *   the parameters are invalid
+ */
+export function parseProjection(params, defaultView = "full") {
+  if (params.fields != null && params.fields !== "") {
+    const paths = String(params.fields)
+      .split(",")
+      .map((f) => f.trim())
+      .filter(Boolean);
+    if (!paths.length || paths.length > MAX_FIELDS) return null;
+    if (!paths.every((p) => FIELD_PATH.test(p))) return null;
+    return { fields: paths.map((p) => p.split(".")) };
+  }
+  const view = params.view != null ? String(params.view) : defaultView;
+  return view === "full" || view === "summary" ? { view } : null;
+}
+
+/**
+ * Copies one field path from source to target, creating the objects and
+ * arrays on the way. Missing fields are skipped.
+ * @param {*} source - Object (or array) to read from
+ * @param {Object} target - Object (or array) to write to
+ * @param {Array<string>} path - Remaining keys
+ */
+function copyPath(source, target, path) {
+  if (Array.isArray(source)) {
+    source.forEach((item, i) => {
+      if (target[i] === undefined) target[i] = {};
+      copyPath(item, target[i], path);
+    });
+    return;
+  }
+  if (!source || typeof source !== "object") return;
+  const [key, ...rest] = path;
+  if (!(key in source)) return;
+  const value = source[key];
+  if (!rest.length || value === null || typeof value !== "object") {
+    target[key] = value;
+    return;
+  }
+  if (!target[key] || typeof target[key] !== "object") {
+    target[key] = Array.isArray(value) ? [] : {};
+  }
+  copyPath(value, target[key], rest);
+}
+
+/**
+ * Applies a projection from parseProjection() to normalized weather. The
+ * provider info is always kept, since the attribution has to be shown.
+ * @param {Object} weather - Normalized weather
+ * @param {Object} projection - { view } or { fields }
+ * @returns {Object} Projected weather
+ */
+export function projectWeather(weather, projection) {
+  if (projection.view === "summary") return summarizeWeather(weather);
+  if (!projection.fields) return weather;
+  const result = { provider: weather.provider };
+  projection.fields.forEach((path) => copyPath(weather, result, path));
+  return result;
+}
@@ -0,0 +1,367 @@
+// Open-Meteo adapter: keyless forecast and geocoding APIs (free for
+// non-commercial use, attribution required). Maps Open-Meteo's column-style
+// response to the normalized schema in ./index.js. Open-Meteo has no
+// weather alerts or moonrise/moonset and no reverse geocoding; the moon
+// phase is calculated from the date.
+import { UpstreamError } from "./errors.js";
+
+const FORECAST_URL = "https://api.open-meteo.com/v1/forecast";
+const GEOCODE_URL = "https://geocoding-api.open-meteo.com/v1/search";
+
+const PROVIDER_INFO = {
+  id: "open-meteo",
+  name: "Open-Meteo",
+  attribution: {
+    text: "Weather data by Open-Meteo.com",
+    url: "https://open-meteo.com/",
+  },
+};
+
+const CURRENT_VARS = [
+  "temperature_2m",
+  "relative_humidity_2m",
+  "apparent_temperature",
+  "is_day",
+  "rain",
+  "showers",
+  "snowfall",
+  "weather_code",
+  "cloud_cover",
+  "pressure_msl",
+  "wind_speed_10m",
+  "wind_direction_10m",
+  "wind_gusts_10m",
+];
+
+const HOURLY_VARS = [
+  "temperature_2m",
+  "relative_humidity_2m",
+  "dew_point_2m",
+  "apparent_temperature",
+  "precipitation_probability",
+  "rain",
+  "showers",
+  "snowfall",
+  "weather_code",
+  "pressure_msl",
+  "cloud_cover",
+  "visibility",
+  "wind_speed_10m",
+  "wind_direction_10m",
+  "wind_gusts_10m",
+  "uv_index",
+  "is_day",
+];
+
+const DAILY_VARS = [
+  "weather_code",
+  "temperature_2m_max",
+  "temperature_2m_min",
+  "sunrise",
+  "sunset",
+  "uv_index_max",
+  "rain_sum",
+  "showers_sum",
+  "snowfall_sum",
+  "precipitation_probability_max",
+  "wind_speed_10m_max",
+  "wind_gusts_10m_max",
+  "wind_direction_10m_dominant",
+];
+
+// WMO weather interpretation codes -> OpenWeather condition id, group,
+// description and icon (without the d/n suffix)
+const WMO_CONDITIONS = {
+  0: [800, "Clear", "clear sky", "01"],
+  1: [801, "Clouds", "mainly clear", "02"],
+  2: [802, "Clouds", "partly cloudy", "03"],
+  3: [804, "Clouds", "overcast clouds", "04"],
+  45: [741, "Fog", "fog", "50"],
+  48: [741, "Fog", "depositing rime fog", "50"],
+  51: [300, "Drizzle", "light drizzle", "09"],
+  53: [301, "Drizzle", "drizzle", "09"],
+  55: [302, "Drizzle", "dense drizzle", "09"],
+  56: [511, "Rain", "light freezing drizzle", "13"],
+  57: [511, "Rain", "dense freezing drizzle", "13"],
+  61: [500, "Rain", "light rain", "10"],
+  63: [501, "Rain", "moderate rain", "10"],
+  65: [502, "Rain", "heavy rain", "10"],
+  66: [511, "Rain", "light freezing rain", "13"],
+  67: [511, "Rain", "heavy freezing rain", "13"],
+  71: [600, "Snow", "light snow", "13"],
+  73: [601, "Snow", "snow", "13"],
+  75: [602, "Snow", "heavy snow", "13"],
+  77: [600, "Snow", "snow grains", "13"],
+  80: [520, "Rain", "light rain showers", "09"],
+  81: [521, "Rain", "rain showers", "09"],
+  82: [522, "Rain", "violent rain showers", "09"],
+  85: [620, "Snow", "light snow showers", "13"],
+  86: [621, "Snow", "snow showers", "13"],
+  95: [211, "Thunderstorm", "thunderstorm", "11"],
+  96: [211, "Thunderstorm", "thunderstorm with light hail", "11"],
+  99: [211, "Thunderstorm", "thunderstorm with heavy hail", "11"],
+};
+
+// A known new moon (2000-01-06 18:14 UTC) and the mean synodic month
+const NEW_MOON_EPOCH_S = 947182440;
+const SYNODIC_MONTH_DAYS = 29.530588853;
+
+/**
+ * Converts a WMO weather code to an OpenWeather-style condition.
+ * @param {number} code - WMO weather code
+ * @param {boolean} isDay - Picks the day or night icon
+ * @returns {Object} { id, main, description, icon }
+ */
+export function weatherCondition(code, isDay = true) {
+  const [id, main, description, icon] =
+    WMO_CONDITIONS[code] || WMO_CONDITIONS[0];
+  return { id, main, description, icon: icon + (isDay ? "d" : "n") };
+}
+
+/**
+ * Calculates the moon phase for a time, on One Call's 0..1 scale
+ * (0 new moon, 0.25 first quarter, 0.5 full moon, 0.75 last quarter).
+ * @param {number} unixSeconds - Time
+ * @returns {number} Phase rounded to 2 decimals
+ */
+export function moonPhase(unixSeconds) {
+  const days = (unixSeconds - NEW_MOON_EPOCH_S) / 86400;
+  const phase = (((days / SYNODIC_MONTH_DAYS) % 1) + 1) % 1;
+  return (Math.round(phase * 100) / 100) % 1;
+}
+
+/**
+ * Turns Open-Meteo's column arrays ({ time: [...], temperature_2m: [...] })
+ * into one object per time step.
+ * @param {Object} block - hourly/daily/minutely_15 block
+ * @returns {Array<Object>} Rows with the same keys
+ */
+function toRows(block) {
+  if (!block || !Array.isArray(block.time)) return [];
+  return block.time.map((time, i) => {
+    const row = { time };
+    Object.keys(block).forEach((key) => {
+      if (Array.isArray(block[key])) row[key] = block[key][i];
+    });
+    return row;
+  });
+}
+
+/**
+ * Rain and snow for one hour in One Call's shape. Snowfall comes in cm of
+ * snow; divided by 7 (x10 mm) it's roughly the water equivalent in mm.
+ * @param {Object} row - Current or hourly row
+ * @returns {Object} { rain, snow } objects, only for non-zero amounts
+ */
+function precipitation(row) {
+  const result = {};
+  const rain = (row.rain || 0) + (row.showers || 0);
+  const snow = ((row.snowfall || 0) * 10) / 7;
+  if (rain > 0) result.rain = { "1h": round(rain, 2) };
+  if (snow > 0) result.snow = { "1h": round(snow, 2) };
+  return result;
+}
+
+function round(value, decimals) {
+  const f = 10 ** decimals;
+  return Math.round(value * f) / f;
+}
+
+/**
+ * Normalizes an Open-Meteo forecast response (see the schema in ./index.js).
+ * @param {Object} json - Forecast API response (timeformat=unixtime)
+ * @returns {Object} Normalized weather
+ */
+export function normalizeOpenMeteo(json) {
+  const allHours = toRows(json.hourly);
+  const byTime = new Map(allHours.map((h) => [h.time, h]));
+  const cur = json.current || {};
+  const days = toRows(json.daily);
+
+  const hourly = allHours
+    // Like One Call: start with the hour that is in progress
+    .filter((h) => h.time + 3600 > cur.time)
+    .slice(0, 48)
+    .map((h) => ({
+      dt: h.time,
+      temp: h.temperature_2m,
+      feels_like: h.apparent_temperature,
+      pressure: h.pressure_msl,
+      humidity: h.relative_humidity_2m,
+      dew_point: h.dew_point_2m,
+      uvi: h.uv_index,
+      clouds: h.cloud_cover,
+      visibility: h.visibility,
+      wind_speed: h.wind_speed_10m,
+      wind_deg: h.wind_direction_10m,
+      wind_gust: h.wind_gusts_10m,
+      pop: (h.precipitation_probability || 0) / 100,
+      ...precipitation(h),
+      weather: [weatherCondition(h.weather_code, h.is_day === 1)],
+    }));
+
+  // Dew point, UV and visibility aren't available as current values, so
+  // they come from the hour in progress
+  const nowHour = hourly[0] || {};
+
+  const daily = days.map((d) => {
+    // Open-Meteo has no morning/day/evening/night temperatures; take them
+    // from the hourly forecast at 06, 12, 18 and 00 local time
+    const at = (hour) => byTime.get(d.time + hour * 3600) || {};
+    const noon = at(12);
+    const rain = (d.rain_sum || 0) + (d.showers_sum || 0);
+    const snow = ((d.snowfall_sum || 0) * 10) / 7;
+    const result = {
+      dt: d.time + 12 * 3600,
+      sunrise: d.sunrise || 0,
+      sunset: d.sunset || 0,
+      moonrise: 0,
+      moonset: 0,
+      moon_phase: moonPhase(d.time + 12 * 3600),
+      temp: {
+        day: noon.temperature_2m,
+        min: d.temperature_2m_min,
+        max: d.temperature_2m_max,
+        night: at(24).temperature_2m,
+        eve: at(18).temperature_2m,
+        morn: at(6).temperature_2m,
+      },
+      feels_like: {
+        day: noon.apparent_temperature,
+        night: at(24).apparent_temperature,
+        eve: at(18).apparent_temperature,
+        morn: at(6).apparent_temperature,
+      },
+      pressure: noon.pressure_msl,
+      humidity: noon.relative_humidity_2m,
+      wind_speed: d.wind_speed_10m_max,
+      wind_deg: d.wind_direction_10m_dominant,
+      wind_gust: d.wind_gusts_10m_max,
+      clouds: noon.cloud_cover,
+      pop: (d.precipitation_probability_max || 0) / 100,
+      uvi: d.uv_index_max,
+      weather: [weatherCondition(d.weather_code, true)],
+    };
+    if (rain > 0) result.rain = round(rain, 2);
+    if (snow > 0) result.snow = round(snow, 2);
+    return result;
+  });
+
+  const today = daily[0] || {};
+  const result = {
+    provider: PROVIDER_INFO,
+    lat: json.latitude,
+    lon: json.longitude,
+    timezone: json.timezone,
+    timezone_offset: json.utc_offset_seconds || 0,
+    current: {
+      dt: cur.time,
+      sunrise: today.sunrise || 0,
+      sunset: today.sunset || 0,
+      temp: cur.temperature_2m,
+      feels_like: cur.apparent_temperature,
+      pressure: cur.pressure_msl,
+      humidity: cur.relative_humidity_2m,
+      dew_point: nowHour.dew_point,
+      uvi: nowHour.uvi,
+      clouds: cur.cloud_cover,
+      visibility: nowHour.visibility,
+      wind_speed: cur.wind_speed_10m,
+      wind_deg: cur.wind_direction_10m,
+      wind_gust: cur.wind_gusts_10m,
+      ...precipitation(cur),
+      weather: [weatherCondition(cur.weather_code, cur.is_day === 1)],
+    },
+    hourly,
+    daily,
+    alerts: [],
+  };
+
+  // Nowcast: 15-minute precipitation sums spread over their minutes as a
+  // rate in mm/h, like One Call's minutely forecast
+  const quarters = toRows(json.minutely_15);
+  if (quarters.length && cur.time) {
+    const start = Math.floor(cur.time / 60) * 60;
+    result.minutely = [];
+    for (let m = 0; m < 60; m++) {
+      const dt = start + m * 60;
+      // Each value is the sum of the 15 minutes before its time
+      const slot = quarters.find((q) => q.time - 900 <= dt && dt < q.time);
+      if (!slot) break;
+      result.minutely.push({
+        dt,
+        precipitation: round((slot.precipitation || 0) * 4, 2),
+      });
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Creates the Open-Meteo provider.
+ * @param {Object} options
+ * @param {Function} options.fetch - fetch implementation
+ * @returns {Object} Provider (see the interface in ./index.js)
+ */
+export function createOpenMeteoProvider({ fetch }) {
+  async function getJson(url) {
+    const r = await fetch(url.toString());
+    if (!r.ok) throw new UpstreamError(r.status);
+    return r.json();
+  }
+
+  return {
+    id: PROVIDER_INFO.id,
+    name: PROVIDER_INFO.name,
+
+    async weather({ lat, lon, units, exclude }) {
+      const imperial = units === "imperial";
+      const params = new URLSearchParams({
+        latitude: String(lat),
+        longitude: String(lon),
+        timezone: "auto",
+        timeformat: "unixtime",
+        forecast_days: "8",
+        temperature_unit: imperial ? "fahrenheit" : "celsius",
+        wind_speed_unit: imperial ? "mph" : "ms",
+        current: CURRENT_VARS.join(","),
+        hourly: HOURLY_VARS.join(","),
+        daily: DAILY_VARS.join(","),
+      });
+      if (!String(exclude || "").includes("minutely")) {
+        params.set("minutely_15", "precipitation");
+        params.set("forecast_minutely_15", "8");
+      }
+      const upstream = new URL(FORECAST_URL);
+      upstream.search = params.toString();
+      return normalizeOpenMeteo(await getJson(upstream));
+    },
+
+    async geocode(q, limit) {
+      // Open-Meteo searches by place name only: "tampere, fi" becomes the
+      // name "tampere" limited to country FI
+      const [name, ...rest] = String(q).split(",");
+      const country = rest.join(",").trim();
+      const params = new URLSearchParams({
+        name: name.trim(),
+        count: String(limit),
+        language: "en",
+        format: "json",
+      });
+      if (/^[a-z]{2}$/i.test(country)) {
+        params.set("countryCode", country.toUpperCase());
+      }
+      const upstream = new URL(GEOCODE_URL);
+      upstream.search = params.toString();
+      const json = await getJson(upstream);
+      return (json.results || []).map((item) => ({
+        name: item.name,
+        lat: item.latitude,
+        lon: item.longitude,
+        country: item.country_code,
+        state: item.admin1 || null,
+      }));
+    },
+  };
+}
@@ -0,0 +1,229 @@
+// OpenWeather adapter: One Call 3.0 for weather (and its timemachine and
+// day_summary endpoints for past days), Geocoding API for place search.
+// One Call already uses the normalized field names, so weather only needs
+// the provider info added and the optional parts filled in.
+import { runWithConcurrency } from "../resilience.js";
+import { UpstreamError } from "./errors.js";
+
+const ONE_CALL_URL = "https://api.openweathermap.org/data/3.0/onecall";
+const GEOCODE_URL = "https://api.openweathermap.org/geo/1.0/direct";
+const REVERSE_GEOCODE_URL = "https://api.openweathermap.org/geo/1.0/reverse";
+const TIMEMACHINE_URL =
+  "https://api.openweathermap.org/data/3.0/onecall/timemachine";
+const DAY_SUMMARY_URL =
+  "https://api.openweathermap.org/data/3.0/onecall/day_summary";
+
+// A past day takes one timemachine call per data point, so it is sampled
+// every 3 hours (8 calls instead of 24); this many calls run at a time
+export const HISTORY_STEP_S = 3 * 60 * 60;
+const HISTORY_CONCURRENCY = 4;
+
+const PROVIDER_INFO = {
+  id: "openweather",
+  name: "OpenWeather",
+  attribution: { text: "OpenWeather", url: "https://openweathermap.org/" },
+};
+
+/**
+ * Normalizes a One Call response (see the schema in ./index.js).
+ * @param {Object} json - One Call 3.0 response
+ * @returns {Object} Normalized weather
+ */
+export function normalizeOpenWeather(json) {
+  const result = {
+    provider: PROVIDER_INFO,
+    lat: json.lat,
+    lon: json.lon,
+    timezone: json.timezone,
+    timezone_offset: json.timezone_offset || 0,
+    current: json.current || null,
+    hourly: json.hourly || [],
+    daily: json.daily || [],
+    // One Call leaves the array out when there are no alerts
+    alerts: (json.alerts || []).map((a) => ({
+      sender_name: a.sender_name || "",
+      event: a.event || "",
+      start: a.start,
+      end: a.end,
+      description: a.description || "",
+      tags: a.tags || [],
+    })),
+  };
+  if (json.minutely) result.minutely = json.minutely;
+  return result;
+}
+
+/**
+ * Converts a day_summary timezone like "+05:30" to seconds.
+ * @param {string} tz - Offset in ±HH:MM format
+ * @returns {number} Offset in seconds (0 when missing or malformed)
+ */
+function parseTzOffset(tz) {
+  const match = /^([+-])(\d{2}):(\d{2})$/.exec(tz || "");
+  if (!match) return 0;
+  const seconds = Number(match[2]) * 3600 + Number(match[3]) * 60;
+  return match[1] === "-" ? -seconds : seconds;
+}
+
+/**
+ * Normalizes a day_summary response and the timemachine responses of the
+ * day's hours into the history schema (see ./index.js).
+ * @param {Object} summary - day_summary response
+ * @param {Array<Object>} points - timemachine responses, in hour order
+ * @param {number} dayStart - Start of the local day (unix seconds)
+ * @returns {Object} Normalized history
+ */
+export function normalizeOpenWeatherHistory(summary, points, dayStart) {
+  const temperature = summary.temperature || {};
+  const afternoon = (part) => (summary[part] || {}).afternoon;
+  const maxWind = (summary.wind || {}).max || {};
+  const first = points[0] || {};
+  return {
+    provider: PROVIDER_INFO,
+    lat: summary.lat,
+    lon: summary.lon,
+    timezone: first.timezone || null,
+    timezone_offset:
+      first.timezone_offset != null
+        ? first.timezone_offset
+        : parseTzOffset(summary.tz),
+    date: summary.date,
+    day: {
+      dt: dayStart,
+      temp: {
+        min: temperature.min,
+        max: temperature.max,
+        morn: temperature.morning,
+        day: temperature.afternoon,
+        eve: temperature.evening,
+        night: temperature.night,
+      },
+      humidity: afternoon("humidity"),
+      pressure: afternoon("pressure"),
+      clouds: afternoon("cloud_cover"),
+      precipitation: (summary.precipitation || {}).total || 0,
+      wind_speed: maxWind.speed,
+      wind_deg: maxWind.direction,
+    },
+    // Each timemachine response has the one data point of its hour
+    hourly: points
+      .map((point) => (point.data || [])[0])
+      .filter(Boolean)
+      .map((hour) => {
+        const { sunrise, sunset, ...fields } = hour;
+        return { ...fields, weather: hour.weather || [] };
+      }),
+  };
+}
+
+/**
+ * Maps Geocoding API results to { name, lat, lon, country, state }.
+ * @param {Array} json - Geocoding API response
+ * @returns {Array} Places
+ */
+function normalizePlaces(json) {
+  return json.map((item) => ({
+    name: item.name,
+    lat: item.lat,
+    lon: item.lon,
+    country: item.country,
+    state: item.state || null,
+  }));
+}
+
+/**
+ * Creates the OpenWeather provider.
+ * @param {Object} options
+ * @param {string} options.apiKey - OpenWeather API key
+ * @param {Function} options.fetch - fetch implementation
+ * @returns {Object} Provider (see the interface in ./index.js)
+ */
+export function createOpenWeatherProvider({ apiKey, fetch }) {
+  async function getJson(url) {
+    const r = await fetch(url.toString());
+    if (!r.ok) throw new UpstreamError(r.status);
+    return r.json();
+  }
+
+  return {
+    id: PROVIDER_INFO.id,
+    name: PROVIDER_INFO.name,
+
+    async weather({ lat, lon, units, exclude }) {
+      const upstream = new URL(ONE_CALL_URL);
+      const params = new URLSearchParams({
+        lat: String(lat),
+        lon: String(lon),
+        units: units,
+        appid: apiKey,
+      });
+      if (exclude) params.set("exclude", exclude);
+      upstream.search = params.toString();
+      return normalizeOpenWeather(await getJson(upstream));
+    },
+
+    async geocode(q, limit) {
+      const upstream = new URL(GEOCODE_URL);
+      upstream.search = new URLSearchParams({
+        q,
+        limit: String(limit),
+        appid: apiKey,
+      }).toString();
+      return normalizePlaces(await getJson(upstream));
+    },
+
+    // One past day: day_summary for the day's totals (and its timezone,
+    // which decides when the local day starts), then timemachine for every
+    // HISTORY_STEP_S of it that has passed
+    async history({ lat, lon, date, units }) {
+      const summaryUrl = new URL(DAY_SUMMARY_URL);
+      summaryUrl.search = new URLSearchParams({
+        lat: String(lat),
+        lon: String(lon),
+        date,
+        units,
+        appid: apiKey,
+      }).toString();
+      const summary = await getJson(summaryUrl);
+
+      const dayStart =
+        Date.parse(`${date}T00:00:00Z`) / 1000 - parseTzOffset(summary.tz);
+      const now = Math.floor(Date.now() / 1000);
+      const hours = [];
+      for (
+        let dt = dayStart;
+        dt < dayStart + 86400 && dt <= now;
+        dt += HISTORY_STEP_S
+      ) {
+        hours.push(dt);
+      }
+      const points = await runWithConcurrency(
+        hours,
+        HISTORY_CONCURRENCY,
+        (dt) => {
+          const upstream = new URL(TIMEMACHINE_URL);
+          upstream.search = new URLSearchParams({
+            lat: String(lat),
+            lon: String(lon),
+            dt: String(dt),
+            units,
+            appid: apiKey,
+          }).toString();
+          return getJson(upstream);
+        }
+      );
+      return normalizeOpenWeatherHistory(summary, points, dayStart);
+    },
+
+    async reverseGeocode(lat, lon) {
+      const upstream = new URL(REVERSE_GEOCODE_URL);
+      upstream.search = new URLSearchParams({
+        lat: String(lat),
+        lon: String(lon),
+        limit: "1", // We only need the closest match
+        appid: apiKey,
+      }).toString();
+      return normalizePlaces(await getJson(upstream));
+    },
+  };
+}
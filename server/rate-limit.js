@@ -0,0 +1,114 @@
+// Abuse protection for the public endpoints: per-IP token-bucket rate
+// limiting and the CORS origin allowlist.
+
+/**
+ * Token-bucket rate limiter middleware. Every client IP gets a bucket of
+ * `limit` tokens that refills at `limit` tokens per `windowMs`; a request
+ * takes one token (or `cost(req)` tokens), and is rejected with 429 and a
+ * Retry-After header when the bucket doesn't have enough.
+ * Buckets live in memory, so limits are per server instance.
+ * @param {Object} options
+ * @param {number} options.limit - Bucket size (requests allowed in a burst)
+ * @param {number} options.windowMs - Time to refill a whole bucket
+ * @param {Function} options.cost - Tokens a request takes (default 1)
+ * @param {number} options.maxClients - Buckets kept before old ones are dropped
+ * @returns {Function} Express middleware, with a `take(req, res, tokens)`
+ *   method for routes that only know later what a request costs: it takes
+ *   more tokens from the same bucket, or sends the 429 and returns false
+ */
+export function createRateLimiter({
+  limit,
+  windowMs = 60 * 1000,
+  cost = () => 1,
+  maxClients = 10000,
+}) {
+  const buckets = new Map();
+  const refillPerMs = limit / windowMs;
+
+  function take(req, res, tokens) {
+    const now = Date.now();
+    const ip = req.ip || "unknown";
+    let bucket = buckets.get(ip);
+    if (bucket) {
+      bucket.tokens = Math.min(
+        limit,
+        bucket.tokens + (now - bucket.updatedAt) * refillPerMs
+      );
+      bucket.updatedAt = now;
+      // Re-insert so the Map stays ordered by last use (see createMemoryStore)
+      buckets.delete(ip);
+    } else {
+      bucket = { tokens: limit, updatedAt: now };
+    }
+    buckets.set(ip, bucket);
+    while (buckets.size > maxClients) {
+      buckets.delete(buckets.keys().next().value);
+    }
+
+    // A request can't cost more than a full bucket, or it could never pass
+    const needed = Math.min(limit, Math.max(1, tokens));
+    res.set("RateLimit-Limit", String(limit));
+    if (bucket.tokens >= needed) {
+      bucket.tokens -= needed;
+      res.set("RateLimit-Remaining", String(Math.floor(bucket.tokens)));
+      return true;
+    }
+
+    const retryAfter = Math.ceil((needed - bucket.tokens) / refillPerMs / 1000);
+    res.set("RateLimit-Remaining", "0");
+    res.set("Retry-After", String(retryAfter));
+    res.status(429).json({ error: "Too many requests", retryAfter });
+    return false;
+  }
+
+  function rateLimit(req, res, next) {
+    if (take(req, res, cost(req))) next();
+  }
+  rateLimit.take = take;
+  return rateLimit;
+}
+
+/**
+ * Parses a rate limit setting like "60/min", "10/s" or "1000/h" (a bare
+ * number means per minute).
+ * @param {string} value - Setting from env, may be undefined
+ * @param {number} fallback - Requests per minute when the value is missing
+ *   or invalid
+ * @returns {Object} { limit, windowMs }
+ */
+export function parseRateLimit(value, fallback) {
+  const windows = { s: 1000, min: 60 * 1000, h: 60 * 60 * 1000 };
+  const match = /^\s*(\d+)\s*(?:\/\s*(s|min|h))?\s*$/.exec(value || "");
+  if (!match || Number(match[1]) <= 0) {
+    return { limit: fallback, windowMs: windows.min };
+  }
+  return { limit: Number(match[1]), windowMs: windows[match[2] || "min"] };
+}
+
+/**
+ * Builds the `origin` option for the cors middleware from a comma-separated
+ * allowlist. "*" allows every origin, and an entry ending in ":*" allows
+ * any port (handy for local dev servers). Requests from other origins get
+ * no CORS headers, so browsers block the response.
+ * @param {string} value - Allowed origins, e.g. "https://a.example,http://localhost:*"
+ * @returns {Function|boolean} cors `origin` option
+ */
+export function corsOriginOption(value) {
+  const origins = String(value || "")
+    .split(",")
+    .map((o) => o.trim().replace(/\/+$/, ""))
+    .filter(Boolean);
+  if (origins.includes("*")) return true;
+  const allowed = (origin) =>
+    origins.some((o) =>
+      o.endsWith(":*")
+        ? origin === o.slice(0, -2) ||
+          (origin.startsWith(o.slice(0, -1)) &&
+            /^\d+$/.test(origin.slice(o.length - 1)))
+        : origin === o
+    );
+  return (origin, callback) => {
+    // Same-origin requests and non-browser clients send no Origin header
+    callback(null, !origin || allowed(origin));
+  };
+}
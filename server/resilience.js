@@ -0,0 +1,206 @@
+// Making upstream calls survive hiccups: a fetch wrapper with per-attempt
+// timeouts, retries with jittered exponential backoff and a circuit breaker.
+// Only GET requests are sent through it, so retrying is always safe.
+import { UpstreamError } from "./providers/errors.js";
+
+/**
+ * Thrown instead of calling the upstream while its circuit is open.
+ * An UpstreamError with status 503, so routes handle both the same way.
+ */
+export class CircuitOpenError extends UpstreamError {
+  constructor(name, retryAt) {
+    super(503, `Circuit for ${name} is open`);
+    this.name = "CircuitOpenError";
+    this.retryAt = retryAt;
+  }
+}
+
+/**
+ * Whether a response status is worth retrying: rate limiting and server
+ * errors usually pass, anything else (bad key, bad request) won't change.
+ * @param {number} status - HTTP status
+ * @returns {boolean} True for 429 and 5xx
+ */
+function isTransientStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+/**
+ * Whether a response status means the upstream is unusable right now and
+ * should count against its circuit. Includes 401/403, so a lapsed API key
+ * trips the breaker instead of failing every request one by one.
+ * @param {number} status - HTTP status
+ * @returns {boolean} True for failures
+ */
+function isFailureStatus(status) {
+  return isTransientStatus(status) || status === 401 || status === 403;
+}
+
+/**
+ * Backoff before retry number `attempt` (0-based): "full jitter", a random
+ * delay between 0 and min(maxMs, baseMs * 2^attempt), so clients that
+ * failed together don't retry together.
+ * @param {number} attempt - Retry number, 0 for the first retry
+ * @param {number} baseMs - Delay cap of the first retry
+ * @param {number} maxMs - Upper bound for any delay
+ * @returns {number} Delay in ms
+ */
+export function backoffDelay(attempt, baseMs, maxMs) {
+  return Math.round(Math.random() * Math.min(maxMs, baseMs * 2 ** attempt));
+}
+
+/**
+ * Circuit breaker. Closed: calls go through and failures are counted.
+ * After `threshold` failures in a row it opens and rejects calls for
+ * `resetMs`; then one trial call is let through (half-open) that either
+ * closes the circuit again or reopens it.
+ * @param {Object} options
+ * @param {string} options.name - Name used in errors and logs
+ * @param {number} options.threshold - Consecutive failures that open it
+ * @param {number} options.resetMs - How long it stays open
+ * @returns {Object} Breaker with state(), before(), success() and failure()
+ */
+export function createCircuitBreaker({ name, threshold = 5, resetMs = 30000 }) {
+  let failures = 0;
+  let openedAt = 0;
+  let trialInFlight = false;
+
+  function state() {
+    if (!openedAt) return "closed";
+    return Date.now() - openedAt >= resetMs ? "half-open" : "open";
+  }
+
+  return {
+    state,
+    // Throws CircuitOpenError when the call must not be made
+    before() {
+      const current = state();
+      if (current === "open" || (current === "half-open" && trialInFlight)) {
+        throw new CircuitOpenError(name, openedAt + resetMs);
+      }
+      if (current === "half-open") trialInFlight = true;
+    },
+    success() {
+      failures = 0;
+      openedAt = 0;
+      trialInFlight = false;
+    },
+    failure() {
+      failures++;
+      trialInFlight = false;
+      if (openedAt || failures >= threshold) {
+        if (!openedAt) console.warn(`Circuit for ${name} opened`);
+        openedAt = Date.now();
+      }
+    },
+  };
+}
+
+/**
+ * Wraps fetch for one upstream with timeouts, retries and a circuit breaker.
+ * Network errors, timeouts, 429 and 5xx are retried; the response of the
+ * last attempt is returned with its body already read (callers still check
+ * `ok`), and the breaker counts the outcome of the whole call once.
+ * The timeout covers the whole attempt, body included.
+ * @param {Function} fetch - fetch implementation
+ * @param {Object} options
+ * @param {string} options.name - Upstream name for errors and logs
+ * @param {number} options.timeoutMs - Timeout per attempt
+ * @param {number} options.retries - Retries after the first attempt
+ * @param {number} options.baseDelayMs - Backoff cap of the first retry
+ * @param {number} options.maxDelayMs - Backoff cap of any retry
+ * @param {number} options.breakerThreshold - Failures that open the circuit
+ * @param {number} options.breakerResetMs - How long the circuit stays open
+ * @returns {Function} fetch(url, init) with the same result shape; the
+ *   breaker is available as its `breaker` property
+ */
+export function createResilientFetch(
+  fetch,
+  {
+    name,
+    timeoutMs = 5000,
+    retries = 2,
+    baseDelayMs = 250,
+    maxDelayMs = 2000,
+    breakerThreshold = 5,
+    breakerResetMs = 30000,
+  }
+) {
+  const breaker = createCircuitBreaker({
+    name,
+    threshold: breakerThreshold,
+    resetMs: breakerResetMs,
+  });
+
+  // The body is read before the timer is cleared, so an upstream that sends
+  // headers and then stalls times out (and is retried) like any other
+  async function attempt(url, init) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      const response = await fetch(url, { ...init, signal: controller.signal });
+      const body = await response.arrayBuffer();
+      return new Response(body.byteLength ? body : null, {
+        status: response.status,
+        statusText: response.statusText,
+        headers: response.headers,
+      });
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  async function resilientFetch(url, init = {}) {
+    breaker.before();
+    let response = null;
+    let error = null;
+    for (let i = 0; i <= retries; i++) {
+      if (i > 0) {
+        await new Promise((resolve) =>
+          setTimeout(resolve, backoffDelay(i - 1, baseDelayMs, maxDelayMs))
+        );
+      }
+      try {
+        response = await attempt(url, init);
+        error = null;
+        if (!isTransientStatus(response.status)) break;
+      } catch (err) {
+        // Network error or timeout (AbortError)
+        response = null;
+        error = err;
+      }
+    }
+
+    if (error || isFailureStatus(response.status)) breaker.failure();
+    else breaker.success();
+    if (error) throw error;
+    return response;
+  }
+
+  resilientFetch.breaker = breaker;
+  return resilientFetch;
+}
+
+/**
+ * Runs an async function over items with at most `limit` calls in flight,
+ * so a batch of requests doesn't hit an upstream all at once.
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent calls
+ * @param {Function} fn - async (item, index) => result
+ * @returns {Promise<Array>} Results in item order
+ */
+export async function runWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+  const workers = [];
+  for (let i = 0; i < Math.min(limit, items.length); i++)
+    workers.push(worker());
+  await Promise.all(workers);
+  return results;
+}
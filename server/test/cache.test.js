@@ -0,0 +1,37 @@
+// Tests for the cache stores.
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { test } from "node:test";
+import { createFileStore, createMemoryStore } from "../cache.js";
+
+const entry = (body) => ({ body, etag: '"x"', storedAt: 0, expiresAt: 0 });
+
+test("memory store evicts the least recently used entry", async () => {
+  const store = createMemoryStore({ maxEntries: 2 });
+  await store.set("a", entry(1));
+  await store.set("b", entry(2));
+  await store.get("a");
+  await store.set("c", entry(3));
+  assert.equal(await store.get("b"), null);
+  assert.ok(await store.get("a"));
+});
+
+test("file store deletes the oldest files beyond maxEntries", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "cache-"));
+  try {
+    // Files from an earlier run count towards the limit
+    await createFileStore({ dir }).set("old", entry(0));
+    const store = createFileStore({ dir, maxEntries: 3 });
+    for (const key of ["a", "b", "c"]) await store.set(key, entry(key));
+    assert.equal(await store.get("old"), null);
+    await store.set("a", entry("a2"));
+    await store.set("d", entry("d"));
+    assert.equal(await store.get("b"), null);
+    assert.deepEqual((await store.get("a")).body, "a2");
+    assert.equal((await fs.readdir(dir)).length, 3);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
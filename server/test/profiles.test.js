@@ -0,0 +1,159 @@
+// Tests for the sync profile store and merge limits.
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { test } from "node:test";
+import {
+  boundFavorites,
+  createProfileStore,
+  emptyProfile,
+  mergeProfile,
+} from "../profiles.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Builds PATCH data with `count` favorites whose keys start with `prefix`.
+ * @param {string} prefix - Key prefix
+ * @param {number} count - Number of favorites
+ * @param {number} updatedAt - Their timestamp
+ * @returns {Object} Sanitized profile data
+ */
+function favoritesData(prefix, count, updatedAt) {
+  const favorites = {};
+  for (let i = 0; i < count; i++) {
+    favorites[`${prefix}${i}`] = {
+      name: `Place ${i}`,
+      country: "FI",
+      state: "",
+      lat: 60,
+      lon: 25,
+      group: "",
+      updatedAt,
+    };
+  }
+  return { favorites };
+}
+
+test("merged favorites stay bounded across repeated PATCHes", () => {
+  let profile = emptyProfile();
+  for (let round = 0; round < 5; round++) {
+    profile = mergeProfile(
+      profile,
+      favoritesData(`r${round}-`, 150, Date.now() + round)
+    );
+  }
+  const keys = Object.keys(profile.favorites);
+  assert.equal(keys.length, 200);
+  // The most recently updated ones are kept
+  assert.ok(keys.every((key) => /^r[34]-/.test(key)));
+});
+
+test("old tombstones are dropped, recent ones kept", () => {
+  const now = Date.now();
+  const favorites = boundFavorites(
+    {
+      old: { deleted: true, updatedAt: now - 91 * DAY_MS },
+      recent: { deleted: true, updatedAt: now - DAY_MS },
+      live: { name: "Oslo", lat: 59.9, lon: 10.7, updatedAt: 1 },
+    },
+    now
+  );
+  assert.deepEqual(Object.keys(favorites).sort(), ["live", "recent"]);
+});
+
+test("concurrent first loads share one read", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "profiles-"));
+  const file = path.join(dir, "profiles.json");
+  await fs.writeFile(file, "{}");
+  try {
+    const store = createProfileStore({ file });
+    await Promise.all([
+      store.create("token-aaaaaaaaaaaaaaaa", emptyProfile()),
+      store.get("token-bbbbbbbbbbbbbbbb"),
+      store.create("token-cccccccccccccccc", emptyProfile()),
+    ]);
+    assert.ok(await store.get("token-aaaaaaaaaaaaaaaa"));
+    assert.ok(await store.get("token-cccccccccccccccc"));
+    const saved = JSON.parse(await fs.readFile(file, "utf8"));
+    assert.equal(Object.keys(saved).length, 2);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test("create() refuses profiles beyond maxProfiles", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "profiles-"));
+  try {
+    const store = createProfileStore({
+      file: path.join(dir, "profiles.json"),
+      maxProfiles: 1,
+    });
+    assert.ok(await store.create("token-aaaaaaaaaaaaaaaa", emptyProfile()));
+    assert.equal(
+      await store.create("token-bbbbbbbbbbbbbbbb", emptyProfile()),
+      null
+    );
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test("a full store drops idle profiles before refusing new ones", async (t) => {
+  const clock = { now: Date.now() };
+  t.mock.method(Date, "now", () => clock.now);
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "profiles-"));
+  try {
+    const store = createProfileStore({
+      file: path.join(dir, "profiles.json"),
+      maxProfiles: 2,
+      idleMs: 30 * DAY_MS,
+      emptyIdleMs: DAY_MS,
+    });
+    await store.create("token-used-aaaaaaaaaaaa", emptyProfile());
+    await store.update("token-used-aaaaaaaaaaaa", (p) =>
+      mergeProfile(p, favoritesData("a", 1, clock.now))
+    );
+    await store.create("token-empty-aaaaaaaaaaa", emptyProfile());
+
+    // An empty profile is dropped after a day, one with data is kept
+    clock.now += 2 * DAY_MS;
+    assert.ok(await store.create("token-new-1-aaaaaaaaaa", emptyProfile()));
+    assert.equal(await store.get("token-empty-aaaaaaaaaaa"), null);
+    assert.ok(await store.get("token-used-aaaaaaaaaaaa"));
+
+    // Reading counts as use: without it the profile would now be idle
+    clock.now += 29 * DAY_MS;
+    assert.ok(await store.get("token-used-aaaaaaaaaaaa"));
+    clock.now += 2 * DAY_MS;
+    assert.ok(await store.create("token-new-2-aaaaaaaaaa", emptyProfile()));
+    assert.ok(await store.get("token-used-aaaaaaaaaaaa"));
+    assert.equal(await store.get("token-new-1-aaaaaaaaaa"), null);
+
+    // Nothing idle: refused
+    assert.equal(
+      await store.create("token-new-3-aaaaaaaaaa", emptyProfile()),
+      null
+    );
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test("the store's last-use time isn't part of the profile", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "profiles-"));
+  try {
+    const store = createProfileStore({ file: path.join(dir, "profiles.json") });
+    await store.create("token-aaaaaaaaaaaaaaaa", emptyProfile());
+    const updated = await store.update("token-aaaaaaaaaaaaaaaa", (p) => p);
+    const read = await store.get("token-aaaaaaaaaaaaaaaa");
+    assert.deepEqual(
+      Object.keys(read).sort(),
+      Object.keys(emptyProfile()).sort()
+    );
+    assert.deepEqual(updated, read);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,122 @@
+// Route-level tests for provider calls through the cache: hits, failover
+// and stale-while-error.
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import express from "express";
+import { createCache, createMemoryStore } from "../cache.js";
+import { createProviderCache } from "../provider-cache.js";
+import { UpstreamError } from "../providers/errors.js";
+
+/**
+ * A provider whose weather() answers with the next of the given results
+ * (the last one repeats); an Error is thrown instead.
+ * @param {string} id - Provider id
+ * @param {Array} results - Bodies or errors, in call order
+ * @returns {Object} Provider with a `calls` count
+ */
+function fakeProvider(id, results) {
+  const provider = {
+    id,
+    calls: 0,
+    async weather() {
+      const next = results[Math.min(provider.calls, results.length - 1)];
+      provider.calls++;
+      if (next instanceof Error) throw next;
+      return next;
+    },
+  };
+  return provider;
+}
+
+/**
+ * Starts an app with one route served through the provider cache.
+ * @param {Object} t - Test context, closes the server at the end
+ * @param {Array<Object>} providers - Providers to try, in order
+ * @param {Object} options - ttlMs and staleMaxMs
+ * @returns {Promise<Function>} get() => fetch Response of the route
+ */
+async function startApp(t, providers, { ttlMs = 60000, staleMaxMs = 60000 }) {
+  t.mock.method(console, "warn", () => {});
+  t.mock.method(console, "error", () => {});
+  const { serveFromProviders } = createProviderCache({
+    cache: createCache(createMemoryStore()),
+    staleMaxMs,
+  });
+  const app = express();
+  app.get("/weather", (req, res) =>
+    serveFromProviders(res, {
+      cacheKey: "weather:1:2",
+      ttlMs,
+      providers,
+      call: (provider) => provider.weather(),
+      label: "Test",
+    })
+  );
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, "127.0.0.1", () => resolve(s));
+  });
+  t.after(() => server.close());
+  const url = `http://127.0.0.1:${server.address().port}/weather`;
+  return () => fetch(url);
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test("a fresh entry is served from the cache without calling providers", async (t) => {
+  const provider = fakeProvider("a", [{ temp: 1 }]);
+  const get = await startApp(t, [provider], {});
+  const first = await get();
+  assert.equal(first.headers.get("x-cache"), "MISS");
+  const second = await get();
+  assert.equal(second.headers.get("x-cache"), "HIT");
+  assert.ok(second.headers.get("etag"));
+  assert.deepEqual(await second.json(), { temp: 1 });
+  assert.equal(provider.calls, 1);
+});
+
+test("the next provider answers when the first one fails", async (t) => {
+  const first = fakeProvider("a", [new UpstreamError(500)]);
+  const second = fakeProvider("b", [{ temp: 2 }]);
+  const get = await startApp(t, [first, second], {});
+  const response = await get();
+  assert.equal(response.status, 200);
+  assert.deepEqual(await response.json(), { temp: 2 });
+});
+
+test("an expired entry is served with X-Stale-Cached-At when every provider fails", async (t) => {
+  const provider = fakeProvider("a", [{ temp: 3 }, new UpstreamError(503)]);
+  const get = await startApp(t, [provider], { ttlMs: 1 });
+  const before = Date.now();
+  await (await get()).json();
+  await sleep(10);
+
+  const stale = await get();
+  assert.equal(stale.status, 200);
+  assert.equal(stale.headers.get("x-cache"), "STALE");
+  assert.equal(stale.headers.get("cache-control"), "no-store");
+  const storedAt = Number(stale.headers.get("x-stale-cached-at"));
+  assert.ok(storedAt >= before && storedAt <= Date.now());
+  assert.deepEqual(await stale.json(), { temp: 3 });
+  assert.equal(provider.calls, 2);
+});
+
+test("an entry expired longer than staleMaxMs is not served", async (t) => {
+  const provider = fakeProvider("a", [{ temp: 4 }, new UpstreamError(503)]);
+  const get = await startApp(t, [provider], { ttlMs: 1, staleMaxMs: 1 });
+  await (await get()).json();
+  await sleep(10);
+  const response = await get();
+  assert.equal(response.status, 502);
+  assert.deepEqual(await response.json(), {
+    error: "Upstream error",
+    status: 503,
+  });
+});
+
+test("errors other than upstream answers are a 500", async (t) => {
+  const provider = fakeProvider("a", [new TypeError("fetch failed")]);
+  const get = await startApp(t, [provider], {});
+  const response = await get();
+  assert.equal(response.status, 500);
+  assert.deepEqual(await response.json(), { error: "Proxy failed" });
+});
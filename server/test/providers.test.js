@@ -0,0 +1,161 @@
+// Contract tests for the provider adapters: recorded upstream responses
+// (./fixtures) go through each adapter, and the result must match the
+// normalized schema documented in ../providers/index.js.
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { test } from "node:test";
+import {
+  createOpenMeteoProvider,
+  normalizeOpenMeteo,
+} from "../providers/open-meteo.js";
+import {
+  createOpenWeatherProvider,
+  HISTORY_STEP_S,
+  normalizeOpenWeather,
+  normalizeOpenWeatherHistory,
+} from "../providers/openweather.js";
+import { assertHistorySchema, assertWeatherSchema } from "./schema.js";
+
+/**
+ * Reads a fixture from ./fixtures.
+ * @param {string} name - File name
+ * @returns {*} Parsed JSON
+ */
+function fixture(name) {
+  return JSON.parse(
+    readFileSync(new URL(`./fixtures/${name}`, import.meta.url), "utf8")
+  );
+}
+
+/**
+ * A fetch that answers each request with the next of the given bodies and
+ * records the requested URLs.
+ * @param {Array} bodies - JSON bodies, in request order
+ * @returns {Function} fetch with a `urls` property
+ */
+function fakeFetch(bodies) {
+  const queue = [...bodies];
+  const fetch = async (url) => {
+    fetch.urls.push(new URL(url));
+    const body = queue.shift();
+    return { ok: true, status: 200, json: async () => body };
+  };
+  fetch.urls = [];
+  return fetch;
+}
+
+test("OpenWeather: One Call response matches the weather schema", () => {
+  const weather = normalizeOpenWeather(fixture("openweather-onecall.json"));
+  assertWeatherSchema(weather);
+  assert.equal(weather.provider.id, "openweather");
+  assert.equal(weather.timezone_offset, 10800);
+  assert.equal(weather.minutely.length, 5);
+  assert.equal(weather.alerts[0].event, "Yellow wind warning");
+});
+
+test("OpenWeather: a response without alerts or minutely still matches", () => {
+  const { alerts, minutely, ...json } = fixture("openweather-onecall.json");
+  const weather = normalizeOpenWeather(json);
+  assertWeatherSchema(weather);
+  assert.deepEqual(weather.alerts, []);
+  assert.equal(weather.minutely, undefined);
+});
+
+test("OpenWeather: weather() requests One Call and normalizes it", async () => {
+  const fetch = fakeFetch([fixture("openweather-onecall.json")]);
+  const provider = createOpenWeatherProvider({ apiKey: "key", fetch });
+  const weather = await provider.weather({
+    lat: 60.17,
+    lon: 24.94,
+    units: "metric",
+    exclude: "minutely",
+  });
+  assertWeatherSchema(weather);
+  const url = fetch.urls[0];
+  assert.equal(url.pathname, "/data/3.0/onecall");
+  assert.equal(url.searchParams.get("units"), "metric");
+  assert.equal(url.searchParams.get("exclude"), "minutely");
+});
+
+test("OpenWeather: day_summary and timemachine match the history schema", () => {
+  const summary = fixture("openweather-day-summary.json");
+  const points = fixture("openweather-timemachine.json");
+  const dayStart = Date.parse("2025-10-18T00:00:00+03:00") / 1000;
+  const history = normalizeOpenWeatherHistory(summary, points, dayStart);
+  assertHistorySchema(history);
+  assert.equal(history.date, "2025-10-18");
+  assert.equal(history.day.dt, dayStart);
+  assert.equal(history.day.temp.morn, 4.6);
+  assert.equal(history.day.precipitation, 1.6);
+  assert.equal(history.hourly.length, points.length);
+});
+
+test("OpenWeather: history() samples a past day every 3 hours", async () => {
+  const summary = fixture("openweather-day-summary.json");
+  const [point] = fixture("openweather-timemachine.json");
+  const urls = [];
+  // Answers each timemachine call with the recorded point moved to its dt
+  const fetch = async (url) => {
+    const parsed = new URL(url);
+    urls.push(parsed);
+    const dt = Number(parsed.searchParams.get("dt"));
+    const body = parsed.pathname.endsWith("/day_summary")
+      ? summary
+      : { ...point, data: [{ ...point.data[0], dt }] };
+    return { ok: true, status: 200, json: async () => body };
+  };
+  const provider = createOpenWeatherProvider({ apiKey: "key", fetch });
+  const history = await provider.history({
+    lat: 60.17,
+    lon: 24.94,
+    date: "2025-10-18",
+    units: "metric",
+  });
+  assertHistorySchema(history);
+  assert.equal(urls.length, 1 + 86400 / HISTORY_STEP_S);
+  assert.equal(history.hourly.length, 86400 / HISTORY_STEP_S);
+  assert.equal(history.hourly[1].dt - history.hourly[0].dt, HISTORY_STEP_S);
+});
+
+test("Open-Meteo: forecast response matches the weather schema", () => {
+  const json = fixture("open-meteo-forecast.json");
+  const weather = normalizeOpenMeteo(json);
+  assertWeatherSchema(weather);
+  assert.equal(weather.provider.id, "open-meteo");
+  assert.equal(weather.timezone_offset, 10800);
+  // Starts with the hour in progress, like One Call
+  assert.equal(weather.hourly[0].dt, json.current.time);
+  assert.equal(weather.hourly.length, 48);
+  assert.equal(weather.daily.length, json.daily.time.length);
+  assert.equal(weather.minutely.length, 60);
+  assert.deepEqual(weather.alerts, []);
+});
+
+test("Open-Meteo: weather codes map to OpenWeather conditions", () => {
+  const weather = normalizeOpenMeteo(fixture("open-meteo-forecast.json"));
+  assert.deepEqual(weather.current.weather[0], {
+    id: 804,
+    main: "Clouds",
+    description: "overcast clouds",
+    icon: "04d",
+  });
+  const rainy = weather.hourly.find((h) => h.rain);
+  assert.equal(rainy.weather[0].main, "Rain");
+});
+
+test("Open-Meteo: weather() requests the forecast and normalizes it", async () => {
+  const fetch = fakeFetch([fixture("open-meteo-forecast.json")]);
+  const provider = createOpenMeteoProvider({ fetch });
+  const weather = await provider.weather({
+    lat: 60.17,
+    lon: 24.94,
+    units: "imperial",
+    exclude: "",
+  });
+  assertWeatherSchema(weather);
+  const url = fetch.urls[0];
+  assert.equal(url.searchParams.get("timeformat"), "unixtime");
+  assert.equal(url.searchParams.get("temperature_unit"), "fahrenheit");
+  assert.equal(url.searchParams.get("wind_speed_unit"), "mph");
+  assert.equal(url.searchParams.get("minutely_15"), "precipitation");
+});
@@ -0,0 +1,192 @@
+// Tests for the per-IP rate limiter and the CORS allowlist.
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  corsOriginOption,
+  createRateLimiter,
+  parseRateLimit,
+} from "../rate-limit.js";
+
+/**
+ * Runs a limiter against a fake response.
+ * @param {Function} run - (res, next) => void, calls the limiter
+ * @returns {Object} { passed, status, headers, body }
+ */
+function respond(run) {
+  const result = { passed: false, status: 200, headers: {}, body: null };
+  const res = {
+    set(name, value) {
+      result.headers[name] = value;
+      return res;
+    },
+    status(code) {
+      result.status = code;
+      return res;
+    },
+    json(body) {
+      result.body = body;
+      return res;
+    },
+  };
+  run(res, () => {
+    result.passed = true;
+  });
+  return result;
+}
+
+/**
+ * Sends one request through a limiter middleware.
+ * @param {Function} limiter - Middleware from createRateLimiter()
+ * @param {string} ip - Client IP
+ * @param {Object} extra - More request fields, e.g. a body for cost()
+ * @returns {Object} { passed, status, headers, body }
+ */
+function hit(limiter, ip = "1.1.1.1", extra = {}) {
+  return respond((res, next) => limiter({ ip, ...extra }, res, next));
+}
+
+/**
+ * Takes tokens with the limiter's take(), as a route does.
+ * @param {Function} limiter - Middleware from createRateLimiter()
+ * @param {number} tokens - Tokens to take
+ * @param {string} ip - Client IP
+ * @returns {Object} { passed, status, headers, body }
+ */
+function take(limiter, tokens, ip = "1.1.1.1") {
+  return respond((res, next) => {
+    if (limiter.take({ ip }, res, tokens)) next();
+  });
+}
+
+/**
+ * Replaces Date.now() for the rest of the test with a clock the test moves.
+ * @param {Object} t - Test context
+ * @returns {Object} Clock with a `now` the test can change
+ */
+function fakeClock(t) {
+  const clock = { now: 1000000 };
+  t.mock.method(Date, "now", () => clock.now);
+  return clock;
+}
+
+test("a bucket refills over time", (t) => {
+  const clock = fakeClock(t);
+  const limiter = createRateLimiter({ limit: 2, windowMs: 1000 });
+  assert.ok(hit(limiter).passed);
+  assert.ok(hit(limiter).passed);
+  assert.equal(hit(limiter).passed, false);
+  // Half a window brings back one token
+  clock.now += 500;
+  assert.ok(hit(limiter).passed);
+  assert.equal(hit(limiter).passed, false);
+});
+
+test("a rejected request gets 429 with the time until enough tokens", (t) => {
+  const clock = fakeClock(t);
+  const limiter = createRateLimiter({ limit: 6, windowMs: 60 * 1000 });
+  for (let i = 0; i < 6; i++) hit(limiter);
+  clock.now += 1000;
+  const rejected = hit(limiter);
+  assert.equal(rejected.passed, false);
+  assert.equal(rejected.status, 429);
+  // One token every 10 s, 1 s of it has passed
+  assert.equal(rejected.headers["Retry-After"], "9");
+  assert.equal(rejected.headers["RateLimit-Remaining"], "0");
+  assert.deepEqual(rejected.body, {
+    error: "Too many requests",
+    retryAfter: 9,
+  });
+});
+
+test("cost() takes several tokens but never more than the bucket", (t) => {
+  fakeClock(t);
+  const limiter = createRateLimiter({
+    limit: 10,
+    cost: (req) => req.body.count,
+  });
+  assert.ok(hit(limiter, "1.1.1.1", { body: { count: 4 } }).passed);
+  assert.equal(hit(limiter, "1.1.1.1", { body: { count: 7 } }).passed, false);
+  // A request asking for more than the limit costs a full bucket
+  assert.ok(hit(limiter, "2.2.2.2", { body: { count: 50 } }).passed);
+  assert.equal(hit(limiter, "2.2.2.2", { body: { count: 1 } }).passed, false);
+});
+
+test("clients get separate buckets, the least recent dropped beyond maxClients", (t) => {
+  fakeClock(t);
+  const limiter = createRateLimiter({ limit: 1, maxClients: 2 });
+  assert.ok(hit(limiter, "a").passed);
+  assert.ok(hit(limiter, "b").passed);
+  assert.equal(hit(limiter, "a").passed, false);
+  // "b" is now the least recently used and is dropped for "c"
+  assert.ok(hit(limiter, "c").passed);
+  assert.ok(hit(limiter, "b").passed);
+  assert.equal(hit(limiter, "c").passed, false);
+});
+
+test("parseRateLimit reads n/s, n/min, n/h and falls back when invalid", () => {
+  assert.deepEqual(parseRateLimit("10/s", 60), { limit: 10, windowMs: 1000 });
+  assert.deepEqual(parseRateLimit(" 30 / min", 60), {
+    limit: 30,
+    windowMs: 60000,
+  });
+  assert.deepEqual(parseRateLimit("1000/h", 60), {
+    limit: 1000,
+    windowMs: 3600000,
+  });
+  assert.deepEqual(parseRateLimit("45", 60), { limit: 45, windowMs: 60000 });
+  for (const invalid of [undefined, "", "0/min", "-5", "10/day", "ten"]) {
+    assert.deepEqual(parseRateLimit(invalid, 60), {
+      limit: 60,
+      windowMs: 60000,
+    });
+  }
+});
+
+/**
+ * Asks a cors `origin` option whether an origin is allowed.
+ * @param {Function} option - Result of corsOriginOption()
+ * @param {string} origin - Origin header, may be undefined
+ * @returns {boolean} Whether CORS headers would be sent
+ */
+function allows(option, origin) {
+  let allowed = null;
+  option(origin, (err, value) => {
+    assert.equal(err, null);
+    allowed = value;
+  });
+  return allowed;
+}
+
+test("an origin ending in :* allows any port, and only a port", () => {
+  const option = corsOriginOption("https://app.example, http://localhost:*");
+  assert.ok(allows(option, "http://localhost:5500"));
+  assert.ok(allows(option, "http://localhost"));
+  assert.ok(allows(option, "https://app.example"));
+  assert.equal(allows(option, "http://localhost.evil.com"), false);
+  assert.equal(allows(option, "http://localhost:abc"), false);
+  assert.equal(allows(option, "http://localhost:5500.evil.com"), false);
+  assert.equal(allows(option, "https://localhost:5500"), false);
+  assert.equal(allows(option, "https://app.example.evil.com"), false);
+});
+
+test("requests without an Origin header are allowed", () => {
+  const option = corsOriginOption("https://app.example");
+  assert.ok(allows(option, undefined));
+});
+
+test('"*" allows every origin', () => {
+  assert.equal(corsOriginOption("https://a.example,*"), true);
+});
+
+test("take() charges more tokens from the same bucket later", (t) => {
+  fakeClock(t);
+  const limiter = createRateLimiter({ limit: 10 });
+  assert.ok(hit(limiter).passed);
+  assert.ok(take(limiter, 8).passed);
+  // One token left: enough for a request, not for another 8
+  assert.ok(hit(limiter).passed);
+  const rejected = take(limiter, 8);
+  assert.equal(rejected.passed, false);
+  assert.equal(rejected.status, 429);
+  assert.equal(rejected.headers["Retry-After"], "48");
+});
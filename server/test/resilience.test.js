@@ -0,0 +1,186 @@
+// Tests for the upstream fetch wrapper.
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { CircuitOpenError, createResilientFetch } from "../resilience.js";
+
+/**
+ * A fetch that answers with the given statuses in order (the last one
+ * repeats). An Error in the list is thrown instead, like a network error.
+ * @param {Array<number|Error>} statuses - Status per call
+ * @returns {Function} fetch with a `calls` count
+ */
+function statusFetch(statuses) {
+  const fetch = async () => {
+    const next = statuses[Math.min(fetch.calls, statuses.length - 1)];
+    fetch.calls++;
+    if (next instanceof Error) throw next;
+    return new Response(null, { status: next });
+  };
+  fetch.calls = 0;
+  return fetch;
+}
+
+/**
+ * createResilientFetch with short delays for tests.
+ * @param {Function} fetch - fetch implementation
+ * @param {Object} options - Options to override
+ * @returns {Function} Resilient fetch
+ */
+function resilient(fetch, options = {}) {
+  return createResilientFetch(fetch, {
+    name: "test",
+    baseDelayMs: 1,
+    maxDelayMs: 2,
+    ...options,
+  });
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * A fetch whose response headers arrive at once but whose body never ends,
+ * until the request is aborted.
+ * @returns {Function} fetch with a `calls` count
+ */
+function stalledBodyFetch() {
+  const fetch = async (url, { signal }) => {
+    fetch.calls++;
+    const body = new ReadableStream({
+      start(controller) {
+        controller.enqueue(new TextEncoder().encode('{"partial":'));
+        signal.addEventListener("abort", () => controller.error(signal.reason));
+      },
+    });
+    return new Response(body, { status: 200 });
+  };
+  fetch.calls = 0;
+  return fetch;
+}
+
+test("the timeout covers a body that stalls after the headers", async () => {
+  const fetch = stalledBodyFetch();
+  const resilientFetch = createResilientFetch(fetch, {
+    name: "test",
+    timeoutMs: 20,
+    retries: 1,
+    baseDelayMs: 1,
+  });
+  await assert.rejects(resilientFetch("https://example.test/"), {
+    name: "AbortError",
+  });
+  assert.equal(fetch.calls, 2);
+});
+
+test("the returned response carries the body and status", async () => {
+  const resilientFetch = createResilientFetch(
+    async () => Response.json({ ok: 1 }, { status: 404 }),
+    { name: "test" }
+  );
+  const response = await resilientFetch("https://example.test/");
+  assert.equal(response.status, 404);
+  assert.equal(response.headers.get("content-type"), "application/json");
+  assert.deepEqual(await response.json(), { ok: 1 });
+});
+
+test("429 and 5xx are retried until an answer that isn't", async () => {
+  const fetch = statusFetch([503, 429, 200]);
+  const response = await resilient(fetch, { retries: 2 })("https://x.test/");
+  assert.equal(response.status, 200);
+  assert.equal(fetch.calls, 3);
+});
+
+test("the last response is returned when the retries run out", async () => {
+  const fetch = statusFetch([500]);
+  const response = await resilient(fetch, { retries: 2 })("https://x.test/");
+  assert.equal(response.status, 500);
+  assert.equal(fetch.calls, 3);
+});
+
+test("other 4xx answers are not retried", async () => {
+  for (const status of [400, 401, 404]) {
+    const fetch = statusFetch([status, 200]);
+    const response = await resilient(fetch)("https://x.test/");
+    assert.equal(response.status, status);
+    assert.equal(fetch.calls, 1);
+  }
+});
+
+test("network errors are retried and the last one is thrown", async () => {
+  const fetch = statusFetch([new TypeError("fetch failed")]);
+  await assert.rejects(resilient(fetch, { retries: 1 })("https://x.test/"), {
+    name: "TypeError",
+  });
+  assert.equal(fetch.calls, 2);
+});
+
+test("the circuit opens after `threshold` failed calls and skips fetch", async () => {
+  const fetch = statusFetch([500, 503, 401]);
+  const resilientFetch = resilient(fetch, {
+    retries: 0,
+    breakerThreshold: 3,
+  });
+  await resilientFetch("https://x.test/");
+  await resilientFetch("https://x.test/");
+  assert.equal(resilientFetch.breaker.state(), "closed");
+  // 401 counts too: a lapsed API key fails every call
+  await resilientFetch("https://x.test/");
+  assert.equal(resilientFetch.breaker.state(), "open");
+
+  await assert.rejects(resilientFetch("https://x.test/"), (err) => {
+    assert.ok(err instanceof CircuitOpenError);
+    assert.equal(err.status, 503);
+    assert.ok(err.retryAt > Date.now());
+    return true;
+  });
+  assert.equal(fetch.calls, 3);
+});
+
+test("4xx other than 401/403 don't count against the circuit", async () => {
+  const fetch = statusFetch([404]);
+  const resilientFetch = resilient(fetch, { breakerThreshold: 1 });
+  await resilientFetch("https://x.test/");
+  assert.equal(resilientFetch.breaker.state(), "closed");
+});
+
+test("a half-open circuit lets one trial through and reopens if it fails", async () => {
+  let release = null;
+  let calls = 0;
+  const fetch = async () => {
+    calls++;
+    if (calls === 1) return new Response(null, { status: 500 });
+    // The trial waits until the test lets it fail
+    await new Promise((resolve) => (release = resolve));
+    return new Response(null, { status: 500 });
+  };
+  const resilientFetch = resilient(fetch, {
+    retries: 0,
+    breakerThreshold: 1,
+    breakerResetMs: 20,
+  });
+  await resilientFetch("https://x.test/");
+  assert.equal(resilientFetch.breaker.state(), "open");
+
+  await sleep(30);
+  assert.equal(resilientFetch.breaker.state(), "half-open");
+  const trial = resilientFetch("https://x.test/");
+  await assert.rejects(resilientFetch("https://x.test/"), CircuitOpenError);
+  assert.equal(calls, 2);
+
+  release();
+  assert.equal((await trial).status, 500);
+  assert.equal(resilientFetch.breaker.state(), "open");
+  await assert.rejects(resilientFetch("https://x.test/"), CircuitOpenError);
+});
+
+test("a successful half-open trial closes the circuit", async () => {
+  const fetch = statusFetch([500, 200]);
+  const resilientFetch = resilient(fetch, {
+    retries: 0,
+    breakerThreshold: 1,
+    breakerResetMs: 20,
+  });
+  await resilientFetch("https://x.test/");
+  await sleep(30);
+  assert.equal((await resilientFetch("https://x.test/")).status, 200);
+  assert.equal(resilientFetch.breaker.state(), "closed");
+});
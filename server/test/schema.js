@@ -0,0 +1,322 @@
+// Checks for the normalized schemas documented in ../providers/index.js,
+// shared by the provider contract tests. Every object may only have the
+// documented keys; fields a provider doesn't have may be left out.
+import assert from "node:assert/strict";
+
+const CONDITION_KEYS = ["id", "main", "description", "icon"];
+const CURRENT_KEYS = [
+  "dt",
+  "sunrise",
+  "sunset",
+  "temp",
+  "feels_like",
+  "pressure",
+  "humidity",
+  "dew_point",
+  "uvi",
+  "clouds",
+  "visibility",
+  "wind_speed",
+  "wind_deg",
+  "wind_gust",
+  "rain",
+  "snow",
+  "weather",
+];
+const HOURLY_KEYS = [
+  "dt",
+  "temp",
+  "feels_like",
+  "pressure",
+  "humidity",
+  "dew_point",
+  "uvi",
+  "clouds",
+  "visibility",
+  "wind_speed",
+  "wind_deg",
+  "wind_gust",
+  "pop",
+  "rain",
+  "snow",
+  "weather",
+];
+const DAILY_KEYS = [
+  "dt",
+  "summary",
+  "sunrise",
+  "sunset",
+  "moonrise",
+  "moonset",
+  "moon_phase",
+  "temp",
+  "feels_like",
+  "pressure",
+  "humidity",
+  "dew_point",
+  "wind_speed",
+  "wind_deg",
+  "wind_gust",
+  "clouds",
+  "pop",
+  "rain",
+  "snow",
+  "uvi",
+  "weather",
+];
+const ALERT_KEYS = [
+  "sender_name",
+  "event",
+  "start",
+  "end",
+  "description",
+  "tags",
+];
+const WEATHER_KEYS = [
+  "provider",
+  "lat",
+  "lon",
+  "timezone",
+  "timezone_offset",
+  "current",
+  "minutely",
+  "hourly",
+  "daily",
+  "alerts",
+];
+const HISTORY_KEYS = [
+  "provider",
+  "lat",
+  "lon",
+  "timezone",
+  "timezone_offset",
+  "date",
+  "day",
+];
+const HISTORY_DAY_KEYS = [
+  "dt",
+  "temp",
+  "humidity",
+  "pressure",
+  "clouds",
+  "precipitation",
+  "wind_speed",
+  "wind_deg",
+];
+
+/**
+ * Fails when an object has keys the schema doesn't document.
+ * @param {Object} value - Object to check
+ * @param {Array<string>} keys - Documented keys
+ * @param {string} where - Path used in the failure message
+ */
+function assertKeys(value, keys, where) {
+  assert.ok(value && typeof value === "object", `${where} is an object`);
+  const unknown = Object.keys(value).filter((key) => !keys.includes(key));
+  assert.deepEqual(unknown, [], `${where} has only documented keys`);
+}
+
+/**
+ * Checks that the listed fields are finite numbers, or left out.
+ * @param {Object} value - Object holding the fields
+ * @param {Array<string>} fields - Field names
+ * @param {string} where - Path used in the failure message
+ * @param {boolean} required - Whether the fields must be present
+ */
+function assertNumbers(value, fields, where, required = false) {
+  fields.forEach((field) => {
+    if (!required && value[field] === undefined) return;
+    assert.ok(
+      Number.isFinite(value[field]),
+      `${where}.${field} is a number (got ${value[field]})`
+    );
+  });
+}
+
+function assertConditions(weather, where) {
+  assert.ok(Array.isArray(weather), `${where}.weather is an array`);
+  weather.forEach((condition, i) => {
+    const path = `${where}.weather[${i}]`;
+    assertKeys(condition, CONDITION_KEYS, path);
+    assert.ok(Number.isInteger(condition.id), `${path}.id is an integer`);
+    assert.equal(typeof condition.main, "string", `${path}.main`);
+    assert.equal(typeof condition.description, "string", `${path}.description`);
+    assert.match(condition.icon, /^\d{2}[dn]$/, `${path}.icon`);
+  });
+}
+
+// rain/snow are { "1h": mm } for current and hourly entries
+function assertHourAmounts(value, where) {
+  ["rain", "snow"].forEach((field) => {
+    if (value[field] === undefined) return;
+    assertKeys(value[field], ["1h"], `${where}.${field}`);
+    assertNumbers(value[field], ["1h"], `${where}.${field}`, true);
+  });
+}
+
+function assertProvider(provider) {
+  assertKeys(provider, ["id", "name", "attribution"], "provider");
+  assert.equal(typeof provider.id, "string", "provider.id");
+  assert.equal(typeof provider.name, "string", "provider.name");
+  assertKeys(provider.attribution, ["text", "url"], "provider.attribution");
+  assert.equal(typeof provider.attribution.text, "string");
+  assert.match(provider.attribution.url, /^https:\/\//);
+}
+
+function assertHour(hour, where, keys = HOURLY_KEYS) {
+  assertKeys(hour, keys, where);
+  assertNumbers(hour, ["dt", "temp"], where, true);
+  assertNumbers(
+    hour,
+    keys.filter((k) => !["rain", "snow", "weather"].includes(k)),
+    where
+  );
+  if (hour.pop !== undefined) {
+    assert.ok(hour.pop >= 0 && hour.pop <= 1, `${where}.pop is 0..1`);
+  }
+  assertHourAmounts(hour, where);
+  assertConditions(hour.weather, where);
+}
+
+function assertAscending(entries, where) {
+  entries.forEach((entry, i) => {
+    if (i > 0) assert.ok(entry.dt > entries[i - 1].dt, `${where} in order`);
+  });
+}
+
+/**
+ * Checks normalized weather against the schema in ../providers/index.js.
+ * @param {Object} weather - Result of a provider's weather()
+ */
+export function assertWeatherSchema(weather) {
+  assertKeys(weather, WEATHER_KEYS, "weather");
+  assertProvider(weather.provider);
+  assertNumbers(weather, ["lat", "lon", "timezone_offset"], "weather", true);
+  assert.equal(typeof weather.timezone, "string", "timezone");
+
+  const current = weather.current;
+  assertKeys(current, CURRENT_KEYS, "current");
+  assertNumbers(current, ["dt", "sunrise", "sunset", "temp"], "current", true);
+  assertNumbers(
+    current,
+    CURRENT_KEYS.filter((k) => !["rain", "snow", "weather"].includes(k)),
+    "current"
+  );
+  assertHourAmounts(current, "current");
+  assertConditions(current.weather, "current");
+
+  if (weather.minutely !== undefined) {
+    assert.ok(Array.isArray(weather.minutely), "minutely is an array");
+    weather.minutely.forEach((minute, i) => {
+      assertKeys(minute, ["dt", "precipitation"], `minutely[${i}]`);
+      assertNumbers(minute, ["dt", "precipitation"], `minutely[${i}]`, true);
+    });
+    assertAscending(weather.minutely, "minutely");
+  }
+
+  assert.ok(Array.isArray(weather.hourly), "hourly is an array");
+  assert.ok(weather.hourly.length <= 48, "hourly covers at most 48 h");
+  weather.hourly.forEach((hour, i) => assertHour(hour, `hourly[${i}]`));
+  assertAscending(weather.hourly, "hourly");
+
+  assert.ok(Array.isArray(weather.daily), "daily is an array");
+  assert.ok(weather.daily.length <= 8, "daily covers at most 8 days");
+  weather.daily.forEach((day, i) => {
+    const where = `daily[${i}]`;
+    assertKeys(day, DAILY_KEYS, where);
+    if (day.summary !== undefined) {
+      assert.equal(typeof day.summary, "string", `${where}.summary`);
+    }
+    assertNumbers(
+      day,
+      ["dt", "sunrise", "sunset", "moonrise", "moonset", "moon_phase"],
+      where,
+      true
+    );
+    assertNumbers(
+      day,
+      ["pressure", "humidity", "dew_point", "wind_speed", "wind_deg"],
+      where
+    );
+    assertNumbers(
+      day,
+      ["wind_gust", "clouds", "pop", "rain", "snow", "uvi"],
+      where
+    );
+    assert.ok(day.moon_phase >= 0 && day.moon_phase < 1, `${where}.moon_phase`);
+    assertKeys(
+      day.temp,
+      ["day", "min", "max", "night", "eve", "morn"],
+      `${where}.temp`
+    );
+    assertNumbers(day.temp, ["min", "max"], `${where}.temp`, true);
+    assertNumbers(day.temp, ["day", "night", "eve", "morn"], `${where}.temp`);
+    assert.ok(day.temp.min <= day.temp.max, `${where}.temp min <= max`);
+    assertKeys(
+      day.feels_like,
+      ["day", "night", "eve", "morn"],
+      `${where}.feels_like`
+    );
+    assertNumbers(
+      day.feels_like,
+      ["day", "night", "eve", "morn"],
+      `${where}.feels_like`
+    );
+    assertConditions(day.weather, where);
+  });
+  assertAscending(weather.daily, "daily");
+
+  assert.ok(Array.isArray(weather.alerts), "alerts is always an array");
+  weather.alerts.forEach((alert, i) => {
+    const where = `alerts[${i}]`;
+    assertKeys(alert, ALERT_KEYS, where);
+    ["sender_name", "event", "description"].forEach((field) =>
+      assert.equal(typeof alert[field], "string", `${where}.${field}`)
+    );
+    assertNumbers(alert, ["start", "end"], where, true);
+    assert.ok(Array.isArray(alert.tags), `${where}.tags is an array`);
+  });
+}
+
+/**
+ * Checks a normalized past day against the history schema in
+ * ../providers/index.js.
+ * @param {Object} history - Result of a provider's history()
+ */
+export function assertHistorySchema(history) {
+  assertKeys(history, HISTORY_KEYS.concat(["hourly"]), "history");
+  assertProvider(history.provider);
+  assertNumbers(history, ["lat", "lon", "timezone_offset"], "history", true);
+  assert.match(history.date, /^\d{4}-\d{2}-\d{2}$/, "date");
+
+  const day = history.day;
+  assertKeys(day, HISTORY_DAY_KEYS, "day");
+  assertNumbers(day, ["dt", "precipitation"], "day", true);
+  assertNumbers(
+    day,
+    ["humidity", "pressure", "clouds", "wind_speed", "wind_deg"],
+    "day"
+  );
+  assertKeys(
+    day.temp,
+    ["min", "max", "morn", "day", "eve", "night"],
+    "day.temp"
+  );
+  assertNumbers(day.temp, ["min", "max"], "day.temp", true);
+
+  assert.ok(Array.isArray(history.hourly), "hourly is an array");
+  assert.ok(history.hourly.length <= 24, "hourly covers at most one day");
+  history.hourly.forEach((hour, i) => {
+    const where = `hourly[${i}]`;
+    assertHour(
+      hour,
+      where,
+      HOURLY_KEYS.filter((k) => k !== "pop")
+    );
+    assert.ok(
+      hour.dt >= day.dt && hour.dt < day.dt + 86400,
+      `${where} is within the day`
+    );
+  });
+  assertAscending(history.hourly, "hourly");
+}
@@ -0,0 +1,198 @@
+// Tests for the scheduled watches: config validation, rule evaluation,
+// payloads and delivery to a local webhook receiver.
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import http from "node:http";
+import os from "node:os";
+import path from "node:path";
+import { test } from "node:test";
+import {
+  createDeliveryLog,
+  createWatchScheduler,
+  evaluateWatchRule,
+  parseWatchConfig,
+  webhookPayload,
+} from "../watches.js";
+
+const DAY_S = 24 * 60 * 60;
+
+/**
+ * Normalized weather with daily entries starting today (UTC).
+ * @param {Array<Object>} days - Fields of each day, e.g. { pop: 0.8 }
+ * @returns {Object} Weather with `daily` and no alerts
+ */
+function weatherWith(days) {
+  const today = Math.floor(Date.now() / 1000 / DAY_S) * DAY_S + 12 * 60 * 60;
+  return {
+    provider: { id: "test", name: "Test" },
+    timezone_offset: 0,
+    daily: days.map((day, i) => ({
+      dt: today + i * DAY_S,
+      temp: { min: 5, max: 15 },
+      pop: 0,
+      ...day,
+    })),
+    alerts: [],
+  };
+}
+
+const validWatch = {
+  id: "site-a",
+  lat: 61.5,
+  lon: 23.76,
+  rules: [{ metric: "pop", op: "above", threshold: 60, period: "tomorrow" }],
+};
+
+test("parseWatchConfig skips invalid watches and unknown webhooks", (t) => {
+  t.mock.method(console, "warn", () => {});
+  const cases = [
+    { name: "valid", watch: validWatch, kept: true },
+    { name: "lat out of range", watch: { ...validWatch, lat: 91 } },
+    { name: "lon out of range", watch: { ...validWatch, lon: -181 } },
+    { name: "missing lat", watch: { ...validWatch, lat: undefined } },
+    { name: "lat not a number", watch: { ...validWatch, lat: "north" } },
+    {
+      name: "only unknown webhooks",
+      watch: { ...validWatch, webhooks: ["x"] },
+    },
+    {
+      name: "no valid rules",
+      watch: { ...validWatch, rules: [{ metric: "x" }] },
+    },
+  ];
+  cases.forEach(({ name, watch, kept = false }) => {
+    const config = parseWatchConfig({
+      webhooks: { hook: { url: "http://localhost:4000/hook" } },
+      watches: [watch],
+    });
+    assert.equal(config.watches.length, kept ? 1 : 0, name);
+  });
+});
+
+test("parseWatchConfig keeps only known webhooks of a watch", (t) => {
+  t.mock.method(console, "warn", () => {});
+  const config = parseWatchConfig({
+    webhooks: {
+      hook: { url: "http://localhost:4000/hook" },
+      team: { url: "https://hooks.example/x", format: "slack" },
+      bad: { url: "file:///etc/passwd" },
+    },
+    watches: [{ ...validWatch, webhooks: ["hook", "bad", "missing"] }],
+  });
+  assert.deepEqual(Object.keys(config.webhooks), ["hook", "team"]);
+  assert.equal(config.webhooks.hook.format, "json");
+  assert.equal(config.webhooks.team.format, "slack");
+  assert.deepEqual(config.watches[0].webhooks, ["hook"]);
+  assert.equal(config.watches[0].units, "metric");
+});
+
+test("evaluateWatchRule matches each day of the period once", () => {
+  const weather = weatherWith([{ pop: 0.9 }, { pop: 0.7 }, { pop: 0.2 }]);
+  const next3 = evaluateWatchRule(
+    { metric: "pop", op: "above", threshold: 60, period: "next3" },
+    weather,
+    "metric"
+  );
+  assert.equal(next3.length, 2);
+  assert.equal(next3[0].value, 90);
+  const tomorrow = evaluateWatchRule(
+    { metric: "pop", op: "above", threshold: 60, period: "tomorrow" },
+    weather,
+    "metric"
+  );
+  assert.deepEqual(
+    tomorrow.map((m) => m.value),
+    [70]
+  );
+});
+
+test("Slack and JSON payloads have their own shapes", () => {
+  const watch = {
+    id: "site-a",
+    name: "Site A",
+    lat: 1,
+    lon: 2,
+    units: "metric",
+  };
+  const rule = validWatch.rules[0];
+  const matches = [{ rule, date: "2026-10-20", value: 70, text: "pop 70 %" }];
+
+  const slack = webhookPayload("slack", watch, matches, { name: "Test" });
+  assert.deepEqual(slack, { text: "*Weather watch: Site A*\n• pop 70 %" });
+
+  const json = webhookPayload("json", watch, matches, { name: "Test" });
+  assert.equal(json.type, "weather.watch.match");
+  assert.deepEqual(json.watch, watch);
+  assert.deepEqual(json.matches, [
+    { rule, date: "2026-10-20", value: 70, text: "pop 70 %" },
+  ]);
+  assert.equal(json.provider, "Test");
+  assert.ok(!Number.isNaN(Date.parse(json.sentAt)));
+});
+
+test("a failed delivery is retried on the next run and not sent again after", async (t) => {
+  t.mock.method(console, "warn", () => {});
+  const statuses = [500, 204];
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      received.push(JSON.parse(body));
+      res.statusCode = statuses.length ? statuses.shift() : 204;
+      res.end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "watches-"));
+  try {
+    const { port } = server.address();
+    const config = parseWatchConfig({
+      webhooks: { hook: { url: `http://127.0.0.1:${port}/hook` } },
+      watches: [validWatch],
+    });
+    const file = path.join(dir, "deliveries.json");
+    const scheduler = createWatchScheduler({
+      config,
+      loadWeather: async () => weatherWith([{ pop: 0.1 }, { pop: 0.8 }]),
+      fetch,
+      deliveryLog: createDeliveryLog({ file }),
+    });
+
+    const first = await scheduler.runOnce();
+    assert.deepEqual(
+      { matches: first.matches, sent: first.sent, failed: first.failed },
+      { matches: 1, sent: 0, failed: 1 }
+    );
+    const second = await scheduler.runOnce();
+    assert.deepEqual(
+      { sent: second.sent, failed: second.failed },
+      { sent: 1, failed: 0 }
+    );
+    const third = await scheduler.runOnce();
+    assert.deepEqual(
+      { matches: third.matches, sent: third.sent, failed: third.failed },
+      { matches: 1, sent: 0, failed: 0 }
+    );
+
+    // The 500 and the retry; nothing on the third run
+    assert.equal(received.length, 2);
+    assert.deepEqual(received[1].matches, received[0].matches);
+    assert.equal(received[1].watch.id, "site-a");
+
+    // The delivery is remembered across restarts
+    const saved = JSON.parse(await fs.readFile(file, "utf8"));
+    assert.equal(Object.keys(saved).length, 1);
+    const restarted = createWatchScheduler({
+      config,
+      loadWeather: async () => weatherWith([{ pop: 0.1 }, { pop: 0.8 }]),
+      fetch,
+      deliveryLog: createDeliveryLog({ file }),
+    });
+    assert.equal((await restarted.runOnce()).sent, 0);
+    assert.equal(received.length, 2);
+  } finally {
+    server.close();
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
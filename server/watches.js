@@ -0,0 +1,519 @@
+// Scheduled weather watches: the server checks threshold rules for a list of
+// watch locations every WATCH_INTERVAL_MS and POSTs new matches to webhooks,
+// so alerts arrive even when no browser tab is open.
+//
+// The watches come from a JSON file (WATCHES_FILE) kept by whoever runs the
+// server, so nobody can make the server call arbitrary URLs:
+// {
+//   "webhooks": {
+//     "team": { "url": "https://hooks.slack.com/services/...", "format": "slack" },
+//     "log": { "url": "http://localhost:4000/hook" }         (format "json" by default)
+//   },
+//   "watches": [{
+//     "id": "site-a", "name": "Site A", "lat": 61.5, "lon": 23.76,
+//     "units": "metric",                   (thresholds are in these units)
+//     "webhooks": ["team"],                (default: every webhook)
+//     "rules": [
+//       { "metric": "pop", "op": "above", "threshold": 60, "period": "tomorrow" },
+//       { "metric": "temp_min", "op": "below", "threshold": 0, "period": "next3" },
+//       { "metric": "alerts", "period": "week" }
+//     ]
+//   }]
+// }
+// Metrics and periods are the same as the app's notification rules:
+// temp_min, temp_max, pop (%), wind_gust, precip (mm or in) and alerts;
+// today, tomorrow, next3 and week.
+//
+// A rule matches once per forecast day (alerts rules once per alert). Every
+// delivered match is recorded per webhook in a JSON file, so the same breach
+// isn't sent twice; a failed delivery is tried again on the next run.
+import fs from "fs/promises";
+import path from "path";
+
+const METRICS = [
+  "temp_min",
+  "temp_max",
+  "pop",
+  "wind_gust",
+  "precip",
+  "alerts",
+];
+
+// Days a rule looks at, as daily forecast indexes (0 = today)
+const PERIODS = {
+  today: { from: 0, to: 0 },
+  tomorrow: { from: 1, to: 1 },
+  next3: { from: 0, to: 2 },
+  week: { from: 0, to: 6 },
+};
+
+const METRIC_LABELS = {
+  temp_min: "low temperature",
+  temp_max: "high temperature",
+  pop: "chance of precipitation",
+  wind_gust: "wind gust",
+  precip: "precipitation",
+};
+
+const DAY_S = 24 * 60 * 60;
+
+/**
+ * Checks a webhook URL: only http(s) URLs are allowed.
+ * @param {string} value - URL from the watches file
+ * @returns {string|null} The URL, or null when it's not usable
+ */
+function parseWebhookUrl(value) {
+  try {
+    const url = new URL(String(value));
+    return url.protocol === "http:" || url.protocol === "https:"
+      ? url.toString()
+      : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Checks one rule of a watch.
+ * @param {Object} rule - Rule from the watches file
+ * @returns {Object|null} { metric, op, threshold, period }, or null when invalid
+ */
+function parseRule(rule) {
+  if (!rule || !METRICS.includes(rule.metric) || !PERIODS[rule.period]) {
+    return null;
+  }
+  if (rule.metric === "alerts") {
+    return { metric: "alerts", op: null, threshold: null, period: rule.period };
+  }
+  if (rule.op !== "above" && rule.op !== "below") return null;
+  // Number() would read null and "" as 0
+  const threshold = Number(rule.threshold);
+  if (rule.threshold === null || rule.threshold === "") return null;
+  if (!Number.isFinite(threshold)) return null;
+  return { metric: rule.metric, op: rule.op, threshold, period: rule.period };
+}
+
+/**
+ * Validates the contents of a watches file. Invalid webhooks, watches and
+ * rules are skipped with a warning, so one typo doesn't stop the others.
+ * @param {Object} json - Parsed watches file
+ * @returns {Object} { webhooks: { id: { id, url, format } }, watches: [{ id,
+ *   name, lat, lon, units, webhooks: [id], rules }] }
+ */
+export function parseWatchConfig(json) {
+  const webhooks = {};
+  const hooks = json && typeof json.webhooks === "object" ? json.webhooks : {};
+  Object.keys(hooks || {}).forEach((id) => {
+    const url = parseWebhookUrl(hooks[id] && hooks[id].url);
+    if (!url) {
+      console.warn(`Webhook "${id}" has no valid http(s) url; skipped.`);
+      return;
+    }
+    webhooks[id] = {
+      id,
+      url,
+      format: hooks[id].format === "slack" ? "slack" : "json",
+    };
+  });
+
+  const watches = [];
+  const list = json && Array.isArray(json.watches) ? json.watches : [];
+  list.forEach((item, i) => {
+    const id = String((item && item.id) || `watch-${i + 1}`);
+    const lat = Number(item && item.lat);
+    const lon = Number(item && item.lon);
+    if (
+      !Number.isFinite(lat) ||
+      !Number.isFinite(lon) ||
+      Math.abs(lat) > 90 ||
+      Math.abs(lon) > 180
+    ) {
+      console.warn(`Watch "${id}" has no valid lat/lon; skipped.`);
+      return;
+    }
+    const rules = (Array.isArray(item.rules) ? item.rules : [])
+      .map(parseRule)
+      .filter(Boolean);
+    if (rules.length < (Array.isArray(item.rules) ? item.rules.length : 0)) {
+      console.warn(`Watch "${id}" has invalid rules; they are skipped.`);
+    }
+    const hookIds = (
+      Array.isArray(item.webhooks) ? item.webhooks : Object.keys(webhooks)
+    ).filter((hookId) => webhooks[hookId]);
+    if (!rules.length || !hookIds.length) {
+      console.warn(`Watch "${id}" has no rules or webhooks; skipped.`);
+      return;
+    }
+    watches.push({
+      id,
+      name: String(item.name || id),
+      lat,
+      lon,
+      units: item.units === "imperial" ? "imperial" : "metric",
+      webhooks: hookIds,
+      rules,
+    });
+  });
+  return { webhooks, watches };
+}
+
+/**
+ * Reads and validates a watches file (see parseWatchConfig).
+ * @param {string} file - Path of the JSON file
+ * @returns {Promise<Object>} { webhooks, watches }
+ */
+export async function loadWatchConfig(file) {
+  return parseWatchConfig(JSON.parse(await fs.readFile(file, "utf8")));
+}
+
+/**
+ * Identifies a rule for de-duplication: changing a rule makes it a new one.
+ * @param {Object} rule - Parsed rule
+ * @returns {string} Key like "pop:above:60:tomorrow"
+ */
+export function ruleKey(rule) {
+  return [rule.metric, rule.op, rule.threshold, rule.period].join(":");
+}
+
+/**
+ * Reads a rule's metric from one forecast day. Values are in the watch's
+ * units, except precipitation, which the schema always gives in mm.
+ * @param {string} metric - Rule metric
+ * @param {Object} day - Daily forecast entry
+ * @param {string} units - "metric" or "imperial"
+ * @returns {number|null} Value, or null when the day doesn't have it
+ */
+function metricValue(metric, day, units) {
+  const number = (v) =>
+    v !== null && v !== undefined && Number.isFinite(Number(v))
+      ? Number(v)
+      : null;
+  switch (metric) {
+    case "temp_min":
+      return number(day.temp && day.temp.min);
+    case "temp_max":
+      return number(day.temp && day.temp.max);
+    case "pop": {
+      const pop = number(day.pop);
+      return pop === null ? null : pop * 100;
+    }
+    case "wind_gust":
+      return number(day.wind_gust);
+    case "precip": {
+      const mm = (Number(day.rain) || 0) + (Number(day.snow) || 0);
+      return units === "imperial" ? mm / 25.4 : mm;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Formats a metric value with its unit, e.g. "-2 °C" or "0.25 in".
+ * @param {string} metric - Rule metric
+ * @param {number} value - Value in `units`
+ * @param {string} units - "metric" or "imperial"
+ * @returns {string} Value with unit
+ */
+function formatValue(metric, value, units) {
+  const isMetric = units !== "imperial";
+  const oneDecimal = (v) => String(Math.round(v * 10) / 10);
+  switch (metric) {
+    case "temp_min":
+    case "temp_max":
+      return `${oneDecimal(value)} ${isMetric ? "°C" : "°F"}`;
+    case "pop":
+      return `${Math.round(value)} %`;
+    case "wind_gust":
+      return `${oneDecimal(value)} ${isMetric ? "m/s" : "mph"}`;
+    case "precip":
+      return isMetric ? `${value.toFixed(1)} mm` : `${value.toFixed(2)} in`;
+    default:
+      return String(value);
+  }
+}
+
+/**
+ * Local calendar date of a timestamp at the location.
+ * @param {number} dt - Unix seconds
+ * @param {number} tz - Timezone offset in seconds
+ * @returns {string} Date like "2026-10-20"
+ */
+function localDate(dt, tz) {
+  return new Date((dt + tz) * 1000).toISOString().slice(0, 10);
+}
+
+/**
+ * Checks a rule against normalized weather (see providers/index.js).
+ * @param {Object} rule - Parsed rule
+ * @param {Object} weather - Normalized weather in the watch's units
+ * @param {string} units - "metric" or "imperial"
+ * @returns {Array<Object>} Matches: [{ key, date, value, text }], where
+ *   `key` identifies the breach (the day, or the alert) for de-duplication
+ */
+export function evaluateWatchRule(rule, weather, units) {
+  const period = PERIODS[rule.period];
+  const daily = Array.isArray(weather.daily) ? weather.daily : [];
+  const days = daily.slice(period.from, period.to + 1);
+  if (!days.length) return [];
+  const tz = Number(weather.timezone_offset) || 0;
+
+  if (rule.metric === "alerts") {
+    // From the start of the first local day to the end of the last one
+    const dayStart = (dt) => Math.floor((dt + tz) / DAY_S) * DAY_S - tz;
+    const start = dayStart(days[0].dt);
+    const end = dayStart(days[days.length - 1].dt) + DAY_S;
+    const now = Date.now() / 1000;
+    return (weather.alerts || [])
+      .filter(
+        (a) =>
+          Number(a.end) > now && Number(a.start) < end && Number(a.end) > start
+      )
+      .map((a) => ({
+        key: `alert:${a.event}:${a.start}`,
+        date: localDate(Math.max(Number(a.start), start), tz),
+        value: null,
+        text: `${a.event || "Weather alert"} (${
+          a.sender_name || "weather service"
+        }) from ${localDate(Number(a.start), tz)}`,
+      }));
+  }
+
+  const matches = [];
+  days.forEach((day) => {
+    const value = metricValue(rule.metric, day, units);
+    if (value === null) return;
+    const hit =
+      rule.op === "above" ? value > rule.threshold : value < rule.threshold;
+    if (!hit) return;
+    const date = localDate(day.dt, tz);
+    matches.push({
+      key: date,
+      date,
+      value: Math.round(value * 100) / 100,
+      text: `${date}: ${METRIC_LABELS[rule.metric]} ${formatValue(
+        rule.metric,
+        value,
+        units
+      )} (${rule.op} ${formatValue(rule.metric, rule.threshold, units)})`,
+    });
+  });
+  return matches;
+}
+
+/**
+ * Builds the body POSTed to a webhook. "slack" is an incoming-webhook
+ * message (also understood by Mattermost and others); "json" carries the
+ * structured matches.
+ * @param {string} format - "json" or "slack"
+ * @param {Object} watch - Watch
+ * @param {Array<Object>} matches - [{ rule, date, value, text }]
+ * @param {Object} provider - Provider info of the weather ({ name, attribution })
+ * @returns {Object} Request body
+ */
+export function webhookPayload(format, watch, matches, provider) {
+  if (format === "slack") {
+    const lines = matches.map((m) => `• ${m.text}`);
+    return {
+      text: `*Weather watch: ${watch.name}*\n${lines.join("\n")}`,
+    };
+  }
+  return {
+    type: "weather.watch.match",
+    watch: {
+      id: watch.id,
+      name: watch.name,
+      lat: watch.lat,
+      lon: watch.lon,
+      units: watch.units,
+    },
+    matches: matches.map((m) => ({
+      rule: m.rule,
+      date: m.date,
+      value: m.value,
+      text: m.text,
+    })),
+    provider: provider ? provider.name : null,
+    sentAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Record of delivered matches, kept in a JSON file so restarts don't resend
+ * them. Entries older than `maxAgeMs` are dropped (forecasts only reach a
+ * week ahead). Writes replace the file atomically, like the profile store.
+ * @param {Object} options
+ * @param {string} options.file - Path of the JSON file (created if missing)
+ * @param {number} options.maxAgeMs - How long a delivery is remembered
+ * @returns {Object} Log with async has(key) and add(keys)
+ */
+export function createDeliveryLog({ file, maxAgeMs = 10 * DAY_S * 1000 }) {
+  let sent = null;
+  let writeQueue = Promise.resolve();
+
+  async function load() {
+    if (sent) return sent;
+    try {
+      sent = JSON.parse(await fs.readFile(file, "utf8")) || {};
+    } catch (err) {
+      if (err.code !== "ENOENT") console.error("Watch log read failed", err);
+      sent = {};
+    }
+    return sent;
+  }
+
+  function persist() {
+    const json = JSON.stringify(sent);
+    writeQueue = writeQueue
+      .then(async () => {
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        const tmp = `${file}.${process.pid}.tmp`;
+        await fs.writeFile(tmp, json);
+        await fs.rename(tmp, file);
+      })
+      .catch((err) => console.error("Watch log write failed", err));
+    return writeQueue;
+  }
+
+  return {
+    async has(key) {
+      return Boolean((await load())[key]);
+    },
+    async add(keys) {
+      const all = await load();
+      const now = Date.now();
+      keys.forEach((key) => {
+        all[key] = now;
+      });
+      Object.keys(all).forEach((key) => {
+        if (now - all[key] > maxAgeMs) delete all[key];
+      });
+      await persist();
+    },
+  };
+}
+
+/**
+ * Creates the watch scheduler. Each run loads the weather of every watch,
+ * evaluates its rules and sends the new matches to its webhooks (one POST
+ * per watch and webhook). Runs never overlap.
+ * @param {Object} options
+ * @param {Object} options.config - Parsed watches file (parseWatchConfig)
+ * @param {Function} options.loadWeather - async ({ lat, lon, units }) =>
+ *   normalized weather (the proxy's cached provider logic)
+ * @param {Function} options.fetch - fetch implementation for the webhooks
+ * @param {Object} options.deliveryLog - Log from createDeliveryLog()
+ * @param {number} options.intervalMs - Time between runs
+ * @param {number} options.timeoutMs - Timeout of a webhook request
+ * @returns {Object} { start(), stop(), runOnce() }
+ */
+export function createWatchScheduler({
+  config,
+  loadWeather,
+  fetch,
+  deliveryLog,
+  intervalMs = 15 * 60 * 1000,
+  timeoutMs = 5000,
+}) {
+  let timer = null;
+  let running = null;
+
+  // POSTs one payload; resolves true on a 2xx answer
+  async function post(hook, body) {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      const r = await fetch(hook.url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+        signal: controller.signal,
+      });
+      if (!r.ok) console.warn(`Webhook ${hook.id} answered ${r.status}`);
+      return r.ok;
+    } catch (err) {
+      console.warn(`Webhook ${hook.id} failed: ${err.message}`);
+      return false;
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+
+  async function checkWatch(watch, summary) {
+    let weather;
+    try {
+      weather = await loadWeather(watch);
+    } catch (err) {
+      console.warn(`Watch ${watch.id}: no weather: ${err.message}`);
+      summary.failed++;
+      return;
+    }
+
+    const matches = [];
+    watch.rules.forEach((rule) => {
+      evaluateWatchRule(rule, weather, watch.units).forEach((m) => {
+        matches.push({ ...m, rule, id: `${ruleKey(rule)}|${m.key}` });
+      });
+    });
+    summary.matches += matches.length;
+
+    for (const hookId of watch.webhooks) {
+      const hook = config.webhooks[hookId];
+      const fresh = [];
+      for (const m of matches) {
+        const logKey = `${watch.id}|${hook.id}|${m.id}`;
+        if (!(await deliveryLog.has(logKey))) fresh.push({ ...m, logKey });
+      }
+      if (!fresh.length) continue;
+      const body = webhookPayload(hook.format, watch, fresh, weather.provider);
+      if (await post(hook, body)) {
+        await deliveryLog.add(fresh.map((m) => m.logKey));
+        summary.sent += fresh.length;
+      } else {
+        summary.failed++;
+      }
+    }
+  }
+
+  async function run() {
+    const summary = {
+      watches: config.watches.length,
+      matches: 0,
+      sent: 0,
+      failed: 0,
+    };
+    // One watch at a time: the upstream is shared with the app's users
+    for (const watch of config.watches) {
+      await checkWatch(watch, summary);
+    }
+    // Failures are logged where they happen; a run that went fine is quiet
+    return summary;
+  }
+
+  function runOnce() {
+    if (!running) {
+      running = run().finally(() => {
+        running = null;
+      });
+    }
+    return running;
+  }
+
+  return {
+    runOnce,
+    // First run right away, then every intervalMs
+    start() {
+      if (timer) return;
+      runOnce().catch((err) => console.error("Watch run failed", err));
+      timer = setInterval(() => {
+        runOnce().catch((err) => console.error("Watch run failed", err));
+      }, intervalMs);
+      // Don't keep the process alive just for the watches
+      if (timer.unref) timer.unref();
+    },
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+  };
+}